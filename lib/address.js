@@ -0,0 +1,180 @@
+// Postal address parsing for US, Canadian, UK, Australian and continental
+// European formats. Every match is split into components
+// (street, city, region, postcode, country) rather than kept as a raw string.
+
+const { normalizeCountry } = require('./locale');
+
+const US_STATES = 'AL|AK|AZ|AR|CA|CO|CT|DE|DC|FL|GA|HI|ID|IL|IN|IA|KS|KY|LA|ME|MD|MA|MI|MN|MS|MO|MT|NE|NV|NH|NJ|NM|NY|NC|ND|OH|OK|OR|PA|RI|SC|SD|TN|TX|UT|VT|VA|WA|WV|WI|WY|PR';
+const CA_PROVINCES = 'AB|BC|MB|NB|NL|NS|NT|NU|ON|PE|QC|SK|YT';
+const AU_STATES = 'NSW|VIC|QLD|WA|SA|TAS|ACT|NT';
+
+// Street suffixes used in English-speaking countries
+const EN_STREET_SUFFIXES = [
+    'Street', 'St', 'Avenue', 'Ave', 'Road', 'Rd', 'Drive', 'Dr', 'Lane', 'Ln', 'Boulevard', 'Blvd', 'Way',
+    'Court', 'Ct', 'Place', 'Pl', 'Parkway', 'Pkwy', 'Highway', 'Hwy', 'Circle', 'Cir', 'Terrace', 'Ter', 'Tce',
+    'Trail', 'Square', 'Sq', 'Plaza', 'Crescent', 'Cres', 'Close', 'Gardens', 'Mews', 'Parade', 'Pde', 'Walk',
+    'Grove', 'Green', 'Hill', 'Row', 'Rise', 'View', 'Circuit', 'Cct', 'Esplanade', 'Broadway', 'Pike', 'Loop'
+].join('|');
+
+// A capitalised street-name word, or an ordinal like "5th"
+const WORD = "(?:[A-Z][\\w'&-]*|\\d+(?:st|nd|rd|th))\\.?";
+// A place name of up to four words; a word's hyphenated parts are kept apart from the
+// separating space so a long run of words splits only one way
+const PLACE_WORD = "[A-Z][A-Za-z.']*(?:-[A-Za-z.']+)*";
+const PLACE_NAME = `${PLACE_WORD}(?: ${PLACE_WORD}){0,3}`;
+
+// "Level 3, 123 North Main Street Suite 200"
+const EN_STREET = `((?:(?:Level|Suite|Shop|Unit|Flat|Floor)\\s+\\d+[A-Za-z]?,?\\s+)?\\d{1,6}[A-Za-z]?(?:[-/]\\d{1,5}[A-Za-z]?)?\\s+(?:${WORD}\\s+){0,4}?(?:${EN_STREET_SUFFIXES})\\.?(?:\\s+(?:N|S|E|W|NE|NW|SE|SW)\\.?)?(?:,?\\s+(?:Suite|Ste|Unit|Apt|#|Floor|Fl)\\.?\\s*[\\w-]+)?)`;
+
+// Continental street names: "Hauptstraße 5", "Via Roma 10", "Calle Mayor, 5", or French "12 rue de la Paix"
+// Street words match as a suffix ("Hauptstraße") or a separate word ("Kärntner Straße").
+const EU_STREET_WORDS = ['stra(?:ß|ss)e', 'str\\.', 'weg', 'gasse', 'platz', 'allee', 'ring', 'damm', 'ufer', 'laan', 'straat', 'gracht', 'plein', 'kade', 'singel', 'dijk', 'steeg', 'vej', 'gade', 'gatan', 'vägen', 'gata', 'katu', 'tie']
+    .map(word => `[${word[0].toUpperCase()}${word[0]}]${word.slice(1)}`)
+    .join('|');
+const EU_STREET_PREFIXES = 'Via|Viale|Piazza|Corso|Largo|Calle|Avenida|Plaza|Paseo|Carrer|Rua|Travessa|Avinguda|Ulica|ul\\.';
+const FR_STREET_PREFIXES = 'rue|avenue|av\\.|boulevard|bd|place|chemin|quai|allée|impasse|route|cours|square';
+// A name word is hyphen-joined parts ("Karl-Marx-Straße") and words are joined by single
+// spaces. Neither part nor separator can match the other's characters, so there is only one
+// way to split a run of words and long hyphenated text can't backtrack catastrophically.
+const EU_NAME_WORD = "\\p{Lu}[\\p{L}.']*(?:-[\\p{L}.']+)*";
+const EU_STREET = `((?<![\\p{L}\\d.'-])(?:(?:${EU_NAME_WORD} ){0,3}(?:${EU_NAME_WORD}(?<=${EU_STREET_WORDS})|(?:${EU_STREET_WORDS}))[ ]?\\d{1,4}[a-zA-Z]?(?:[-/]\\d{1,4}[a-zA-Z]?)?|(?:${EU_STREET_PREFIXES})\\s+[\\p{L}.' -]{2,40}?,?\\s+\\d{1,4}[a-zA-Z]?|\\d{1,4}(?:\\s?(?:bis|ter))?,?\\s+(?:${FR_STREET_PREFIXES})\\s+[\\p{L}.' -]{2,40}?))`;
+const EU_POSTCODE = '(\\d{4}\\s?[A-Z]{2}|\\d{2}-\\d{3}|\\d{3}\\s\\d{2}|[A-Z]{1,2}-\\d{4,5}|\\d{4,5})';
+const EU_CITY = "(\\p{Lu}[\\p{L}'-]+(?:[ -](?:am|an|im|in|der|de|del|la|le|sur|\\p{Lu}[\\p{L}'-]*)){0,3})";
+
+// Countries whose addresses use "street number, postcode city"
+const EU_COUNTRIES = ['DE', 'AT', 'CH', 'NL', 'BE', 'LU', 'FR', 'IT', 'ES', 'PT', 'DK', 'SE', 'NO', 'FI', 'PL', 'CZ', 'SK', 'IE'];
+
+const PATTERNS = [
+    {
+        // 123 Main Street, Springfield, IL 62701
+        name: 'us',
+        regex: new RegExp(`${EN_STREET},?\\s+(${PLACE_NAME}),?\\s+(${US_STATES})\\.?\\s+(\\d{5}(?:-\\d{4})?)\\b`, 'g'),
+        build: (match) => ({ street: match[1], city: match[2], region: match[3], postcode: match[4], country: 'US' })
+    },
+    {
+        // 100 Queen St W, Toronto, ON M5H 2N2
+        name: 'ca',
+        regex: new RegExp(`${EN_STREET},?\\s+(${PLACE_NAME}),?\\s+(${CA_PROVINCES})\\.?\\s+([A-Z]\\d[A-Z]\\s?\\d[A-Z]\\d)\\b`, 'g'),
+        build: (match) => ({ street: match[1], city: match[2], region: match[3], postcode: match[4].toUpperCase(), country: 'CA' })
+    },
+    {
+        // Level 5, 100 George Street, Sydney NSW 2000
+        name: 'au',
+        regex: new RegExp(`${EN_STREET},?\\s+(${PLACE_NAME}),?\\s+(${AU_STATES})\\s+(\\d{4})\\b`, 'g'),
+        build: (match) => ({ street: match[1], city: match[2], region: match[3], postcode: match[4], country: 'AU' })
+    },
+    {
+        // 10 Downing Street, London SW1A 2AA  /  12 High St, Oxford, Oxfordshire, OX1 4AA
+        name: 'gb',
+        regex: new RegExp(`${EN_STREET},\\s*(${PLACE_NAME})(?:,\\s*(${PLACE_NAME}))?,?\\s+((?:GIR ?0AA|[A-Z]{1,2}\\d[A-Z\\d]?\\s*\\d[A-Z]{2}))\\b`, 'g'),
+        build: (match) => ({ street: match[1], city: match[2], region: match[3] || '', postcode: formatUkPostcode(match[4]), country: 'GB' })
+    },
+    {
+        // Hauptstraße 5, 10115 Berlin  /  12 rue de la Paix, 75002 Paris
+        name: 'eu',
+        regex: new RegExp(`${EU_STREET},?\\s+${EU_POSTCODE}\\s+${EU_CITY}`, 'gu'),
+        build: (match, defaultCountry) => ({ street: match[1], city: match[3], region: '', postcode: match[2], country: guessEuCountry(clean(match[1]), match[2], defaultCountry) })
+    }
+];
+
+function formatUkPostcode(postcode) {
+    const compact = postcode.replace(/\s+/g, '').toUpperCase();
+    return `${compact.slice(0, -3)} ${compact.slice(-3)}`;
+}
+
+// Street vocabulary -> the countries that use it (first entry is the most likely)
+const STREET_LANGUAGE_COUNTRIES = [
+    { regex: /stra(ß|ss)e|str\.|weg\b|gasse|platz|allee|ring\b|damm|ufer/i, countries: ['DE', 'AT', 'CH', 'LU'] },
+    { regex: /laan|straat|gracht|plein|kade|singel|dijk|steeg/i, countries: ['NL', 'BE'] },
+    { regex: /^\d.*\b(rue|avenue|av\.|boulevard|bd|place|chemin|quai|allée|impasse|route|cours|square)\b/i, countries: ['FR', 'BE', 'CH', 'LU'] },
+    { regex: /^(Via|Viale|Piazza|Corso|Largo)\b/, countries: ['IT', 'CH'] },
+    { regex: /^(Calle|Avenida|Plaza|Paseo|Carrer|Avinguda)\b/, countries: ['ES'] },
+    { regex: /^(Rua|Travessa)\b/, countries: ['PT'] },
+    { regex: /^(Ulica|ul\.)/i, countries: ['PL'] },
+    { regex: /vej|gade/i, countries: ['DK', 'NO'] },
+    { regex: /gatan|vägen|gata/i, countries: ['SE'] },
+    { regex: /katu|tie\b/i, countries: ['FI'] }
+];
+
+// Postcode length for countries that share a street vocabulary
+const POSTCODE_DIGITS = { DE: 5, FR: 5, IT: 5, ES: 5, FI: 5, AT: 4, CH: 4, BE: 4, LU: 4, DK: 4, NO: 4 };
+
+// Postcode shape first, then street vocabulary, preferring the site's own country
+function guessEuCountry(street, postcode, defaultCountry) {
+    if (/^\d{4}\s?[A-Z]{2}$/.test(postcode)) return 'NL';
+    if (/^\d{2}-\d{3}$/.test(postcode)) return 'PL';
+    const prefixed = postcode.match(/^([A-Z]{1,2})-/);
+    if (prefixed) return { D: 'DE', A: 'AT', F: 'FR', I: 'IT', B: 'BE', L: 'LU' }[prefixed[1]] || normalizeCountry(prefixed[1]) || '';
+
+    const language = STREET_LANGUAGE_COUNTRIES.find(entry => entry.regex.test(street));
+    if (language) {
+        const digits = postcode.replace(/\D/g, '').length;
+        const candidates = language.countries.filter(country => !POSTCODE_DIGITS[country] || POSTCODE_DIGITS[country] === digits);
+        if (candidates.includes(defaultCountry)) return defaultCountry;
+        return candidates[0] || language.countries[0];
+    }
+    return EU_COUNTRIES.includes(defaultCountry) ? defaultCountry : '';
+}
+
+function clean(value) {
+    return (value || '').replace(/\s+/g, ' ').replace(/^[,\s]+|[,\s]+$/g, '').trim();
+}
+
+// Single-line rendering used for display and deduplication
+function formatAddress(components) {
+    const locality = components.country && EU_COUNTRIES.includes(components.country) && components.country !== 'IE'
+        ? [components.postcode, components.city].filter(Boolean).join(' ')
+        : [components.city, [components.region, components.postcode].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+
+    return [components.street, locality, components.country].filter(Boolean).join(', ');
+}
+
+// Every address in a block of text, as components; the site's country breaks ties
+function parseAddresses(text, defaultCountry) {
+    const found = [];
+    const ordered = PATTERNS.slice().sort((a, b) => (b.name === (defaultCountry || '').toLowerCase()) - (a.name === (defaultCountry || '').toLowerCase()));
+
+    for (const pattern of ordered) {
+        for (const match of (text || '').matchAll(pattern.regex)) {
+            // Skip text already claimed by a pattern tried earlier
+            const start = match.index;
+            const end = start + match[0].length;
+            if (found.some(item => start < item.end && end > item.start)) continue;
+
+            const built = pattern.build(match, defaultCountry);
+            const components = {
+                street: clean(built.street),
+                city: clean(built.city),
+                region: clean(built.region),
+                postcode: clean(built.postcode),
+                country: built.country || ''
+            };
+            found.push({ start, end, components });
+        }
+    }
+
+    return found
+        .sort((a, b) => a.start - b.start)
+        .map(item => ({ ...item.components, formatted: formatAddress(item.components) }));
+}
+
+// Convert a schema.org PostalAddress (see lib/structured-data.js) into the same components
+function fromStructuredAddress(address, defaultCountry) {
+    if (!address) return null;
+    const components = {
+        street: clean(address.streetAddress),
+        city: clean(address.addressLocality),
+        region: clean(address.addressRegion),
+        postcode: clean(address.postalCode),
+        country: normalizeCountry(address.addressCountry) || defaultCountry || ''
+    };
+    if (components.country === 'GB' && components.postcode) components.postcode = formatUkPostcode(components.postcode);
+    if (!components.street && !components.city && !components.postcode) return null;
+    return { ...components, formatted: formatAddress(components) };
+}
+
+module.exports = {
+    parseAddresses,
+    fromStructuredAddress,
+    formatAddress
+};
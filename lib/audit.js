@@ -0,0 +1,499 @@
+// Deterministic website audit run over the scraped HTML.
+// Each check looks at every scraped page, records per-page evidence and
+// passes, warns or fails; the weighted results roll up into a 0-100 score.
+// Findings are written so they can be quoted to the business owner as-is.
+
+const { loadHtml } = require('./extract');
+const { hasStructuredData } = require('./structured-data');
+const { formatBytes } = require('./performance');
+
+const TITLE_LENGTH = { min: 10, max: 60 };
+const DESCRIPTION_LENGTH = { min: 50, max: 160 };
+
+// Performance budgets: [warn above, fail above]
+const TTFB_BUDGET_MS = [800, 1800];
+const PAGE_WEIGHT_BUDGET = [3 * 1024 * 1024, 6 * 1024 * 1024];
+
+// Elements whose http:// URLs break or downgrade an HTTPS page
+const ACTIVE_CONTENT = [['script[src]', 'src'], ['link[rel~="stylesheet"][href]', 'href'], ['iframe[src]', 'src']];
+const PASSIVE_CONTENT = [['img[src]', 'src'], ['video[src]', 'src'], ['audio[src]', 'src'], ['source[src]', 'src']];
+
+// Cap on evidence entries kept per check so reports stay readable
+const MAX_EVIDENCE = 25;
+
+// Weighted checks, run in this order
+const CHECKS = [
+    { id: 'https', title: 'Served over HTTPS', weight: 15 },
+    { id: 'mixed-content', title: 'No mixed content', weight: 10 },
+    { id: 'title', title: 'Page titles', weight: 15 },
+    { id: 'meta-description', title: 'Meta descriptions', weight: 10 },
+    { id: 'viewport', title: 'Mobile viewport tag', weight: 15 },
+    { id: 'heading-order', title: 'Heading structure', weight: 10 },
+    { id: 'image-alt', title: 'Image alt text', weight: 10 },
+    { id: 'favicon', title: 'Favicon', weight: 5 },
+    { id: 'structured-data', title: 'Structured data', weight: 10 },
+    { id: 'response-time', title: 'Server response time', weight: 10 },
+    { id: 'page-weight', title: 'Homepage weight', weight: 10 },
+    { id: 'compression', title: 'Text compression', weight: 5 },
+    { id: 'caching', title: 'Browser caching', weight: 5 },
+    { id: 'redirects', title: 'Redirect chain', weight: 5 },
+    { id: 'broken-links', title: 'Broken links and images', weight: 10 },
+    { id: 'https-redirect', title: 'HTTP redirects to HTTPS', weight: 10 },
+    { id: 'security-headers', title: 'Security headers', weight: 10 },
+    { id: 'certificate', title: 'SSL certificate', weight: 10 }
+];
+
+function collapseWhitespace(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function isHttps(pageUrl) {
+    try {
+        return new URL(pageUrl).protocol === 'https:';
+    } catch {
+        return false;
+    }
+}
+
+// The facts every check needs from one page, read in a single parse
+function inspectPage(page) {
+    const $ = loadHtml(page.html);
+
+    const headings = $('h1, h2, h3, h4, h5, h6')
+        .map((_, element) => ({ level: Number(element.tagName.substring(1)), text: collapseWhitespace($(element).text()).substring(0, 80) }))
+        .get();
+
+    const insecureUrls = (selectors) => selectors.flatMap(([selector, attribute]) =>
+        $(selector).map((_, element) => ($(element).attr(attribute) || '').trim()).get()
+            .filter(value => /^http:\/\//i.test(value))
+    );
+
+    return {
+        url: page.url,
+        https: isHttps(page.url),
+        title: collapseWhitespace($('title').first().text()),
+        description: collapseWhitespace($('meta[name="description" i]').attr('content')),
+        viewport: $('meta[name="viewport" i]').attr('content') || null,
+        headings,
+        images: $('img').map((_, element) => ({
+            src: $(element).attr('data-src') || $(element).attr('src') || '',
+            hasAlt: $(element).attr('alt') !== undefined
+        })).get(),
+        favicon: $('link[rel~="icon" i], link[rel="apple-touch-icon" i]').first().attr('href') || null,
+        activeInsecure: insecureUrls(ACTIVE_CONTENT),
+        passiveInsecure: insecureUrls(PASSIVE_CONTENT)
+    };
+}
+
+function checkHttps(pages, siteUrl) {
+    const homeUrl = (pages[0] && pages[0].url) || siteUrl;
+    if (isHttps(homeUrl)) {
+        return { status: 'pass', message: 'The site is served over HTTPS', evidence: [] };
+    }
+    return {
+        status: 'fail',
+        message: 'The site is not served over HTTPS, so browsers mark it "Not secure"',
+        evidence: [{ url: homeUrl, detail: 'Final URL uses http://' }]
+    };
+}
+
+function checkMixedContent(pages) {
+    const securePages = pages.filter(page => page.https);
+    if (securePages.length === 0) {
+        return { status: 'skip', message: 'Not applicable without HTTPS', evidence: [] };
+    }
+
+    const evidence = [];
+    let active = 0;
+    for (const page of securePages) {
+        page.activeInsecure.forEach(resource => evidence.push({ url: page.url, detail: `Blocked script/stylesheet/frame: ${resource}` }));
+        page.passiveInsecure.forEach(resource => evidence.push({ url: page.url, detail: `Insecure media: ${resource}` }));
+        active += page.activeInsecure.length;
+    }
+
+    if (evidence.length === 0) {
+        return { status: 'pass', message: 'All resources on HTTPS pages load over HTTPS', evidence };
+    }
+    return {
+        status: active > 0 ? 'fail' : 'warn',
+        message: active > 0
+            ? `${active} script/stylesheet/frame URL(s) load over plain HTTP and are blocked by browsers on HTTPS pages`
+            : `${evidence.length} image/media URL(s) load over plain HTTP on HTTPS pages`,
+        evidence
+    };
+}
+
+function checkTitles(pages) {
+    const evidence = [];
+    let missing = 0;
+
+    for (const page of pages) {
+        if (!page.title) {
+            missing++;
+            evidence.push({ url: page.url, detail: 'Missing <title>' });
+        } else if (page.title.length < TITLE_LENGTH.min || page.title.length > TITLE_LENGTH.max) {
+            evidence.push({ url: page.url, detail: `Title is ${page.title.length} characters (aim for ${TITLE_LENGTH.min}-${TITLE_LENGTH.max}): "${page.title}"` });
+        }
+    }
+
+    const titles = pages.map(page => page.title).filter(Boolean);
+    const duplicates = titles.filter((title, index) => titles.indexOf(title) !== index);
+    [...new Set(duplicates)].forEach(title => {
+        evidence.push({ url: pages.find(page => page.title === title).url, detail: `Title "${title}" is used on several pages` });
+    });
+
+    if (missing > 0) {
+        return { status: 'fail', message: `${missing} of ${pages.length} page(s) have no <title>`, evidence };
+    }
+    if (evidence.length > 0) {
+        return { status: 'warn', message: `${evidence.length} page title(s) are too short, too long or duplicated`, evidence };
+    }
+    return { status: 'pass', message: 'Every page has a unique title of a good length', evidence };
+}
+
+function checkDescriptions(pages) {
+    const evidence = [];
+    let missing = 0;
+
+    for (const page of pages) {
+        if (!page.description) {
+            missing++;
+            evidence.push({ url: page.url, detail: 'Missing <meta name="description">' });
+        } else if (page.description.length < DESCRIPTION_LENGTH.min || page.description.length > DESCRIPTION_LENGTH.max) {
+            evidence.push({ url: page.url, detail: `Description is ${page.description.length} characters (aim for ${DESCRIPTION_LENGTH.min}-${DESCRIPTION_LENGTH.max})` });
+        }
+    }
+
+    if (missing > 0) {
+        return { status: 'fail', message: `${missing} of ${pages.length} page(s) have no meta description, so search engines write their own snippet`, evidence };
+    }
+    if (evidence.length > 0) {
+        return { status: 'warn', message: `${evidence.length} meta description(s) are too short or too long`, evidence };
+    }
+    return { status: 'pass', message: 'Every page has a meta description of a good length', evidence };
+}
+
+function checkViewport(pages) {
+    const evidence = pages
+        .filter(page => !page.viewport || !/width\s*=\s*device-width/i.test(page.viewport))
+        .map(page => ({ url: page.url, detail: page.viewport ? `Viewport is "${page.viewport}"` : 'Missing <meta name="viewport">' }));
+
+    if (evidence.length > 0) {
+        return { status: 'fail', message: `${evidence.length} of ${pages.length} page(s) have no responsive viewport tag and render zoomed-out on phones`, evidence };
+    }
+    return { status: 'pass', message: 'Every page declares a responsive viewport', evidence };
+}
+
+function checkHeadings(pages) {
+    const evidence = [];
+    let failures = 0;
+
+    for (const page of pages) {
+        const h1Count = page.headings.filter(heading => heading.level === 1).length;
+        if (h1Count === 0) {
+            failures++;
+            evidence.push({ url: page.url, detail: 'No <h1> heading' });
+        } else if (h1Count > 1) {
+            evidence.push({ url: page.url, detail: `${h1Count} <h1> headings` });
+        }
+
+        // A heading may go at most one level deeper than the one before it
+        for (let i = 1; i < page.headings.length; i++) {
+            const previous = page.headings[i - 1];
+            const current = page.headings[i];
+            if (current.level > previous.level + 1) {
+                evidence.push({ url: page.url, detail: `<h${current.level}> "${current.text}" follows <h${previous.level}>, skipping a level` });
+                break;
+            }
+        }
+    }
+
+    if (failures > 0) {
+        return { status: 'fail', message: `${failures} of ${pages.length} page(s) have no <h1> heading`, evidence };
+    }
+    if (evidence.length > 0) {
+        return { status: 'warn', message: 'Some pages have multiple <h1> headings or skip heading levels', evidence };
+    }
+    return { status: 'pass', message: 'Headings are in a logical order on every page', evidence };
+}
+
+function checkImageAlt(pages) {
+    const evidence = [];
+    let total = 0;
+    let missing = 0;
+
+    for (const page of pages) {
+        total += page.images.length;
+        const withoutAlt = page.images.filter(image => !image.hasAlt);
+        missing += withoutAlt.length;
+        withoutAlt.forEach(image => evidence.push({ url: page.url, detail: `<img> without alt: ${image.src || '(no src)'}` }));
+    }
+
+    if (total === 0 || missing === 0) {
+        return { status: 'pass', message: total === 0 ? 'No images to check' : `All ${total} images have alt text`, evidence };
+    }
+    return {
+        status: missing / total > 0.5 ? 'fail' : 'warn',
+        message: `${missing} of ${total} images have no alt text, hurting accessibility and image search`,
+        evidence
+    };
+}
+
+function checkFavicon(pages) {
+    const home = pages[0];
+    if (pages.some(page => page.favicon)) {
+        return { status: 'pass', message: 'A favicon is declared', evidence: [] };
+    }
+    return {
+        status: 'warn',
+        message: 'No favicon is declared, so browser tabs and bookmarks show a generic icon',
+        evidence: home ? [{ url: home.url, detail: 'No <link rel="icon">' }] : []
+    };
+}
+
+function checkStructuredData(structuredData, pages) {
+    const homeUrl = pages[0] ? pages[0].url : null;
+    if (hasStructuredData(structuredData)) {
+        return { status: 'pass', message: `Structured data found (${structuredData.sources.join(', ')})`, evidence: [] };
+    }
+    if (structuredData && structuredData.sources && structuredData.sources.length > 0) {
+        return {
+            status: 'warn',
+            message: 'Only Open Graph tags found - no schema.org business data for search engines',
+            evidence: homeUrl ? [{ url: homeUrl, detail: 'No JSON-LD or microdata' }] : []
+        };
+    }
+    return {
+        status: 'fail',
+        message: 'No structured data, so search engines cannot show rich results such as hours, ratings or location',
+        evidence: homeUrl ? [{ url: homeUrl, detail: 'No JSON-LD, microdata or Open Graph tags' }] : []
+    };
+}
+
+// Checks over the homepage measurement (see performance.js); skipped when it is unavailable
+function checkResponseTime(measurement) {
+    const { ttfbMs } = measurement;
+    const evidence = [{ url: measurement.finalUrl, detail: `Time to first byte ${ttfbMs} ms, HTML downloaded in ${measurement.totalMs} ms` }];
+    if (ttfbMs > TTFB_BUDGET_MS[1]) {
+        return { status: 'fail', message: `The server takes ${(ttfbMs / 1000).toFixed(1)} s to start responding`, evidence };
+    }
+    if (ttfbMs > TTFB_BUDGET_MS[0]) {
+        return { status: 'warn', message: `The server takes ${ttfbMs} ms to start responding (aim for under ${TTFB_BUDGET_MS[0]} ms)`, evidence };
+    }
+    return { status: 'pass', message: `The server responds in ${ttfbMs} ms`, evidence: [] };
+}
+
+function checkPageWeight(measurement) {
+    const { totalBytes } = measurement;
+    const evidence = measurement.largestResources.map(asset => ({ url: asset.url, detail: `${asset.type}, ${formatBytes(asset.bytes)}` }));
+    if (totalBytes > PAGE_WEIGHT_BUDGET[1]) {
+        return { status: 'fail', message: `The homepage weighs ${formatBytes(totalBytes)}, which is slow to load on mobile data`, evidence };
+    }
+    if (totalBytes > PAGE_WEIGHT_BUDGET[0]) {
+        return { status: 'warn', message: `The homepage weighs ${formatBytes(totalBytes)} (aim for under ${formatBytes(PAGE_WEIGHT_BUDGET[0])})`, evidence };
+    }
+    return { status: 'pass', message: `The homepage weighs ${formatBytes(totalBytes)}`, evidence: [] };
+}
+
+function checkCompression(measurement) {
+    const evidence = measurement.uncompressedText.map(url => ({ url, detail: 'Served without gzip/brotli' }));
+    if (!measurement.html.compression) {
+        evidence.unshift({ url: measurement.finalUrl, detail: 'HTML served without gzip/brotli' });
+        return { status: 'fail', message: 'The homepage HTML is sent uncompressed', evidence };
+    }
+    if (evidence.length > 0) {
+        return { status: 'warn', message: `${evidence.length} scripts/stylesheets are sent uncompressed`, evidence };
+    }
+    return { status: 'pass', message: `Text is compressed (${measurement.html.compression})`, evidence };
+}
+
+function checkCaching(measurement) {
+    const evidence = measurement.poorlyCached.map(url => ({ url, detail: 'No long-lived Cache-Control or Expires header' }));
+    if (evidence.length > 0) {
+        return { status: 'warn', message: `${evidence.length} images/scripts/stylesheets are not cached by browsers for long, so repeat visits re-download them`, evidence };
+    }
+    return { status: 'pass', message: 'Static files are cached by browsers', evidence };
+}
+
+function checkRedirects(measurement) {
+    const evidence = measurement.redirects.map(hop => ({ url: hop.url, detail: `${hop.status} -> ${hop.location}` }));
+    if (evidence.length > 1) {
+        return { status: 'warn', message: `Visitors go through ${evidence.length} redirects before the homepage loads`, evidence };
+    }
+    return { status: 'pass', message: evidence.length === 1 ? 'A single redirect to the canonical homepage' : 'No redirects', evidence };
+}
+
+// Skipped unless the scrape ran the optional link check (see link-check.js)
+function checkBrokenLinks(linkCheck) {
+    if (!linkCheck) {
+        return { status: 'skip', message: 'Links and images were not checked', evidence: [] };
+    }
+
+    const evidence = linkCheck.broken.map(item => ({
+        url: item.foundOn[0],
+        detail: `Broken ${item.type} ${item.url} (${item.status || item.reason})`
+    }));
+    if (linkCheck.brokenLinks > 0) {
+        return { status: 'fail', message: `${linkCheck.brokenLinks} internal link(s) lead to error pages${linkCheck.brokenImages > 0 ? ` and ${linkCheck.brokenImages} image(s) are missing` : ''}`, evidence };
+    }
+    if (linkCheck.brokenImages > 0) {
+        return { status: 'warn', message: `${linkCheck.brokenImages} image(s) fail to load`, evidence };
+    }
+    return { status: 'pass', message: `All ${linkCheck.checked} links and images checked load correctly`, evidence };
+}
+
+// Checks over the security report (see security.js); skipped when it is unavailable
+function checkHttpsRedirect(security) {
+    if (security.httpRedirectsToHttps === null || !security.httpsAvailable) {
+        return { status: 'skip', message: 'Not applicable without HTTPS', evidence: [] };
+    }
+    if (!security.httpRedirectsToHttps) {
+        return {
+            status: 'fail',
+            message: 'Typing the address without https:// leaves visitors on an unencrypted page',
+            evidence: [{ url: security.url, detail: 'http:// is served without a redirect to https://' }]
+        };
+    }
+    return { status: 'pass', message: 'HTTP visits are redirected to HTTPS', evidence: [] };
+}
+
+function checkSecurityHeaders(security) {
+    if (!security.headers) {
+        return { status: 'skip', message: 'Security headers could not be read', evidence: [] };
+    }
+
+    const { headers } = security;
+    const missing = [
+        [security.httpsAvailable && !headers.hsts.present, 'Strict-Transport-Security'],
+        [!headers.contentSecurityPolicy, 'Content-Security-Policy'],
+        [!headers.xFrameOptions && !headers.frameAncestors, 'X-Frame-Options'],
+        [!headers.referrerPolicy, 'Referrer-Policy']
+    ].filter(([isMissing]) => isMissing).map(([, name]) => name);
+    const evidence = missing.map(name => ({ url: security.finalUrl || security.url, detail: `Missing ${name} header` }));
+    security.cookies
+        .filter(cookie => (security.httpsAvailable && !cookie.secure) || !cookie.httpOnly)
+        .forEach(cookie => evidence.push({ url: security.finalUrl || security.url, detail: `Cookie ${cookie.name} lacks ${[!cookie.secure && 'Secure', !cookie.httpOnly && 'HttpOnly'].filter(Boolean).join(' and ')}` }));
+
+    if (missing.length >= 3) {
+        return { status: 'fail', message: `The site sends none of the basic security headers browsers use to protect visitors (${missing.join(', ')})`, evidence };
+    }
+    if (evidence.length > 0) {
+        return { status: 'warn', message: `Some security protections are missing (${evidence.map(item => item.detail.replace(/^Missing | header$/g, '')).slice(0, 4).join(', ')})`, evidence };
+    }
+    return { status: 'pass', message: 'Security headers and cookie flags are set', evidence };
+}
+
+function checkCertificate(security) {
+    const { certificate } = security;
+    if (!certificate) {
+        return { status: 'skip', message: 'No HTTPS certificate to check', evidence: [] };
+    }
+    if (certificate.error) {
+        return { status: 'fail', message: `The SSL handshake failed (${certificate.error})`, evidence: [{ url: security.url, detail: certificate.error }] };
+    }
+
+    const evidence = [{ url: security.url, detail: `Issued by ${certificate.issuer || 'unknown'}, valid until ${certificate.validTo.substring(0, 10)}` }];
+    if (certificate.daysRemaining < 0) {
+        return { status: 'fail', message: `The SSL certificate expired on ${certificate.validTo.substring(0, 10)}`, evidence };
+    }
+    if (!certificate.authorized) {
+        return { status: 'fail', message: `Browsers do not trust the SSL certificate (${certificate.authorizationError || 'untrusted'})`, evidence };
+    }
+    if (certificate.daysRemaining <= 30) {
+        return { status: 'warn', message: `The SSL certificate expires in ${certificate.daysRemaining} days`, evidence };
+    }
+    return { status: 'pass', message: `The SSL certificate is valid for another ${certificate.daysRemaining} days`, evidence };
+}
+
+function gradeFor(score) {
+    if (score >= 90) return 'A';
+    if (score >= 80) return 'B';
+    if (score >= 70) return 'C';
+    if (score >= 60) return 'D';
+    return 'F';
+}
+
+// Audit a site from its scraped pages ({ url, html }), homepage first, plus the
+// homepage measurement, link check and security report when the scrape produced them
+function auditSite({ url, pages, structuredData, performance, linkCheck, security }) {
+    const inspected = (pages || []).filter(page => page && page.html).map(inspectPage);
+    const measured = performance && !performance.error && performance.ttfbMs !== undefined;
+    const skipped = { status: 'skip', message: 'Page weight and timing were not measured', evidence: [] };
+    const skippedSecurity = { status: 'skip', message: 'Security was not checked', evidence: [] };
+
+    const results = {
+        'https': checkHttps(inspected, url),
+        'mixed-content': checkMixedContent(inspected),
+        'title': checkTitles(inspected),
+        'meta-description': checkDescriptions(inspected),
+        'viewport': checkViewport(inspected),
+        'heading-order': checkHeadings(inspected),
+        'image-alt': checkImageAlt(inspected),
+        'favicon': checkFavicon(inspected),
+        'structured-data': checkStructuredData(structuredData, inspected),
+        'response-time': measured ? checkResponseTime(performance) : skipped,
+        'page-weight': measured ? checkPageWeight(performance) : skipped,
+        'compression': measured ? checkCompression(performance) : skipped,
+        'caching': measured ? checkCaching(performance) : skipped,
+        'redirects': measured ? checkRedirects(performance) : skipped,
+        'broken-links': checkBrokenLinks(linkCheck),
+        'https-redirect': security ? checkHttpsRedirect(security) : skippedSecurity,
+        'security-headers': security ? checkSecurityHeaders(security) : skippedSecurity,
+        'certificate': security ? checkCertificate(security) : skippedSecurity
+    };
+
+    const checks = CHECKS.map(check => {
+        const result = results[check.id];
+        return {
+            ...check,
+            status: result.status,
+            message: result.message,
+            evidenceCount: result.evidence.length,
+            evidence: result.evidence.slice(0, MAX_EVIDENCE)
+        };
+    });
+
+    // Passing earns the full weight, a warning half; skipped checks do not count
+    const scored = checks.filter(check => check.status !== 'skip');
+    const possible = scored.reduce((sum, check) => sum + check.weight, 0);
+    const earned = scored.reduce((sum, check) => sum + (check.status === 'pass' ? check.weight : check.status === 'warn' ? check.weight / 2 : 0), 0);
+    const score = possible > 0 ? Math.round((earned / possible) * 100) : 0;
+
+    const failing = checks.filter(check => check.status === 'fail');
+    const warning = checks.filter(check => check.status === 'warn');
+
+    return {
+        url,
+        score,
+        grade: gradeFor(score),
+        pagesAudited: inspected.length,
+        summary: {
+            passed: checks.filter(check => check.status === 'pass').length,
+            warnings: warning.length,
+            failed: failing.length
+        },
+        checks,
+        // Failures first, phrased for the Analyze tab's "issues" field and outreach copy
+        issues: [...failing, ...warning].map(check => check.message),
+        auditedAt: new Date().toISOString()
+    };
+}
+
+// Audit findings as prompt lines, with a little evidence each
+function describeAudit(audit) {
+    if (!audit || !audit.checks) return '';
+
+    const lines = [`Score: ${audit.score}/100 (grade ${audit.grade}, ${audit.pagesAudited} pages)`];
+    audit.checks
+        .filter(check => check.status === 'fail' || check.status === 'warn')
+        .forEach(check => {
+            lines.push(`- [${check.status}] ${check.message}`);
+            check.evidence.slice(0, 3).forEach(item => lines.push(`    ${item.url}: ${item.detail}`));
+        });
+    return lines.join('\n');
+}
+
+module.exports = {
+    auditSite,
+    describeAudit
+};
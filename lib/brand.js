@@ -0,0 +1,256 @@
+// Brand identity of the original site: logo, dominant brand colors and web fonts.
+// Colors are counted across linked stylesheets, <style> blocks and inline styles,
+// weighting CSS custom properties and theme-color, so a recreated site can keep
+// the client's look instead of a random "professional color scheme".
+
+const { DEFAULT_USER_AGENT } = require('./robots');
+const { loadHtml, getBaseUrl, resolveUrl } = require('./extract');
+const { throwIfCancelled } = require('./jobs');
+const { safeFetch } = require('./safe-fetch');
+
+const MAX_STYLESHEETS = 6;
+const MAX_STYLESHEET_BYTES = 500000;
+const REQUEST_TIMEOUT = 10000;
+const MAX_COLORS = 6;
+
+const GENERIC_FONT_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-sans-serif', 'ui-serif', 'ui-monospace',
+    'inherit', 'initial', 'unset', '-apple-system', 'blinkmacsystemfont', 'segoe ui', 'helvetica neue', 'helvetica', 'arial', 'times new roman',
+    'apple color emoji', 'segoe ui emoji', 'segoe ui symbol', 'noto color emoji', 'fontawesome', 'font awesome 5 free', 'font awesome 6 free', 'dashicons'];
+
+const NAMED_COLORS = { white: '#ffffff', black: '#000000' };
+
+function requestSignal(signal) {
+    return signal
+        ? AbortSignal.any([signal, AbortSignal.timeout(REQUEST_TIMEOUT)])
+        : AbortSignal.timeout(REQUEST_TIMEOUT);
+}
+
+function toHex(value) {
+    const channel = (number) => Math.max(0, Math.min(255, Math.round(number))).toString(16).padStart(2, '0');
+    const raw = value.trim().toLowerCase();
+
+    if (NAMED_COLORS[raw]) return NAMED_COLORS[raw];
+
+    const hex = raw.match(/^#([0-9a-f]{3,8})$/);
+    if (hex) {
+        const digits = hex[1];
+        if (digits.length === 3 || digits.length === 4) return `#${digits.substring(0, 3).split('').map(d => d + d).join('')}`;
+        if (digits.length === 6 || digits.length === 8) return `#${digits.substring(0, 6)}`;
+        return null;
+    }
+
+    const rgb = raw.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)$/);
+    if (rgb) {
+        // Mostly transparent overlays are not brand colors
+        if (rgb[4] !== undefined && parseFloat(rgb[4]) / (rgb[4].endsWith('%') ? 100 : 1) < 0.5) return null;
+        return `#${channel(rgb[1])}${channel(rgb[2])}${channel(rgb[3])}`;
+    }
+    return null;
+}
+
+// Saturation and lightness (0-1) of a #rrggbb color
+function describeColor(hex) {
+    const [r, g, b] = [1, 3, 5].map(index => parseInt(hex.substring(index, index + 2), 16) / 255);
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const lightness = (max + min) / 2;
+    const saturation = max === min ? 0 : (max - min) / (1 - Math.abs(2 * lightness - 1));
+    return { saturation, lightness };
+}
+
+// Whites, blacks and greys are everywhere and say nothing about the brand
+function isNeutral(hex) {
+    const { saturation, lightness } = describeColor(hex);
+    return saturation < 0.15 || lightness > 0.95 || lightness < 0.06;
+}
+
+const COLOR_PROPERTIES = /^(color|background(-color)?|border(-\w+)*(-color)?|fill|stroke|outline(-color)?)$/;
+const COLOR_VALUE = /#[0-9a-f]{3,8}\b|rgba?\([^)]*\)|\b(?:white|black)\b/gi;
+
+// Tally colors in CSS text; custom properties named like brand colors count extra
+function countColors(css, tally, weight = 1) {
+    for (const declaration of css.matchAll(/([-\w]+)\s*:\s*([^;{}]+)/g)) {
+        const property = declaration[1].toLowerCase();
+        const isBrandVariable = property.startsWith('--') && /primary|secondary|accent|brand|main|theme/.test(property);
+        if (!property.startsWith('--') && !COLOR_PROPERTIES.test(property)) continue;
+        const multiplier = isBrandVariable ? weight * 5 : weight;
+
+        for (const match of declaration[2].matchAll(COLOR_VALUE)) {
+            const hex = toHex(match[0]);
+            if (!hex) continue;
+            const entry = tally.get(hex) || { hex, count: 0, neutral: isNeutral(hex) };
+            entry.count += multiplier;
+            tally.set(hex, entry);
+        }
+    }
+}
+
+// The first real family of each font-family declaration
+function countFontFamilies(css, tally) {
+    for (const match of css.matchAll(/font-family\s*:\s*([^;}]+)/gi)) {
+        const family = match[1].split(',')
+            .map(name => name.trim().replace(/^['"]|['"]$/g, '').replace(/\s*!important$/i, ''))
+            .find(name => name && !name.startsWith('var(') && !GENERIC_FONT_FAMILIES.includes(name.toLowerCase()));
+        if (family) tally.set(family, (tally.get(family) || 0) + 1);
+    }
+}
+
+// Families requested from Google Fonts (css and css2 APIs)
+function readGoogleFontsUrl(href) {
+    try {
+        const url = new URL(href);
+        return url.searchParams.getAll('family')
+            .flatMap(value => value.split('|'))
+            .map(value => value.split(':')[0].replace(/\+/g, ' ').trim())
+            .filter(Boolean);
+    } catch {
+        return [];
+    }
+}
+
+function readFontFaces(css) {
+    return [...css.matchAll(/@font-face\s*{[^}]*?font-family\s*:\s*['"]?([^;'"}]+)/gi)].map(match => match[1].trim());
+}
+
+// Logo candidates in order of confidence
+function findLogo($, baseUrl) {
+    const candidates = [];
+    const add = (rawUrl, source) => {
+        const url = resolveUrl(rawUrl, baseUrl);
+        if (url && url.startsWith('http') && !candidates.some(candidate => candidate.url === url)) candidates.push({ url, source });
+    };
+    const imgSrc = ($img) => $img.attr('data-src') || $img.attr('src');
+    const looksLikeLogo = (_, element) => /logo|brand/i.test([$(element).attr('class'), $(element).attr('id'), $(element).attr('alt'), $(element).attr('src')].join(' '));
+
+    $('header img, [class*="header" i] img, nav img').filter(looksLikeLogo).each((_, element) => add(imgSrc($(element)), 'header-logo'));
+    $('img').filter(looksLikeLogo).each((_, element) => add(imgSrc($(element)), 'logo-image'));
+    $('[class*="logo" i] img, [id*="logo" i] img').each((_, element) => add(imgSrc($(element)), 'logo-image'));
+    $('header img').first().each((_, element) => add(imgSrc($(element)), 'header-image'));
+    $('meta[property="og:logo" i], meta[itemprop="logo" i]').each((_, element) => add($(element).attr('content'), 'og:logo'));
+    $('link[rel~="apple-touch-icon" i], link[rel~="apple-touch-icon-precomposed" i]').each((_, element) => add($(element).attr('href'), 'apple-touch-icon'));
+    $('link[rel~="icon" i]').each((_, element) => add($(element).attr('href'), 'favicon'));
+    // Not verified to exist; only used when nothing better is declared
+    add('/favicon.ico', 'default-favicon');
+
+    return candidates;
+}
+
+async function fetchStylesheet(stylesheetUrl, options) {
+    try {
+        const response = await safeFetch(stylesheetUrl, {
+            headers: { 'User-Agent': options.userAgent },
+            signal: requestSignal(options.signal)
+        });
+        if (!response.ok) return '';
+        const css = await response.text();
+        return css.substring(0, MAX_STYLESHEET_BYTES);
+    } catch (error) {
+        throwIfCancelled(options.signal);
+        return '';
+    }
+}
+
+// Extract the brand from the homepage HTML (pages[0]) and the stylesheets it links
+async function extractBrand(siteUrl, pages, options = {}) {
+    const settings = { userAgent: options.userAgent || DEFAULT_USER_AGENT, signal: options.signal };
+    const homepage = pages.find(page => page.html);
+    if (!homepage) return null;
+
+    console.log('🎨 Extracting logo, brand colors and fonts for:', siteUrl);
+
+    const $ = loadHtml(homepage.html);
+    const baseUrl = getBaseUrl($, homepage.url);
+    const colorTally = new Map();
+    const familyTally = new Map();
+    const fonts = [];
+    const addFont = (family, source, url) => {
+        if (family && !fonts.some(font => font.family.toLowerCase() === family.toLowerCase())) fonts.push({ family, source, ...(url ? { url } : {}) });
+    };
+
+    // theme-color is the site's own statement of its brand color
+    const themeColor = toHex($('meta[name="theme-color" i]').attr('content') || '');
+    if (themeColor) colorTally.set(themeColor, { hex: themeColor, count: 20, neutral: isNeutral(themeColor) });
+
+    const stylesheetUrls = [];
+    $('link[href]').each((_, element) => {
+        const rel = ($(element).attr('rel') || '').toLowerCase().split(/\s+/);
+        const href = resolveUrl($(element).attr('href'), baseUrl);
+        if (!href || !href.startsWith('http')) return;
+
+        if (/fonts\.googleapis\.com/i.test(href)) {
+            readGoogleFontsUrl(href).forEach(family => addFont(family, 'google-fonts', href));
+        } else if (/use\.typekit\.net|fonts\.adobe\.com/i.test(href)) {
+            addFont('Adobe Fonts kit', 'adobe-fonts', href);
+        } else if (rel.includes('stylesheet')) {
+            stylesheetUrls.push(href);
+        }
+    });
+
+    const inlineCss = $('style').map((_, element) => $(element).html() || '').get().join('\n');
+    const styleAttributes = $('[style]').map((_, element) => $(element).attr('style')).get().join(';');
+
+    // Theme stylesheets usually come after plugin/framework ones, so keep the last few.
+    // Offline scrapes (options.offline) only use the CSS inside the page.
+    const stylesheets = [];
+    for (const stylesheetUrl of options.offline ? [] : stylesheetUrls.slice(-MAX_STYLESHEETS)) {
+        throwIfCancelled(settings.signal);
+        const css = await fetchStylesheet(stylesheetUrl, settings);
+        if (css) stylesheets.push({ url: stylesheetUrl, css });
+    }
+
+    for (const source of [...stylesheets.map(sheet => sheet.css), inlineCss]) {
+        countColors(source, colorTally);
+        countFontFamilies(source, familyTally);
+        readFontFaces(source).forEach(family => addFont(family, 'font-face'));
+        for (const match of source.matchAll(/@import\s+(?:url\()?['"]?([^'")\s;]+)/gi)) {
+            if (/fonts\.googleapis\.com/i.test(match[1])) readGoogleFontsUrl(match[1]).forEach(family => addFont(family, 'google-fonts', match[1]));
+        }
+    }
+    countColors(styleAttributes, colorTally, 2);
+    countFontFamilies(styleAttributes, familyTally);
+
+    const rankedColors = [...colorTally.values()].sort((a, b) => b.count - a.count);
+    const colors = rankedColors.filter(color => !color.neutral).slice(0, MAX_COLORS).map(({ hex, count }) => ({ hex, count }));
+    const neutrals = rankedColors.filter(color => color.neutral).slice(0, 3).map(({ hex, count }) => ({ hex, count }));
+
+    // The most used font-family declarations decide which loaded fonts are the body/heading fonts
+    const usedFamilies = [...familyTally.entries()].sort((a, b) => b[1] - a[1]).map(([family]) => family);
+    usedFamilies.slice(0, 3).forEach(family => addFont(family, 'css'));
+    const rankFont = (font) => {
+        const index = usedFamilies.findIndex(family => family.toLowerCase() === font.family.toLowerCase());
+        return index === -1 ? usedFamilies.length : index;
+    };
+    fonts.sort((a, b) => rankFont(a) - rankFont(b));
+
+    const logoCandidates = findLogo($, baseUrl);
+    const brand = {
+        logo: logoCandidates[0] || null,
+        logoCandidates: logoCandidates.slice(0, 5),
+        themeColor,
+        colors,
+        neutrals,
+        fonts: fonts.slice(0, 6),
+        stylesheetsAnalyzed: stylesheets.length,
+        extractedAt: new Date().toISOString()
+    };
+
+    console.log(`   🎨 Logo: ${brand.logo ? brand.logo.source : 'none'}, colors: ${colors.map(color => color.hex).join(' ') || 'none'}, fonts: ${brand.fonts.map(font => font.family).join(', ') || 'none'}`);
+    return brand;
+}
+
+// Brand identity as prompt lines
+function describeBrand(brand) {
+    if (!brand) return '';
+
+    const lines = [];
+    if (brand.logo) lines.push(`- Logo: ${brand.logo.url} (${brand.logo.source})`);
+    if (brand.colors.length > 0) lines.push(`- Brand colors, most used first: ${brand.colors.map(color => color.hex).join(', ')}`);
+    if (brand.neutrals.length > 0) lines.push(`- Neutral/text colors: ${brand.neutrals.map(color => color.hex).join(', ')}`);
+    if (brand.fonts.length > 0) lines.push(`- Fonts: ${brand.fonts.map(font => `${font.family} (${font.source})`).join(', ')}`);
+    return lines.join('\n');
+}
+
+module.exports = {
+    extractBrand,
+    describeBrand
+};
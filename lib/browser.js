@@ -0,0 +1,194 @@
+// Optional headless Chromium renderer for JavaScript-heavy sites.
+// Plain fetch only sees the empty shell of React/Wix/Squarespace pages, so this
+// loads the page in a real browser, waits for the network to go idle and returns
+// the rendered DOM in the same shape as the crawler's fetchText().
+// puppeteer is not a dependency (it downloads Chromium on install): install puppeteer, or
+// puppeteer-core with a browser executable path; without either rendering reports unavailable.
+
+const { DEFAULT_USER_AGENT } = require('./robots');
+const { throwIfCancelled } = require('./jobs');
+const { startGuardedProxy } = require('./safe-fetch');
+
+const DEFAULT_TIMEOUT = 30000;
+// Close the browser when no page has been rendered for this long
+const IDLE_CLOSE_MS = 60000;
+// Rendering needs the DOM, not the pixels: skip the heavy downloads
+const BLOCKED_RESOURCE_TYPES = ['image', 'media', 'font'];
+// Everything else (file:, chrome:, ftp:, ...) is aborted
+const ALLOWED_SCHEMES = /^(https?|data):/i;
+// puppeteer brings its own Chromium; puppeteer-core needs executablePath
+const PUPPETEER_PACKAGES = ['puppeteer', 'puppeteer-core'];
+
+let browserPromise = null;
+let browserExecutablePath = null;
+let guardProxy = null;
+let idleTimer = null;
+let activePages = 0;
+
+function browserUnavailableError(message) {
+    const error = new Error(message);
+    error.name = 'BrowserUnavailableError';
+    return error;
+}
+
+function loadPuppeteer() {
+    for (const name of PUPPETEER_PACKAGES) {
+        try {
+            return require(name);
+        } catch {
+            // Try the next package
+        }
+    }
+    throw browserUnavailableError('Headless rendering needs the "puppeteer" package (npm install puppeteer), or "puppeteer-core" with a browser executable path');
+}
+
+function isBrowserInstalled() {
+    return PUPPETEER_PACKAGES.some(name => {
+        try {
+            require.resolve(name);
+            return true;
+        } catch {
+            return false;
+        }
+    });
+}
+
+async function getBrowser(executablePath) {
+    // A different executable from API Settings needs a fresh browser
+    if (browserPromise && browserExecutablePath !== (executablePath || null)) {
+        await closeBrowser();
+    }
+
+    if (!browserPromise) {
+        const puppeteer = loadPuppeteer();
+        browserExecutablePath = executablePath || null;
+        console.log('🌐 Launching headless Chromium for JavaScript rendering');
+        // Chromium resolves hostnames itself, so all its traffic (loopback included, which
+        // Chromium would otherwise send direct) goes through the SSRF guard's proxy, which
+        // checks the address it actually connects to; WebRTC may not bypass it over UDP
+        browserPromise = startGuardedProxy().then(proxy => {
+            guardProxy = proxy;
+            return puppeteer.launch({
+                headless: true,
+                executablePath: executablePath || undefined,
+                args: [
+                    '--no-sandbox', '--disable-dev-shm-usage', '--disable-gpu',
+                    `--proxy-server=http://127.0.0.1:${proxy.address().port}`,
+                    '--proxy-bypass-list=<-loopback>',
+                    '--force-webrtc-ip-handling-policy=disable_non_proxied_udp'
+                ]
+            });
+        }).catch(error => {
+            browserPromise = null;
+            closeGuardProxy();
+            throw browserUnavailableError(`Could not start headless Chromium: ${error.message.split('\n')[0]}`);
+        });
+    }
+    return browserPromise;
+}
+
+function closeGuardProxy() {
+    if (guardProxy) guardProxy.close();
+    guardProxy = null;
+}
+
+async function closeBrowser() {
+    clearTimeout(idleTimer);
+    const pending = browserPromise;
+    browserPromise = null;
+    if (!pending) return;
+
+    try {
+        const browser = await pending;
+        await browser.close();
+        console.log('🌐 Closed idle headless Chromium');
+    } catch {
+        // Never launched or already gone
+    }
+    closeGuardProxy();
+}
+
+function scheduleIdleClose() {
+    clearTimeout(idleTimer);
+    if (activePages > 0) return;
+    idleTimer = setTimeout(closeBrowser, IDLE_CLOSE_MS);
+    idleTimer.unref();
+}
+
+// Render targetUrl into the same shape fetchDocument() resolves to, with ok false for
+// non-OK and non-HTML responses; Chromium decodes the page, so charset is 'browser'.
+// Throws BrowserUnavailableError when Chromium cannot be loaded or launched.
+async function renderPage(targetUrl, options = {}) {
+    throwIfCancelled(options.signal);
+    const timeout = options.timeout || DEFAULT_TIMEOUT;
+    const browser = await getBrowser(options.executablePath);
+
+    clearTimeout(idleTimer);
+    let page;
+    try {
+        page = await browser.newPage();
+    } catch (error) {
+        // No page to count: let the idle browser close as usual
+        scheduleIdleClose();
+        throw error;
+    }
+    activePages++;
+    const abort = () => page.close().catch(() => null);
+    if (options.signal) options.signal.addEventListener('abort', abort, { once: true });
+
+    try {
+        await page.setUserAgent(options.userAgent || DEFAULT_USER_AGENT);
+        await page.setRequestInterception(true);
+        // Addresses are checked by the guard proxy; here only heavy resources and
+        // non-web schemes are dropped
+        page.on('request', request => {
+            const allowed = !BLOCKED_RESOURCE_TYPES.includes(request.resourceType())
+                && ALLOWED_SCHEMES.test(request.url());
+            if (allowed) request.continue().catch(() => null);
+            else request.abort('blockedbyclient').catch(() => null);
+        });
+
+        const response = await page.goto(targetUrl, { waitUntil: 'domcontentloaded', timeout });
+        if (!response) throw new Error(`No response rendering ${targetUrl}`);
+
+        const headers = response.headers();
+        const result = {
+            ok: response.ok(),
+            url: page.url() || targetUrl,
+            status: response.status(),
+            contentType: headers['content-type'] || null,
+            charset: 'browser',
+            charsetSource: 'browser',
+            etag: headers.etag || null,
+            lastModified: headers['last-modified'] || null,
+            headers,
+            text: null,
+            attempts: 1,
+            error: null
+        };
+        if (!result.ok) return { ...result, error: `HTTP ${result.status}` };
+        if (result.contentType && !result.contentType.includes('html')) {
+            return { ...result, ok: false, error: `Unsupported content type ${result.contentType.split(';')[0]}` };
+        }
+
+        // Sites that keep polling never go fully idle; render what is there by then
+        await page.waitForNetworkIdle({ idleTime: 500, timeout }).catch(() => null);
+        throwIfCancelled(options.signal);
+
+        return { ...result, url: page.url() || targetUrl, text: await page.content() };
+    } catch (error) {
+        throwIfCancelled(options.signal);
+        throw error;
+    } finally {
+        if (options.signal) options.signal.removeEventListener('abort', abort);
+        await page.close().catch(() => null);
+        activePages--;
+        scheduleIdleClose();
+    }
+}
+
+module.exports = {
+    renderPage,
+    closeBrowser,
+    isBrowserInstalled
+};
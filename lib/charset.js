@@ -0,0 +1,77 @@
+// Character set detection and decoding for fetched documents.
+// Follows the browser order: byte order mark, then the Content-Type header, then
+// <meta charset> / http-equiv (or the XML declaration) in the first 1024 bytes.
+// Undeclared bodies that are not valid UTF-8 are decoded as Windows-1252, which is
+// what browsers do for legacy Western European pages.
+
+// Browsers only look this far into the document for a <meta> charset
+const PRESCAN_BYTES = 1024;
+
+function normalizeLabel(label) {
+    if (!label) return null;
+    const cleaned = label.trim().replace(/^["']|["']$/g, '').toLowerCase();
+    try {
+        // TextDecoder knows the WHATWG labels (latin1 -> windows-1252, sjis -> shift_jis, ...)
+        return new TextDecoder(cleaned).encoding;
+    } catch {
+        return null;
+    }
+}
+
+function charsetFromBom(bytes) {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    return null;
+}
+
+function charsetFromContentType(contentType) {
+    const match = /charset\s*=\s*["']?([^"';\s]+)/i.exec(contentType || '');
+    return match ? normalizeLabel(match[1]) : null;
+}
+
+// <meta charset="...">, <meta http-equiv="Content-Type" content="...; charset=..."> or <?xml encoding="..."?>
+function charsetFromDocument(bytes) {
+    const head = Buffer.from(bytes.subarray(0, PRESCAN_BYTES)).toString('latin1');
+    const meta = /<meta[^>]+charset\s*=\s*["']?\s*([^"'\s/>;]+)/i.exec(head);
+    if (meta) return normalizeLabel(meta[1]);
+
+    const xml = /^\s*<\?xml[^>]+encoding\s*=\s*["']([^"']+)["']/i.exec(head);
+    return xml ? normalizeLabel(xml[1]) : null;
+}
+
+function isValidUtf8(bytes) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Decode a response body. Returns { text, charset, charsetSource }, where charsetSource is
+// 'bom', 'header', 'meta', or 'default' when nothing was declared.
+function decodeBody(bytes, contentType) {
+    const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+
+    const bom = charsetFromBom(view);
+    const header = bom ? null : charsetFromContentType(contentType);
+    const meta = bom || header ? null : charsetFromDocument(view);
+    const declared = bom || header || meta;
+
+    // A UTF-16 <meta> cannot be right: the meta tag itself was readable as ASCII
+    const charset = declared && !(meta && meta.startsWith('utf-16'))
+        ? declared
+        : (isValidUtf8(view) ? 'utf-8' : 'windows-1252');
+    const charsetSource = bom ? 'bom' : header ? 'header' : meta && charset === meta ? 'meta' : 'default';
+
+    return {
+        text: new TextDecoder(charset).decode(view),
+        charset,
+        charsetSource
+    };
+}
+
+module.exports = {
+    decodeBody
+};
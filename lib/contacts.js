@@ -0,0 +1,360 @@
+// Contact channel extraction for outreach.
+// Collects every email, phone, address, social profile, opening-hours line and
+// named staff member across the scraped pages, each tagged with the page(s) it
+// was found on, so the Analyze tab can offer them as a selectable list.
+// Phones are validated and normalized to E.164 for the site's country and
+// addresses are split into components (see lib/address.js).
+
+const { findPhoneNumbersInText, parsePhoneNumberFromString } = require('libphonenumber-js/max');
+const { parseAddresses, fromStructuredAddress } = require('./address');
+const { DEFAULT_COUNTRY } = require('./locale');
+const { deobfuscateEmailText, decodeMailtoHref } = require('./email-decode');
+
+const EMAIL_REGEX = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g;
+
+// File extensions that show up in "name@2x.png" style false-positive emails
+const NON_EMAIL_SUFFIXES = /\.(png|jpe?g|gif|svg|webp|avif|css|js)$/i;
+
+// Mailbox names that identify a role rather than a person
+const EMAIL_ROLES = {
+    general: ['info', 'hello', 'hi', 'contact', 'enquiries', 'enquiry', 'inquiries', 'inquiry', 'mail', 'office', 'team', 'admin'],
+    sales: ['sales', 'quotes', 'quote', 'orders', 'shop', 'store', 'business', 'partners', 'partnerships'],
+    support: ['support', 'help', 'service', 'customerservice', 'care', 'customercare'],
+    bookings: ['bookings', 'booking', 'reservations', 'reservation', 'appointments', 'events'],
+    billing: ['billing', 'accounts', 'invoices', 'finance', 'payments'],
+    careers: ['careers', 'jobs', 'hr', 'recruitment', 'hiring'],
+    press: ['press', 'media', 'pr', 'marketing'],
+    noreply: ['noreply', 'no-reply', 'donotreply', 'do-not-reply', 'mailer-daemon', 'postmaster', 'webmaster']
+};
+
+// Social networks detected from outbound links
+const SOCIAL_NETWORKS = [
+    { network: 'facebook', hosts: ['facebook.com', 'fb.com', 'fb.me'] },
+    { network: 'instagram', hosts: ['instagram.com', 'instagr.am'] },
+    { network: 'linkedin', hosts: ['linkedin.com', 'lnkd.in'] },
+    { network: 'x', hosts: ['twitter.com', 'x.com'] },
+    { network: 'youtube', hosts: ['youtube.com', 'youtu.be'] },
+    { network: 'yelp', hosts: ['yelp.com', 'yelp.co.uk', 'yelp.ca', 'yelp.com.au', 'yelp.ie'] },
+    { network: 'tiktok', hosts: ['tiktok.com'] }
+];
+
+// Paths that are share buttons, login pages or embeds rather than the business's profile
+const NON_PROFILE_PATHS = /^\/(sharer|share|intent|home\.php|dialog|plugins|login|signup|embed|watch|hashtag|search|tr|policies|legal|help|about|privacy|terms)(\/|\.php|$|\?)/i;
+
+// Job titles recognised next to a person's name
+const STAFF_TITLES = [
+    'Owner', 'Co-Owner', 'Founder', 'Co-Founder', 'CEO', 'Chief Executive Officer', 'COO', 'CFO', 'CTO',
+    'President', 'Vice President', 'Managing Director', 'Director', 'General Manager', 'Office Manager',
+    'Manager', 'Principal', 'Partner', 'Managing Partner', 'Proprietor', 'Head Chef', 'Chef', 'Head of Sales',
+    'Sales Manager', 'Marketing Manager', 'Practice Manager', 'Lead Designer'
+];
+
+const NAME_PATTERN = "[A-Z][a-z]+(?:[ '-][A-Z][a-z]+){1,2}";
+const TITLE_PATTERN = STAFF_TITLES
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .map(title => title.replace(/[-]/g, '[- ]?'))
+    .join('|');
+const NAME_THEN_TITLE_REGEX = new RegExp(`\\b(${NAME_PATTERN})\\s*(?:,|\\||–|—|-|\\(|is (?:the |our )?)\\s*(${TITLE_PATTERN})\\b`, 'g');
+const TITLE_THEN_NAME_REGEX = new RegExp(`\\b(${TITLE_PATTERN})\\s*(?::|–|—|-|\\||,)\\s*(${NAME_PATTERN})\\b`, 'g');
+
+const DAY_PATTERN = '(?:Mon|Tue|Tues|Wed|Thu|Thur|Thurs|Fri|Sat|Sun)(?:day|sday|nesday|rsday|urday)?\\.?';
+const TIME_PATTERN = '\\d{1,2}(?:[:.]\\d{2})?\\s*(?:[ap]\\.?m\\.?)?';
+const HOURS_REGEX = new RegExp(
+    `\\b(${DAY_PATTERN}(?:\\s*(?:-|–|—|to|&|and|,)\\s*${DAY_PATTERN})*)\\s*:?\\s*(?:(${TIME_PATTERN})\\s*(?:-|–|—|to)\\s*(${TIME_PATTERN})|(closed))`,
+    'gi'
+);
+
+const DAY_ORDER = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+function getEmailRole(email) {
+    const localPart = email.split('@')[0].toLowerCase();
+    for (const [role, mailboxes] of Object.entries(EMAIL_ROLES)) {
+        if (mailboxes.includes(localPart)) return role;
+    }
+    return 'person';
+}
+
+// "jane.smith@" -> "Jane Smith"; single-word mailboxes only yield a first name
+function guessNameFromEmail(email) {
+    const parts = email.split('@')[0].split(/[._-]/).filter(part => /^[a-z]{2,}$/i.test(part));
+    if (parts.length === 0 || parts.length > 3) return '';
+    return parts.map(part => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase()).join(' ');
+}
+
+function normalizeEmail(email) {
+    return email.trim().replace(/^mailto:/i, '').split('?')[0].toLowerCase();
+}
+
+function isPlausibleEmail(email) {
+    return !NON_EMAIL_SUFFIXES.test(email) && !/^(example|test|user|email|name|you|your)@/.test(email) && !/@(example|domain|email)\./.test(email);
+}
+
+// A phone record from a libphonenumber-js PhoneNumber; `raw` is the text as written
+function toPhoneRecord(phoneNumber, raw, source) {
+    const record = {
+        value: phoneNumber.number,
+        national: phoneNumber.formatNational(),
+        international: phoneNumber.formatInternational(),
+        country: phoneNumber.country || '',
+        type: phoneNumber.getType() || 'UNKNOWN',
+        raw: raw.trim(),
+        source
+    };
+    // "555-2671, 1-800..." is read as extension 1; only keep explicitly written extensions
+    if (phoneNumber.ext && /(ext|x|#)\.?\s*\d+\s*$/i.test(raw)) record.ext = phoneNumber.ext;
+    return record;
+}
+
+// Valid phone numbers in text, as E.164 records. Prices, years, postcodes and
+// other digit runs are rejected because they are not valid numbers for any region.
+function extractPhones(text, country) {
+    const phones = [];
+    // libphonenumber reads ", 0412..." as an extension; split comma/semicolon-separated lists first
+    const separated = (text || '').replace(/(\d)\s*[,;]\s*(?=[+(\d])/g, '$1 | ');
+    for (const found of findPhoneNumbersInText(separated, { defaultCountry: country })) {
+        const raw = separated.substring(found.startsAt, found.endsAt);
+        // Bare digit runs without any grouping are almost always order or reference numbers
+        if (!raw.trim().startsWith('+') && !/[-.\s()]/.test(raw.trim())) continue;
+        if (!found.number.isValid()) continue;
+        phones.push(toPhoneRecord(found.number, raw, 'text'));
+    }
+    return phones;
+}
+
+// "tel:+1%20555..." -> "+1 555..."; malformed percent-encoding keeps the raw href
+function decodeTelHref(href) {
+    const value = href.replace(/^tel:/i, '');
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
+
+function parsePhone(value, country) {
+    const phoneNumber = parsePhoneNumberFromString(value || '', country);
+    return phoneNumber && phoneNumber.isValid() ? phoneNumber : null;
+}
+
+function getSocialNetwork(url) {
+    try {
+        const urlObj = new URL(url);
+        const host = urlObj.hostname.toLowerCase().replace(/^(www|m|mobile|[a-z]{2}(-[a-z]{2})?)\./, '');
+        const match = SOCIAL_NETWORKS.find(entry => entry.hosts.some(candidate => host === candidate || host.endsWith('.' + candidate)));
+        if (!match) return null;
+        if (urlObj.pathname === '/' || urlObj.pathname === '' || NON_PROFILE_PATHS.test(urlObj.pathname)) return null;
+        return match.network;
+    } catch {
+        return null;
+    }
+}
+
+// Canonical profile URL: https, no www, no query or trailing slash
+function normalizeProfileUrl(url) {
+    const urlObj = new URL(url);
+    const keepQuery = urlObj.pathname === '/profile.php';
+    return `https://${urlObj.hostname.replace(/^www\./, '')}${urlObj.pathname.replace(/\/+$/, '')}${keepQuery ? urlObj.search : ''}`;
+}
+
+function expandDayRange(dayText) {
+    const normalize = (day) => DAY_ORDER.find(name => name.toLowerCase().startsWith(day.toLowerCase().replace('.', '').substring(0, 3)));
+    const tokens = dayText.split(/\s*(-|–|—|to|&|and|,)\s*/i);
+    const days = [];
+
+    for (let i = 0; i < tokens.length; i += 2) {
+        const day = normalize(tokens[i]);
+        if (!day) continue;
+        const separator = (tokens[i - 1] || '').toLowerCase();
+        const previous = days[days.length - 1];
+        if (previous && ['-', '–', '—', 'to'].includes(separator)) {
+            for (let index = DAY_ORDER.indexOf(previous) + 1; index !== DAY_ORDER.indexOf(day) + 1; index = (index + 1) % 7) {
+                days.push(DAY_ORDER[index]);
+                if (days.length >= 7) break;
+            }
+        } else {
+            days.push(day);
+        }
+    }
+
+    return [...new Set(days)];
+}
+
+// "9am", "5.30 pm", "17:00" -> "HH:MM"
+function normalizeTime(time, fallbackMeridiem) {
+    const match = time.trim().toLowerCase().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*([ap])?/);
+    if (!match) return time.trim();
+    let hours = parseInt(match[1], 10);
+    const minutes = match[2] || '00';
+    const meridiem = match[3] || fallbackMeridiem;
+    if (meridiem === 'p' && hours < 12) hours += 12;
+    if (meridiem === 'a' && hours === 12) hours = 0;
+    return `${String(hours).padStart(2, '0')}:${minutes}`;
+}
+
+function extractOpeningHours(text) {
+    const hours = [];
+    for (const match of text.matchAll(HOURS_REGEX)) {
+        const days = expandDayRange(match[1]);
+        if (days.length === 0) continue;
+
+        if (match[4]) {
+            hours.push({ days, opens: null, closes: null, closed: true });
+            continue;
+        }
+
+        // Without any am/pm or 24h clock the numbers are too ambiguous to trust
+        if (!/[ap]\.?m|:|\./i.test(match[2] + match[3])) continue;
+        const closesMeridiem = (match[3].toLowerCase().match(/([ap])\.?m/) || [])[1];
+        const opensMeridiem = (match[2].toLowerCase().match(/([ap])\.?m/) || [])[1] || (closesMeridiem === 'p' && parseInt(match[2], 10) >= 6 && parseInt(match[2], 10) < 12 ? 'a' : closesMeridiem);
+        hours.push({
+            days,
+            opens: normalizeTime(match[2], opensMeridiem),
+            closes: normalizeTime(match[3], closesMeridiem),
+            closed: false
+        });
+    }
+    return hours;
+}
+
+function extractPeople(text) {
+    const people = [];
+    const add = (name, title) => {
+        // Skip phrases like "Contact Us" that happen to be capitalised
+        if (/\b(Us|Our|The|Contact|About|Home|Team|Menu|Services|Call|Email|Street|Road)\b/.test(name)) return;
+        people.push({ name: name.trim(), role: title.trim() });
+    };
+
+    for (const match of text.matchAll(NAME_THEN_TITLE_REGEX)) add(match[1], match[2]);
+    for (const match of text.matchAll(TITLE_THEN_NAME_REGEX)) add(match[2], match[1]);
+    return people;
+}
+
+// Contacts found on a single page. `links` are link records from lib/extract.js and
+// `country` is the site's inferred country (lib/locale.js) used for national numbers.
+function extractPageContacts({ url, text = '', links = [], structuredData = null, country = DEFAULT_COUNTRY }) {
+    const contacts = { emails: [], phones: [], addresses: [], socialProfiles: [], openingHours: [], people: [] };
+
+    // Emails: mailto links first (most deliberate), then visible text
+    const mailtoEmails = links.filter(link => link.type === 'mailto').map(link => normalizeEmail(decodeMailtoHref(link.url)));
+    const textEmails = (deobfuscateEmailText(text).match(EMAIL_REGEX) || []).map(normalizeEmail);
+    for (const email of [...mailtoEmails, ...textEmails]) {
+        if (!isPlausibleEmail(email)) continue;
+        const role = getEmailRole(email);
+        if (role === 'noreply') continue;
+        const record = { value: email, role };
+        if (role === 'person') {
+            const name = guessNameFromEmail(email);
+            if (name) record.name = name;
+        }
+        contacts.emails.push(record);
+    }
+
+    // Phones: tel: links, then valid numbers in the text
+    for (const link of links.filter(link => link.type === 'tel')) {
+        const raw = decodeTelHref(link.url);
+        const phoneNumber = parsePhone(raw, country);
+        if (phoneNumber) contacts.phones.push(toPhoneRecord(phoneNumber, raw, 'tel-link'));
+    }
+    contacts.phones.push(...extractPhones(text, country));
+
+    for (const address of parseAddresses(text, country)) {
+        const { formatted, ...components } = address;
+        contacts.addresses.push({ value: formatted, ...components, source: 'text' });
+    }
+
+    for (const link of links) {
+        if (link.type !== 'external') continue;
+        const network = getSocialNetwork(link.url);
+        if (network) contacts.socialProfiles.push({ network, url: normalizeProfileUrl(link.url) });
+    }
+
+    contacts.openingHours.push(...extractOpeningHours(text).map(hours => ({ ...hours, source: 'text' })));
+    contacts.people.push(...extractPeople(text));
+
+    // Facts published as structured data are added with their own source tag
+    if (structuredData) {
+        if (structuredData.email) contacts.emails.unshift({ value: normalizeEmail(structuredData.email), role: getEmailRole(structuredData.email), source: 'structured-data' });
+        const structuredPhone = parsePhone(structuredData.telephone, country);
+        if (structuredPhone) contacts.phones.unshift(toPhoneRecord(structuredPhone, structuredData.telephone, 'structured-data'));
+        const structuredAddress = fromStructuredAddress(structuredData.address, country);
+        if (structuredAddress) {
+            const { formatted, ...components } = structuredAddress;
+            contacts.addresses.unshift({ value: formatted, ...components, source: 'structured-data' });
+        }
+        for (const profileUrl of structuredData.sameAs || []) {
+            const network = getSocialNetwork(profileUrl);
+            if (network) contacts.socialProfiles.push({ network, url: normalizeProfileUrl(profileUrl) });
+        }
+        for (const hours of structuredData.openingHours || []) {
+            contacts.openingHours.unshift({ ...hours, closed: false, source: 'structured-data' });
+        }
+    }
+
+    for (const list of Object.values(contacts)) {
+        list.forEach(record => { record.pages = url ? [url] : []; });
+    }
+
+    return contacts;
+}
+
+// Merge per-page contacts, deduplicating by value and unioning the pages each was found on
+function mergeContacts(pageContacts) {
+    const keys = {
+        emails: record => record.value,
+        phones: record => record.value,
+        addresses: record => record.value.toLowerCase().replace(/[^a-z0-9]/g, ''),
+        socialProfiles: record => record.url.toLowerCase(),
+        openingHours: record => `${record.days.join(',')}|${record.opens}|${record.closes}|${record.closed}`,
+        people: record => record.name.toLowerCase()
+    };
+    const merged = { emails: [], phones: [], addresses: [], socialProfiles: [], openingHours: [], people: [] };
+
+    for (const [field, getKey] of Object.entries(keys)) {
+        const byKey = new Map();
+        for (const contacts of pageContacts) {
+            for (const record of (contacts && contacts[field]) || []) {
+                const key = getKey(record);
+                const existing = byKey.get(key);
+                if (existing) {
+                    existing.pages = [...new Set([...existing.pages, ...record.pages])];
+                    for (const [property, value] of Object.entries(record)) {
+                        if (value && !existing[property]) existing[property] = value;
+                    }
+                } else {
+                    byKey.set(key, { ...record, pages: [...record.pages] });
+                }
+            }
+        }
+        merged[field] = [...byKey.values()];
+    }
+
+    // Attach personal email addresses to the staff member they belong to
+    for (const person of merged.people) {
+        const email = merged.emails.find(record => record.role === 'person' && record.name && person.name.toLowerCase().startsWith(record.name.toLowerCase()));
+        if (email) {
+            person.email = email.value;
+            email.name = person.name;
+            email.title = person.role;
+        }
+    }
+
+    return merged;
+}
+
+// The best single email/phone for places that still need just one
+function getPrimaryContacts(contacts) {
+    const rolePreference = ['general', 'sales', 'bookings', 'person', 'support', 'billing', 'press', 'careers'];
+    const emails = contacts.emails.slice().sort((a, b) => rolePreference.indexOf(a.role) - rolePreference.indexOf(b.role));
+    return {
+        email: emails.length > 0 ? emails[0].value : '',
+        phone: contacts.phones.length > 0 ? contacts.phones[0].value : '',
+        address: contacts.addresses.length > 0 ? contacts.addresses[0].value : ''
+    };
+}
+
+module.exports = {
+    extractPageContacts,
+    mergeContacts,
+    getPrimaryContacts
+};
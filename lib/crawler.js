@@ -0,0 +1,403 @@
+// Native same-origin crawler behind the "native" scrape provider.
+// Discovers pages from sitemap.xml and by following links breadth-first;
+// selectPriorityUrls ranks them for every provider by the priority keywords.
+// Every fetch goes through the robots.txt policy for the page's origin.
+
+const { DEFAULT_USER_AGENT, getRobotsPolicy } = require('./robots');
+const { loadHtml, extractLinks } = require('./extract');
+const { throwIfCancelled } = require('./jobs');
+const { isInScope } = require('./scrape-options');
+const { renderPage } = require('./browser');
+const { safeFetch } = require('./safe-fetch');
+const { decodeBody } = require('./charset');
+
+// File extensions that are never HTML pages worth crawling
+const NON_PAGE_EXTENSIONS = /\.(jpe?g|png|gif|svg|webp|ico|bmp|pdf|zip|rar|gz|mp3|mp4|mov|avi|webm|css|js|json|xml|txt|woff2?|ttf|eot|docx?|xlsx?|pptx?)$/i;
+// Cloudflare's own endpoints (email protection, challenges, scripts) served on every proxied site
+const CLOUDFLARE_PATH = /^\/cdn-cgi\//i;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Normalize a URL for deduplication: drop the hash and trailing slash
+function normalizeUrl(rawUrl, baseUrl) {
+    try {
+        const urlObj = new URL(rawUrl, baseUrl);
+        if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') return null;
+        urlObj.hash = '';
+        let normalized = urlObj.href;
+        if (urlObj.pathname !== '/' && normalized.endsWith('/') && !urlObj.search) {
+            normalized = normalized.slice(0, -1);
+        }
+        return normalized;
+    } catch {
+        return null;
+    }
+}
+
+function isSameOrigin(candidateUrl, origin) {
+    try {
+        return new URL(candidateUrl).origin === origin;
+    } catch {
+        return false;
+    }
+}
+
+function isCrawlablePage(candidateUrl) {
+    try {
+        const { pathname } = new URL(candidateUrl);
+        return !NON_PAGE_EXTENSIONS.test(pathname) && !CLOUDFLARE_PATH.test(pathname);
+    } catch {
+        return false;
+    }
+}
+
+// Statuses worth another try: timeouts, rate limits and temporary server trouble
+const RETRY_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+const MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_AFTER_MS = 10000;
+
+// Errors that another attempt cannot fix
+const PERMANENT_ERRORS = ['BlockedUrlError', 'ResponseTooLargeError', 'TooManyRedirectsError', 'CancelledError'];
+
+// Retry-After in seconds or as an HTTP date, capped so one slow site cannot stall a scrape
+function readRetryAfter(value) {
+    if (!value) return null;
+    const ms = /^\d+$/.test(value.trim()) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+    return Number.isFinite(ms) && ms > 0 ? Math.min(ms, MAX_RETRY_AFTER_MS) : null;
+}
+
+// Fetch a URL and decode its body with the right charset (see charset.js), retrying transient failures
+// (network errors and RETRY_STATUSES) with exponential backoff.
+// Resolves to { ok, url (after redirects), status, contentType, charset, charsetSource,
+// etag, lastModified, headers, text, attempts, error }; ok is false, with the reason in
+// error, for non-2xx statuses and for content types not matching options.accept.
+// Throws when the site cannot be reached at all.
+async function fetchDocument(targetUrl, options = {}) {
+    for (let attempt = 1; ; attempt++) {
+        throwIfCancelled(options.signal);
+
+        let response;
+        try {
+            // fetch decompresses gzip, deflate and brotli bodies itself; the size cap
+            // in safeFetch counts the decompressed bytes
+            response = await safeFetch(targetUrl, {
+                headers: {
+                    'User-Agent': options.userAgent || DEFAULT_USER_AGENT,
+                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+                    'Accept-Encoding': 'gzip, deflate, br'
+                },
+                signal: options.signal,
+                timeout: options.timeout || 15000
+            });
+        } catch (error) {
+            if (PERMANENT_ERRORS.includes(error.name) || (options.signal && options.signal.aborted) || attempt > MAX_RETRIES) {
+                throwIfCancelled(options.signal);
+                throw error;
+            }
+            const delayMs = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+            console.log(`   🔁 ${targetUrl} failed (${error.cause?.code || error.message}), retrying in ${delayMs / 1000}s`);
+            await sleep(delayMs);
+            continue;
+        }
+
+        const result = {
+            ok: response.ok,
+            url: response.url || targetUrl,
+            status: response.status,
+            contentType: response.headers.get('content-type') || null,
+            charset: null,
+            charsetSource: null,
+            etag: response.headers.get('etag'),
+            lastModified: response.headers.get('last-modified'),
+            headers: Object.fromEntries(response.headers),
+            text: null,
+            attempts: attempt,
+            error: null
+        };
+
+        if (!response.ok) {
+            await response.body?.cancel().catch(() => null);
+            if (RETRY_STATUSES.includes(response.status) && attempt <= MAX_RETRIES) {
+                const delayMs = readRetryAfter(response.headers.get('retry-after')) || RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+                console.log(`   🔁 ${targetUrl} answered HTTP ${response.status}, retrying in ${Math.round(delayMs / 1000)}s`);
+                await sleep(delayMs);
+                continue;
+            }
+            return { ...result, error: `HTTP ${response.status}` };
+        }
+
+        if (options.accept && result.contentType && !options.accept.some(type => result.contentType.includes(type))) {
+            await response.body?.cancel().catch(() => null);
+            return { ...result, ok: false, error: `Unsupported content type ${result.contentType.split(';')[0]}` };
+        }
+
+        const decoded = decodeBody(Buffer.from(await response.arrayBuffer()), result.contentType);
+        return { ...result, ...decoded };
+    }
+}
+
+// The decoded document for successful fetches, null for error statuses and other content types
+async function fetchText(targetUrl, options = {}) {
+    const result = await fetchDocument(targetUrl, options);
+    return result.ok ? result : null;
+}
+
+// Collect in-scope page links from raw HTML
+function findPageLinks(html, pageUrl, inScope) {
+    const links = extractLinks(loadHtml(html), pageUrl)
+        .map(link => normalizeUrl(link.url))
+        .filter(link => link && inScope(link) && isCrawlablePage(link));
+    return [...new Set(links)];
+}
+
+// Read sitemap.xml and any robots.txt Sitemap entries (following sitemap indexes) for in-scope URLs
+async function readSitemap(origin, options = {}) {
+    const inScope = options.inScope || (loc => isSameOrigin(loc, origin));
+    const urls = [];
+    const queue = [...new Set([...(options.sitemaps || []), `${origin}/sitemap.xml`])];
+    const visited = new Set();
+    const maxSitemaps = options.maxSitemaps || 5;
+
+    while (queue.length > 0 && visited.size < maxSitemaps && urls.length < options.limit) {
+        const sitemapUrl = queue.shift();
+        if (visited.has(sitemapUrl)) continue;
+        visited.add(sitemapUrl);
+
+        try {
+            const result = await fetchText(sitemapUrl, { ...options, accept: ['xml', 'text/plain'] });
+            if (!result) continue;
+
+            const locs = [...result.text.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]\s]+)\s*(?:\]\]>)?\s*<\/loc>/gi)]
+                .map(m => m[1].replace(/&amp;/g, '&'));
+
+            // A sitemap index lists other sitemaps rather than pages
+            if (/<sitemapindex/i.test(result.text)) {
+                locs.filter(loc => inScope(loc)).forEach(loc => queue.push(loc));
+                continue;
+            }
+
+            for (const loc of locs) {
+                const normalized = normalizeUrl(loc, origin);
+                if (normalized && inScope(normalized) && isCrawlablePage(normalized)) {
+                    urls.push(normalized);
+                }
+            }
+        } catch (error) {
+            console.log(`   ⚠️ Could not read sitemap ${sitemapUrl}:`, error.message);
+        }
+    }
+
+    return [...new Set(urls)].slice(0, options.limit);
+}
+
+// Pick the pages to scrape: homepage first, then keyword matches, then discovery order
+function selectPriorityUrls(homeUrl, discoveredUrls, priorityKeywords, maxPages) {
+    const priorityPages = discoveredUrls.filter(link => {
+        const linkUrl = link.toLowerCase();
+        return priorityKeywords.some(keyword => linkUrl.includes(keyword));
+    });
+
+    const priorityUrls = [
+        homeUrl,
+        ...priorityPages.slice(0, 12),
+        ...discoveredUrls.slice(0, maxPages)
+    ];
+
+    return {
+        urlsToScrape: [...new Set(priorityUrls)].slice(0, maxPages),
+        priorityPages
+    };
+}
+
+// Fetch pages as HTML: through headless Chromium when options.renderJavaScript is set,
+// falling back to plain fetch for the rest of the scrape if the browser is unavailable.
+// Returns fetchPage(url), which resolves to a fetchDocument() result (check ok), the
+// rendering state and a log of every page fetch, both reported in the scrape metadata.
+function createPageFetcher(options = {}) {
+    const fetchOptions = { ...options, userAgent: options.userAgent || DEFAULT_USER_AGENT };
+    const rendering = { requested: !!options.renderJavaScript, renderer: options.renderJavaScript ? 'headless-chromium' : 'fetch', error: null };
+    const fetches = [];
+
+    const record = (pageUrl, page) => {
+        fetches.push({
+            url: pageUrl,
+            finalUrl: page.url,
+            status: page.status,
+            contentType: page.contentType,
+            charset: page.charset,
+            attempts: page.attempts,
+            error: page.error
+        });
+        return page;
+    };
+
+    const fetchPage = async (pageUrl) => {
+        if (rendering.renderer === 'headless-chromium') {
+            try {
+                return record(pageUrl, await renderPage(pageUrl, { ...fetchOptions, executablePath: options.browserExecutablePath }));
+            } catch (error) {
+                if (error.name !== 'BrowserUnavailableError') throw error;
+                console.log(`   ⚠️ ${error.message} - falling back to plain fetch`);
+                rendering.renderer = 'fetch';
+                rendering.error = error.message;
+            }
+        }
+
+        try {
+            return record(pageUrl, await fetchDocument(pageUrl, { ...fetchOptions, accept: ['html'] }));
+        } catch (error) {
+            if (error.name !== 'CancelledError') {
+                fetches.push({ url: pageUrl, finalUrl: null, status: null, contentType: null, charset: null, attempts: null, error: error.message });
+            }
+            throw error;
+        }
+    };
+
+    return { fetchPage, rendering, fetches };
+}
+
+// Discover a site's pages from sitemap.xml and by following links breadth-first from startUrl.
+// Returns { homeUrl, sitemap, fetchedPages, sitemapXmlFound, skippedUrls }; fetchedPages maps
+// URLs to the documents fetched while following links (failed ones included), so they
+// need not be fetched again.
+// options.fetchPage fetches each page (see createPageFetcher); options.onProgress receives
+// discovery updates and options.signal cancels the crawl. options.includeSubdomains widens
+// the crawl to subdomains of the start host. If the homepage redirects within the same site,
+// the crawl continues on the origin it landed on.
+async function discoverSite(startUrl, options = {}) {
+    const limit = options.limit || 100;
+    const maxFetches = options.maxFetches || 20;
+    const userAgent = options.userAgent || DEFAULT_USER_AGENT;
+    const onProgress = options.onProgress || (() => {});
+    const fetchPage = options.fetchPage || createPageFetcher(options).fetchPage;
+    const signal = options.signal;
+
+    const homeUrl = normalizeUrl(startUrl);
+    // Where the homepage actually lives; moved by a same-site redirect (see followHomeRedirect)
+    let scopeUrl = homeUrl;
+    let origin = new URL(homeUrl).origin;
+    const inScope = options.includeSubdomains
+        ? (candidateUrl) => isInScope(candidateUrl, scopeUrl, true)
+        : (candidateUrl) => isSameOrigin(candidateUrl, origin);
+
+    console.log(`🗺️ Crawling ${options.includeSubdomains ? 'same-site' : 'same-origin'} pages for:`, homeUrl);
+    onProgress({ stage: 'discovering', message: 'Discovering pages', pagesDiscovered: 0 });
+
+    // Honour Crawl-delay when the site asks for more than our default pause
+    let robots = await getRobotsPolicy(homeUrl, userAgent);
+    const baseDelay = options.delayMs !== undefined ? options.delayMs : 500;
+    const crawlDelayFor = (policy) => Math.max(baseDelay, (policy.crawlDelay || 0) * 1000);
+    let delayMs = crawlDelayFor(robots);
+    const skippedUrls = [];
+
+    // Subdomains have their own robots.txt, fetched the first time one of their pages turns up
+    const policies = new Map([[origin, robots]]);
+    const policyFor = async (pageUrl) => {
+        const pageOrigin = new URL(pageUrl).origin;
+        if (!policies.has(pageOrigin)) policies.set(pageOrigin, await getRobotsPolicy(pageUrl, userAgent));
+        return policies.get(pageOrigin);
+    };
+
+    const skipIfDisallowed = async (pageUrl) => {
+        if ((await policyFor(pageUrl)).isAllowed(pageUrl)) return false;
+        if (!skippedUrls.some(skipped => skipped.url === pageUrl)) {
+            skippedUrls.push({ url: pageUrl, reason: 'robots.txt' });
+        }
+        return true;
+    };
+
+    if (await skipIfDisallowed(homeUrl)) {
+        throw new Error(`robots.txt disallows crawling ${homeUrl}`);
+    }
+
+    const discovered = new Set([homeUrl]);
+    const fetchedPages = new Map();
+    let fetchCount = 0;
+
+    // Fetch one page, pausing between fetches; resolves to null if the fetch failed outright
+    const visit = async (pageUrl) => {
+        try {
+            if (fetchCount > 0 && delayMs > 0) await sleep(delayMs);
+            throwIfCancelled(signal);
+            fetchCount++;
+
+            const page = await fetchPage(pageUrl);
+            fetchedPages.set(pageUrl, page);
+            if (!page.ok) console.log(`   ⚠️ Skipped ${pageUrl}: ${page.error}`);
+            return page;
+        } catch (error) {
+            if (error.name === 'CancelledError' || (signal && signal.aborted)) throwIfCancelled(signal);
+            console.log(`   ❌ Error crawling ${pageUrl}:`, error.message);
+            return null;
+        }
+    };
+
+    // A homepage that redirects within the site (http → https, apex → www) moves the
+    // crawl to where it landed; otherwise every link on the real site would be out of scope
+    const followHomeRedirect = async (finalUrl) => {
+        const landedUrl = normalizeUrl(finalUrl);
+        if (!landedUrl || new URL(landedUrl).origin === origin || !isInScope(landedUrl, homeUrl, true)) return null;
+
+        console.log(`   ↪️ ${homeUrl} redirects to ${landedUrl}, crawling that site`);
+        scopeUrl = landedUrl;
+        origin = new URL(landedUrl).origin;
+        robots = await policyFor(landedUrl);
+        delayMs = crawlDelayFor(robots);
+        return landedUrl;
+    };
+
+    // 1. The homepage first, to learn where the site really lives
+    const homePage = await visit(homeUrl);
+    const landedUrl = homePage && homePage.ok ? await followHomeRedirect(homePage.url) : null;
+
+    // 2. sitemap.xml gives us the site's own list of pages (always plain fetch)
+    const sitemapUrls = await readSitemap(origin, { ...options, userAgent, limit, inScope, sitemaps: robots.sitemaps });
+    sitemapUrls.forEach(u => u !== landedUrl && discovered.size < limit && discovered.add(u));
+    console.log(`   📍 sitemap.xml listed ${sitemapUrls.length} pages`);
+
+    // 3. Follow links breadth-first from the homepage to find pages the sitemap misses
+    const queue = [homeUrl];
+    const queued = new Set(queue);
+    if (landedUrl) queued.add(landedUrl);
+
+    while (queue.length > 0) {
+        const pageUrl = queue.shift();
+        if (pageUrl !== homeUrl && fetchCount >= maxFetches) break;
+
+        throwIfCancelled(signal);
+        const page = pageUrl === homeUrl ? homePage : await visit(pageUrl);
+        if (!page || !page.ok) continue;
+
+        for (const link of findPageLinks(page.text, page.url, inScope)) {
+            if (link !== landedUrl && discovered.size < limit) discovered.add(link);
+            if (!queued.has(link) && !await skipIfDisallowed(link)) {
+                queued.add(link);
+                queue.push(link);
+            }
+        }
+
+        onProgress({ message: `Discovered ${discovered.size} pages`, pagesDiscovered: discovered.size });
+    }
+
+    const sitemap = [];
+    for (const pageUrl of discovered) {
+        if (!await skipIfDisallowed(pageUrl)) sitemap.push(pageUrl);
+    }
+    console.log(`   🔗 Discovered ${sitemap.length} pages (${fetchCount} fetched, ${skippedUrls.length} disallowed by robots.txt)`);
+
+    return {
+        homeUrl,
+        sitemap,
+        fetchedPages,
+        sitemapXmlFound: sitemapUrls.length > 0,
+        skippedUrls
+    };
+}
+
+module.exports = {
+    discoverSite,
+    createPageFetcher,
+    selectPriorityUrls,
+    normalizeUrl
+};
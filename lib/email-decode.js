@@ -0,0 +1,120 @@
+// De-obfuscation of protected email addresses before email extraction.
+// Handles Cloudflare email protection, HTML entity encoding, "name [at] domain
+// [dot] com" spellings and percent-encoded mailto: links.
+
+const CLOUDFLARE_PATH = '/cdn-cgi/l/email-protection';
+const CLOUDFLARE_HREF_REGEX = /\/cdn-cgi\/l\/email-protection#([0-9a-f]{4,})/gi;
+const CLOUDFLARE_ATTRIBUTE_REGEX = /data-cfemail=["']?([0-9a-f]{4,})["']?/gi;
+
+// "[at]", "(at)", "{at}", "<at>", " @ " and a bare " at " (see normalizeSpelledEmails)
+const AT_TOKEN = '\\s*(?:\\[\\s*at\\s*\\]|\\(\\s*at\\s*\\)|\\{\\s*at\\s*\\}|<\\s*at\\s*>|\\s+at\\s+|\\s+@\\s+|\\[@\\]|\\(@\\))\\s*';
+const DOT_TOKEN = '\\s*(?:\\[\\s*dot\\s*\\]|\\(\\s*dot\\s*\\)|\\{\\s*dot\\s*\\}|<\\s*dot\\s*>|\\s+dot\\s+|\\[\\.\\]|\\(\\.\\))\\s*|\\.';
+const SPELLED_EMAIL_REGEX = new RegExp(
+    `([A-Za-z0-9._%+-]+)${AT_TOKEN}((?:[A-Za-z0-9-]+(?:${DOT_TOKEN}))+[A-Za-z]{2,24})\\b`,
+    'gi'
+);
+
+const NAMED_ENTITIES = { amp: '&', commat: '@', period: '.', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', hyphen: '-', lowbar: '_', plus: '+' };
+
+// Cloudflare stores the email XOR-ed with the first byte of the hex string
+function decodeCloudflareEmail(hex) {
+    if (!hex || hex.length < 4 || hex.length % 2 !== 0 || !/^[0-9a-f]+$/i.test(hex)) return null;
+
+    const key = parseInt(hex.substring(0, 2), 16);
+    let encoded = '';
+    for (let i = 2; i < hex.length; i += 2) {
+        encoded += '%' + ('0' + (parseInt(hex.substring(i, i + 2), 16) ^ key).toString(16)).slice(-2);
+    }
+
+    try {
+        const decoded = decodeURIComponent(encoded);
+        return decoded.includes('@') ? decoded : null;
+    } catch {
+        return null;
+    }
+}
+
+// "&#105;&#x6e;fo&commat;..." -> "info@..."
+function decodeHtmlEntities(text) {
+    return (text || '')
+        .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => safeFromCodePoint(parseInt(hex, 16), match))
+        .replace(/&#(\d+);?/g, (match, decimal) => safeFromCodePoint(parseInt(decimal, 10), match))
+        .replace(/&([a-z]+);/gi, (match, name) => NAMED_ENTITIES[name.toLowerCase()] ?? match);
+}
+
+function safeFromCodePoint(codePoint, fallback) {
+    try {
+        return String.fromCodePoint(codePoint);
+    } catch {
+        return fallback;
+    }
+}
+
+// Percent- and entity-encoded mailto: hrefs -> plain address (without query string)
+function decodeMailtoHref(href) {
+    let value = decodeHtmlEntities((href || '').replace(/^mailto:/i, ''));
+    try {
+        value = decodeURIComponent(value);
+    } catch {
+        // Malformed percent-encoding: keep what we have
+    }
+    return value.split('?')[0].trim();
+}
+
+// Rewrite the DOM so Cloudflare-protected emails read as plain addresses and
+// mailto: links carry decoded addresses. Runs before any text or link extraction.
+function decodeProtectedEmails($) {
+    $('[data-cfemail]').each((_, element) => {
+        const email = decodeCloudflareEmail($(element).attr('data-cfemail'));
+        if (email) $(element).text(email).removeAttr('data-cfemail');
+    });
+
+    $(`a[href*="${CLOUDFLARE_PATH}"]`).each((_, element) => {
+        const $link = $(element);
+        const hash = ($link.attr('href') || '').split('#')[1];
+        const email = decodeCloudflareEmail(hash);
+        if (email) $link.attr('href', `mailto:${email}`);
+    });
+
+    $('a[href^="mailto:" i]').each((_, element) => {
+        const $link = $(element);
+        const email = decodeMailtoHref($link.attr('href'));
+        if (email) $link.attr('href', `mailto:${email}`);
+    });
+
+    return $;
+}
+
+// Turn "info [at] example [dot] com" spellings into real addresses
+function normalizeSpelledEmails(text) {
+    return text.replace(SPELLED_EMAIL_REGEX, (match, localPart, domain) => {
+        // A bare " at " is ordinary English ("visit our shop at shop.example.com"),
+        // so it only counts when the domain is spelled out with "dot" as well
+        const isBareAt = /\s+at\s+/i.test(match) && !/[[({<]\s*at/i.test(match);
+        if (isBareAt && (!/\bdot\b/i.test(domain) || /^(us|me|home|work|our|the)$/i.test(localPart))) return match;
+        return `${localPart}@${domain.replace(new RegExp(DOT_TOKEN, 'gi'), '.')}`;
+    });
+}
+
+// Decoding stage applied to text (HTML-derived text or Markdown) before email extraction
+function deobfuscateEmailText(text) {
+    if (!text) return '';
+
+    let decoded = decodeHtmlEntities(text)
+        .replace(CLOUDFLARE_HREF_REGEX, (match, hex) => decodeCloudflareEmail(hex) || match)
+        .replace(CLOUDFLARE_ATTRIBUTE_REGEX, (match, hex) => decodeCloudflareEmail(hex) || match)
+        .replace(/mailto:([^\s)"'>\]]+)/gi, (match, href) => `mailto:${decodeMailtoHref(href)}`);
+
+    // Placeholder Cloudflare leaves behind in converted Markdown when the hex is gone
+    decoded = decoded.replace(/\[email(?:&#160;|\s)protected\]/gi, ' ');
+
+    return normalizeSpelledEmails(decoded);
+}
+
+module.exports = {
+    decodeCloudflareEmail,
+    decodeHtmlEntities,
+    decodeMailtoHref,
+    decodeProtectedEmails,
+    deobfuscateEmailText
+};
@@ -0,0 +1,249 @@
+// DOM-based HTML extraction shared by the Firecrawl and native scrape paths.
+// Resolves every URL against the page (honouring <base href>) and returns
+// typed link records and image records without arbitrary caps.
+
+const cheerio = require('cheerio');
+const { extractStructuredData } = require('./structured-data');
+const { decodeProtectedEmails } = require('./email-decode');
+
+// Elements that never contribute readable page text
+const NON_CONTENT_SELECTOR = 'script, style, noscript, template, svg, iframe, nav, header, footer';
+// Page chrome still matters for contact details, which usually live in the footer
+const NON_TEXT_SELECTOR = 'script, style, noscript, template, svg, iframe';
+
+// Attributes lazy-loading libraries use instead of src
+const LAZY_SRC_ATTRIBUTES = ['data-src', 'data-lazy', 'data-lazy-src', 'data-original', 'data-url'];
+const LAZY_SRCSET_ATTRIBUTES = ['data-srcset', 'data-lazy-srcset'];
+
+const CSS_URL_REGEX = /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi;
+
+function loadHtml(html) {
+    return cheerio.load(html || '');
+}
+
+// The URL relative links resolve against: <base href> if present, otherwise the page URL
+function getBaseUrl($, pageUrl) {
+    const baseHref = $('base[href]').first().attr('href');
+    if (baseHref) {
+        try {
+            return new URL(baseHref.trim(), pageUrl).href;
+        } catch {
+            // Ignore malformed <base> and use the page URL
+        }
+    }
+    return pageUrl;
+}
+
+// Resolve a raw attribute value to an absolute URL, or null for unusable values
+function resolveUrl(rawUrl, baseUrl) {
+    if (!rawUrl) return null;
+    const trimmed = rawUrl.trim();
+    if (!trimmed || trimmed.startsWith('#') || /^(javascript|data|about|blob):/i.test(trimmed)) {
+        return null;
+    }
+
+    try {
+        const urlObj = new URL(trimmed, baseUrl);
+        if (['http:', 'https:', 'mailto:', 'tel:'].includes(urlObj.protocol)) {
+            if (urlObj.protocol.startsWith('http')) urlObj.hash = '';
+            return urlObj.href;
+        }
+    } catch {
+        // Unresolvable URL
+    }
+    return null;
+}
+
+// Hostnames match if they only differ by a leading "www."
+function isSameSite(hostA, hostB) {
+    const strip = (host) => host.toLowerCase().replace(/^www\./, '');
+    return strip(hostA) === strip(hostB);
+}
+
+function classifyLink(absoluteUrl, pageUrl) {
+    if (absoluteUrl.startsWith('mailto:')) return 'mailto';
+    if (absoluteUrl.startsWith('tel:')) return 'tel';
+    try {
+        return isSameSite(new URL(absoluteUrl).hostname, new URL(pageUrl).hostname) ? 'internal' : 'external';
+    } catch {
+        return 'external';
+    }
+}
+
+// Split a srcset value into its candidate URLs
+function parseSrcset(srcset) {
+    return (srcset || '')
+        .split(/,\s+(?=\S)/)
+        .map(candidate => candidate.trim().split(/\s+/)[0])
+        .filter(Boolean);
+}
+
+function collapseWhitespace(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Remove duplicate records that share the same URL, keeping the first occurrence
+function dedupeByUrl(records) {
+    const seen = new Set();
+    return records.filter(record => {
+        if (!record || seen.has(record.url)) return false;
+        seen.add(record.url);
+        return true;
+    });
+}
+
+function extractLinks($, pageUrl) {
+    const baseUrl = getBaseUrl($, pageUrl);
+    const links = [];
+
+    $('a[href], area[href]').each((_, element) => {
+        const $element = $(element);
+        const url = resolveUrl($element.attr('href'), baseUrl);
+        if (!url) return;
+
+        const record = {
+            url,
+            text: collapseWhitespace($element.text()) || $element.attr('title') || $element.attr('aria-label') || '',
+            type: classifyLink(url, pageUrl)
+        };
+
+        const rel = $element.attr('rel');
+        if (rel) record.rel = rel;
+
+        links.push(record);
+    });
+
+    return dedupeByUrl(links);
+}
+
+function extractImages($, pageUrl) {
+    const baseUrl = getBaseUrl($, pageUrl);
+    const images = [];
+
+    const addImage = (rawUrl, alt, source) => {
+        const url = resolveUrl(rawUrl, baseUrl);
+        if (url && url.startsWith('http')) {
+            images.push({ url, alt: collapseWhitespace(alt), source });
+        }
+    };
+
+    $('img').each((_, element) => {
+        const $img = $(element);
+        const alt = $img.attr('alt') || '';
+
+        LAZY_SRC_ATTRIBUTES.forEach(attribute => addImage($img.attr(attribute), alt, 'lazy'));
+        addImage($img.attr('src'), alt, 'img');
+        [$img.attr('srcset'), ...LAZY_SRCSET_ATTRIBUTES.map(attribute => $img.attr(attribute))]
+            .forEach(srcset => parseSrcset(srcset).forEach(candidate => addImage(candidate, alt, 'srcset')));
+    });
+
+    // <picture><source srcset> alternatives take the alt text of the fallback <img>
+    $('picture source[srcset], picture source[data-srcset]').each((_, element) => {
+        const $source = $(element);
+        const alt = $source.closest('picture').find('img').attr('alt') || '';
+        [$source.attr('srcset'), $source.attr('data-srcset')]
+            .forEach(srcset => parseSrcset(srcset).forEach(candidate => addImage(candidate, alt, 'picture')));
+    });
+
+    // Inline style background images (also covers lazy data-bg attributes)
+    $('[style], [data-bg], [data-background], [data-background-image]').each((_, element) => {
+        const $element = $(element);
+        const alt = $element.attr('aria-label') || $element.attr('title') || '';
+        for (const match of ($element.attr('style') || '').matchAll(CSS_URL_REGEX)) {
+            addImage(match[2], alt, 'background');
+        }
+        ['data-bg', 'data-background', 'data-background-image'].forEach(attribute => {
+            const value = $element.attr(attribute);
+            if (!value) return;
+            const cssMatch = [...value.matchAll(CSS_URL_REGEX)];
+            if (cssMatch.length > 0) {
+                cssMatch.forEach(match => addImage(match[2], alt, 'background'));
+            } else {
+                addImage(value, alt, 'background');
+            }
+        });
+    });
+
+    // background-image rules inside <style> blocks
+    $('style').each((_, element) => {
+        const css = $(element).html() || '';
+        for (const declaration of css.matchAll(/background(?:-image)?\s*:[^;}]*/gi)) {
+            for (const match of declaration[0].matchAll(CSS_URL_REGEX)) {
+                addImage(match[2], '', 'background');
+            }
+        }
+    });
+
+    return dedupeByUrl(images);
+}
+
+function getMetaContent($, names) {
+    let content = '';
+    $('meta').each((_, element) => {
+        if (content) return;
+        const $meta = $(element);
+        const key = ($meta.attr('name') || $meta.attr('property') || '').toLowerCase();
+        if (names.includes(key) && $meta.attr('content')) {
+            content = collapseWhitespace($meta.attr('content'));
+        }
+    });
+    return content;
+}
+
+// Readable text of the page without scripts, styles and (by default) page chrome
+function extractText($, excludeSelector = NON_CONTENT_SELECTOR) {
+    const $body = $('body').length > 0 ? $('body').clone() : $.root().clone();
+    $body.find(excludeSelector).remove();
+
+    const parts = [];
+    const walk = (node) => {
+        if (node.type === 'text') {
+            parts.push(node.data);
+        } else if (node.children) {
+            node.children.forEach(walk);
+        }
+    };
+    $body.each((_, node) => walk(node));
+
+    return collapseWhitespace(parts.join(' '));
+}
+
+// Heading outline of the page in document order: [{ level, text }]
+function extractHeadings($) {
+    return $('body h1, body h2, body h3, body h4, body h5, body h6')
+        .map((_, element) => ({ level: Number(element.tagName.substring(1)), text: collapseWhitespace($(element).text()) }))
+        .get()
+        .filter(heading => heading.text);
+}
+
+// Parse a page once and return everything the scrapers need from it
+function parseHtml(html, pageUrl) {
+    const $ = loadHtml(html);
+
+    // Cloudflare-protected and encoded emails become plain text/mailto: links first
+    decodeProtectedEmails($);
+
+    return {
+        title: collapseWhitespace($('title').first().text()) || getMetaContent($, ['og:title']),
+        description: getMetaContent($, ['description', 'og:description']),
+        language: ($('html').attr('lang') || '').trim(),
+        text: extractText($),
+        fullText: extractText($, NON_TEXT_SELECTOR),
+        headings: extractHeadings($),
+        links: extractLinks($, pageUrl),
+        images: extractImages($, pageUrl),
+        structuredData: extractStructuredData($, pageUrl)
+    };
+}
+
+module.exports = {
+    loadHtml,
+    parseHtml,
+    extractLinks,
+    extractImages,
+    extractText,
+    extractHeadings,
+    getBaseUrl,
+    resolveUrl,
+    dedupeByUrl
+};
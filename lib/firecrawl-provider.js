@@ -0,0 +1,91 @@
+// Firecrawl scrape provider: /map for discovery and /scrape for markdown plus raw HTML.
+// Firecrawl renders JavaScript on its side but does not expose response headers or
+// HTTP validators, and its free tier allows about 10 requests a minute.
+
+const CAPABILITIES = {
+    map: true,
+    markdown: true,
+    rawHtml: true,
+    responseHeaders: false,
+    validators: false,
+    javascript: true,
+    remote: true
+};
+
+// 6 second delay = max 10 requests/min
+const REQUEST_DELAY_MS = 6000;
+const RATE_LIMIT_BACKOFF_MS = 60000;
+
+function isAvailable(context) {
+    return !!context.firecrawl;
+}
+
+function create(context) {
+    const firecrawl = context.firecrawl;
+    const scrapeOptions = context.scrapeOptions;
+
+    return {
+        requestDelayMs: REQUEST_DELAY_MS,
+
+        async map(url) {
+            const mapResult = await firecrawl.map(url, {
+                limit: scrapeOptions.discoveryLimit,
+                includeSubdomains: scrapeOptions.includeSubdomains, // Use camelCase as per Firecrawl docs
+                ignoreSitemap: false // Use sitemap if available for faster discovery
+            });
+
+            const urls = (mapResult && mapResult.links ? mapResult.links : [])
+                .map(link => (typeof link === 'string' ? link : link.url))
+                .filter(Boolean);
+            return { urls, sitemapComplete: true };
+        },
+
+        async scrapePage(pageUrl) {
+            let pageResult;
+            try {
+                pageResult = await firecrawl.scrape(pageUrl, {
+                    formats: ['markdown', 'html', 'rawHtml'],
+                    onlyMainContent: scrapeOptions.onlyMainContent,
+                    // Full-page scrapes keep navigation and footers (opening hours, addresses)
+                    ...(scrapeOptions.onlyMainContent ? {
+                        includeTags: ['title', 'meta', 'h1', 'h2', 'h3', 'p', 'article', 'section'],
+                        excludeTags: ['script', 'style', 'nav', 'footer', 'aside']
+                    } : {}),
+                    ...(scrapeOptions.pageTimeoutSeconds ? { timeout: scrapeOptions.pageTimeoutSeconds * 1000 } : {})
+                });
+            } catch (error) {
+                // Tell the scrape loop to leave Firecrawl alone for a while
+                if (error.message && error.message.includes('Rate limit')) error.retryAfterMs = RATE_LIMIT_BACKOFF_MS;
+                throw error;
+            }
+
+            if (!pageResult || !pageResult.markdown) return null;
+
+            const metadata = pageResult.metadata || {};
+            return {
+                url: pageUrl,
+                finalUrl: metadata.sourceURL || pageUrl,
+                status: metadata.statusCode || null,
+                html: pageResult.rawHtml || pageResult.html || null,
+                markdown: pageResult.markdown,
+                title: metadata.title || '',
+                description: metadata.description || '',
+                headers: null,
+                etag: null,
+                lastModified: null
+            };
+        },
+
+        describe() {
+            return {};
+        }
+    };
+}
+
+module.exports = {
+    name: 'firecrawl',
+    label: 'Firecrawl',
+    capabilities: CAPABILITIES,
+    isAvailable,
+    create
+};
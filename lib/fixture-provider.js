@@ -0,0 +1,139 @@
+// Fixture scrape provider: serves saved HTML from disk instead of the network, for
+// developing new providers and running scrapes offline. Enabled by SCRAPE_FIXTURES_DIR.
+// Layout: <dir>/<hostname>/index.html answers "/", about.html or about/index.html
+// answers "/about"; map() lists every .html file under the hostname folder.
+
+const path = require('path');
+const fs = require('fs').promises;
+const { htmlToMarkdown } = require('./markdown');
+
+const CAPABILITIES = {
+    map: true,
+    markdown: true, // converted from the HTML by markdown.js
+    rawHtml: true,
+    responseHeaders: false,
+    validators: false,
+    javascript: false,
+    remote: false
+};
+
+const MAX_DEPTH = 5;
+
+function isAvailable(context) {
+    return !!context.fixturesDir;
+}
+
+// Folder of one site's fixtures, or null for URLs that cannot name one
+function getHostDir(fixturesDir, pageUrl) {
+    try {
+        const hostname = new URL(pageUrl).hostname;
+        const hostDir = path.resolve(fixturesDir, hostname);
+        return hostDir.startsWith(path.resolve(fixturesDir) + path.sep) ? hostDir : null;
+    } catch {
+        return null;
+    }
+}
+
+// Candidate fixture files for a URL path, never outside the site's folder
+function getFixtureFiles(hostDir, pageUrl) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(pageUrl).pathname).replace(/\/+$/, '');
+    } catch {
+        return [];
+    }
+
+    const candidates = pathname === ''
+        ? ['index.html']
+        : [`${pathname}.html`, `${pathname}/index.html`, ...(pathname.endsWith('.html') ? [pathname] : [])];
+
+    return candidates
+        .map(candidate => path.resolve(hostDir, `.${path.posix.normalize(`/${candidate}`)}`))
+        .filter(file => file.startsWith(hostDir + path.sep));
+}
+
+// Every .html file below dir as a site path ("about/index.html" -> "/about")
+async function listFixturePaths(dir, prefix = '', depth = 0) {
+    if (depth > MAX_DEPTH) return [];
+
+    let entries;
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+        return [];
+    }
+
+    const paths = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        if (entry.isDirectory()) {
+            paths.push(...await listFixturePaths(path.join(dir, entry.name), `${prefix}/${entry.name}`, depth + 1));
+        } else if (entry.name === 'index.html') {
+            paths.push(prefix || '/');
+        } else if (entry.name.endsWith('.html')) {
+            paths.push(`${prefix}/${entry.name.slice(0, -'.html'.length)}`);
+        }
+    }
+    return paths;
+}
+
+function create(context) {
+    const fixturesDir = context.fixturesDir;
+    const scrapeOptions = context.scrapeOptions;
+    // Host folders pages were served from, reported instead of the server's own paths
+    const servedSites = new Set();
+
+    return {
+        requestDelayMs: 0,
+
+        async map(url) {
+            const hostDir = getHostDir(fixturesDir, url);
+            if (!hostDir) return { urls: [], sitemapComplete: false };
+
+            const origin = new URL(url).origin;
+            const paths = await listFixturePaths(hostDir);
+            return {
+                urls: paths.slice(0, scrapeOptions.discoveryLimit).map(sitePath => `${origin}${sitePath}`),
+                sitemapComplete: true
+            };
+        },
+
+        async scrapePage(pageUrl) {
+            const hostDir = getHostDir(fixturesDir, pageUrl);
+            if (!hostDir) return null;
+
+            for (const file of getFixtureFiles(hostDir, pageUrl)) {
+                try {
+                    const html = await fs.readFile(file, 'utf8');
+                    servedSites.add(path.basename(hostDir));
+                    return {
+                        url: pageUrl,
+                        finalUrl: pageUrl,
+                        status: 200,
+                        html,
+                        markdown: htmlToMarkdown(html, pageUrl, { onlyMainContent: scrapeOptions.onlyMainContent }),
+                        title: null,
+                        description: null,
+                        headers: { 'content-type': 'text/html; charset=utf-8' },
+                        etag: null,
+                        lastModified: null
+                    };
+                } catch {
+                    // Try the next candidate file
+                }
+            }
+            return null;
+        },
+
+        describe() {
+            return { fixtureSites: [...servedSites] };
+        }
+    };
+}
+
+module.exports = {
+    name: 'fixture',
+    label: 'Local fixtures',
+    capabilities: CAPABILITIES,
+    isAvailable,
+    create
+};
@@ -0,0 +1,370 @@
+// Image inventory of a scrape: every image found is fetched (with a small worker pool)
+// to read its real format, pixel dimensions and file size from the bytes, deduplicated
+// by content hash, and classified as logo, hero, gallery, team or icon from its size and
+// the markup around it. Tracking pixels, tiny images, sprites and dead URLs are set aside
+// so the recreation prompt only offers images worth using.
+
+const crypto = require('crypto');
+const { DEFAULT_USER_AGENT } = require('./robots');
+const { loadHtml, getBaseUrl, resolveUrl } = require('./extract');
+const { throwIfCancelled } = require('./jobs');
+const { safeFetch } = require('./safe-fetch');
+
+const MAX_IMAGES = 60;
+const CONCURRENCY = 4;
+const REQUEST_TIMEOUT = 10000;
+const MAX_IMAGE_BYTES = 8 * 1024 * 1024;
+
+const ROLES = ['logo', 'hero', 'gallery', 'team', 'icon'];
+
+// Analytics beacons and ad pixels: never fetched, never offered
+const TRACKING_PATTERN = /(facebook\.com\/tr|google-analytics\.com|googletagmanager\.com|doubleclick\.net|bat\.bing\.com|analytics\.|\/pixel|[?&/]beacon|\/collect\?|\/tracking)/i;
+// Smaller than this on the longest side is a spacer or bullet, not an image
+const MIN_DIMENSION = 16;
+// Largest side of an image that is shown as an icon
+const MAX_ICON_DIMENSION = 96;
+// Strips this much longer than wide (or wider than long) are sprite sheets
+const MAX_ASPECT_RATIO = 8;
+
+// Hints read from the class, id, alt and file name of an image and its nearby ancestors;
+// photos matching none of them are gallery images
+const ROLE_HINTS = {
+    logo: /logo|brand/i,
+    icon: /icon|emoji|badge|flag|arrow|bullet|social/i,
+    team: /team|staff|people|member|author|avatar|headshot|portrait|bio|founder|doctor|employee|our-people/i,
+    hero: /hero|banner|masthead|jumbotron|slider|slide|carousel|cover|splash|showcase/i
+};
+
+const LAZY_SRC_ATTRIBUTES = ['data-src', 'data-lazy', 'data-lazy-src', 'data-original', 'data-url'];
+const CSS_URL_REGEX = /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi;
+
+function requestSignal(signal) {
+    return signal
+        ? AbortSignal.any([signal, AbortSignal.timeout(REQUEST_TIMEOUT)])
+        : AbortSignal.timeout(REQUEST_TIMEOUT);
+}
+
+// Format and pixel size from the first bytes of an image; width/height are null when unknown
+function readImageInfo(bytes, contentType) {
+    const info = (format, width, height) => ({ format, width: width || null, height: height || null });
+    const ascii = (start, end) => bytes.toString('latin1', start, end);
+
+    if (bytes.length >= 24 && bytes[0] === 0x89 && ascii(1, 4) === 'PNG') {
+        return info('png', bytes.readUInt32BE(16), bytes.readUInt32BE(20));
+    }
+    if (bytes.length >= 10 && ascii(0, 4) === 'GIF8') {
+        return info('gif', bytes.readUInt16LE(6), bytes.readUInt16LE(8));
+    }
+    if (bytes.length >= 4 && bytes[0] === 0xFF && bytes[1] === 0xD8) {
+        return info('jpeg', ...readJpegSize(bytes));
+    }
+    if (bytes.length >= 30 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+        return info('webp', ...readWebpSize(bytes));
+    }
+    if (bytes.length >= 12 && ascii(4, 8) === 'ftyp' && /^(avif|avis|heic|heix|mif1)$/.test(ascii(8, 12))) {
+        const box = bytes.indexOf('ispe');
+        const format = ascii(8, 12).startsWith('avi') ? 'avif' : 'heic';
+        return box > 0 && box + 16 <= bytes.length
+            ? info(format, bytes.readUInt32BE(box + 8), bytes.readUInt32BE(box + 12))
+            : info(format, null, null);
+    }
+    if (bytes.length >= 26 && ascii(0, 2) === 'BM') {
+        return info('bmp', bytes.readInt32LE(18), Math.abs(bytes.readInt32LE(22)));
+    }
+    if (bytes.length >= 8 && bytes.readUInt32BE(0) === 0x00000100) {
+        return info('ico', bytes[6] || 256, bytes[7] || 256);
+    }
+
+    const text = ascii(0, Math.min(bytes.length, 4096));
+    if (/svg/i.test(contentType || '') || /<svg[\s>]/i.test(text)) {
+        return info('svg', ...readSvgSize(text));
+    }
+    return null;
+}
+
+// Width and height from the first start-of-frame marker
+function readJpegSize(bytes) {
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+        if (bytes[offset] !== 0xFF) {
+            offset++;
+            continue;
+        }
+        const marker = bytes[offset + 1];
+        if (marker === 0xFF) {
+            offset++;
+            continue;
+        }
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD9)) {
+            offset += 2;
+            continue;
+        }
+        const isStartOfFrame = marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker);
+        if (isStartOfFrame) return [bytes.readUInt16BE(offset + 7), bytes.readUInt16BE(offset + 5)];
+        offset += 2 + bytes.readUInt16BE(offset + 2);
+    }
+    return [null, null];
+}
+
+function readWebpSize(bytes) {
+    const chunk = bytes.toString('latin1', 12, 16);
+    if (chunk === 'VP8 ') return [bytes.readUInt16LE(26) & 0x3FFF, bytes.readUInt16LE(28) & 0x3FFF];
+    if (chunk === 'VP8L') {
+        const bits = bytes.readUInt32LE(21);
+        return [(bits & 0x3FFF) + 1, ((bits >> 14) & 0x3FFF) + 1];
+    }
+    if (chunk === 'VP8X') return [bytes.readUIntLE(24, 3) + 1, bytes.readUIntLE(27, 3) + 1];
+    return [null, null];
+}
+
+// Pixel width/height attributes, or the viewBox when they are missing or relative
+function readSvgSize(text) {
+    const tag = (/<svg[^>]*>/i.exec(text) || [''])[0];
+    const attribute = (name) => {
+        const match = new RegExp(`\\s${name}\\s*=\\s*["']\\s*([\\d.]+)(px)?\\s*["']`, 'i').exec(tag);
+        return match ? Math.round(Number(match[1])) : null;
+    };
+    const width = attribute('width');
+    const height = attribute('height');
+    if (width && height) return [width, height];
+
+    const viewBox = /viewBox\s*=\s*["']\s*[-\d.]+[\s,]+[-\d.]+[\s,]+([\d.]+)[\s,]+([\d.]+)/i.exec(tag);
+    return viewBox ? [Math.round(Number(viewBox[1])), Math.round(Number(viewBox[2]))] : [null, null];
+}
+
+// Markup hints for every image URL on a page: the class, id and alt of the element and
+// its nearby ancestors, and whether it sits in the header or footer
+function readImageContexts(html, pageUrl) {
+    const $ = loadHtml(html);
+    const baseUrl = getBaseUrl($, pageUrl);
+    const contexts = new Map();
+
+    const describe = ($element) => {
+        const labels = [$element, ...$element.parents().slice(0, 4).toArray().map(parent => $(parent))]
+            .map($node => `${$node.attr('class') || ''} ${$node.attr('id') || ''}`);
+        return {
+            own: `${$element.attr('class') || ''} ${$element.attr('id') || ''} ${$element.attr('alt') || ''}`,
+            nearby: labels.join(' '),
+            inHeader: $element.closest('header, nav, [role="banner"]').length > 0,
+            inFooter: $element.closest('footer, [role="contentinfo"]').length > 0
+        };
+    };
+    const add = (rawUrl, context) => {
+        const url = resolveUrl(rawUrl, baseUrl);
+        if (url && url.startsWith('http') && !contexts.has(url)) contexts.set(url, context);
+    };
+
+    $('img').each((_, element) => {
+        const $img = $(element);
+        const context = { ...describe($img), background: false };
+        [...LAZY_SRC_ATTRIBUTES.map(attribute => $img.attr(attribute)), $img.attr('src')].forEach(rawUrl => add(rawUrl, context));
+        ($img.attr('srcset') || '').split(/,\s+(?=\S)/).forEach(candidate => add(candidate.trim().split(/\s+/)[0], context));
+    });
+
+    $('[style*="url("]').each((_, element) => {
+        const $element = $(element);
+        const context = { ...describe($element), background: true };
+        for (const match of ($element.attr('style') || '').matchAll(CSS_URL_REGEX)) add(match[2], context);
+    });
+
+    return contexts;
+}
+
+// Images from per-page { url, html, images } records in discovery order, with where they were found
+function collectImageCandidates(pages) {
+    const candidates = new Map();
+
+    for (const page of pages) {
+        const contexts = page.html ? readImageContexts(page.html, page.url) : new Map();
+        for (const image of page.images || []) {
+            const candidate = candidates.get(image.url) || {
+                url: image.url,
+                alt: image.alt || '',
+                source: image.source,
+                foundOn: [],
+                context: contexts.get(image.url) || null,
+                onFirstPage: page === pages[0]
+            };
+            if (!candidate.alt && image.alt) candidate.alt = image.alt;
+            if (!candidate.context) candidate.context = contexts.get(image.url) || null;
+            if (!candidate.foundOn.includes(page.url)) candidate.foundOn.push(page.url);
+            candidates.set(image.url, candidate);
+        }
+    }
+
+    return [...candidates.values()];
+}
+
+// Download one image and measure it; returns the measurement or { error, reason? }
+async function probeImage(imageUrl, options) {
+    try {
+        const response = await safeFetch(imageUrl, {
+            headers: { 'User-Agent': options.userAgent, 'Accept': 'image/avif,image/webp,image/*,*/*;q=0.5' },
+            signal: requestSignal(options.signal),
+            maxBytes: MAX_IMAGE_BYTES
+        });
+        if (!response.ok) {
+            await response.body?.cancel().catch(() => null);
+            return { error: `HTTP ${response.status}` };
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        const bytes = Buffer.from(await response.arrayBuffer());
+        const info = readImageInfo(bytes, contentType);
+        if (!info) return { error: `Not an image (${contentType.split(';')[0] || 'unknown type'})`, reason: 'not-an-image' };
+
+        return {
+            ...info,
+            bytes: bytes.length,
+            hash: crypto.createHash('sha256').update(bytes).digest('hex').substring(0, 16),
+            finalUrl: response.url || imageUrl
+        };
+    } catch (error) {
+        throwIfCancelled(options.signal);
+        return { error: error.name === 'ResponseTooLargeError' ? 'Larger than 8 MB' : (error.cause?.code || error.message) };
+    }
+}
+
+// Reason to leave a measured image out of the inventory, or null to keep it
+function exclusionReason(image) {
+    const { width, height } = image;
+    if (width && height && width <= 2 && height <= 2) return 'tracking';
+    if (width && height && Math.max(width, height) < MIN_DIMENSION) return 'tiny';
+    if (/sprite/i.test(image.url) || (width && height && Math.max(width / height, height / width) > MAX_ASPECT_RATIO && Math.min(width, height) < 200)) {
+        return 'sprite';
+    }
+    return null;
+}
+
+function classifyImage(image, logoUrls) {
+    const context = image.context || { own: '', nearby: '', inHeader: false, background: false };
+    const fileName = image.url.split(/[?#]/)[0].split('/').pop();
+    const own = `${context.own} ${image.alt} ${fileName}`;
+    const nearby = `${context.nearby} ${own}`;
+    const largest = Math.max(image.width || 0, image.height || 0);
+
+    if (logoUrls.has(image.url) || ROLE_HINTS.logo.test(own) || (context.inHeader && ROLE_HINTS.logo.test(nearby))) return 'logo';
+    if (image.format === 'ico' || (largest > 0 && largest <= MAX_ICON_DIMENSION) || (ROLE_HINTS.icon.test(own) && largest <= 256)) return 'icon';
+    if (ROLE_HINTS.team.test(nearby)) return 'team';
+    if (ROLE_HINTS.hero.test(nearby) || (context.background && (image.width || 0) >= 1000)) return 'hero';
+    return 'gallery';
+}
+
+// Measure, filter, dedupe and classify the images of a scrape.
+// pages: [{ url, html, images }] in scrape order, homepage first.
+// options.logoUrls marks the brand logo; options.maxImages caps the downloads.
+async function analyzeImages(pages, options = {}) {
+    const settings = { userAgent: options.userAgent || DEFAULT_USER_AGENT, signal: options.signal };
+    const onProgress = options.onProgress || (() => {});
+    const logoUrls = new Set(options.logoUrls || []);
+
+    const candidates = collectImageCandidates(pages);
+    const excluded = [];
+    const toProbe = [];
+    for (const candidate of candidates) {
+        if (TRACKING_PATTERN.test(candidate.url)) excluded.push({ url: candidate.url, reason: 'tracking' });
+        else toProbe.push(candidate);
+    }
+    const skipped = toProbe.splice(options.maxImages || MAX_IMAGES);
+
+    console.log(`🖼️ Measuring ${toProbe.length} images (${excluded.length} tracking pixels skipped)`);
+
+    const measured = new Array(toProbe.length);
+    let next = 0;
+    let done = 0;
+    const worker = async () => {
+        while (next < toProbe.length) {
+            throwIfCancelled(options.signal);
+            const index = next++;
+            measured[index] = { ...toProbe[index], ...await probeImage(toProbe[index].url, settings) };
+            done++;
+            if (done % 10 === 0 || done === toProbe.length) {
+                onProgress({ stage: 'images', message: `Measured ${done}/${toProbe.length} images`, current: done, total: toProbe.length });
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, toProbe.length) }, worker));
+
+    // Measured in parallel, kept in discovery order so the first copy of a duplicate wins
+    const images = [];
+    const byHash = new Map();
+    for (const image of measured) {
+        if (image.error) {
+            excluded.push({ url: image.url, reason: image.reason || 'unavailable', error: image.error });
+            continue;
+        }
+        const reason = exclusionReason(image);
+        if (reason) {
+            excluded.push({ url: image.url, reason });
+            continue;
+        }
+        const original = byHash.get(image.hash);
+        if (original) {
+            original.duplicates.push(image.url);
+            image.foundOn.forEach(pageUrl => !original.foundOn.includes(pageUrl) && original.foundOn.push(pageUrl));
+            excluded.push({ url: image.url, reason: 'duplicate', duplicateOf: original.url });
+            continue;
+        }
+
+        const record = {
+            url: image.url,
+            alt: image.alt,
+            role: classifyImage(image, logoUrls),
+            format: image.format,
+            width: image.width,
+            height: image.height,
+            bytes: image.bytes,
+            hash: image.hash,
+            foundOn: image.foundOn,
+            duplicates: []
+        };
+        byHash.set(image.hash, record);
+        images.push({ record, image });
+    }
+
+    // Without a marked-up hero, the first large landscape photo on the homepage is one
+    if (!images.some(({ record }) => record.role === 'hero')) {
+        const lead = images.find(({ record, image }) => record.role === 'gallery' && image.onFirstPage && !image.context?.inFooter
+            && record.width >= 1000 && record.width / record.height >= 1.3);
+        if (lead) lead.record.role = 'hero';
+    }
+
+    const inventory = images.map(({ record }) => record);
+    const byRole = Object.fromEntries(ROLES.map(role => [role, inventory.filter(image => image.role === role).length]));
+    console.log(`   🖼️ ${inventory.length} usable images (${ROLES.map(role => `${byRole[role]} ${role}`).join(', ')}), ${excluded.length} set aside`);
+
+    return {
+        images: inventory,
+        excluded,
+        summary: {
+            found: candidates.length,
+            measured: toProbe.length,
+            notMeasured: skipped.length,
+            usable: inventory.length,
+            byRole,
+            tracking: excluded.filter(item => item.reason === 'tracking').length,
+            tiny: excluded.filter(item => item.reason === 'tiny').length,
+            sprites: excluded.filter(item => item.reason === 'sprite').length,
+            duplicates: excluded.filter(item => item.reason === 'duplicate').length,
+            notImages: excluded.filter(item => item.reason === 'not-an-image').length,
+            unavailable: excluded.filter(item => item.reason === 'unavailable').length
+        },
+        analyzedAt: new Date().toISOString()
+    };
+}
+
+// Usable images as prompt lines, labeled by role (logo and hero first, icons last)
+function describeImages(inventory, limit = 50) {
+    if (!inventory || !inventory.images || inventory.images.length === 0) return '';
+
+    const ordered = ROLES.flatMap(role => inventory.images.filter(image => image.role === role));
+    return ordered.slice(0, limit).map((image, index) => {
+        const size = image.width && image.height ? `${image.width}x${image.height} ` : '';
+        return `${index + 1}. [${image.role}] ${image.url} (${size}${image.format}${image.alt ? `, alt: "${image.alt}"` : ''})`;
+    }).join('\n');
+}
+
+module.exports = {
+    analyzeImages,
+    describeImages
+};
@@ -0,0 +1,155 @@
+// Background job subsystem for long-running scrape and generation work.
+// A job runs after the HTTP request that created it has returned; clients
+// follow it by polling or over Server-Sent Events and can cancel it.
+
+const { EventEmitter } = require('events');
+
+// Finished jobs (and their results) stay fetchable for an hour
+const FINISHED_JOB_TTL = 60 * 60 * 1000;
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const jobs = new Map();
+
+function generateJobId() {
+    return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+}
+
+// Throw the standard cancellation error if the job's signal has been aborted
+function throwIfCancelled(signal) {
+    if (signal && signal.aborted) {
+        const error = new Error('Job cancelled');
+        error.name = 'CancelledError';
+        throw error;
+    }
+}
+
+function isTerminal(job) {
+    return TERMINAL_STATUSES.includes(job.status);
+}
+
+// Public view of a job; the result is only included when asked for
+function serializeJob(job, includeResult = false) {
+    const snapshot = {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        progress: job.progress,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        finishedAt: job.finishedAt
+    };
+
+    if (job.error) snapshot.error = job.error;
+    if (includeResult && job.status === 'completed') snapshot.result = job.result;
+
+    return snapshot;
+}
+
+function touch(job, eventName) {
+    job.updatedAt = new Date().toISOString();
+    job.emitter.emit(eventName, serializeJob(job));
+}
+
+function finish(job, status, fields = {}) {
+    if (isTerminal(job)) return;
+
+    Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+    touch(job, 'finished');
+    job.emitter.removeAllListeners('progress');
+
+    // Forget the job once its result is no longer worth keeping
+    setTimeout(() => jobs.delete(job.id), FINISHED_JOB_TTL).unref();
+}
+
+// Create a job and start run({ onProgress, signal }) on the next tick
+function createJob(type, run) {
+    const now = new Date().toISOString();
+    const controller = new AbortController();
+    const job = {
+        id: generateJobId(),
+        type,
+        status: 'queued',
+        progress: { stage: 'queued', message: 'Waiting to start' },
+        createdAt: now,
+        updatedAt: now,
+        finishedAt: null,
+        result: null,
+        error: null,
+        controller,
+        emitter: new EventEmitter()
+    };
+
+    jobs.set(job.id, job);
+
+    const onProgress = (update) => {
+        if (isTerminal(job)) return;
+        job.progress = { ...job.progress, ...update };
+        touch(job, 'progress');
+    };
+
+    setImmediate(async () => {
+        if (isTerminal(job)) return;
+        job.status = 'running';
+        touch(job, 'progress');
+
+        try {
+            const result = await run({ onProgress, signal: controller.signal });
+            throwIfCancelled(controller.signal);
+            finish(job, 'completed', { result, progress: { ...job.progress, stage: 'completed', message: 'Done' } });
+            console.log(`✅ Job ${job.id} (${type}) completed`);
+        } catch (error) {
+            if (error.name === 'CancelledError' || controller.signal.aborted) {
+                finish(job, 'cancelled', { progress: { ...job.progress, stage: 'cancelled', message: 'Cancelled' } });
+                console.log(`🛑 Job ${job.id} (${type}) cancelled`);
+            } else {
+                finish(job, 'failed', { error: error.message || 'Job failed' });
+                console.error(`❌ Job ${job.id} (${type}) failed:`, error.message);
+            }
+        }
+    });
+
+    return job;
+}
+
+function getJob(jobId) {
+    return jobs.get(jobId) || null;
+}
+
+// Request cancellation; running work stops at its next cancellation check
+function cancelJob(jobId) {
+    const job = jobs.get(jobId);
+    if (!job) return null;
+
+    if (!isTerminal(job)) {
+        job.controller.abort();
+        if (job.status === 'queued') {
+            finish(job, 'cancelled', { progress: { ...job.progress, stage: 'cancelled', message: 'Cancelled' } });
+        }
+    }
+
+    return job;
+}
+
+// Subscribe to progress and completion; returns an unsubscribe function
+function subscribeToJob(job, onEvent) {
+    const onUpdate = (snapshot) => onEvent('progress', snapshot);
+    const onFinished = (snapshot) => onEvent(snapshot.status, snapshot);
+
+    job.emitter.on('progress', onUpdate);
+    job.emitter.once('finished', onFinished);
+
+    return () => {
+        job.emitter.off('progress', onUpdate);
+        job.emitter.off('finished', onFinished);
+    };
+}
+
+module.exports = {
+    createJob,
+    getJob,
+    cancelJob,
+    subscribeToJob,
+    serializeJob,
+    isTerminal,
+    throwIfCancelled
+};
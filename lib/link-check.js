@@ -0,0 +1,200 @@
+// Optional broken link and missing asset check.
+// Requests every internal link and image found during a scrape, following
+// redirects by hand so loops are caught, and reports each failure with the pages
+// it was found on. The scraped site's own URLs are requested one at a time at its
+// Crawl-delay, like the crawler does; other hosts (CDNs) share a small worker pool.
+
+const { DEFAULT_USER_AGENT } = require('./robots');
+const { throwIfCancelled } = require('./jobs');
+const { safeFetch } = require('./safe-fetch');
+
+const MAX_URLS = 200;
+const CONCURRENCY = 5;
+const MAX_REDIRECTS = 10;
+const REQUEST_TIMEOUT = 10000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Servers that refuse HEAD get a second chance with GET
+const HEAD_UNSUPPORTED = [403, 405, 501];
+
+// Gather the URLs to check from per-page { url, links, images } records.
+// Returns [{ url, type: 'link' | 'image', foundOn: [pageUrl] }].
+function collectLinkTargets(pages) {
+    const targets = new Map();
+    const add = (url, type, pageUrl) => {
+        const target = targets.get(url) || { url, type, foundOn: [] };
+        if (!target.foundOn.includes(pageUrl)) target.foundOn.push(pageUrl);
+        targets.set(url, target);
+    };
+
+    for (const page of pages) {
+        (page.links || [])
+            .filter(link => link.type === 'internal')
+            .forEach(link => add(link.url, 'link', page.url));
+        (page.images || []).forEach(image => add(image.url, 'image', page.url));
+    }
+
+    return [...targets.values()];
+}
+
+function classifyStatus(status) {
+    if (status === 404 || status === 410) return 'not-found';
+    if (status >= 500) return 'server-error';
+    if (status >= 400) return 'client-error';
+    return null;
+}
+
+async function request(targetUrl, method, options) {
+    return safeFetch(targetUrl, {
+        method,
+        headers: { 'User-Agent': options.userAgent },
+        redirect: 'manual',
+        signal: options.signal
+            ? AbortSignal.any([options.signal, AbortSignal.timeout(REQUEST_TIMEOUT)])
+            : AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+}
+
+// Check one URL; returns null when it is fine, otherwise the failure
+async function checkUrl(targetUrl, options) {
+    const chain = [];
+    let currentUrl = targetUrl;
+
+    try {
+        for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+            let response = await request(currentUrl, 'HEAD', options);
+            if (HEAD_UNSUPPORTED.includes(response.status)) {
+                response = await request(currentUrl, 'GET', options);
+                await response.body?.cancel().catch(() => null);
+            }
+
+            const location = response.headers.get('location');
+            if (response.status >= 300 && response.status < 400 && location) {
+                const nextUrl = new URL(location, currentUrl).href;
+                chain.push({ url: currentUrl, status: response.status });
+                if (nextUrl === targetUrl || chain.some(step => step.url === nextUrl)) {
+                    return { reason: 'redirect-loop', status: response.status, redirectChain: [...chain, { url: nextUrl }] };
+                }
+                currentUrl = nextUrl;
+                continue;
+            }
+
+            const reason = classifyStatus(response.status);
+            return reason
+                ? { reason, status: response.status, redirectChain: chain.length > 0 ? chain : undefined, finalUrl: currentUrl }
+                : null;
+        }
+        return { reason: 'too-many-redirects', status: null, redirectChain: chain };
+    } catch (error) {
+        throwIfCancelled(options.signal);
+        const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+        return { reason: timedOut ? 'timeout' : 'unreachable', status: null, error: timedOut ? undefined : (error.cause?.code || error.message) };
+    }
+}
+
+function isOnOrigin(targetUrl, origin) {
+    try {
+        return new URL(targetUrl).origin === origin;
+    } catch {
+        return false;
+    }
+}
+
+// Check every target. options.isAllowed lets the caller skip internal links robots.txt
+// disallows; targets on options.origin are checked one at a time, options.delayMs apart.
+async function checkLinks(targets, options = {}) {
+    const settings = { userAgent: options.userAgent || DEFAULT_USER_AGENT, signal: options.signal };
+    const isAllowed = options.isAllowed || (() => true);
+    const onProgress = options.onProgress || (() => {});
+
+    const candidates = targets.filter(target => target.type === 'image' || isAllowed(target.url));
+    const toCheck = candidates.slice(0, options.maxUrls || MAX_URLS);
+    const siteTargets = toCheck.filter(target => options.origin && isOnOrigin(target.url, options.origin));
+    const otherTargets = toCheck.filter(target => !siteTargets.includes(target));
+    const delayMs = options.delayMs || 0;
+    const broken = [];
+    let next = 0;
+    let done = 0;
+
+    console.log(`🔗 Checking ${toCheck.length} links and images for breakage`);
+
+    const check = async (target) => {
+        const failure = await checkUrl(target.url, settings);
+        if (failure) {
+            broken.push({ url: target.url, type: target.type, foundOn: target.foundOn, ...failure });
+        }
+        done++;
+        if (done % 10 === 0 || done === toCheck.length) {
+            onProgress({ stage: 'link-check', message: `Checked ${done}/${toCheck.length} links and images`, current: done, total: toCheck.length });
+        }
+    };
+
+    const siteWorker = async () => {
+        for (const [index, target] of siteTargets.entries()) {
+            if (index > 0 && delayMs > 0) await sleep(delayMs);
+            throwIfCancelled(options.signal);
+            await check(target);
+        }
+    };
+
+    const poolWorker = async () => {
+        while (next < otherTargets.length) {
+            throwIfCancelled(options.signal);
+            await check(otherTargets[next++]);
+        }
+    };
+
+    await Promise.all([
+        siteWorker(),
+        ...Array.from({ length: Math.min(CONCURRENCY - 1, otherTargets.length) }, poolWorker)
+    ]);
+
+    // Keep the report in discovery order rather than completion order
+    const order = new Map(toCheck.map((target, index) => [target.url, index]));
+    broken.sort((a, b) => order.get(a.url) - order.get(b.url));
+
+    const countReason = (reason) => broken.filter(item => item.reason === reason).length;
+    console.log(`   🔗 ${broken.length} of ${toCheck.length} URLs are broken`);
+
+    return {
+        checked: toCheck.length,
+        skipped: targets.length - toCheck.length,
+        brokenLinks: broken.filter(item => item.type === 'link').length,
+        brokenImages: broken.filter(item => item.type === 'image').length,
+        summary: {
+            notFound: countReason('not-found'),
+            serverError: countReason('server-error'),
+            clientError: countReason('client-error'),
+            redirectLoop: countReason('redirect-loop') + countReason('too-many-redirects'),
+            timeout: countReason('timeout'),
+            unreachable: countReason('unreachable')
+        },
+        broken,
+        checkedAt: new Date().toISOString()
+    };
+}
+
+// Image URLs the link check found dead, for filtering generation prompts
+function getBrokenImageUrls(linkCheck) {
+    if (!linkCheck || !linkCheck.broken) return new Set();
+    return new Set(linkCheck.broken.filter(item => item.type === 'image').map(item => item.url));
+}
+
+// Broken links as prompt lines
+function describeBrokenLinks(linkCheck, limit = 10) {
+    if (!linkCheck || !linkCheck.broken || linkCheck.broken.length === 0) return '';
+
+    const lines = [`${linkCheck.brokenLinks} broken links and ${linkCheck.brokenImages} missing images out of ${linkCheck.checked} checked:`];
+    linkCheck.broken.slice(0, limit).forEach(item => {
+        lines.push(`- ${item.type} ${item.url} -> ${item.status || item.reason} (${item.reason}), found on ${item.foundOn.slice(0, 2).join(', ')}`);
+    });
+    return lines.join('\n');
+}
+
+module.exports = {
+    collectLinkTargets,
+    checkLinks,
+    getBrokenImageUrls,
+    describeBrokenLinks
+};
@@ -0,0 +1,101 @@
+// Country inference for locale-aware phone and address parsing.
+// A site's country comes from (in order of trust) its structured data, its
+// ccTLD, then its <html lang> / og:locale region. Countries are ISO 3166-1 alpha-2.
+
+const DEFAULT_COUNTRY = 'US';
+
+// ccTLDs that differ from the ISO code, and ones commonly used as generic domains
+const TLD_COUNTRY_OVERRIDES = { uk: 'GB', su: null, eu: null };
+const GENERIC_CCTLDS = ['io', 'co', 'ai', 'me', 'tv', 'fm', 'ly', 'to', 'cc', 'ws', 'gg', 'sh', 'ac', 'app', 'dev'];
+
+// Language-only lang attributes that map to a single obvious country
+const LANGUAGE_COUNTRIES = { de: 'DE', fr: 'FR', nl: 'NL', it: 'IT', es: 'ES', pl: 'PL', da: 'DK', sv: 'SE', nb: 'NO', fi: 'FI', cs: 'CZ', ja: 'JP' };
+
+// Common ways sites write country names that Intl.DisplayNames does not produce
+const COUNTRY_ALIASES = {
+    'uk': 'GB', 'u.k.': 'GB', 'great britain': 'GB', 'britain': 'GB', 'england': 'GB', 'scotland': 'GB', 'wales': 'GB', 'northern ireland': 'GB',
+    'usa': 'US', 'u.s.a.': 'US', 'u.s.': 'US', 'united states of america': 'US', 'america': 'US',
+    'deutschland': 'DE', 'österreich': 'AT', 'schweiz': 'CH', 'suisse': 'CH', 'nederland': 'NL', 'holland': 'NL',
+    'españa': 'ES', 'italia': 'IT', 'belgië': 'BE', 'belgique': 'BE', 'éire': 'IE'
+};
+
+let countryNameIndex = null;
+
+// Lower-cased English country name -> ISO code, built once from the ICU data
+function getCountryNameIndex() {
+    if (countryNameIndex) return countryNameIndex;
+
+    countryNameIndex = new Map(Object.entries(COUNTRY_ALIASES));
+    const displayNames = new Intl.DisplayNames(['en'], { type: 'region' });
+    for (let first = 65; first <= 90; first++) {
+        for (let second = 65; second <= 90; second++) {
+            const code = String.fromCharCode(first, second);
+            try {
+                const name = displayNames.of(code);
+                // First code wins so e.g. "United Kingdom" stays GB rather than the reserved UK
+                if (name && name !== code && !countryNameIndex.has(name.toLowerCase())) {
+                    countryNameIndex.set(name.toLowerCase(), code);
+                }
+            } catch {
+                // Not a region code
+            }
+        }
+    }
+    return countryNameIndex;
+}
+
+// "GB", "gb", "United Kingdom", "UK" -> "GB"; unknown values -> null
+function normalizeCountry(value) {
+    if (!value || typeof value !== 'string') return null;
+    const trimmed = value.trim();
+    if (/^[A-Za-z]{2}$/.test(trimmed)) {
+        const code = trimmed.toUpperCase();
+        return code === 'UK' ? 'GB' : code;
+    }
+    return getCountryNameIndex().get(trimmed.toLowerCase().replace(/\.$/, '')) || null;
+}
+
+function countryFromHostname(hostname) {
+    const labels = (hostname || '').toLowerCase().split('.');
+    const tld = labels[labels.length - 1];
+    if (!tld || tld.length !== 2 || GENERIC_CCTLDS.includes(tld)) return null;
+    if (tld in TLD_COUNTRY_OVERRIDES) return TLD_COUNTRY_OVERRIDES[tld];
+    return tld.toUpperCase();
+}
+
+// "en-GB", "en_AU", "de" -> country code
+function countryFromLanguage(language) {
+    if (!language) return null;
+    const [lang, region] = language.trim().replace('_', '-').split('-');
+    if (region && /^[A-Za-z]{2}$/.test(region)) return normalizeCountry(region);
+    return LANGUAGE_COUNTRIES[(lang || '').toLowerCase()] || null;
+}
+
+// Best guess at the country a site operates in, with where the guess came from
+function inferCountry({ url, language, structuredData } = {}) {
+    const structuredCountry = structuredData && structuredData.address && normalizeCountry(structuredData.address.addressCountry);
+    if (structuredCountry) return { country: structuredCountry, source: 'structured-data' };
+
+    let hostname = '';
+    try {
+        hostname = new URL(url).hostname;
+    } catch {
+        // No usable URL
+    }
+    const tldCountry = countryFromHostname(hostname);
+    if (tldCountry) return { country: tldCountry, source: 'tld' };
+
+    const languageCountry = countryFromLanguage(language);
+    if (languageCountry) return { country: languageCountry, source: 'lang' };
+
+    const localeCountry = structuredData && countryFromLanguage(structuredData.locale);
+    if (localeCountry) return { country: localeCountry, source: 'og:locale' };
+
+    return { country: DEFAULT_COUNTRY, source: 'default' };
+}
+
+module.exports = {
+    DEFAULT_COUNTRY,
+    inferCountry,
+    normalizeCountry
+};
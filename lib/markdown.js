@@ -0,0 +1,344 @@
+// HTML to Markdown for providers that only return HTML (native fetch, fixtures), so the
+// analysis and recreation prompts see the same headings, lists, links and tables as
+// Firecrawl's markdown. With onlyMainContent, page chrome and boilerplate blocks are
+// dropped and conversion starts at the element holding most of the page's prose.
+
+const { loadHtml, getBaseUrl, resolveUrl } = require('./extract');
+const { decodeProtectedEmails } = require('./email-decode');
+
+// Never rendered: not content, or not readable as text
+const SKIPPED_TAGS = new Set([
+    'head', 'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object', 'embed',
+    'video', 'audio', 'map', 'select', 'textarea', 'input', 'button', 'option', 'dialog'
+]);
+
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'body', 'center', 'dd', 'details', 'div', 'dl', 'dt',
+    'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+    'hgroup', 'hr', 'html', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'ul'
+]);
+
+// Page chrome removed before looking for the main content
+const CHROME_SELECTOR = 'nav, header, footer, aside, [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [role="search"], [role="dialog"]';
+// class/id words of boilerplate blocks: cookie notices, share bars, sidebars, popups...
+const BOILERPLATE_PATTERN = /(^|[\s_-])(cookies?|consent|gdpr|breadcrumbs?|sidebar|share|sharing|social|popup|modal|newsletter|subscribe|advert|ads|banner-ad|related|comments?|skip-link|screen-reader-text|sr-only|visually-hidden)($|[\s_-])/i;
+// The main content element holds at least this share of the page's prose
+const DOMINANT_SHARE = 0.6;
+// A boilerplate-looking element holding at least this share of the prose is a layout wrapper
+const BOILERPLATE_MAX_SHARE = 0.5;
+// Text runs shorter than this are labels and buttons rather than prose
+const MIN_PROSE_LENGTH = 20;
+
+// Deeper markup is rendered as plain text, so absurd nesting cannot overflow the stack
+const MAX_RENDER_DEPTH = 100;
+
+// Attributes lazy-loading libraries use instead of src
+const LAZY_SRC_ATTRIBUTES = ['data-src', 'data-lazy-src', 'data-original'];
+
+function tagName(node) {
+    return node.type === 'tag' || node.type === 'script' || node.type === 'style' ? node.name.toLowerCase() : null;
+}
+
+function isHidden(node) {
+    const attribs = node.attribs || {};
+    return attribs.hidden !== undefined
+        || attribs['aria-hidden'] === 'true'
+        || /display\s*:\s*none|visibility\s*:\s*hidden/i.test(attribs.style || '');
+}
+
+// Collapse runs of spaces and tidy line breaks in inline text
+function cleanInline(text) {
+    return text
+        .replace(/[ \t]*\n[ \t]*/g, '\n')
+        .replace(/[ \t]{2,}/g, ' ')
+        .replace(/\n{2,}/g, '\n')
+        .trim();
+}
+
+// Wrap inline content in a marker, keeping the surrounding spaces outside it
+function wrapInline(content, marker) {
+    const inner = content.trim();
+    if (!inner) return content;
+    const lead = content.startsWith(' ') ? ' ' : '';
+    const trail = content.endsWith(' ') ? ' ' : '';
+    return `${lead}${marker}${inner.replace(/\n+/g, ' ')}${marker}${trail}`;
+}
+
+// Text of a subtree, walked with an explicit stack (used past MAX_RENDER_DEPTH)
+function plainText(nodes) {
+    const parts = [];
+    const stack = [...nodes].reverse();
+    while (stack.length > 0) {
+        const node = stack.pop();
+        if (typeof node === 'string') {
+            parts.push(node);
+        } else if (node.type === 'text') {
+            parts.push(node.data);
+        } else if (!SKIPPED_TAGS.has(tagName(node)) && !isHidden(node)) {
+            // Line breaks around blocks, pushed as strings so the closing one follows the children
+            const isBlock = BLOCK_TAGS.has(tagName(node)) || tagName(node) === 'br';
+            if (isBlock) {
+                parts.push('\n');
+                stack.push('\n');
+            }
+            stack.push(...[...(node.children || [])].reverse());
+        }
+    }
+    return parts.join('');
+}
+
+// Run render one nesting level deeper, or return null once MAX_RENDER_DEPTH is reached
+function descend(context, render) {
+    if (context.depth >= MAX_RENDER_DEPTH) return null;
+    context.depth++;
+    try {
+        return render();
+    } finally {
+        context.depth--;
+    }
+}
+
+function renderInlineChildren(node, context) {
+    const rendered = descend(context, () => (node.children || []).map(child => renderInline(child, context)).join(''));
+    return rendered ?? plainText(node.children || []).replace(/\s+/g, ' ');
+}
+
+function renderInline(node, context) {
+    if (node.type === 'text') return node.data.replace(/\s+/g, ' ');
+
+    const tag = tagName(node);
+    if (!tag || SKIPPED_TAGS.has(tag) || isHidden(node)) return '';
+
+    switch (tag) {
+        case 'br':
+            return '\n';
+        case 'strong':
+        case 'b':
+            return wrapInline(renderInlineChildren(node, context), '**');
+        case 'em':
+        case 'i':
+            return wrapInline(renderInlineChildren(node, context), '_');
+        case 'del':
+        case 's':
+        case 'strike':
+            return wrapInline(renderInlineChildren(node, context), '~~');
+        case 'code':
+        case 'kbd':
+        case 'samp': {
+            const code = context.$(node).text().replace(/\s+/g, ' ').trim();
+            return code ? `\`${code.replace(/`/g, '\\`')}\`` : '';
+        }
+        case 'a': {
+            const text = cleanInline(renderInlineChildren(node, context)).replace(/\n/g, ' ');
+            const href = resolveUrl(node.attribs.href, context.baseUrl);
+            if (!href || !text) return text;
+            return `[${text}](${href.replace(/ /g, '%20').replace(/\)/g, '%29')})`;
+        }
+        case 'img': {
+            const rawSrc = LAZY_SRC_ATTRIBUTES.map(attribute => node.attribs[attribute]).find(Boolean) || node.attribs.src;
+            const src = resolveUrl(rawSrc, context.baseUrl);
+            if (!src || !src.startsWith('http')) return '';
+            const alt = (node.attribs.alt || '').replace(/\s+/g, ' ').replace(/[[\]]/g, '').trim();
+            return `![${alt}](${src.replace(/ /g, '%20').replace(/\)/g, '%29')})`;
+        }
+        default:
+            return renderInlineChildren(node, context);
+    }
+}
+
+// Render a list of sibling nodes as Markdown blocks, gathering inline runs into paragraphs
+function renderBlocks(nodes, context) {
+    const rendered = descend(context, () => renderBlockList(nodes, context));
+    if (rendered) return rendered;
+    return plainText(nodes || []).split(/\n+/).map(cleanInline).filter(Boolean);
+}
+
+function renderBlockList(nodes, context) {
+    const blocks = [];
+    let inline = '';
+    const flush = () => {
+        const text = cleanInline(inline);
+        if (text) blocks.push(text);
+        inline = '';
+    };
+
+    for (const node of nodes || []) {
+        const tag = tagName(node);
+        if (tag && BLOCK_TAGS.has(tag)) {
+            flush();
+            if (!isHidden(node)) blocks.push(...renderBlock(node, context));
+        } else {
+            inline += renderInline(node, context);
+        }
+    }
+    flush();
+    return blocks;
+}
+
+function renderBlock(node, context) {
+    const tag = tagName(node);
+
+    if (/^h[1-6]$/.test(tag)) {
+        const text = cleanInline(renderInlineChildren(node, context)).replace(/\n/g, ' ');
+        return text ? [`${'#'.repeat(Number(tag[1]))} ${text}`] : [];
+    }
+
+    switch (tag) {
+        case 'ul':
+        case 'ol':
+            return renderList(node, context);
+        case 'blockquote': {
+            const content = renderBlocks(node.children, context).join('\n\n');
+            return content ? [content.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')] : [];
+        }
+        case 'pre': {
+            const $node = context.$(node);
+            const language = (/(?:^|\s)(?:language|lang)-([\w+-]+)/.exec($node.find('code').attr('class') || $node.attr('class') || '') || [])[1] || '';
+            const code = $node.text().replace(/^\n+|\s+$/g, '');
+            return code ? [`\`\`\`${language}\n${code}\n\`\`\``] : [];
+        }
+        case 'hr':
+            return ['---'];
+        case 'table':
+            return renderTable(node, context);
+        case 'dt': {
+            const text = cleanInline(renderInlineChildren(node, context)).replace(/\n/g, ' ');
+            return text ? [wrapInline(text, '**')] : [];
+        }
+        default:
+            return renderBlocks(node.children, context);
+    }
+}
+
+function renderList(node, context) {
+    const ordered = tagName(node) === 'ol';
+    let number = Number(node.attribs.start) || 1;
+    const items = [];
+
+    for (const child of node.children || []) {
+        if (tagName(child) !== 'li' || isHidden(child)) continue;
+
+        const content = renderBlocks(child.children, context).join('\n');
+        if (!content) continue;
+
+        const marker = ordered ? `${number++}. ` : '- ';
+        const indent = ' '.repeat(marker.length);
+        items.push(content.split('\n').map((line, index) => (index === 0 ? marker + line : line ? indent + line : line)).join('\n'));
+    }
+
+    return items.length > 0 ? [items.join('\n')] : [];
+}
+
+// Data tables become pipe tables; single-column layout tables are rendered as their content
+function renderTable(node, context) {
+    const $ = context.$;
+    const rows = $(node).find('tr').filter((_, row) => $(row).closest('table')[0] === node).get();
+    const cellsOf = (row) => (row.children || []).filter(child => ['td', 'th'].includes(tagName(child)));
+    const columns = Math.max(0, ...rows.map(row => cellsOf(row).length));
+
+    if (columns <= 1 || $(node).find('table').length > 0) {
+        return rows.flatMap(row => cellsOf(row).flatMap(cell => renderBlocks(cell.children, context)));
+    }
+
+    const lines = rows.map(row => {
+        const cells = cellsOf(row).map(cell => cleanInline(renderInlineChildren(cell, context)).replace(/\n/g, ' ').replace(/\|/g, '\\|'));
+        while (cells.length < columns) cells.push('');
+        return `| ${cells.join(' | ')} |`;
+    });
+    lines.splice(1, 0, `| ${new Array(columns).fill('---').join(' | ')} |`);
+    return [lines.join('\n')];
+}
+
+// Remove page chrome and boilerplate blocks, unless they hold the page's main heading or
+// most of its prose (wrappers such as "layout-with-sidebar" or "content-sidebar-wrap")
+function removeBoilerplate($, $root) {
+    const scores = scoreProse($root[0]);
+    const total = scores.get($root[0]) || 0;
+    const isContent = ($element) => $element.find('main, article, [role="main"], h1').length > 0
+        || (total > 0 && (scores.get($element[0]) || 0) >= total * BOILERPLATE_MAX_SHARE);
+
+    $root.find(CHROME_SELECTOR).each((_, element) => {
+        const $element = $(element);
+        if (!isContent($element)) $element.remove();
+    });
+
+    $root.find('[class], [id]').each((_, element) => {
+        const $element = $(element);
+        const label = `${$element.attr('class') || ''} ${$element.attr('id') || ''}`;
+        if (BOILERPLATE_PATTERN.test(label) && !isContent($element)) $element.remove();
+    });
+}
+
+// Readability-style content scoring: every prose text run scores its length and commas for
+// all its ancestors (link text scores nothing). Returns a Map of element -> score.
+function scoreProse(root) {
+    const scores = new Map();
+    const stack = [[root, false]];
+    while (stack.length > 0) {
+        const [node, insideLink] = stack.pop();
+        if (node.type === 'text') {
+            const text = node.data.replace(/\s+/g, ' ').trim();
+            if (insideLink || text.length < MIN_PROSE_LENGTH) continue;
+            const score = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+            for (let ancestor = node.parent; ancestor; ancestor = ancestor.parent) {
+                scores.set(ancestor, (scores.get(ancestor) || 0) + score);
+            }
+            continue;
+        }
+        const tag = tagName(node);
+        if (tag && SKIPPED_TAGS.has(tag)) continue;
+        (node.children || []).forEach(child => stack.push([child, insideLink || tag === 'a']));
+    }
+    return scores;
+}
+
+// Starting at the body, descend into the child that holds DOMINANT_SHARE of the page's
+// prose score, stopping where the prose splits up.
+function findMainContent($, $body) {
+    const explicit = $body.find('main, [role="main"]').filter((_, element) => $(element).text().trim().length > 0);
+    if (explicit.length === 1) return explicit.first();
+
+    const scores = scoreProse($body[0]);
+    const total = scores.get($body[0]) || 0;
+    if (total === 0) return $body;
+
+    let current = $body[0];
+    for (;;) {
+        const best = (current.children || [])
+            .filter(child => child.type === 'tag')
+            .reduce((top, child) => ((scores.get(child) || 0) > (scores.get(top) || 0) ? child : top), null);
+        if (!best || (scores.get(best) || 0) < total * DOMINANT_SHARE) break;
+        current = best;
+    }
+    return $(current);
+}
+
+// Convert a page's HTML to Markdown. options.onlyMainContent keeps just the main content
+// (plus the page's <h1> when it sits outside it); otherwise the whole body is converted.
+function htmlToMarkdown(html, pageUrl, options = {}) {
+    const $ = loadHtml(html);
+    decodeProtectedEmails($);
+    const context = { $, baseUrl: getBaseUrl($, pageUrl), depth: 0 };
+
+    const $body = $('body');
+    let blocks;
+
+    if (options.onlyMainContent) {
+        removeBoilerplate($, $body);
+        const $main = findMainContent($, $body);
+        blocks = renderBlocks($main[0] === $body[0] ? $body[0].children : [$main[0]], context);
+
+        const $heading = $body.find('h1').first();
+        if ($heading.length > 0 && $main.find($heading).length === 0 && $main[0] !== $heading[0]) {
+            blocks.unshift(...renderBlock($heading[0], context));
+        }
+    } else {
+        blocks = renderBlocks($body[0].children, context);
+    }
+
+    return blocks.join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+module.exports = {
+    htmlToMarkdown
+};
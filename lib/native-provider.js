@@ -0,0 +1,95 @@
+// Native scrape provider: our own sitemap + link crawler and plain fetch (or headless
+// Chromium with renderJavaScript). Needs no API key and keeps response headers and
+// ETag/Last-Modified, so its scrapes can be revalidated from the cache.
+
+const { discoverSite, createPageFetcher } = require('./crawler');
+const { htmlToMarkdown } = require('./markdown');
+
+const CAPABILITIES = {
+    map: true,
+    markdown: true, // converted from the HTML by markdown.js
+    rawHtml: true,
+    responseHeaders: true,
+    validators: true,
+    javascript: false, // only with renderJavaScript and puppeteer installed
+    remote: true
+};
+
+const REQUEST_DELAY_MS = 500;
+
+function isAvailable() {
+    return true;
+}
+
+function create(context) {
+    const scrapeOptions = context.scrapeOptions;
+    const timeout = scrapeOptions.pageTimeoutSeconds ? scrapeOptions.pageTimeoutSeconds * 1000 : undefined;
+    const { fetchPage, rendering, fetches } = createPageFetcher({
+        userAgent: context.userAgent,
+        signal: context.signal,
+        timeout,
+        renderJavaScript: scrapeOptions.renderJavaScript,
+        browserExecutablePath: context.browserExecutablePath
+    });
+
+    // Pages fetched while following links during map(), reused by scrapePage()
+    let fetchedPages = new Map();
+
+    return {
+        requestDelayMs: REQUEST_DELAY_MS,
+
+        async map(url) {
+            const discovery = await discoverSite(url, {
+                limit: scrapeOptions.discoveryLimit,
+                maxFetches: Math.max(20, scrapeOptions.maxPages),
+                includeSubdomains: scrapeOptions.includeSubdomains,
+                userAgent: context.userAgent,
+                timeout,
+                fetchPage,
+                onProgress: context.onProgress,
+                signal: context.signal
+            });
+
+            fetchedPages = discovery.fetchedPages;
+            return {
+                urls: discovery.sitemap,
+                sitemapComplete: discovery.sitemapXmlFound,
+                skippedUrls: discovery.skippedUrls
+            };
+        },
+
+        async scrapePage(pageUrl) {
+            const page = fetchedPages.get(pageUrl) || await fetchPage(pageUrl);
+            if (!page.ok) {
+                console.log(`   ⚠️ ${pageUrl}: ${page.error}`);
+                return null;
+            }
+
+            return {
+                url: pageUrl,
+                finalUrl: page.url,
+                status: page.status,
+                html: page.text,
+                markdown: htmlToMarkdown(page.text, page.url, { onlyMainContent: scrapeOptions.onlyMainContent }),
+                title: null,
+                description: null,
+                headers: page.headers,
+                etag: page.etag || null,
+                lastModified: page.lastModified || null
+            };
+        },
+
+        describe() {
+            // Status, final URL, charset and retries of every request this scrape made
+            return { rendering, pageFetches: fetches };
+        }
+    };
+}
+
+module.exports = {
+    name: 'native',
+    label: 'Native fetch',
+    capabilities: CAPABILITIES,
+    isAvailable,
+    create
+};
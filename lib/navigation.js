@@ -0,0 +1,158 @@
+// Navigation and information-architecture extraction.
+// Content extraction strips <nav>, <header> and <footer>, so this separate pass
+// reads the original primary and footer menus (labels, URLs and nesting) from
+// the raw HTML, letting a redesign keep the client's real site structure.
+
+const { loadHtml, getBaseUrl, resolveUrl } = require('./extract');
+
+const MAX_ITEMS = 40;
+const MAX_DEPTH = 3;
+
+// Where the primary menu usually lives, most specific first
+const PRIMARY_SELECTORS = [
+    'header nav',
+    'nav[aria-label*="main" i], nav[aria-label*="primary" i]',
+    '#main-menu, #primary-menu, .main-menu, .primary-menu, .main-navigation, #site-navigation',
+    '[role="navigation"]',
+    'nav',
+    'header'
+];
+
+function collapseWhitespace(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function readLink($, $anchor, baseUrl) {
+    const label = collapseWhitespace($anchor.text()) || $anchor.attr('aria-label') || $anchor.attr('title') || '';
+    const href = ($anchor.attr('href') || '').trim();
+    // "#" and javascript: toggles open submenus; keep the label, drop the URL
+    return { label: collapseWhitespace(label), url: resolveUrl(href, baseUrl) };
+}
+
+// Read a <ul>/<ol> menu into nested { label, url, children } items
+function readList($, $list, baseUrl, depth) {
+    const items = [];
+
+    $list.children('li').each((_, element) => {
+        if (items.length >= MAX_ITEMS) return;
+        const $item = $(element);
+        const $anchor = $item.find('a').first();
+        const $submenu = $item.find('ul, ol').first();
+
+        // The item's own link is the first anchor that is not inside its submenu
+        const ownAnchor = $anchor.length > 0 && ($submenu.length === 0 || !$submenu.find($anchor).length) ? $anchor : null;
+        const item = ownAnchor
+            ? readLink($, ownAnchor, baseUrl)
+            : { label: collapseWhitespace($item.clone().children('ul, ol').remove().end().text()), url: null };
+
+        item.children = $submenu.length > 0 && depth < MAX_DEPTH ? readList($, $submenu, baseUrl, depth + 1) : [];
+        if (item.label || item.children.length > 0) items.push(item);
+    });
+
+    return items;
+}
+
+// A menu container without list markup: every link as a flat item
+function readFlatLinks($, $container, baseUrl) {
+    const items = [];
+    const seen = new Set();
+
+    $container.find('a[href]').each((_, element) => {
+        if (items.length >= MAX_ITEMS) return;
+        const item = readLink($, $(element), baseUrl);
+        const key = `${item.label}|${item.url}`;
+        if (!item.label || seen.has(key)) return;
+        seen.add(key);
+        items.push({ ...item, children: [] });
+    });
+
+    return items;
+}
+
+function readMenu($, $container, baseUrl) {
+    const $list = $container.is('ul, ol') ? $container : $container.find('ul, ol').first();
+    const items = $list.length > 0 ? readList($, $list, baseUrl, 1) : [];
+    return items.length > 0 ? items : readFlatLinks($, $container, baseUrl);
+}
+
+function findPrimaryMenu($, baseUrl) {
+    for (const selector of PRIMARY_SELECTORS) {
+        const $candidates = $(selector).filter((_, element) => $(element).closest('footer').length === 0);
+        for (const element of $candidates.toArray()) {
+            const items = readMenu($, $(element), baseUrl);
+            // A bare <header> often holds just the logo link, which is not a menu
+            if (items.length >= (selector === 'header' ? 2 : 1)) return items;
+        }
+    }
+    return [];
+}
+
+// Footer columns: each heading with the links listed under it, or one flat list
+function findFooterMenu($, baseUrl) {
+    const $footer = $('footer').last();
+    if ($footer.length === 0) return [];
+
+    const groups = [];
+    $footer.find('h2, h3, h4, h5, h6, .widget-title').each((_, element) => {
+        const $heading = $(element);
+        const $list = $heading.nextAll('ul, ol, nav, div').first();
+        if ($list.length === 0) return;
+        const children = readMenu($, $list, baseUrl);
+        if (children.length > 0) groups.push({ label: collapseWhitespace($heading.text()), url: null, children });
+    });
+
+    return groups.length > 0 ? groups.slice(0, MAX_ITEMS) : readFlatLinks($, $footer, baseUrl);
+}
+
+function countItems(items) {
+    return items.reduce((sum, item) => sum + 1 + countItems(item.children), 0);
+}
+
+// Primary and footer navigation of one page: { primary, footer, sourceUrl, itemCount }
+function extractNavigation(html, pageUrl) {
+    const $ = loadHtml(html);
+    const baseUrl = getBaseUrl($, pageUrl);
+    const primary = findPrimaryMenu($, baseUrl);
+    const footer = findFooterMenu($, baseUrl);
+
+    return {
+        primary,
+        footer,
+        sourceUrl: pageUrl,
+        itemCount: countItems(primary) + countItems(footer)
+    };
+}
+
+// Site navigation from the first scraped page that has a menu (the homepage, normally)
+function extractSiteNavigation(pages) {
+    for (const page of pages) {
+        if (!page.html) continue;
+        const navigation = extractNavigation(page.html, page.url);
+        if (navigation.primary.length > 0) return navigation;
+    }
+    return null;
+}
+
+function formatItems(items, depth = 0) {
+    return items.flatMap(item => [
+        `${'  '.repeat(depth)}- ${item.label || '(no label)'}${item.url ? ` -> ${item.url}` : ''}`,
+        ...formatItems(item.children, depth + 1)
+    ]);
+}
+
+// Navigation tree as indented prompt lines
+function describeNavigation(navigation) {
+    if (!navigation || navigation.primary.length === 0) return '';
+
+    const lines = ['Primary menu:', ...formatItems(navigation.primary)];
+    if (navigation.footer.length > 0) {
+        lines.push('Footer links:', ...formatItems(navigation.footer));
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    extractNavigation,
+    extractSiteNavigation,
+    describeNavigation
+};
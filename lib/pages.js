@@ -0,0 +1,130 @@
+// Per-page scrape records.
+// Each scraped page keeps its own URL, page type, heading outline, content,
+// word count, images and links, so the analysis and recreation prompts can
+// pick the pages that matter instead of cutting one concatenated blob short.
+
+// Checked in order, so a "/blog/our-services-update" post is a blog page, not services
+const PAGE_TYPE_PATTERNS = [
+    ['blog', /(^|\/)(blog|news|articles?|posts?|insights|journal|stories)(\/|$)|\/\d{4}\/\d{2}\//i],
+    ['contact', /(^|\/)(contact|kontakt|contacto|get-in-touch|find-us|locations?|directions|book(ing)?|appointments?)(-us)?(\/|$|\.)/i],
+    ['about', /(^|\/)(about|about-us|our-story|who-we-are|team|our-team|staff|history|company|mission)(\/|$|\.)/i],
+    ['product', /(^|\/)(products?|shop|store|catalog(ue)?|collections?|pricing|prices|plans|items?)(\/|$|\.)/i],
+    ['services', /(^|\/)(services?|what-we-do|solutions|treatments?|practice-areas?|menu|offerings|capabilities)(\/|$|\.)/i]
+];
+
+// Page types worth the most prompt space, in order
+const ANALYSIS_PAGE_TYPES = ['home', 'about', 'services', 'contact', 'product'];
+const RECREATION_PAGE_TYPES = ['home', 'services', 'about', 'product', 'contact'];
+
+function classifyPageType(pageUrl, homeUrl) {
+    let pathname;
+    try {
+        pathname = new URL(pageUrl).pathname;
+        if (pathname === '/' || pageUrl.replace(/\/$/, '') === (homeUrl || '').replace(/\/$/, '')) return 'home';
+    } catch {
+        return 'other';
+    }
+
+    const match = PAGE_TYPE_PATTERNS.find(([, pattern]) => pattern.test(pathname));
+    return match ? match[0] : 'other';
+}
+
+function countWords(text) {
+    return (text || '').split(/\s+/).filter(Boolean).length;
+}
+
+// Build the stored record for one scraped page.
+// parsedPage is the output of parseHtml; markdown is the page's readable content.
+function buildPageRecord({ url, finalUrl, status, homeUrl, title, description, markdown, parsedPage, provider }) {
+    const content = markdown || '';
+    return {
+        url,
+        finalUrl: finalUrl || url,
+        status: status || null,
+        type: classifyPageType(url, homeUrl),
+        provider: provider || null,
+        title: title || parsedPage?.title || '',
+        description: description || parsedPage?.description || '',
+        headings: parsedPage ? parsedPage.headings : [],
+        markdown: content,
+        wordCount: countWords(content),
+        images: parsedPage ? parsedPage.images : [],
+        links: parsedPage ? parsedPage.links : []
+    };
+}
+
+function formatPageSection(page) {
+    const outline = page.headings.slice(0, 30).map(heading => `${'#'.repeat(heading.level)} ${heading.text}`).join('\n');
+    return `\n\n=== PAGE: ${page.url} (${page.type}) ===\n` +
+        `TITLE: ${page.title}\n` +
+        `DESCRIPTION: ${page.description}\n` +
+        (outline ? `HEADINGS:\n${outline}\n` : '') +
+        `CONTENT: ${page.markdown}\n`;
+}
+
+// Split a character budget across sections: short sections keep all their text
+// and the space they leave over goes to the longer ones
+function allocateBudget(lengths, budget) {
+    const allotments = new Array(lengths.length).fill(0);
+    const bySize = lengths.map((length, index) => ({ length, index })).sort((a, b) => a.length - b.length);
+    let remaining = budget;
+
+    bySize.forEach(({ length, index }, position) => {
+        const share = Math.floor(remaining / (bySize.length - position));
+        allotments[index] = Math.min(length, share);
+        remaining -= allotments[index];
+    });
+
+    return { allotments, remaining };
+}
+
+// Prompt content from the pages most relevant to a task, within maxChars.
+// Pages of the preferred types share the budget first (in that order); any
+// space left goes to the remaining pages, e.g. blog posts.
+function selectPageContent(pages, options = {}) {
+    const maxChars = options.maxChars || 100000;
+    const types = options.types || ANALYSIS_PAGE_TYPES;
+    const rank = (page) => (types.includes(page.type) ? types.indexOf(page.type) : types.length);
+
+    const ordered = pages
+        .map((page, index) => ({ page, index }))
+        .sort((a, b) => rank(a.page) - rank(b.page) || a.index - b.index)
+        .map(({ page }) => page);
+    const preferred = ordered.filter(page => types.includes(page.type));
+    const others = ordered.filter(page => !types.includes(page.type));
+
+    const sections = new Map();
+    const fill = (group, budget) => {
+        const texts = group.map(formatPageSection);
+        const { allotments, remaining } = allocateBudget(texts.map(text => text.length), budget);
+        group.forEach((page, index) => {
+            const text = texts[index];
+            if (allotments[index] === 0) return;
+            sections.set(page, allotments[index] < text.length ? `${text.substring(0, allotments[index])}\n[...truncated]\n` : text);
+        });
+        return remaining;
+    };
+
+    const leftover = fill(preferred, maxChars);
+    if (leftover > 0) fill(others, leftover);
+
+    return ordered
+        .filter(page => sections.has(page))
+        .map(page => sections.get(page))
+        .join('');
+}
+
+// Short "type: url" list of the scraped pages for prompts and logs
+function describePages(pages) {
+    return pages.map(page => `- ${page.type}: ${page.url} (${page.wordCount} words)`).join('\n');
+}
+
+module.exports = {
+    ANALYSIS_PAGE_TYPES,
+    RECREATION_PAGE_TYPES,
+    classifyPageType,
+    buildPageRecord,
+    formatPageSection,
+    selectPageContent,
+    describePages
+};
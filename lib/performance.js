@@ -0,0 +1,273 @@
+// Page weight and load timing of the original site's homepage.
+// Follows the redirect chain by hand, times the first byte and the full HTML
+// download, then sizes every referenced image, script and stylesheet with
+// HEAD requests (falling back to GET when no Content-Length is sent).
+
+const { DEFAULT_USER_AGENT } = require('./robots');
+const { loadHtml, getBaseUrl, resolveUrl } = require('./extract');
+const { throwIfCancelled } = require('./jobs');
+const { safeFetch } = require('./safe-fetch');
+
+const MAX_REDIRECTS = 10;
+const MAX_ASSETS = 60;
+const ASSET_CONCURRENCY = 6;
+const REQUEST_TIMEOUT = 15000;
+// Assets without a Content-Length are downloaded to be sized; give up on anything bigger
+const MAX_ASSET_BYTES = 25 * 1024 * 1024;
+
+// Static assets without at least this much max-age get re-downloaded too often
+const MIN_ASSET_CACHE_SECONDS = 7 * 24 * 60 * 60;
+
+function requestSignal(signal) {
+    return signal
+        ? AbortSignal.any([signal, AbortSignal.timeout(REQUEST_TIMEOUT)])
+        : AbortSignal.timeout(REQUEST_TIMEOUT);
+}
+
+function readCaching(headers) {
+    const cacheControl = headers.get('cache-control');
+    const maxAge = cacheControl && cacheControl.match(/(?:s-)?max-age=(\d+)/i);
+    return {
+        cacheControl: cacheControl || null,
+        maxAge: maxAge ? Number(maxAge[1]) : null,
+        noStore: /no-store/i.test(cacheControl || ''),
+        expires: headers.get('expires'),
+        etag: headers.get('etag'),
+        lastModified: headers.get('last-modified')
+    };
+}
+
+function contentLength(headers) {
+    const value = Number(headers.get('content-length'));
+    return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+// Fetch the page hop by hop so each redirect is recorded, timing the final response
+async function fetchWithTiming(targetUrl, options) {
+    const redirects = [];
+    let currentUrl = targetUrl;
+    const startedAt = performance.now();
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        const hopStartedAt = performance.now();
+        const response = await safeFetch(currentUrl, {
+            headers: { 'User-Agent': options.userAgent, 'Accept-Encoding': 'gzip, deflate, br' },
+            redirect: 'manual',
+            signal: requestSignal(options.signal)
+        });
+        const ttfbMs = Math.round(performance.now() - hopStartedAt);
+
+        const location = response.headers.get('location');
+        if (response.status >= 300 && response.status < 400 && location) {
+            const nextUrl = new URL(location, currentUrl).href;
+            redirects.push({ url: currentUrl, status: response.status, location: nextUrl, ms: ttfbMs });
+            await response.arrayBuffer().catch(() => null);
+            currentUrl = nextUrl;
+            continue;
+        }
+
+        const body = Buffer.from(await response.arrayBuffer());
+        return {
+            url: currentUrl,
+            status: response.status,
+            headers: response.headers,
+            html: body.toString('utf8'),
+            bytes: body.length,
+            ttfbMs,
+            totalMs: Math.round(performance.now() - startedAt),
+            redirects
+        };
+    }
+
+    throw new Error(`Too many redirects (more than ${MAX_REDIRECTS}) starting at ${targetUrl}`);
+}
+
+// Every image, script and stylesheet the page references, deduplicated
+function findAssets(html, pageUrl) {
+    const $ = loadHtml(html);
+    const baseUrl = getBaseUrl($, pageUrl);
+    const assets = new Map();
+    const add = (rawUrl, type) => {
+        const url = resolveUrl(rawUrl, baseUrl);
+        if (url && url.startsWith('http') && !assets.has(url)) assets.set(url, { url, type });
+    };
+
+    $('img').each((_, element) => add($(element).attr('data-src') || $(element).attr('src'), 'image'));
+    $('script[src]').each((_, element) => add($(element).attr('src'), 'script'));
+    $('link[href]').each((_, element) => {
+        const rel = ($(element).attr('rel') || '').toLowerCase();
+        if (rel.split(/\s+/).includes('stylesheet')) add($(element).attr('href'), 'stylesheet');
+    });
+
+    return [...assets.values()];
+}
+
+// Size one asset: HEAD first, GET when the server sends no Content-Length or refuses HEAD
+async function measureAsset(asset, options) {
+    const request = (method) => safeFetch(asset.url, {
+        method,
+        headers: { 'User-Agent': options.userAgent, 'Accept-Encoding': 'gzip, deflate, br' },
+        maxBytes: MAX_ASSET_BYTES,
+        signal: requestSignal(options.signal)
+    });
+
+    try {
+        let response = await request('HEAD');
+        let bytes = response.ok ? contentLength(response.headers) : null;
+        let sizeSource = 'content-length';
+
+        if (bytes === null) {
+            response = await request('GET');
+            bytes = response.ok ? contentLength(response.headers) : null;
+            const body = await response.arrayBuffer().catch(() => null);
+            if (bytes === null && response.ok && body) {
+                // Decoded size: the transfer may have been smaller if compressed
+                bytes = body.byteLength;
+                sizeSource = 'body';
+            }
+        }
+
+        return {
+            ...asset,
+            status: response.status,
+            bytes,
+            sizeSource,
+            contentType: response.headers.get('content-type'),
+            compression: response.headers.get('content-encoding'),
+            caching: readCaching(response.headers)
+        };
+    } catch (error) {
+        throwIfCancelled(options.signal);
+        return { ...asset, status: null, bytes: null, error: error.message };
+    }
+}
+
+async function measureAssets(assets, options) {
+    const results = [];
+    let next = 0;
+
+    const worker = async () => {
+        while (next < assets.length) {
+            throwIfCancelled(options.signal);
+            const asset = assets[next++];
+            results.push(await measureAsset(asset, options));
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(ASSET_CONCURRENCY, assets.length) }, worker));
+    return results;
+}
+
+function summarizeAssets(measured, type) {
+    const ofType = measured.filter(asset => asset.type === type);
+    const sized = ofType.filter(asset => asset.bytes !== null);
+    return {
+        count: ofType.length,
+        bytes: sized.reduce((sum, asset) => sum + asset.bytes, 0),
+        measured: sized.length,
+        failed: ofType.filter(asset => asset.status === null || asset.status >= 400).length
+    };
+}
+
+// Measure the homepage: timing, HTML size, asset weight, compression, caching and redirects
+async function measurePageWeight(targetUrl, options = {}) {
+    const settings = { userAgent: options.userAgent || DEFAULT_USER_AGENT, signal: options.signal };
+
+    console.log('⏱️ Measuring page weight and timing for:', targetUrl);
+
+    try {
+        const page = await fetchWithTiming(targetUrl, settings);
+        const assets = findAssets(page.html, page.url);
+        const measured = await measureAssets(assets.slice(0, MAX_ASSETS), settings);
+
+        const resources = {
+            images: summarizeAssets(measured, 'image'),
+            scripts: summarizeAssets(measured, 'script'),
+            stylesheets: summarizeAssets(measured, 'stylesheet')
+        };
+        const assetBytes = resources.images.bytes + resources.scripts.bytes + resources.stylesheets.bytes;
+        const htmlTransferBytes = contentLength(page.headers);
+
+        // Text assets that would shrink a lot if the server compressed them
+        const uncompressedText = measured
+            .filter(asset => asset.type !== 'image' && asset.bytes && !asset.compression && asset.status < 400)
+            .map(asset => asset.url);
+        const poorlyCached = measured
+            .filter(asset => asset.bytes && asset.status < 400 && (asset.caching.noStore || (asset.caching.maxAge || 0) < MIN_ASSET_CACHE_SECONDS) && !asset.caching.expires)
+            .map(asset => asset.url);
+
+        const result = {
+            url: targetUrl,
+            finalUrl: page.url,
+            status: page.status,
+            redirects: page.redirects,
+            ttfbMs: page.ttfbMs,
+            totalMs: page.totalMs,
+            html: {
+                bytes: page.bytes,
+                transferBytes: htmlTransferBytes,
+                compression: page.headers.get('content-encoding'),
+                caching: readCaching(page.headers)
+            },
+            resources,
+            assetsFound: assets.length,
+            assetsMeasured: measured.length,
+            totalBytes: (htmlTransferBytes || page.bytes) + assetBytes,
+            largestResources: measured
+                .filter(asset => asset.bytes)
+                .sort((a, b) => b.bytes - a.bytes)
+                .slice(0, 5)
+                .map(asset => ({ url: asset.url, type: asset.type, bytes: asset.bytes })),
+            uncompressedText,
+            poorlyCached,
+            measuredAt: new Date().toISOString()
+        };
+
+        console.log(`   ⏱️ TTFB ${result.ttfbMs}ms, ${formatBytes(result.totalBytes)} across ${measured.length + 1} requests`);
+        return result;
+    } catch (error) {
+        throwIfCancelled(options.signal);
+        console.log(`   ⚠️ Could not measure ${targetUrl}:`, error.message);
+        return { url: targetUrl, error: error.message, measuredAt: new Date().toISOString() };
+    }
+}
+
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return 'unknown';
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes} B`;
+}
+
+// Measurement summary for LLM prompts
+function describePerformance(measurement) {
+    if (!measurement || measurement.error || measurement.ttfbMs === undefined) return '';
+
+    const { resources } = measurement;
+    const lines = [
+        `- Server response time (TTFB): ${measurement.ttfbMs} ms; full HTML download ${measurement.totalMs} ms`,
+        `- Homepage weight: ${formatBytes(measurement.totalBytes)} (HTML ${formatBytes(measurement.html.transferBytes || measurement.html.bytes)}, ` +
+            `${resources.images.count} images ${formatBytes(resources.images.bytes)}, ${resources.scripts.count} scripts ${formatBytes(resources.scripts.bytes)}, ` +
+            `${resources.stylesheets.count} stylesheets ${formatBytes(resources.stylesheets.bytes)})`,
+        `- HTML compression: ${measurement.html.compression || 'none'}`
+    ];
+    if (measurement.redirects.length > 0) {
+        lines.push(`- Redirect chain: ${measurement.redirects.map(hop => `${hop.url} (${hop.status})`).join(' -> ')} -> ${measurement.finalUrl}`);
+    }
+    if (measurement.largestResources.length > 0) {
+        lines.push(`- Largest files: ${measurement.largestResources.slice(0, 3).map(asset => `${asset.url} (${formatBytes(asset.bytes)})`).join(', ')}`);
+    }
+    if (measurement.uncompressedText.length > 0) {
+        lines.push(`- ${measurement.uncompressedText.length} scripts/stylesheets are served without compression`);
+    }
+    if (measurement.poorlyCached.length > 0) {
+        lines.push(`- ${measurement.poorlyCached.length} static files have little or no browser caching`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    measurePageWeight,
+    describePerformance,
+    formatBytes
+};
@@ -0,0 +1,90 @@
+// Scrape provider registry.
+// A provider module exports { name, label, capabilities, isAvailable(context), create(context) };
+// create() returns { requestDelayMs, map(url), scrapePage(pageUrl), describe() } for one scrape:
+//   map(url)          -> { urls, sitemapComplete, skippedUrls? }
+//   scrapePage(url)   -> { url, finalUrl, status, html, markdown, title, description,
+//                          headers, etag, lastModified } or null when the page is unavailable
+// API Settings pick a primary provider and a fallback order from these names.
+
+const firecrawlProvider = require('./firecrawl-provider');
+const nativeProvider = require('./native-provider');
+const fixtureProvider = require('./fixture-provider');
+
+const PROVIDERS = [firecrawlProvider, nativeProvider, fixtureProvider];
+const PROVIDER_NAMES = PROVIDERS.map(provider => provider.name);
+
+function validationError(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+}
+
+function getProvider(name) {
+    return PROVIDERS.find(provider => provider.name === name) || null;
+}
+
+// Accept an array or a comma separated string of provider names
+function parseProviderList(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return list.map(name => String(name).trim().toLowerCase()).filter(Boolean);
+}
+
+// Check a primary provider and fallback list from API Settings; returns { primary, fallbacks }
+function normalizeProviderSettings(primary, fallbacks) {
+    const primaryName = String(primary || '').trim().toLowerCase();
+    if (!getProvider(primaryName)) {
+        throw validationError(`Unknown scrape provider "${primary}". Choose one of: ${PROVIDER_NAMES.join(', ')}`);
+    }
+
+    const fallbackNames = parseProviderList(fallbacks);
+    const unknown = fallbackNames.find(name => !getProvider(name));
+    if (unknown) {
+        throw validationError(`Unknown fallback scrape provider "${unknown}". Choose from: ${PROVIDER_NAMES.join(', ')}`);
+    }
+
+    return {
+        primary: primaryName,
+        fallbacks: [...new Set(fallbackNames)].filter(name => name !== primaryName)
+    };
+}
+
+// Instantiate the available providers, primary first, for one scrape.
+// context: { firecrawl, fixturesDir, scrapeOptions, userAgent, browserExecutablePath, signal, onProgress }
+function createProviders(primary, fallbacks, context) {
+    const order = [...new Set([primary, ...parseProviderList(fallbacks)])];
+    const providers = [];
+
+    for (const name of order) {
+        const provider = getProvider(name);
+        if (!provider) continue;
+        if (!provider.isAvailable(context)) {
+            console.log(`   ⚠️ Scrape provider "${name}" is not configured - skipping`);
+            continue;
+        }
+        providers.push({
+            name: provider.name,
+            label: provider.label,
+            capabilities: provider.capabilities,
+            ...provider.create(context)
+        });
+    }
+
+    return providers;
+}
+
+// Every registered provider with its capabilities and whether it can be used right now
+function describeProviders(context) {
+    return PROVIDERS.map(provider => ({
+        name: provider.name,
+        label: provider.label,
+        capabilities: provider.capabilities,
+        available: provider.isAvailable(context)
+    }));
+}
+
+module.exports = {
+    PROVIDER_NAMES,
+    normalizeProviderSettings,
+    createProviders,
+    describeProviders
+};
@@ -0,0 +1,212 @@
+// robots.txt politeness layer shared by every scrape path.
+// Fetches and caches robots.txt per origin, answers allow/disallow questions
+// for our bot token and exposes the site's Crawl-delay (capped at MAX_CRAWL_DELAY
+// seconds) and Sitemap entries.
+
+const { safeFetch } = require('./safe-fetch');
+
+const DEFAULT_USER_AGENT = 'SiteCloneBot/1.0 (compatible; website analysis for redesign proposals)';
+
+// robots.txt is re-fetched after an hour (RFC 9309 allows caching up to 24h);
+// an unreachable robots.txt is retried after a minute
+const ROBOTS_CACHE_TTL = 60 * 60 * 1000;
+const UNREACHABLE_CACHE_TTL = 60 * 1000;
+// Google reads the first 500 KiB of robots.txt; nobody needs more
+const MAX_ROBOTS_BYTES = 500 * 1024;
+// Longest Crawl-delay honoured, in seconds; "Crawl-delay: 86400" would stall a crawl for days
+const MAX_CRAWL_DELAY = 30;
+const robotsCache = new Map();
+
+// The product token robots.txt groups are matched against, e.g. "SiteCloneBot"
+function getRobotsToken(userAgent) {
+    const botMatch = (userAgent || '').match(/([A-Za-z0-9_-]*bot)\b/i);
+    if (botMatch) return botMatch[1];
+    return (userAgent || DEFAULT_USER_AGENT).split('/')[0].trim();
+}
+
+// Parse robots.txt into the rule group that applies to our token
+function parseRobotsTxt(text, userAgent) {
+    const token = getRobotsToken(userAgent).toLowerCase();
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of (text || '').split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+
+        const field = line.substring(0, separator).trim().toLowerCase();
+        const value = line.substring(separator + 1).trim();
+
+        if (field === 'user-agent') {
+            // Consecutive user-agent lines share one group
+            if (!lastWasAgent || !current) {
+                current = { agents: [], rules: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+
+        lastWasAgent = false;
+
+        if (field === 'sitemap') {
+            if (value) sitemaps.push(value);
+        } else if (current && (field === 'allow' || field === 'disallow')) {
+            // An empty Disallow means "allow everything" and adds no rule
+            if (value) current.rules.push({ allow: field === 'allow', path: value });
+        } else if (current && field === 'crawl-delay') {
+            const delay = parseFloat(value);
+            if (!isNaN(delay) && delay >= 0) current.crawlDelay = delay;
+        }
+    }
+
+    // Prefer groups naming our token, otherwise fall back to "*"
+    const matching = groups.filter(group => group.agents.some(agent => agent !== '*' && token.includes(agent)));
+    const applicable = matching.length > 0 ? matching : groups.filter(group => group.agents.includes('*'));
+
+    return {
+        rules: applicable.flatMap(group => group.rules),
+        crawlDelay: applicable.reduce((delay, group) => group.crawlDelay !== null ? Math.max(delay || 0, group.crawlDelay) : delay, null),
+        sitemaps
+    };
+}
+
+// Convert a robots.txt path pattern (supports * and $) into a RegExp
+function patternToRegex(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp('^' + body + (anchored ? '$' : ''));
+}
+
+// Longest matching rule wins; Allow wins a tie (RFC 9309)
+function isPathAllowed(rules, pathWithQuery) {
+    let best = null;
+
+    for (const rule of rules) {
+        if (!patternToRegex(rule.path).test(pathWithQuery)) continue;
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+            best = rule;
+        }
+    }
+
+    return !best || best.allow;
+}
+
+// error is why an 'unreachable' robots.txt could not be read: { message, timedOut }
+function buildPolicy(origin, parsed, source, error = null) {
+    return {
+        origin,
+        source, // 'robots.txt', 'none' (404), 'unreachable' or 'local' (not fetched from the site)
+        crawlDelay: parsed.crawlDelay === null ? null : Math.min(parsed.crawlDelay, MAX_CRAWL_DELAY),
+        requestedCrawlDelay: parsed.crawlDelay,
+        sitemaps: parsed.sitemaps,
+        error,
+        isAllowed(targetUrl) {
+            try {
+                const urlObj = new URL(targetUrl);
+                if (urlObj.origin !== origin) return true;
+                if (urlObj.pathname === '/robots.txt') return true;
+                return isPathAllowed(parsed.rules, urlObj.pathname + urlObj.search);
+            } catch {
+                return false;
+            }
+        }
+    };
+}
+
+// Read at most MAX_ROBOTS_BYTES of the body; a longer file is cut after its last complete line
+async function readRobotsTxt(response, origin) {
+    if (!response.body) return '';
+    const reader = response.body.getReader();
+    const chunks = [];
+    let received = 0;
+
+    // Read one byte past the limit to tell a file of exactly MAX_ROBOTS_BYTES from a longer one
+    while (received <= MAX_ROBOTS_BYTES) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        received += value.byteLength;
+    }
+
+    const body = Buffer.concat(chunks);
+    if (received <= MAX_ROBOTS_BYTES) return new TextDecoder().decode(body);
+
+    await reader.cancel().catch(() => null);
+    console.log(`   ⚠️ robots.txt for ${origin} is larger than ${MAX_ROBOTS_BYTES} bytes - reading the first ${MAX_ROBOTS_BYTES}`);
+    const text = new TextDecoder().decode(body.subarray(0, MAX_ROBOTS_BYTES));
+    return text.substring(0, text.lastIndexOf('\n') + 1);
+}
+
+// Fetch (or reuse) the robots.txt policy for the origin of targetUrl
+async function getRobotsPolicy(targetUrl, userAgent = DEFAULT_USER_AGENT) {
+    const origin = new URL(targetUrl).origin;
+    const cacheKey = `${origin}|${getRobotsToken(userAgent)}`;
+    const cached = robotsCache.get(cacheKey);
+
+    const ttl = cached && cached.policy.source === 'unreachable' ? UNREACHABLE_CACHE_TTL : ROBOTS_CACHE_TTL;
+    if (cached && Date.now() - cached.fetchedAt < ttl) {
+        return cached.policy;
+    }
+
+    let policy;
+    try {
+        // No size limit here: readRobotsTxt stops reading at MAX_ROBOTS_BYTES itself
+        const response = await safeFetch(`${origin}/robots.txt`, {
+            headers: { 'User-Agent': userAgent },
+            timeout: 10000,
+            maxBytes: Infinity
+        });
+
+        if (response.ok) {
+            policy = buildPolicy(origin, parseRobotsTxt(await readRobotsTxt(response, origin), userAgent), 'robots.txt');
+        } else if (response.status >= 400 && response.status < 500) {
+            // No robots.txt (or access denied to it) means no restrictions
+            policy = buildPolicy(origin, { rules: [], crawlDelay: null, sitemaps: [] }, 'none');
+        } else {
+            throw new Error(`robots.txt returned HTTP ${response.status}`);
+        }
+    } catch (error) {
+        // Unreachable robots.txt means complete disallow (RFC 9309)
+        console.log(`   ⚠️ Could not read robots.txt for ${origin}: ${error.message} - treating site as disallowed`);
+        policy = buildPolicy(origin, { rules: [{ allow: false, path: '/' }], crawlDelay: null, sitemaps: [] }, 'unreachable', {
+            message: error.message,
+            timedOut: error.name === 'TimeoutError'
+        });
+    }
+
+    robotsCache.set(cacheKey, { policy, fetchedAt: Date.now() });
+
+    if (policy.requestedCrawlDelay > MAX_CRAWL_DELAY) {
+        console.log(`   🤖 robots.txt for ${origin} requests Crawl-delay: ${policy.requestedCrawlDelay}s - waiting ${MAX_CRAWL_DELAY}s instead`);
+    } else if (policy.crawlDelay) {
+        console.log(`   🤖 robots.txt for ${origin} requests Crawl-delay: ${policy.crawlDelay}s`);
+    }
+
+    return policy;
+}
+
+// Policy for pages that never come from the site itself (the offline fixture provider)
+function getLocalPolicy(targetUrl) {
+    return buildPolicy(new URL(targetUrl).origin, { rules: [], crawlDelay: null, sitemaps: [] }, 'local');
+}
+
+function clearRobotsCache() {
+    robotsCache.clear();
+}
+
+module.exports = {
+    DEFAULT_USER_AGENT,
+    MAX_CRAWL_DELAY,
+    getRobotsPolicy,
+    getLocalPolicy,
+    parseRobotsTxt,
+    clearRobotsCache
+};
@@ -0,0 +1,335 @@
+// Outbound request guard used for every server-side fetch of a user-supplied site.
+// Blocks private, loopback, link-local (cloud metadata) and other reserved addresses:
+// DNS answers are checked when each connection is opened, so a hostname that re-resolves
+// to an internal address between checks (DNS rebinding) is still refused; every redirect
+// hop is re-checked; and responses are capped in time and size.
+// Clients that resolve hostnames themselves (headless Chromium) are pointed at
+// startGuardedProxy(), which opens every connection through the same check.
+// SSRF_ALLOWLIST (comma separated hostnames, "*.suffix" wildcards, IPs or CIDR ranges)
+// opens exceptions for development, e.g. SSRF_ALLOWLIST=localhost,127.0.0.1,10.0.0.0/8.
+
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const { Agent, fetch: undiciFetch } = require('undici');
+
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+// Statuses that must not carry a body when the response is rebuilt
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+// [address, prefix length, family]
+const BLOCKED_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'], // "this network"
+    ['10.0.0.0', 8, 'ipv4'], // private
+    ['100.64.0.0', 10, 'ipv4'], // carrier-grade NAT
+    ['127.0.0.0', 8, 'ipv4'], // loopback
+    ['169.254.0.0', 16, 'ipv4'], // link-local, incl. 169.254.169.254 metadata
+    ['172.16.0.0', 12, 'ipv4'], // private
+    ['192.0.0.0', 24, 'ipv4'], // IETF protocol assignments
+    ['192.0.2.0', 24, 'ipv4'], // documentation
+    ['192.88.99.0', 24, 'ipv4'], // 6to4 relay
+    ['192.168.0.0', 16, 'ipv4'], // private
+    ['198.18.0.0', 15, 'ipv4'], // benchmarking
+    ['198.51.100.0', 24, 'ipv4'], // documentation
+    ['203.0.113.0', 24, 'ipv4'], // documentation
+    ['224.0.0.0', 4, 'ipv4'], // multicast
+    ['240.0.0.0', 4, 'ipv4'], // reserved and broadcast
+    ['::', 128, 'ipv6'], // unspecified
+    ['::1', 128, 'ipv6'], // loopback
+    ['64:ff9b::', 96, 'ipv6'], // NAT64 (embeds IPv4)
+    ['100::', 64, 'ipv6'], // discard
+    ['2001:db8::', 32, 'ipv6'], // documentation
+    ['fc00::', 7, 'ipv6'], // unique local, incl. fd00:ec2::254 metadata
+    ['fe80::', 10, 'ipv6'], // link-local
+    ['ff00::', 8, 'ipv6'] // multicast
+];
+
+const blockList = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, prefix, family]) => blockList.addSubnet(address, prefix, family));
+
+function blockedUrlError(message) {
+    const error = new Error(message);
+    error.name = 'BlockedUrlError';
+    return error;
+}
+
+function responseTooLargeError(message) {
+    const error = new Error(message);
+    error.name = 'ResponseTooLargeError';
+    return error;
+}
+
+function tooManyRedirectsError(message) {
+    const error = new Error(message);
+    error.name = 'TooManyRedirectsError';
+    return error;
+}
+
+// Development exceptions from SSRF_ALLOWLIST: hostnames and address ranges
+function parseAllowlist(value) {
+    const hosts = [];
+    const addresses = new net.BlockList();
+
+    for (const entry of String(value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean)) {
+        const [address, prefix] = entry.split('/');
+        const family = net.isIP(address);
+        if (family && prefix !== undefined) {
+            addresses.addSubnet(address, Number(prefix), family === 6 ? 'ipv6' : 'ipv4');
+        } else if (family) {
+            addresses.addAddress(address, family === 6 ? 'ipv6' : 'ipv4');
+        } else {
+            hosts.push(entry);
+        }
+    }
+
+    return { hosts, addresses };
+}
+
+const allowlist = parseAllowlist(process.env.SSRF_ALLOWLIST);
+
+function isHostAllowlisted(hostname) {
+    const host = hostname.toLowerCase();
+    return allowlist.hosts.some(entry => (entry.startsWith('*.') ? host.endsWith(entry.slice(1)) : host === entry));
+}
+
+// True for addresses outside the public internet, unless the allowlist opens them
+function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return true;
+    const type = family === 6 ? 'ipv6' : 'ipv4';
+    if (allowlist.addresses.check(address, type)) return false;
+    return blockList.check(address, type);
+}
+
+function stripBrackets(hostname) {
+    return hostname.startsWith('[') && hostname.endsWith(']') ? hostname.slice(1, -1) : hostname;
+}
+
+// Synchronous part of the check: protocol and literal IP hosts (which skip DNS lookup)
+function assertAllowedUrl(targetUrl) {
+    let urlObj;
+    try {
+        urlObj = new URL(targetUrl);
+    } catch {
+        throw blockedUrlError(`Invalid URL: ${targetUrl}`);
+    }
+
+    if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+        throw blockedUrlError(`Only http and https URLs can be fetched (got ${urlObj.protocol})`);
+    }
+
+    const hostname = stripBrackets(urlObj.hostname);
+    if (net.isIP(hostname) && !isHostAllowlisted(hostname) && isBlockedAddress(hostname)) {
+        throw blockedUrlError(`Requests to private or reserved addresses are not allowed (${hostname})`);
+    }
+    return urlObj;
+}
+
+// dns.lookup replacement that refuses hostnames resolving to a blocked address.
+// Used at connect time by the fetch agent and by raw TLS sockets.
+function guardedLookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        if (!isHostAllowlisted(hostname)) {
+            const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+            if (blocked) {
+                return callback(blockedUrlError(`Requests to private or reserved addresses are not allowed (${hostname} resolves to ${blocked.address})`));
+            }
+        }
+
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// Resolve a URL's host up front so callers can refuse it with a clear error before
+// scraping. Unresolvable hosts pass: the fetch itself fails, and is checked again then.
+async function assertPublicUrl(targetUrl) {
+    const urlObj = assertAllowedUrl(targetUrl);
+    const hostname = stripBrackets(urlObj.hostname);
+    if (net.isIP(hostname) || isHostAllowlisted(hostname)) return;
+
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch {
+        return;
+    }
+
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+        throw blockedUrlError(`Requests to private or reserved addresses are not allowed (${hostname} resolves to ${blocked.address})`);
+    }
+}
+
+const agent = new Agent({ connect: { lookup: guardedLookup } });
+
+// Pass the body through, failing once more than maxBytes have arrived
+function limitBody(response, maxBytes, targetUrl) {
+    // HEAD responses declare a length but carry no body
+    if (!response.body) return null;
+
+    const declared = Number(response.headers.get('content-length'));
+    if (declared > maxBytes) {
+        response.body?.cancel().catch(() => null);
+        throw responseTooLargeError(`Response from ${targetUrl} is larger than ${maxBytes} bytes`);
+    }
+
+    let received = 0;
+    return response.body.pipeThrough(new TransformStream({
+        transform(chunk, controller) {
+            received += chunk.byteLength;
+            if (received > maxBytes) {
+                controller.error(responseTooLargeError(`Response from ${targetUrl} is larger than ${maxBytes} bytes`));
+            } else {
+                controller.enqueue(chunk);
+            }
+        }
+    }));
+}
+
+// fetch() for user-supplied URLs. Accepts the usual init plus:
+//   timeout  - overall limit in ms for the request and its redirects (default 30s)
+//   maxBytes - response body limit (default 10 MB); reading past it throws ResponseTooLargeError
+// Redirects are followed one hop at a time (redirect: 'follow', the default) so every
+// hop is checked; with redirect: 'manual' the 3xx response is returned as is.
+// Throws BlockedUrlError for private, loopback, link-local and reserved destinations.
+async function safeFetch(targetUrl, init = {}) {
+    const { timeout = DEFAULT_TIMEOUT, maxBytes = DEFAULT_MAX_BYTES, redirect = 'follow', signal, ...rest } = init;
+    const requestSignal = signal
+        ? AbortSignal.any([signal, AbortSignal.timeout(timeout)])
+        : AbortSignal.timeout(timeout);
+    let currentUrl = targetUrl;
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        assertAllowedUrl(currentUrl);
+
+        let response;
+        try {
+            response = await undiciFetch(currentUrl, { ...rest, redirect: 'manual', signal: requestSignal, dispatcher: agent });
+        } catch (error) {
+            // undici wraps connect failures in "fetch failed"; surface the guard's own error
+            if (error.cause && error.cause.name === 'BlockedUrlError') throw error.cause;
+            throw error;
+        }
+
+        const location = response.headers.get('location');
+        if (redirect === 'follow' && response.status >= 300 && response.status < 400 && location) {
+            await response.body?.cancel().catch(() => null);
+            currentUrl = new URL(location, currentUrl).href;
+            continue;
+        }
+
+        const body = NULL_BODY_STATUSES.includes(response.status) ? null : limitBody(response, maxBytes, currentUrl);
+        const limited = new Response(body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers
+        });
+        // Response.url is read-only on the prototype; report where the redirects ended
+        Object.defineProperty(limited, 'url', { value: currentUrl });
+        return limited;
+    }
+
+    throw tooManyRedirectsError(`Too many redirects (more than ${MAX_REDIRECTS}) starting at ${targetUrl}`);
+}
+
+// Open a TCP connection to host:port through the address guard (literal IPs are
+// checked directly, hostnames when guardedLookup resolves them)
+function connectGuarded(host, port) {
+    return new Promise((resolve, reject) => {
+        const hostname = stripBrackets(host);
+        if (net.isIP(hostname) && !isHostAllowlisted(hostname) && isBlockedAddress(hostname)) {
+            return reject(blockedUrlError(`Requests to private or reserved addresses are not allowed (${hostname})`));
+        }
+        const socket = net.connect({ host: hostname, port: Number(port), lookup: guardedLookup });
+        socket.once('connect', () => resolve(socket));
+        socket.once('error', reject);
+    });
+}
+
+// Forward proxy on 127.0.0.1 for clients that do their own DNS (headless Chromium):
+// HTTPS and WebSocket tunnels (CONNECT) and plain HTTP requests are only opened to
+// addresses the guard allows, checked at connect time like safeFetch().
+// Resolves to the listening http.Server; its address().port goes in --proxy-server.
+function startGuardedProxy() {
+    const refuse = (error) => (error.name === 'BlockedUrlError' ? 403 : 502);
+
+    const proxy = http.createServer(async (req, res) => {
+        let target;
+        try {
+            target = new URL(req.url);
+            if (target.protocol !== 'http:') throw blockedUrlError(`Only http requests can be proxied (got ${target.protocol})`);
+        } catch (error) {
+            res.writeHead(400).end(error.message);
+            return;
+        }
+
+        try {
+            const socket = await connectGuarded(target.hostname, target.port || 80);
+            const headers = { ...req.headers };
+            delete headers['proxy-connection'];
+            delete headers['proxy-authorization'];
+            const upstream = http.request({
+                method: req.method,
+                path: `${target.pathname}${target.search}`,
+                headers,
+                createConnection: () => socket
+            }, upstreamRes => {
+                res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+                upstreamRes.pipe(res);
+            });
+            upstream.on('error', () => res.destroy());
+            req.pipe(upstream);
+        } catch (error) {
+            res.writeHead(refuse(error)).end(error.message);
+        }
+    });
+
+    proxy.on('connect', async (req, clientSocket, head) => {
+        clientSocket.on('error', () => null);
+        let target;
+        try {
+            target = new URL(`http://${req.url}`);
+        } catch {
+            clientSocket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        try {
+            const socket = await connectGuarded(target.hostname, target.port || 443);
+            socket.on('error', () => clientSocket.destroy());
+            clientSocket.on('close', () => socket.destroy());
+            clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+            if (head && head.length > 0) socket.write(head);
+            socket.pipe(clientSocket);
+            clientSocket.pipe(socket);
+        } catch (error) {
+            clientSocket.end(`HTTP/1.1 ${refuse(error)} ${refuse(error) === 403 ? 'Forbidden' : 'Bad Gateway'}\r\n\r\n`);
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        proxy.once('error', reject);
+        proxy.listen(0, '127.0.0.1', () => {
+            proxy.unref();
+            resolve(proxy);
+        });
+    });
+}
+
+module.exports = {
+    safeFetch,
+    assertPublicUrl,
+    guardedLookup,
+    isBlockedAddress,
+    startGuardedProxy
+};
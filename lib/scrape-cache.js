@@ -0,0 +1,119 @@
+// Persistent per-URL scrape cache.
+// Each scrape result is stored as a JSON file keyed by a hash of its URL, so
+// re-scraping a prospect reuses earlier work instead of burning credits and time.
+// Stale native-path entries can be revalidated with ETag/Last-Modified.
+// Scrapes run with non-default options are stored under a separate variant key.
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { safeFetch } = require('./safe-fetch');
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', 'scrape-cache');
+
+function getCacheDir() {
+    return process.env.SCRAPE_CACHE_DIR || DEFAULT_CACHE_DIR;
+}
+
+// Cache key: the URL without hash and trailing slash, lower-cased host
+function normalizeCacheUrl(targetUrl) {
+    try {
+        const urlObj = new URL(targetUrl);
+        urlObj.hash = '';
+        return urlObj.href.replace(/\/$/, '');
+    } catch {
+        return targetUrl;
+    }
+}
+
+function getCachePath(targetUrl, variant = '') {
+    const key = variant ? `${normalizeCacheUrl(targetUrl)}\n${variant}` : normalizeCacheUrl(targetUrl);
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(getCacheDir(), `${hash}.json`);
+}
+
+// Read a cache entry, or null if there is none (or it is unreadable)
+async function getCachedScrape(targetUrl, variant = '') {
+    try {
+        const entry = JSON.parse(await fs.readFile(getCachePath(targetUrl, variant), 'utf8'));
+        return entry && entry.result ? entry : null;
+    } catch {
+        return null;
+    }
+}
+
+function isFresh(entry, ttlMs) {
+    return Date.now() - new Date(entry.cachedAt).getTime() < ttlMs;
+}
+
+// Store a scrape result with the HTTP validators of the pages it came from
+async function saveCachedScrape(targetUrl, result, validators = [], variant = '') {
+    const entry = {
+        url: normalizeCacheUrl(targetUrl),
+        variant: variant || undefined,
+        cachedAt: new Date().toISOString(),
+        validators,
+        result
+    };
+
+    try {
+        await fs.mkdir(getCacheDir(), { recursive: true });
+        await fs.writeFile(getCachePath(targetUrl, variant), JSON.stringify(entry));
+    } catch (error) {
+        // A read-only filesystem (e.g. serverless) just means no caching
+        console.log('⚠️ Could not write scrape cache:', error.message);
+    }
+
+    return entry;
+}
+
+// Mark an entry as fresh again after a successful revalidation
+async function touchCachedScrape(targetUrl, entry) {
+    return saveCachedScrape(targetUrl, entry.result, entry.validators, entry.variant);
+}
+
+async function deleteCachedScrape(targetUrl, variant = '') {
+    try {
+        await fs.unlink(getCachePath(targetUrl, variant));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Ask the origin whether every cached page is unchanged (all 304 Not Modified).
+// Pages without an ETag or Last-Modified cannot be revalidated.
+async function revalidateCachedScrape(entry, userAgent) {
+    const validators = entry.validators || [];
+    if (validators.length === 0) return false;
+
+    for (const validator of validators) {
+        if (!validator.etag && !validator.lastModified) return false;
+
+        const headers = { 'User-Agent': userAgent };
+        if (validator.etag) headers['If-None-Match'] = validator.etag;
+        if (validator.lastModified) headers['If-Modified-Since'] = validator.lastModified;
+
+        try {
+            const response = await safeFetch(validator.url, { headers, timeout: 10000 });
+
+            // Drain the body so the connection can be reused
+            await response.arrayBuffer().catch(() => null);
+
+            if (response.status !== 304) return false;
+        } catch {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+module.exports = {
+    getCachedScrape,
+    saveCachedScrape,
+    touchCachedScrape,
+    deleteCachedScrape,
+    revalidateCachedScrape,
+    isFresh
+};
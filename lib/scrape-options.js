@@ -0,0 +1,195 @@
+// Per-request scrape options accepted by /api/scrape.
+// Validates the client's options object against the defaults both scrape
+// paths used to hard-code, and matches page URLs against include/exclude globs.
+
+// Pages worth scraping first on any site (about, services, contact, products, etc.)
+const DEFAULT_PRIORITY_KEYWORDS = ['about', 'service', 'contact', 'product', 'team', 'portfolio', 'pricing', 'features'];
+
+const DEFAULT_SCRAPE_OPTIONS = {
+    maxPages: 8,
+    discoveryLimit: 100,
+    includePaths: [],
+    excludePaths: [],
+    priorityKeywords: DEFAULT_PRIORITY_KEYWORDS,
+    includeSubdomains: false,
+    pageTimeoutSeconds: null, // null keeps each scraper's own default
+    onlyMainContent: true,
+    renderJavaScript: false // native path only: render pages in headless Chromium
+};
+
+const LIMITS = {
+    maxPages: [1, 25],
+    discoveryLimit: [1, 500],
+    pageTimeoutSeconds: [5, 120]
+};
+const MAX_PATTERNS = 20;
+const MAX_KEYWORDS = 30;
+
+function validationError(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+}
+
+function readInteger(value, name) {
+    const number = Number(value);
+    const [min, max] = LIMITS[name];
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw validationError(`options.${name} must be a whole number from ${min} to ${max}`);
+    }
+    return number;
+}
+
+// Accept an array or a comma/newline separated string of short, non-empty entries
+function readList(value, name, maxEntries) {
+    const list = Array.isArray(value) ? value : String(value).split(/[,\n]/);
+    const entries = list
+        .map(entry => (typeof entry === 'string' ? entry.trim() : ''))
+        .filter(Boolean);
+
+    if (entries.length > maxEntries) {
+        throw validationError(`options.${name} accepts at most ${maxEntries} entries`);
+    }
+    if (entries.some(entry => entry.length > 200)) {
+        throw validationError(`options.${name} entries must be under 200 characters`);
+    }
+    return entries;
+}
+
+function readBoolean(value, name) {
+    if (typeof value === 'boolean') return value;
+    if (value === 'true' || value === 'false') return value === 'true';
+    throw validationError(`options.${name} must be true or false`);
+}
+
+// Validate a client options object and fill in the defaults.
+// defaults overrides the built-in defaults (e.g. renderJavaScript from API Settings).
+function normalizeScrapeOptions(rawOptions, defaults = {}) {
+    if (rawOptions === undefined || rawOptions === null) return { ...DEFAULT_SCRAPE_OPTIONS, ...defaults };
+    if (typeof rawOptions !== 'object' || Array.isArray(rawOptions)) {
+        throw validationError('options must be an object');
+    }
+
+    const options = { ...DEFAULT_SCRAPE_OPTIONS, ...defaults };
+    const has = (name) => rawOptions[name] !== undefined && rawOptions[name] !== null && rawOptions[name] !== '';
+
+    if (has('maxPages')) options.maxPages = readInteger(rawOptions.maxPages, 'maxPages');
+    if (has('discoveryLimit')) options.discoveryLimit = readInteger(rawOptions.discoveryLimit, 'discoveryLimit');
+    if (has('pageTimeoutSeconds')) options.pageTimeoutSeconds = readInteger(rawOptions.pageTimeoutSeconds, 'pageTimeoutSeconds');
+    if (has('includePaths')) options.includePaths = readList(rawOptions.includePaths, 'includePaths', MAX_PATTERNS);
+    if (has('excludePaths')) options.excludePaths = readList(rawOptions.excludePaths, 'excludePaths', MAX_PATTERNS);
+    if (has('includeSubdomains')) options.includeSubdomains = readBoolean(rawOptions.includeSubdomains, 'includeSubdomains');
+    if (has('onlyMainContent')) options.onlyMainContent = readBoolean(rawOptions.onlyMainContent, 'onlyMainContent');
+    if (has('renderJavaScript')) options.renderJavaScript = readBoolean(rawOptions.renderJavaScript, 'renderJavaScript');
+    if (has('priorityKeywords')) {
+        const keywords = readList(rawOptions.priorityKeywords, 'priorityKeywords', MAX_KEYWORDS).map(keyword => keyword.toLowerCase());
+        if (keywords.length > 0) options.priorityKeywords = keywords;
+    }
+
+    return options;
+}
+
+// Stable identity of non-default options, so differently-configured scrapes of one URL cache separately
+function getScrapeOptionsKey(options) {
+    const changed = Object.keys(DEFAULT_SCRAPE_OPTIONS)
+        .filter(name => JSON.stringify(options[name]) !== JSON.stringify(DEFAULT_SCRAPE_OPTIONS[name]))
+        .map(name => [name, options[name]]);
+    return changed.length > 0 ? JSON.stringify(changed) : '';
+}
+
+// "/menu*" matches /menu and /menus; "/providers/**" matches everything below /providers/.
+// Patterns without a leading slash match anywhere in the path. Returns a test(path)
+// matcher that walks the pattern's states side by side, so it stays linear in the
+// path length however many wildcards a (client-supplied) pattern has.
+function compileGlob(pattern) {
+    const tokens = [];
+    if (!pattern.startsWith('/')) tokens.push('**');
+    for (let i = 0; i < pattern.length; i++) {
+        if (pattern[i] === '*' && pattern[i + 1] === '*') {
+            tokens.push('**');
+            i++;
+        } else {
+            tokens.push(pattern[i].toLowerCase());
+        }
+    }
+
+    // Add the states reachable without consuming a character (wildcards match nothing)
+    const close = (states) => {
+        for (let i = 0; i < tokens.length; i++) {
+            if (states[i] && (tokens[i] === '*' || tokens[i] === '**')) states[i + 1] = true;
+        }
+        return states;
+    };
+
+    const matches = (text) => {
+        let states = close([true]);
+        for (const char of text) {
+            const next = [];
+            states.forEach((active, i) => {
+                if (!active || i === tokens.length) return;
+                const token = tokens[i];
+                if (token === '**' || (token === '*' && char !== '/')) next[i] = true;
+                else if (token === '?' || token === char) next[i + 1] = true;
+            });
+            states = close(next);
+            if (!states.some(Boolean)) return false;
+        }
+        return !!states[tokens.length];
+    };
+
+    return {
+        test(pathname) {
+            const text = pathname.toLowerCase();
+            return matches(text) || (text.endsWith('/') && matches(text.slice(0, -1)));
+        }
+    };
+}
+
+// Build a predicate for page URLs from the include/exclude globs.
+// The start URL is always allowed so a scrape never ends up empty-handed.
+function createUrlFilter(options, startUrl) {
+    const includes = (options.includePaths || []).map(compileGlob);
+    const excludes = (options.excludePaths || []).map(compileGlob);
+    let startPath = null;
+    try {
+        startPath = new URL(startUrl).pathname;
+    } catch {
+        // No start URL exemption
+    }
+
+    return (pageUrl) => {
+        let pathname;
+        try {
+            pathname = new URL(pageUrl).pathname;
+        } catch {
+            return false;
+        }
+        if (pathname === startPath) return true;
+        if (excludes.some(glob => glob.test(pathname))) return false;
+        return includes.length === 0 || includes.some(glob => glob.test(pathname));
+    };
+}
+
+// Same host, or (with includeSubdomains) any subdomain of the start URL's registrable host
+function isInScope(candidateUrl, startUrl, includeSubdomains) {
+    try {
+        const candidate = new URL(candidateUrl);
+        const start = new URL(startUrl);
+        if (candidate.protocol !== start.protocol && !includeSubdomains) return false;
+        if (candidate.origin === start.origin) return true;
+        if (!includeSubdomains) return false;
+        const baseHost = start.hostname.replace(/^www\./, '');
+        return candidate.hostname === baseHost || candidate.hostname.endsWith(`.${baseHost}`);
+    } catch {
+        return false;
+    }
+}
+
+module.exports = {
+    DEFAULT_PRIORITY_KEYWORDS,
+    DEFAULT_SCRAPE_OPTIONS,
+    normalizeScrapeOptions,
+    getScrapeOptionsKey,
+    createUrlFilter,
+    isInScope
+};
@@ -0,0 +1,262 @@
+// Security posture of a prospect's site: response security headers, cookie
+// flags, whether plain HTTP upgrades to HTTPS, and the TLS certificate seen
+// in the handshake. Findings are plain language so outreach copy can quote them.
+
+const tls = require('tls');
+const { DEFAULT_USER_AGENT } = require('./robots');
+const { throwIfCancelled } = require('./jobs');
+const { safeFetch, guardedLookup } = require('./safe-fetch');
+
+const REQUEST_TIMEOUT = 10000;
+const MAX_REDIRECTS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// HSTS shorter than this (180 days) is too short to protect repeat visitors
+const MIN_HSTS_MAX_AGE = 15552000;
+const CERT_EXPIRY_WARNING_DAYS = 30;
+
+function requestSignal(signal) {
+    return signal
+        ? AbortSignal.any([signal, AbortSignal.timeout(REQUEST_TIMEOUT)])
+        : AbortSignal.timeout(REQUEST_TIMEOUT);
+}
+
+// Follow redirects by hand from startUrl, returning every hop and the final response
+async function followRedirects(startUrl, options) {
+    const hops = [];
+    let currentUrl = startUrl;
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        const response = await safeFetch(currentUrl, {
+            headers: { 'User-Agent': options.userAgent },
+            redirect: 'manual',
+            signal: requestSignal(options.signal)
+        });
+        await response.body?.cancel().catch(() => null);
+
+        const location = response.headers.get('location');
+        if (response.status >= 300 && response.status < 400 && location) {
+            const nextUrl = new URL(location, currentUrl).href;
+            hops.push({ url: currentUrl, status: response.status, location: nextUrl });
+            currentUrl = nextUrl;
+            continue;
+        }
+        return { hops, finalUrl: currentUrl, response };
+    }
+    return { hops, finalUrl: currentUrl, response: null };
+}
+
+function parseHsts(value) {
+    if (!value) return { present: false };
+    const maxAge = value.match(/max-age\s*=\s*"?(\d+)/i);
+    return {
+        present: true,
+        value,
+        maxAge: maxAge ? Number(maxAge[1]) : null,
+        includeSubDomains: /includesubdomains/i.test(value),
+        preload: /preload/i.test(value)
+    };
+}
+
+function readSecurityHeaders(headers) {
+    const csp = headers.get('content-security-policy');
+    return {
+        hsts: parseHsts(headers.get('strict-transport-security')),
+        contentSecurityPolicy: csp || null,
+        contentSecurityPolicyReportOnly: headers.get('content-security-policy-report-only') || null,
+        xFrameOptions: headers.get('x-frame-options') || null,
+        frameAncestors: csp && /frame-ancestors/i.test(csp) ? csp.match(/frame-ancestors[^;]*/i)[0].trim() : null,
+        referrerPolicy: headers.get('referrer-policy') || null,
+        xContentTypeOptions: headers.get('x-content-type-options') || null,
+        permissionsPolicy: headers.get('permissions-policy') || null,
+        server: headers.get('server') || null,
+        poweredBy: headers.get('x-powered-by') || null
+    };
+}
+
+// Name and security attributes of each Set-Cookie header (never the value)
+function readCookies(headers) {
+    const cookies = typeof headers.getSetCookie === 'function' ? headers.getSetCookie() : [];
+    return cookies.map(cookie => {
+        const [pair, ...attributes] = cookie.split(';').map(part => part.trim());
+        const flags = attributes.map(attribute => attribute.toLowerCase());
+        const sameSite = flags.find(flag => flag.startsWith('samesite='));
+        return {
+            name: pair.split('=')[0],
+            secure: flags.includes('secure'),
+            httpOnly: flags.includes('httponly'),
+            sameSite: sameSite ? sameSite.split('=')[1] : null
+        };
+    });
+}
+
+function formatDistinguishedName(name) {
+    if (!name) return null;
+    return name.O || name.CN || Object.values(name).join(', ') || null;
+}
+
+// Certificate details from a TLS handshake. Untrusted certificates are still
+// read (rejectUnauthorized: false) so the report can say why they fail.
+function inspectCertificate(hostname, port = 443) {
+    return new Promise((resolve) => {
+        // Hostnames go through the same address guard as every fetch
+        const socket = tls.connect({ host: hostname, port, servername: hostname, rejectUnauthorized: false, lookup: guardedLookup });
+        const finish = (result) => {
+            socket.destroy();
+            resolve(result);
+        };
+
+        socket.setTimeout(REQUEST_TIMEOUT, () => finish({ error: 'TLS handshake timed out' }));
+        socket.once('error', (error) => finish({ error: error.code || error.message }));
+        socket.once('secureConnect', () => {
+            const certificate = socket.getPeerCertificate();
+            if (!certificate || !certificate.valid_to) {
+                return finish({ error: 'No certificate presented' });
+            }
+
+            const validTo = new Date(certificate.valid_to);
+            finish({
+                subject: certificate.subject ? certificate.subject.CN || null : null,
+                issuer: formatDistinguishedName(certificate.issuer),
+                validFrom: new Date(certificate.valid_from).toISOString(),
+                validTo: validTo.toISOString(),
+                daysRemaining: Math.floor((validTo.getTime() - Date.now()) / DAY_MS),
+                altNames: (certificate.subjectaltname || '').split(',').map(name => name.trim().replace(/^DNS:/, '')).filter(Boolean),
+                authorized: socket.authorized,
+                authorizationError: socket.authorized ? null : String(socket.authorizationError || ''),
+                protocol: socket.getProtocol()
+            });
+        });
+    });
+}
+
+function buildFindings(report) {
+    const findings = [];
+    const add = (severity, message) => findings.push({ severity, message });
+    const { headers, certificate } = report;
+
+    // With no response at all there is nothing to say about HTTPS
+    if (headers && !report.httpsAvailable) {
+        add('high', 'The website does not work over HTTPS at all, so every visit is unencrypted and browsers label it "Not secure"');
+    } else if (headers && report.httpRedirectsToHttps === false) {
+        add('high', 'Visitors who type the address without https:// stay on an unencrypted connection - HTTP is not redirected to HTTPS');
+    }
+
+    if (certificate && !certificate.error) {
+        if (certificate.daysRemaining < 0) {
+            add('high', `The SSL certificate expired ${-certificate.daysRemaining} days ago, so browsers show a full-page security warning`);
+        } else if (certificate.daysRemaining <= CERT_EXPIRY_WARNING_DAYS) {
+            add('medium', `The SSL certificate expires in ${certificate.daysRemaining} days (${certificate.validTo.substring(0, 10)})`);
+        }
+        if (!certificate.authorized) {
+            add('high', `Browsers do not trust the SSL certificate (${certificate.authorizationError || 'untrusted'})`);
+        }
+        if (certificate.protocol && /^(SSLv3|TLSv1(\.1)?)$/.test(certificate.protocol)) {
+            add('medium', `The server still negotiates the outdated ${certificate.protocol} protocol`);
+        }
+    }
+
+    if (headers) {
+        if (report.httpsAvailable && !headers.hsts.present) {
+            add('medium', 'No HSTS header, so browsers are not told to always use the secure version of the site');
+        } else if (headers.hsts.present && headers.hsts.maxAge !== null && headers.hsts.maxAge < MIN_HSTS_MAX_AGE) {
+            const days = Math.floor(headers.hsts.maxAge / 86400);
+            add('low', `HSTS is only remembered for ${days >= 1 ? `${days} days` : `${headers.hsts.maxAge} seconds`}`);
+        }
+        if (!headers.contentSecurityPolicy) {
+            add('medium', 'No Content-Security-Policy, leaving visitors less protected against injected scripts');
+        }
+        if (!headers.xFrameOptions && !headers.frameAncestors) {
+            add('medium', 'The site can be embedded in other websites (no X-Frame-Options), which enables clickjacking');
+        }
+        if (!headers.referrerPolicy) {
+            add('low', 'No Referrer-Policy, so full page addresses leak to every external site visitors click through to');
+        }
+        if (!headers.xContentTypeOptions) {
+            add('low', 'No X-Content-Type-Options: nosniff header');
+        }
+        if (headers.poweredBy || (headers.server && /\d/.test(headers.server))) {
+            add('low', `The server advertises its software version (${[headers.server, headers.poweredBy].filter(Boolean).join(', ')}), helping attackers pick exploits`);
+        }
+    }
+
+    const insecureCookies = report.cookies.filter(cookie => (report.httpsAvailable && !cookie.secure) || !cookie.httpOnly);
+    if (insecureCookies.length > 0) {
+        add('medium', `${insecureCookies.length} cookie(s) (${insecureCookies.slice(0, 3).map(cookie => cookie.name).join(', ')}) are missing the Secure or HttpOnly flag`);
+    }
+
+    return findings;
+}
+
+// Inspect the security posture of the site behind siteUrl
+async function checkSecurity(siteUrl, options = {}) {
+    const settings = { userAgent: options.userAgent || DEFAULT_USER_AGENT, signal: options.signal };
+    const { hostname, port, pathname } = new URL(siteUrl);
+    const defaultPort = !port;
+
+    console.log('🔒 Checking security headers and TLS for:', hostname);
+
+    const report = {
+        url: siteUrl,
+        httpsAvailable: false,
+        httpRedirectsToHttps: null,
+        httpRedirectChain: [],
+        headers: null,
+        cookies: [],
+        certificate: null,
+        checkedAt: null
+    };
+
+    // Does plain HTTP upgrade to HTTPS?
+    try {
+        const httpUrl = `http://${hostname}${defaultPort ? '' : `:${port}`}${pathname}`;
+        const { hops, finalUrl } = await followRedirects(httpUrl, settings);
+        report.httpRedirectChain = hops;
+        report.httpRedirectsToHttps = finalUrl.startsWith('https:');
+    } catch (error) {
+        throwIfCancelled(options.signal);
+        console.log(`   ⚠️ HTTP check failed for ${hostname}:`, error.message);
+    }
+
+    // Headers and cookies from the HTTPS site, falling back to whatever the URL serves
+    try {
+        const httpsUrl = `https://${hostname}${defaultPort ? '' : `:${port}`}${pathname}`;
+        const { finalUrl, response } = await followRedirects(siteUrl.startsWith('https:') ? siteUrl : httpsUrl, settings)
+            .catch(() => followRedirects(siteUrl, settings));
+        if (response) {
+            report.finalUrl = finalUrl;
+            report.httpsAvailable = finalUrl.startsWith('https:');
+            report.headers = readSecurityHeaders(response.headers);
+            report.cookies = readCookies(response.headers);
+        }
+    } catch (error) {
+        throwIfCancelled(options.signal);
+        console.log(`   ⚠️ Header check failed for ${hostname}:`, error.message);
+    }
+
+    throwIfCancelled(options.signal);
+    if (report.httpsAvailable || siteUrl.startsWith('https:')) {
+        report.certificate = await inspectCertificate(hostname, siteUrl.startsWith('https:') && !defaultPort ? Number(port) : 443);
+    }
+
+    report.findings = buildFindings(report);
+    report.checkedAt = new Date().toISOString();
+    return report;
+}
+
+// Security findings as prompt lines
+function describeSecurity(security) {
+    if (!security || !security.findings) return '';
+
+    const lines = [];
+    if (security.certificate && !security.certificate.error) {
+        lines.push(`- SSL certificate: issued by ${security.certificate.issuer || 'unknown'}, valid until ${security.certificate.validTo.substring(0, 10)} (${security.certificate.daysRemaining} days left)`);
+    }
+    security.findings.forEach(finding => lines.push(`- [${finding.severity}] ${finding.message}`));
+    return lines.join('\n');
+}
+
+module.exports = {
+    checkSecurity,
+    describeSecurity
+};
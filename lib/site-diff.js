@@ -0,0 +1,153 @@
+// Snapshots of a scraped site and the differences between two of them, for the watchlist.
+// A snapshot keeps only what change monitoring compares: each page's Markdown, the
+// sitemap, contact details, price mentions and detected technologies.
+
+const crypto = require('crypto');
+
+// Per-page content kept in a snapshot
+const MAX_PAGE_CHARS = 50000;
+// Changed lines quoted per page in a diff
+const MAX_SAMPLE_LINES = 5;
+const MAX_SAMPLE_LENGTH = 200;
+// Share of the homepage's lines that must change before we call it a relaunch
+const RELAUNCH_CHANGE_RATIO = 0.6;
+
+// $49, $1,299.00, £12.50, €30, 30 €, 99 USD, 15,00 EUR ...
+const PRICE_REGEX = /(?:[$£€¥]\s?\d[\d,.]*\d|[$£€¥]\s?\d)|(?:\d[\d,.]*\s?(?:[€£]|USD|EUR|GBP|CAD|AUD)\b)/g;
+
+function hashText(text) {
+    return crypto.createHash('sha256').update(text).digest('hex').substring(0, 16);
+}
+
+// Comparable lines of a page: trimmed, non-empty, whitespace collapsed
+function contentLines(markdown) {
+    return (markdown || '')
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+}
+
+function extractPrices(text) {
+    return [...new Set((text.match(PRICE_REGEX) || []).map(price => price.replace(/\s+/g, '')))];
+}
+
+// Items of current missing from previous and the other way round
+function diffLists(previous = [], current = []) {
+    const before = new Set(previous);
+    const after = new Set(current);
+    return {
+        added: current.filter(item => !before.has(item)),
+        removed: previous.filter(item => !after.has(item))
+    };
+}
+
+function truncate(line) {
+    return line.length > MAX_SAMPLE_LENGTH ? `${line.substring(0, MAX_SAMPLE_LENGTH)}...` : line;
+}
+
+// The parts of a scrape result change monitoring compares
+function buildSnapshot(scrapedData) {
+    const pages = (scrapedData.pages || []).map(page => {
+        const content = (page.markdown || '').substring(0, MAX_PAGE_CHARS);
+        return { url: page.url, title: page.title || '', hash: hashText(content), content };
+    });
+    const contacts = scrapedData.contacts || {};
+
+    return {
+        url: scrapedData.metadata?.url || scrapedData.url,
+        takenAt: new Date().toISOString(),
+        title: scrapedData.title || '',
+        pages,
+        sitemap: [...new Set(scrapedData.sitemap || [])],
+        contacts: {
+            emails: (contacts.emails || []).map(record => record.value),
+            phones: (contacts.phones || []).map(record => record.value),
+            addresses: (contacts.addresses || []).map(record => record.value),
+            socialProfiles: (contacts.socialProfiles || []).map(record => record.url),
+            openingHours: (contacts.openingHours || []).map(record => (record.closed ? `${record.days.join(', ')}: closed` : `${record.days.join(', ')}: ${record.opens}-${record.closes}`))
+        },
+        prices: extractPrices(pages.map(page => page.content).join('\n')),
+        technologies: ((scrapedData.techStack && scrapedData.techStack.technologies) || []).map(tech => tech.name)
+    };
+}
+
+// Line-level changes of the pages both snapshots scraped
+function diffPages(previousPages, currentPages) {
+    const previousByUrl = new Map(previousPages.map(page => [page.url, page]));
+    const changed = [];
+
+    for (const page of currentPages) {
+        const before = previousByUrl.get(page.url);
+        if (!before || before.hash === page.hash) continue;
+
+        const beforeLines = contentLines(before.content);
+        const afterLines = contentLines(page.content);
+        const { added, removed } = diffLists(beforeLines, afterLines);
+        if (added.length === 0 && removed.length === 0) continue;
+
+        changed.push({
+            url: page.url,
+            linesAdded: added.length,
+            linesRemoved: removed.length,
+            changeRatio: Math.round(((added.length + removed.length) / Math.max(1, beforeLines.length + afterLines.length)) * 100) / 100,
+            added: added.slice(0, MAX_SAMPLE_LINES).map(truncate),
+            removed: removed.slice(0, MAX_SAMPLE_LINES).map(truncate)
+        });
+    }
+
+    return changed;
+}
+
+// Compare two snapshots of the same site.
+// Returns { hasChanges, relaunch, summary: [sentences], content, prices, sitemap, contacts, technologies }.
+function diffSnapshots(previous, current) {
+    const scrapedUrls = diffLists(previous.pages.map(page => page.url), current.pages.map(page => page.url));
+    const content = {
+        pagesAdded: scrapedUrls.added,
+        pagesRemoved: scrapedUrls.removed,
+        pagesChanged: diffPages(previous.pages, current.pages)
+    };
+    const prices = diffLists(previous.prices, current.prices);
+    const sitemap = diffLists(previous.sitemap, current.sitemap);
+    const technologies = diffLists(previous.technologies, current.technologies);
+    const contacts = {};
+    for (const field of Object.keys(current.contacts)) {
+        const fieldDiff = diffLists(previous.contacts[field], current.contacts[field]);
+        if (fieldDiff.added.length > 0 || fieldDiff.removed.length > 0) contacts[field] = fieldDiff;
+    }
+
+    // A new platform or a homepage rewritten from top to bottom is a relaunch, not an edit
+    const homepage = content.pagesChanged.find(page => page.url === current.pages[0]?.url);
+    const relaunch = (technologies.added.length > 0 && technologies.removed.length > 0)
+        || (!!homepage && homepage.changeRatio >= RELAUNCH_CHANGE_RATIO);
+
+    const summary = [];
+    if (relaunch) summary.push('The site looks relaunched (new platform or a rewritten homepage)');
+    if (content.pagesChanged.length > 0) summary.push(`${content.pagesChanged.length} page${content.pagesChanged.length === 1 ? '' : 's'} changed`);
+    if (prices.added.length > 0 || prices.removed.length > 0) {
+        summary.push(`Prices changed: ${[...prices.added.map(price => `+${price}`), ...prices.removed.map(price => `-${price}`)].join(' ')}`);
+    }
+    if (sitemap.added.length > 0) summary.push(`${sitemap.added.length} new page${sitemap.added.length === 1 ? '' : 's'} in the sitemap`);
+    if (sitemap.removed.length > 0) summary.push(`${sitemap.removed.length} page${sitemap.removed.length === 1 ? '' : 's'} gone from the sitemap`);
+    for (const [field, fieldDiff] of Object.entries(contacts)) {
+        summary.push(`Contact info changed (${field}): ${[...fieldDiff.added.map(value => `+${value}`), ...fieldDiff.removed.map(value => `-${value}`)].join(', ')}`);
+    }
+    if (technologies.added.length > 0 || technologies.removed.length > 0) {
+        summary.push(`Technology changed: ${[...technologies.added.map(name => `+${name}`), ...technologies.removed.map(name => `-${name}`)].join(', ')}`);
+    }
+
+    // Pages entering or leaving the scraped set follow page selection; the sitemap diff
+    // is what says whether the site itself gained or lost pages
+    const hasChanges = content.pagesChanged.length > 0
+        || prices.added.length > 0 || prices.removed.length > 0
+        || sitemap.added.length > 0 || sitemap.removed.length > 0
+        || Object.keys(contacts).length > 0
+        || technologies.added.length > 0 || technologies.removed.length > 0;
+
+    return { hasChanges, relaunch, summary, content, prices, sitemap, contacts, technologies };
+}
+
+module.exports = {
+    buildSnapshot,
+    diffSnapshots
+};
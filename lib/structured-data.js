@@ -0,0 +1,359 @@
+// Structured data extraction: schema.org JSON-LD, microdata and Open Graph.
+// Finds the business entity a site publishes about itself and normalizes it
+// into one `structuredData` block of facts that need no LLM guessing.
+
+// schema.org types that describe pages or content rather than the business
+const NON_BUSINESS_TYPES = [
+    'website', 'webpage', 'webpageelement', 'breadcrumblist', 'listitem', 'imageobject', 'videoobject',
+    'searchaction', 'sitenavigationelement', 'article', 'blogposting', 'newsarticle', 'faqpage',
+    'question', 'answer', 'product', 'offer', 'review', 'aggregaterating', 'person', 'event',
+    'collectionpage', 'aboutpage', 'contactpage', 'itemlist', 'readaction', 'howto'
+];
+
+const DAY_NAMES = {
+    mo: 'Monday', tu: 'Tuesday', we: 'Wednesday', th: 'Thursday', fr: 'Friday', sa: 'Saturday', su: 'Sunday'
+};
+
+function asArray(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function firstString(value) {
+    for (const item of asArray(value)) {
+        if (typeof item === 'string' && item.trim()) return item.trim();
+        if (item && typeof item === 'object') {
+            const nested = item.url || item['@id'] || item.name || item.contentUrl || item['@value'];
+            if (typeof nested === 'string' && nested.trim()) return nested.trim();
+        }
+    }
+    return '';
+}
+
+// The last path segment of a schema type, lower-cased ("https://schema.org/Dentist" -> "dentist")
+function typeNames(entity) {
+    return asArray(entity['@type']).map(type => String(type).split(/[/#]/).pop().toLowerCase());
+}
+
+// Parse every JSON-LD block, flattening @graph containers and top-level arrays
+function readJsonLd($) {
+    const entities = [];
+
+    const collect = (node) => {
+        if (!node || typeof node !== 'object') return;
+        if (Array.isArray(node)) return node.forEach(collect);
+        if (node['@graph']) collect(node['@graph']);
+        if (node['@type']) entities.push(node);
+    };
+
+    $('script[type="application/ld+json"]').each((_, element) => {
+        const raw = ($(element).html() || '')
+            .replace(/^\s*<!--/, '')
+            .replace(/-->\s*$/, '')
+            .trim();
+        if (!raw) return;
+
+        try {
+            collect(JSON.parse(raw));
+        } catch {
+            // Sites often ship JSON-LD with trailing commas or raw newlines; try a lenient pass
+            try {
+                collect(JSON.parse(raw.replace(/,\s*([}\]])/g, '$1').replace(/[\r\n\t]+/g, ' ')));
+            } catch {
+                // Unparseable block - skip it
+            }
+        }
+    });
+
+    return entities;
+}
+
+// Value of a microdata property element, per the HTML microdata spec
+function readMicrodataValue($, element, pageUrl) {
+    const $element = $(element);
+    const resolve = (value) => {
+        try {
+            return value ? new URL(value, pageUrl).href : '';
+        } catch {
+            return value || '';
+        }
+    };
+
+    if ($element.is('[itemscope]')) return readMicrodataItem($, element, pageUrl);
+    if ($element.is('meta')) return $element.attr('content') || '';
+    if ($element.is('a, area, link')) return resolve($element.attr('href'));
+    if ($element.is('img, audio, video, source, iframe, embed')) return resolve($element.attr('src'));
+    if ($element.is('time')) return $element.attr('datetime') || $element.text().trim();
+    if ($element.is('data, meter')) return $element.attr('value') || $element.text().trim();
+    return $element.attr('content') || $element.text().replace(/\s+/g, ' ').trim();
+}
+
+// Convert one itemscope element into a JSON-LD-shaped object
+function readMicrodataItem($, element, pageUrl) {
+    const $element = $(element);
+    const item = {};
+    const itemType = $element.attr('itemtype');
+    if (itemType) item['@type'] = itemType.split(/\s+/).map(type => type.split(/[/#]/).pop());
+
+    $element.find('[itemprop]').each((_, propElement) => {
+        // Only direct properties: the nearest enclosing itemscope must be this item
+        const owner = $(propElement).parent().closest('[itemscope]')[0];
+        if (owner !== element) return;
+
+        const value = readMicrodataValue($, propElement, pageUrl);
+        for (const name of ($(propElement).attr('itemprop') || '').split(/\s+/).filter(Boolean)) {
+            item[name] = item[name] === undefined ? value : [...asArray(item[name]), value];
+        }
+    });
+
+    return item;
+}
+
+function readMicrodata($, pageUrl) {
+    const items = [];
+    $('[itemscope]').each((_, element) => {
+        // Top-level items only; nested items are read as properties of their parent
+        if ($(element).is('[itemprop]')) return;
+        items.push(readMicrodataItem($, element, pageUrl));
+    });
+    return items.filter(item => item['@type']);
+}
+
+function readOpenGraph($) {
+    const openGraph = {};
+    $('meta[property], meta[name]').each((_, element) => {
+        const $meta = $(element);
+        const key = ($meta.attr('property') || $meta.attr('name') || '').toLowerCase();
+        const content = ($meta.attr('content') || '').trim();
+        if (!content) return;
+        if (/^(og|business|place|fb):/.test(key) && openGraph[key] === undefined) {
+            openGraph[key] = content;
+        }
+    });
+    return openGraph;
+}
+
+// Higher score = more likely to be the site's own business entity
+function scoreEntity(entity) {
+    const types = typeNames(entity);
+    if (types.length === 0 || types.every(type => NON_BUSINESS_TYPES.includes(type))) return 0;
+
+    let score = 1;
+    if (types.some(type => type !== 'organization' && type !== 'corporation')) score += 1; // specific LocalBusiness subtypes
+    if (entity.address) score += 2;
+    if (entity.telephone) score += 1;
+    if (entity.openingHours || entity.openingHoursSpecification) score += 1;
+    if (entity.geo) score += 1;
+    return score;
+}
+
+function normalizeAddress(address) {
+    const value = asArray(address)[0];
+    if (!value) return null;
+
+    if (typeof value === 'string') {
+        return { streetAddress: value.trim() };
+    }
+
+    const country = value.addressCountry;
+    const normalized = {
+        streetAddress: firstString(value.streetAddress),
+        addressLocality: firstString(value.addressLocality),
+        addressRegion: firstString(value.addressRegion),
+        postalCode: firstString(value.postalCode),
+        addressCountry: typeof country === 'object' && country ? firstString(country.name) : firstString(country)
+    };
+
+    return Object.values(normalized).some(Boolean) ? normalized : null;
+}
+
+function normalizeGeo(geo) {
+    const value = asArray(geo)[0];
+    if (!value || typeof value !== 'object') return null;
+
+    const latitude = parseFloat(value.latitude);
+    const longitude = parseFloat(value.longitude);
+    return isNaN(latitude) || isNaN(longitude) ? null : { latitude, longitude };
+}
+
+// Expand "Mo-Fr" style day ranges into full day names
+function expandDays(dayToken) {
+    const keys = Object.keys(DAY_NAMES);
+    return dayToken.split(',').flatMap(part => {
+        const [start, end] = part.trim().toLowerCase().split('-').map(day => day.substring(0, 2));
+        if (!DAY_NAMES[start]) return [];
+        if (!end || !DAY_NAMES[end]) return [DAY_NAMES[start]];
+        const startIndex = keys.indexOf(start);
+        const endIndex = keys.indexOf(end);
+        const range = [];
+        for (let i = startIndex; ; i = (i + 1) % keys.length) {
+            range.push(DAY_NAMES[keys[i]]);
+            if (i === endIndex || range.length === 7) break;
+        }
+        return range;
+    });
+}
+
+// Opening hours as { days, opens, closes } records from either schema.org form
+function normalizeOpeningHours(entity) {
+    const hours = [];
+
+    for (const spec of asArray(entity.openingHoursSpecification)) {
+        if (!spec || typeof spec !== 'object') continue;
+        const days = asArray(spec.dayOfWeek).map(day => String(day).split(/[/#]/).pop());
+        hours.push({ days, opens: firstString(spec.opens), closes: firstString(spec.closes) });
+    }
+
+    for (const text of asArray(entity.openingHours)) {
+        if (typeof text !== 'string') continue;
+        for (const segment of text.split(/\s*[;]\s*/)) {
+            const match = segment.trim().match(/^([A-Za-z,\s-]+?)\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+            if (match) {
+                hours.push({ days: expandDays(match[1].replace(/\s+/g, '')), opens: match[2], closes: match[3] });
+            }
+        }
+    }
+
+    return hours;
+}
+
+function normalizeEntity(entity) {
+    return {
+        type: asArray(entity['@type']).map(type => String(type).split(/[/#]/).pop()).join(', '),
+        name: firstString(entity.name),
+        legalName: firstString(entity.legalName),
+        description: firstString(entity.description),
+        url: firstString(entity.url),
+        logo: firstString(entity.logo),
+        image: firstString(entity.image),
+        telephone: firstString(entity.telephone),
+        email: firstString(entity.email).replace(/^mailto:/i, ''),
+        address: normalizeAddress(entity.address || (entity.location && entity.location.address)),
+        geo: normalizeGeo(entity.geo || (entity.location && entity.location.geo)),
+        openingHours: normalizeOpeningHours(entity),
+        priceRange: firstString(entity.priceRange),
+        sameAs: asArray(entity.sameAs).map(link => firstString(link)).filter(Boolean)
+    };
+}
+
+// Business facts from Open Graph (og:*, business:contact_data:*, place:location:*)
+function normalizeOpenGraph(openGraph) {
+    const contact = (field) => openGraph[`business:contact_data:${field}`] || '';
+    const address = {
+        streetAddress: contact('street_address'),
+        addressLocality: contact('locality'),
+        addressRegion: contact('region'),
+        postalCode: contact('postal_code'),
+        addressCountry: contact('country_name')
+    };
+    const latitude = parseFloat(openGraph['place:location:latitude']);
+    const longitude = parseFloat(openGraph['place:location:longitude']);
+
+    return {
+        type: openGraph['og:type'] || '',
+        name: openGraph['og:site_name'] || '',
+        description: openGraph['og:description'] || '',
+        url: openGraph['og:url'] || '',
+        logo: openGraph['og:logo'] || '',
+        image: openGraph['og:image'] || openGraph['og:image:url'] || '',
+        telephone: contact('phone_number'),
+        email: contact('email'),
+        address: Object.values(address).some(Boolean) ? address : null,
+        geo: isNaN(latitude) || isNaN(longitude) ? null : { latitude, longitude },
+        locale: openGraph['og:locale'] || ''
+    };
+}
+
+// Fill empty fields of target from source; arrays are unioned
+function mergeFacts(target, source) {
+    for (const [key, value] of Object.entries(source || {})) {
+        if (Array.isArray(value)) {
+            const existing = target[key] || [];
+            const seen = new Set(existing.map(item => JSON.stringify(item)));
+            target[key] = existing.concat(value.filter(item => !seen.has(JSON.stringify(item))));
+        } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+            if (!target[key]) target[key] = { ...value };
+            else for (const [subKey, subValue] of Object.entries(value)) {
+                if (subValue && !target[key][subKey]) target[key][subKey] = subValue;
+            }
+        } else if (value && !target[key]) {
+            target[key] = value;
+        }
+    }
+    return target;
+}
+
+function emptyStructuredData() {
+    return {
+        type: '',
+        name: '',
+        legalName: '',
+        description: '',
+        url: '',
+        logo: '',
+        image: '',
+        telephone: '',
+        email: '',
+        address: null,
+        geo: null,
+        openingHours: [],
+        priceRange: '',
+        sameAs: [],
+        locale: '',
+        sources: [],
+        schemaTypes: []
+    };
+}
+
+// Extract and normalize the structured data on one parsed page
+function extractStructuredData($, pageUrl) {
+    const jsonLd = readJsonLd($);
+    const microdata = readMicrodata($, pageUrl);
+    const openGraph = readOpenGraph($);
+    const result = emptyStructuredData();
+
+    const rank = (entities) => entities
+        .map(entity => ({ entity, score: scoreEntity(entity) }))
+        .filter(candidate => candidate.score > 0)
+        .sort((a, b) => b.score - a.score);
+
+    // JSON-LD first (most explicit), then microdata, then Open Graph
+    const jsonLdBest = rank(jsonLd)[0];
+    if (jsonLdBest) {
+        mergeFacts(result, normalizeEntity(jsonLdBest.entity));
+        result.sources.push('json-ld');
+    }
+
+    const microdataBest = rank(microdata)[0];
+    if (microdataBest) {
+        mergeFacts(result, normalizeEntity(microdataBest.entity));
+        result.sources.push('microdata');
+    }
+
+    if (Object.keys(openGraph).length > 0) {
+        mergeFacts(result, normalizeOpenGraph(openGraph));
+        result.sources.push('opengraph');
+    }
+
+    result.schemaTypes = [...new Set([...jsonLd, ...microdata].flatMap(entity => asArray(entity['@type']).map(String)))];
+    return result;
+}
+
+// Combine per-page structured data, earlier pages (the homepage) winning conflicts
+function mergeStructuredData(pages) {
+    const merged = emptyStructuredData();
+    for (const page of pages) {
+        if (page) mergeFacts(merged, page);
+    }
+    return merged;
+}
+
+function hasStructuredData(structuredData) {
+    return !!(structuredData && structuredData.sources && structuredData.sources.some(source => source !== 'opengraph'));
+}
+
+module.exports = {
+    extractStructuredData,
+    mergeStructuredData,
+    hasStructuredData
+};
@@ -0,0 +1,343 @@
+// Technology fingerprinting of scraped sites.
+// Detects CMS, site builders, e-commerce platforms, analytics and marketing
+// tags, JS/CSS libraries (with versions), the web server and CDN/host from
+// page HTML and response headers, and turns outdated or missing pieces into
+// concrete findings the sales prompts can cite as evidence.
+
+const { loadHtml } = require('./extract');
+const { DEFAULT_USER_AGENT } = require('./robots');
+const { safeFetch } = require('./safe-fetch');
+
+const VERSION = '(\\d+(?:\\.\\d+){0,3})';
+
+// Each fingerprint matches against any of: raw html, script srcs, stylesheet/link
+// hrefs, <meta name="generator"> and response headers. The first capture group of
+// a matching pattern is the version.
+const FINGERPRINTS = [
+    // CMS
+    { name: 'WordPress', category: 'cms', meta: [new RegExp(`WordPress ?${VERSION}?`, 'i')], html: [/\/wp-content\//i, /\/wp-includes\//i], headers: { link: /api\.w\.org/i } },
+    { name: 'Joomla', category: 'cms', meta: [new RegExp(`Joomla!? ?${VERSION}?`, 'i')], html: [/\/media\/jui\//i, /\/components\/com_/i] },
+    { name: 'Drupal', category: 'cms', meta: [new RegExp(`Drupal ?${VERSION}?`, 'i')], html: [/\/sites\/default\/files\//i, /Drupal\.settings/], headers: { 'x-generator': new RegExp(`Drupal ?${VERSION}?`, 'i'), 'x-drupal-cache': /./ } },
+    { name: 'Ghost', category: 'cms', meta: [new RegExp(`Ghost ?${VERSION}?`, 'i')] },
+    { name: 'HubSpot CMS', category: 'cms', headers: { 'x-hs-hub-id': /./ }, html: [/hs-sites\.com|hubspotusercontent/i] },
+
+    // Hosted site builders
+    { name: 'Wix', category: 'site-builder', meta: [/Wix\.com/i], html: [/static\.wixstatic\.com|static\.parastorage\.com/i], headers: { 'x-wix-request-id': /./ } },
+    { name: 'Squarespace', category: 'site-builder', html: [/static1\.squarespace\.com|squarespace-cdn\.com|Static\.SQUARESPACE_CONTEXT/i], headers: { server: /Squarespace/i } },
+    { name: 'Webflow', category: 'site-builder', meta: [/Webflow/i], html: [/data-wf-page=|assets\.website-files\.com/i] },
+    { name: 'Weebly', category: 'site-builder', html: [/editmysite\.com|weebly\.com\/weebly/i] },
+    { name: 'GoDaddy Website Builder', category: 'site-builder', meta: [/Go Daddy Website Builder|Starfield Technologies/i], html: [/img1\.wsimg\.com/i] },
+    { name: 'Duda', category: 'site-builder', html: [/irp\.cdn-website\.com|dudaone|multiscreensite\.com/i] },
+    { name: 'Jimdo', category: 'site-builder', html: [/jimdo(?:cdn|static)?\.com/i] },
+    { name: 'Elementor', category: 'page-builder', meta: [new RegExp(`Elementor ${VERSION}`, 'i')], html: [/elementor-(?:section|widget|element)/i] },
+    { name: 'Divi', category: 'page-builder', html: [/\/themes\/Divi\//i, /et_pb_section/i] },
+    { name: 'WPBakery', category: 'page-builder', meta: [/WPBakery/i], html: [/vc_row|js_composer/i] },
+
+    // E-commerce
+    { name: 'Shopify', category: 'ecommerce', html: [/cdn\.shopify\.com|Shopify\.theme/i], headers: { 'x-shopid': /./, 'x-shopify-stage': /./ } },
+    { name: 'WooCommerce', category: 'ecommerce', implies: 'WordPress', meta: [new RegExp(`WooCommerce ${VERSION}`, 'i')], html: [/\/plugins\/woocommerce\//i, /woocommerce-(?:page|cart)/i] },
+    { name: 'BigCommerce', category: 'ecommerce', html: [/cdn\d*\.bigcommerce\.com/i] },
+    { name: 'Magento', category: 'ecommerce', html: [/\/static\/version\d+\/frontend\/|Mage\.Cookies/i] },
+    { name: 'PrestaShop', category: 'ecommerce', meta: [/PrestaShop/i], html: [/prestashop/i] },
+
+    // JS frameworks and libraries
+    { name: 'Next.js', category: 'js-framework', implies: 'React', html: [/__NEXT_DATA__|\/_next\/static\//], headers: { 'x-powered-by': /Next\.js/i } },
+    { name: 'Nuxt', category: 'js-framework', implies: 'Vue.js', html: [/__NUXT__|\/_nuxt\//] },
+    { name: 'Gatsby', category: 'js-framework', implies: 'React', meta: [new RegExp(`Gatsby ${VERSION}`, 'i')], html: [/id="___gatsby"/] },
+    { name: 'React', category: 'js-framework', scripts: [new RegExp(`react(?:-dom)?@${VERSION}`, 'i'), /react(?:-dom)?(?:\.production)?(?:\.min)?\.js/i], html: [/data-reactroot|data-reactid/] },
+    { name: 'Vue.js', category: 'js-framework', scripts: [new RegExp(`vue@${VERSION}`, 'i'), new RegExp(`vue/${VERSION}/`, 'i'), /\/vue(?:\.min)?\.js/i], html: [/data-v-[0-9a-f]{8}/] },
+    { name: 'Angular', category: 'js-framework', html: [new RegExp(`ng-version="${VERSION}"`)] },
+    { name: 'AngularJS', category: 'js-framework', scripts: [new RegExp(`angular(?:js)?/${VERSION}/`, 'i'), /angular(?:\.min)?\.js/i], html: [/\bng-app\b/] },
+    { name: 'jQuery', category: 'js-library', scripts: [new RegExp(`jquery[.-]${VERSION}(?:\\.slim)?(?:\\.min)?\\.js`, 'i'), new RegExp(`/jquery/${VERSION}/`, 'i'), new RegExp(`jquery@${VERSION}`, 'i'), new RegExp(`jquery(?:\\.min)?\\.js\\?ver=${VERSION}`, 'i'), /jquery(?:\.min)?\.js/i] },
+    { name: 'jQuery Migrate', category: 'js-library', scripts: [new RegExp(`jquery-migrate(?:\\.min)?\\.js\\?ver=${VERSION}`, 'i'), /jquery-migrate/i] },
+    { name: 'jQuery UI', category: 'js-library', scripts: [new RegExp(`jquery-ui[.-]${VERSION}`, 'i'), new RegExp(`jqueryui/${VERSION}/`, 'i'), /jquery-ui/i] },
+    { name: 'Lodash', category: 'js-library', scripts: [new RegExp(`lodash(?:\\.js)?/${VERSION}/`, 'i'), new RegExp(`lodash@${VERSION}`, 'i'), /lodash(?:\.min)?\.js/i] },
+    { name: 'Modernizr', category: 'js-library', scripts: [new RegExp(`modernizr[.-]${VERSION}`, 'i'), /modernizr/i] },
+    { name: 'SWFObject / Flash', category: 'js-library', scripts: [/swfobject/i], html: [/\.swf["'?]|application\/x-shockwave-flash/i] },
+
+    // CSS frameworks and fonts
+    { name: 'Bootstrap', category: 'css-framework', scripts: [new RegExp(`bootstrap(?:@|/)${VERSION}`, 'i'), new RegExp(`bootstrap[.-]${VERSION}`, 'i'), /bootstrap(?:\.bundle)?(?:\.min)?\.js/i], links: [new RegExp(`bootstrap(?:@|/)${VERSION}`, 'i'), new RegExp(`bootstrap(?:\\.min)?\\.css\\?ver=${VERSION}`, 'i'), /bootstrap(?:\.min)?\.css/i] },
+    { name: 'Tailwind CSS', category: 'css-framework', scripts: [/cdn\.tailwindcss\.com/i], links: [new RegExp(`tailwindcss@${VERSION}`, 'i'), /tailwind(?:\.min)?\.css/i] },
+    { name: 'Foundation', category: 'css-framework', links: [new RegExp(`foundation(?:@|/)${VERSION}`, 'i'), /foundation(?:\.min)?\.css/i] },
+    { name: 'Font Awesome', category: 'font', links: [new RegExp(`font-?awesome(?:@|/)${VERSION}`, 'i'), /font-?awesome/i], scripts: [/kit\.fontawesome\.com|fontawesome/i] },
+    { name: 'Google Fonts', category: 'font', links: [/fonts\.googleapis\.com/i] },
+    { name: 'Adobe Fonts', category: 'font', links: [/use\.typekit\.net/i] },
+
+    // Analytics, tag managers and marketing
+    { name: 'Google Analytics 4', category: 'analytics', html: [/gtag\/js\?id=G-|['"]G-[A-Z0-9]{6,}['"]/] },
+    { name: 'Universal Analytics', category: 'analytics', html: [/['"]UA-\d{4,}-\d+['"]|google-analytics\.com\/(?:ga|analytics)\.js/] },
+    { name: 'Google Tag Manager', category: 'tag-manager', html: [/googletagmanager\.com\/gtm\.js|GTM-[A-Z0-9]{4,}/] },
+    { name: 'Google Ads', category: 'marketing', html: [/gtag\/js\?id=AW-|googleadservices\.com/] },
+    { name: 'Meta Pixel', category: 'marketing', html: [/connect\.facebook\.net\/[^"']*\/fbevents\.js|fbq\(['"]init/] },
+    { name: 'LinkedIn Insight', category: 'marketing', html: [/snap\.licdn\.com\/li\.lms-analytics/] },
+    { name: 'Hotjar', category: 'analytics', html: [/static\.hotjar\.com|hjid:/] },
+    { name: 'Microsoft Clarity', category: 'analytics', html: [/clarity\.ms\/tag/] },
+    { name: 'Plausible', category: 'analytics', scripts: [/plausible\.io\/js/i] },
+    { name: 'Matomo', category: 'analytics', html: [/matomo\.js|piwik\.js|_paq\.push/] },
+    { name: 'HubSpot', category: 'marketing', scripts: [/js\.hs-scripts\.com|js\.hsforms\.net|js\.hs-analytics\.net/i] },
+    { name: 'Mailchimp', category: 'marketing', html: [/list-manage\.com|chimpstatic\.com/i] },
+
+    // Chat, booking and payments
+    { name: 'Intercom', category: 'chat', html: [/widget\.intercom\.io|intercomSettings/] },
+    { name: 'Drift', category: 'chat', html: [/js\.driftt\.com/] },
+    { name: 'Tawk.to', category: 'chat', html: [/embed\.tawk\.to/] },
+    { name: 'Zendesk Chat', category: 'chat', html: [/static\.zdassets\.com|zopim/] },
+    { name: 'LiveChat', category: 'chat', html: [/cdn\.livechatinc\.com/] },
+    { name: 'Crisp', category: 'chat', html: [/client\.crisp\.chat/] },
+    { name: 'Calendly', category: 'booking', html: [/assets\.calendly\.com|calendly\.com\/[a-z0-9-]+/i] },
+    { name: 'Stripe', category: 'payments', scripts: [/js\.stripe\.com/i] },
+    { name: 'PayPal', category: 'payments', scripts: [/paypal\.com\/sdk|paypalobjects\.com/i] },
+    { name: 'Google reCAPTCHA', category: 'security', scripts: [/google\.com\/recaptcha|recaptcha\/api\.js/i] },
+
+    // Server, language, CDN and hosting (headers)
+    { name: 'Nginx', category: 'server', headers: { server: new RegExp(`nginx(?:/${VERSION})?`, 'i') } },
+    { name: 'Apache', category: 'server', headers: { server: new RegExp(`Apache(?:/${VERSION})?`, 'i') } },
+    { name: 'LiteSpeed', category: 'server', headers: { server: /LiteSpeed/i } },
+    { name: 'Microsoft IIS', category: 'server', headers: { server: new RegExp(`Microsoft-IIS(?:/${VERSION})?`, 'i') } },
+    { name: 'OpenResty', category: 'server', headers: { server: new RegExp(`openresty(?:/${VERSION})?`, 'i') } },
+    { name: 'PHP', category: 'language', headers: { 'x-powered-by': new RegExp(`PHP(?:/${VERSION})?`, 'i'), 'set-cookie': /PHPSESSID/ } },
+    { name: 'ASP.NET', category: 'language', headers: { 'x-powered-by': /ASP\.NET/i, 'x-aspnet-version': new RegExp(VERSION) } },
+    { name: 'Express', category: 'server', headers: { 'x-powered-by': /Express/i } },
+    { name: 'Cloudflare', category: 'cdn', headers: { 'cf-ray': /./, server: /cloudflare/i } },
+    { name: 'Amazon CloudFront', category: 'cdn', headers: { 'x-amz-cf-id': /./, via: /CloudFront/i } },
+    { name: 'Fastly', category: 'cdn', headers: { 'x-served-by': /cache-/i, 'x-fastly-request-id': /./ } },
+    { name: 'Akamai', category: 'cdn', headers: { 'x-akamai-transformed': /./, server: /AkamaiGHost/i } },
+    { name: 'Vercel', category: 'hosting', headers: { 'x-vercel-id': /./, server: /Vercel/i } },
+    { name: 'Netlify', category: 'hosting', headers: { 'x-nf-request-id': /./, server: /Netlify/i } },
+    { name: 'GitHub Pages', category: 'hosting', headers: { 'x-github-request-id': /./ } },
+    { name: 'WP Engine', category: 'hosting', headers: { 'x-powered-by': /WP Engine/i, 'wpe-backend': /./ } },
+    { name: 'Kinsta', category: 'hosting', headers: { 'x-kinsta-cache': /./ } }
+];
+
+// Oldest still-supported major versions; anything older is flagged as outdated
+const MINIMUM_VERSIONS = {
+    'jQuery': { version: '3.5', reason: 'has known XSS vulnerabilities fixed in jQuery 3.5' },
+    'WordPress': { version: '6.0', reason: 'is several releases behind current WordPress and its security updates' },
+    'PHP': { version: '8.1', reason: 'is end-of-life and no longer receives security updates' },
+    'Bootstrap': { version: '4.0', reason: 'is end-of-life and looks dated on modern devices' },
+    'Font Awesome': { version: '5.0', reason: 'is several major versions behind' },
+    'Drupal': { version: '10.0', reason: 'is end-of-life' },
+    'Joomla': { version: '4.0', reason: 'is end-of-life' },
+    'Angular': { version: '15.0', reason: 'is out of long-term support' },
+    'React': { version: '16.8', reason: 'predates hooks and current React tooling' }
+};
+
+// Categories we call out when a site has nothing from them
+const EXPECTED_CATEGORIES = {
+    analytics: 'No analytics tool detected - the business cannot measure its website traffic'
+};
+
+function compareVersions(a, b) {
+    const partsA = String(a).split('.').map(Number);
+    const partsB = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const difference = (partsA[i] || 0) - (partsB[i] || 0);
+        if (difference !== 0) return difference;
+    }
+    return 0;
+}
+
+// Run a list of patterns over candidate strings; returns { version } on a match
+function matchPatterns(patterns, candidates) {
+    let result = null;
+    for (const pattern of patterns || []) {
+        for (const candidate of candidates) {
+            const match = candidate && candidate.match(pattern);
+            if (!match) continue;
+            if (match[1]) return { version: match[1] };
+            result = result || { version: null };
+        }
+    }
+    return result;
+}
+
+// Gather the strings fingerprints are matched against from one page
+function collectSignals(html, headers) {
+    const $ = loadHtml(html);
+    const attributeValues = (selector, attribute) => $(selector).map((_, element) => $(element).attr(attribute)).get().filter(Boolean);
+
+    const normalizedHeaders = {};
+    for (const [name, value] of Object.entries(headers || {})) {
+        normalizedHeaders[name.toLowerCase()] = Array.isArray(value) ? value.join(', ') : String(value);
+    }
+
+    return {
+        html: html || '',
+        scripts: attributeValues('script[src]', 'src'),
+        links: attributeValues('link[href]', 'href'),
+        meta: attributeValues('meta[name="generator" i]', 'content'),
+        headers: normalizedHeaders,
+        wordpressTheme: ((html || '').match(/\/wp-content\/themes\/([^/'"?]+)/i) || [])[1] || null,
+        wordpressPlugins: [...new Set([...(html || '').matchAll(/\/wp-content\/plugins\/([^/'"?]+)/gi)].map(match => match[1]))]
+    };
+}
+
+function detectInSignals(signals) {
+    const detected = [];
+
+    for (const fingerprint of FINGERPRINTS) {
+        const evidence = [];
+        let version = null;
+
+        const checks = [
+            ['meta generator', matchPatterns(fingerprint.meta, signals.meta)],
+            ['script src', matchPatterns(fingerprint.scripts, signals.scripts)],
+            ['link href', matchPatterns(fingerprint.links, signals.links)],
+            ['html', matchPatterns(fingerprint.html, [signals.html])]
+        ];
+        for (const [header, pattern] of Object.entries(fingerprint.headers || {})) {
+            if (signals.headers[header] !== undefined) {
+                checks.push([`header: ${header}`, matchPatterns([pattern], [signals.headers[header]])]);
+            }
+        }
+
+        for (const [source, match] of checks) {
+            if (!match) continue;
+            evidence.push(source);
+            version = version || match.version;
+        }
+
+        if (evidence.length > 0) {
+            detected.push({ name: fingerprint.name, category: fingerprint.category, version, evidence, implies: fingerprint.implies });
+        }
+    }
+
+    return detected;
+}
+
+// Findings phrased as sales evidence, e.g. "jQuery 1.12.4 is outdated ..."
+function buildFindings(technologies, https) {
+    const findings = [];
+    const has = (name) => technologies.some(tech => tech.name === name);
+
+    if (!https) {
+        findings.push({ severity: 'high', technology: null, message: 'Site is not served over HTTPS - browsers mark it "Not secure"' });
+    }
+
+    for (const tech of technologies) {
+        const minimum = MINIMUM_VERSIONS[tech.name];
+        if (minimum && tech.version && compareVersions(tech.version, minimum.version) < 0) {
+            findings.push({ severity: 'high', technology: tech.name, message: `${tech.name} ${tech.version} ${minimum.reason}` });
+        }
+        if (tech.category === 'site-builder') {
+            findings.push({ severity: 'info', technology: tech.name, message: `Built on ${tech.name}, which limits performance tuning, SEO control and portability` });
+        }
+    }
+
+    if (has('Universal Analytics') && !has('Google Analytics 4')) {
+        findings.push({ severity: 'medium', technology: 'Universal Analytics', message: 'Still uses Universal Analytics, which stopped collecting data in July 2023' });
+    }
+    if (has('AngularJS')) {
+        findings.push({ severity: 'high', technology: 'AngularJS', message: 'Uses AngularJS, which reached end-of-life in January 2022' });
+    }
+    if (has('SWFObject / Flash')) {
+        findings.push({ severity: 'high', technology: 'Flash', message: 'Embeds Flash content, which no modern browser can play' });
+    }
+
+    for (const [category, message] of Object.entries(EXPECTED_CATEGORIES)) {
+        if (!technologies.some(tech => tech.category === category)) {
+            findings.push({ severity: 'medium', technology: null, message });
+        }
+    }
+
+    return findings;
+}
+
+// Fingerprint a site from its pages ({ url, html, headers }); the first page should be the homepage
+function detectTechStack(siteUrl, pages) {
+    const byName = new Map();
+    let wordpressTheme = null;
+    const wordpressPlugins = new Set();
+
+    for (const page of pages || []) {
+        if (!page || !page.html) continue;
+        const signals = collectSignals(page.html, page.headers);
+
+        for (const tech of detectInSignals(signals)) {
+            const existing = byName.get(tech.name);
+            if (existing) {
+                existing.version = existing.version || tech.version;
+                existing.evidence = [...new Set([...existing.evidence, ...tech.evidence])];
+            } else {
+                byName.set(tech.name, tech);
+            }
+        }
+
+        wordpressTheme = wordpressTheme || signals.wordpressTheme;
+        signals.wordpressPlugins.forEach(plugin => wordpressPlugins.add(plugin));
+    }
+
+    // e.g. WooCommerce or Next.js being present means WordPress or React is too
+    for (const tech of [...byName.values()]) {
+        if (tech.implies && !byName.has(tech.implies)) {
+            const implied = FINGERPRINTS.find(fingerprint => fingerprint.name === tech.implies);
+            byName.set(tech.implies, { name: tech.implies, category: implied ? implied.category : 'other', version: null, evidence: [`implied by ${tech.name}`] });
+        }
+    }
+
+    const technologies = [...byName.values()].map(({ implies, ...tech }) => tech);
+    const wordpress = technologies.find(tech => tech.name === 'WordPress');
+    if (wordpress) {
+        wordpress.theme = wordpressTheme;
+        wordpress.plugins = [...wordpressPlugins];
+    }
+
+    let https = false;
+    try {
+        https = new URL((pages && pages[0] && pages[0].url) || siteUrl).protocol === 'https:';
+    } catch {
+        // Unparseable URL counts as not HTTPS
+    }
+
+    const firstOf = (category) => {
+        const tech = technologies.find(candidate => candidate.category === category);
+        return tech ? (tech.version ? `${tech.name} ${tech.version}` : tech.name) : null;
+    };
+
+    return {
+        technologies,
+        cms: firstOf('cms') || firstOf('site-builder') || firstOf('ecommerce'),
+        server: firstOf('server'),
+        cdn: firstOf('cdn') || firstOf('hosting'),
+        https,
+        findings: buildFindings(technologies, https),
+        detectedAt: new Date().toISOString()
+    };
+}
+
+// Response headers for a URL, for scrape paths that do not see them (e.g. Firecrawl)
+async function fetchResponseHeaders(targetUrl, userAgent = DEFAULT_USER_AGENT) {
+    try {
+        const response = await safeFetch(targetUrl, {
+            headers: { 'User-Agent': userAgent },
+            timeout: 10000
+        });
+        await response.arrayBuffer().catch(() => null);
+        return { url: response.url || targetUrl, headers: Object.fromEntries(response.headers) };
+    } catch (error) {
+        console.log(`   ⚠️ Could not read response headers for ${targetUrl}:`, error.message);
+        return { url: targetUrl, headers: {} };
+    }
+}
+
+// One-line-per-technology summary for LLM prompts
+function describeTechStack(techStack) {
+    if (!techStack || !techStack.technologies) return '';
+
+    const lines = techStack.technologies.map(tech =>
+        `- ${tech.name}${tech.version ? ` ${tech.version}` : ''} (${tech.category}; evidence: ${tech.evidence.join(', ')})` +
+        (tech.theme ? ` theme: ${tech.theme}` : '')
+    );
+    lines.push(`- HTTPS: ${techStack.https ? 'yes' : 'NO'}`);
+    if (techStack.findings.length > 0) {
+        lines.push('Findings:');
+        techStack.findings.forEach(finding => lines.push(`- [${finding.severity}] ${finding.message}`));
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    detectTechStack,
+    describeTechStack,
+    fetchResponseHeaders
+};
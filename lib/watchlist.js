@@ -0,0 +1,386 @@
+// Watchlist of prospect sites that are re-scraped on a schedule to catch relaunches,
+// price changes and new pages. Watches, snapshots and the changes feed are JSON files
+// under WATCHLIST_DIR (default ./watchlist, or the temp directory on Vercel, whose
+// deployment directory is read-only): watches.json, changes.json and
+// snapshots/<watchId>/<time>.json. An in-process scheduler checks for due watches
+// every minute and runs them one at a time; a change can also be POSTed to a webhook.
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { buildSnapshot, diffSnapshots } = require('./site-diff');
+const { throwIfCancelled } = require('./jobs');
+const { safeFetch } = require('./safe-fetch');
+
+const DEFAULT_WATCHLIST_DIR = path.join(__dirname, '..', 'watchlist');
+const DEFAULT_INTERVAL_HOURS = 24;
+const MIN_INTERVAL_HOURS = 1;
+const MAX_INTERVAL_HOURS = 24 * 30;
+// Snapshots kept per watch, and entries kept in the changes feed
+const MAX_SNAPSHOTS = 10;
+const MAX_CHANGES = 500;
+const TICK_MS = 60 * 1000;
+const WEBHOOK_TIMEOUT = 10000;
+
+// Watches being checked right now, by ID
+const running = new Set();
+let schedulerTimer = null;
+let ticking = false;
+// Read-modify-write of watches.json and changes.json happens one at a time
+let fileQueue = Promise.resolve();
+
+function validationError(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+}
+
+function watchBusyError(message) {
+    const error = new Error(message);
+    error.name = 'WatchBusyError';
+    return error;
+}
+
+function getWatchlistDir() {
+    if (process.env.WATCHLIST_DIR) return process.env.WATCHLIST_DIR;
+    return process.env.VERCEL === '1' ? path.join(os.tmpdir(), 'watchlist') : DEFAULT_WATCHLIST_DIR;
+}
+
+function generateId() {
+    return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+}
+
+async function readJson(file, fallback) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch {
+        return fallback;
+    }
+}
+
+// Write through a temporary file so a crash never leaves half a file behind
+async function writeJson(file, data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+    await fs.rename(tempFile, file);
+}
+
+function withFileLock(task) {
+    const result = fileQueue.then(task, task);
+    fileQueue = result.catch(() => null);
+    return result;
+}
+
+function watchesFile() {
+    return path.join(getWatchlistDir(), 'watches.json');
+}
+
+function changesFile() {
+    return path.join(getWatchlistDir(), 'changes.json');
+}
+
+function snapshotDir(watchId) {
+    return path.join(getWatchlistDir(), 'snapshots', watchId);
+}
+
+// Apply update(watches) to watches.json and return what it returns
+function updateWatches(update) {
+    return withFileLock(async () => {
+        const watches = await readJson(watchesFile(), []);
+        const result = await update(watches);
+        await writeJson(watchesFile(), watches);
+        return result;
+    });
+}
+
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+// Check the user-editable fields of a watch; returns only the fields that were given
+function normalizeWatchFields(fields, { requireUrl = false } = {}) {
+    const normalized = {};
+
+    if (requireUrl || fields.url !== undefined) {
+        const url = String(fields.url || '').trim();
+        if (!isHttpUrl(url)) throw validationError('Please provide a valid URL to watch (e.g., https://example.com)');
+        normalized.url = url;
+    }
+    if (fields.label !== undefined) {
+        normalized.label = String(fields.label || '').trim().replace(/[<>]/g, '').substring(0, 100);
+    }
+    if (fields.intervalHours !== undefined && fields.intervalHours !== null && fields.intervalHours !== '') {
+        const hours = Number(fields.intervalHours);
+        if (!Number.isFinite(hours) || hours < MIN_INTERVAL_HOURS || hours > MAX_INTERVAL_HOURS) {
+            throw validationError(`intervalHours must be between ${MIN_INTERVAL_HOURS} and ${MAX_INTERVAL_HOURS}`);
+        }
+        normalized.intervalHours = hours;
+    }
+    if (fields.webhookUrl !== undefined) {
+        const webhookUrl = String(fields.webhookUrl || '').trim();
+        if (webhookUrl && !isHttpUrl(webhookUrl)) throw validationError('webhookUrl must be an http(s) URL');
+        normalized.webhookUrl = webhookUrl || null;
+    }
+
+    return normalized;
+}
+
+async function listWatches() {
+    const watches = await readJson(watchesFile(), []);
+    return watches.map(watch => ({ ...watch, running: running.has(watch.id) }));
+}
+
+async function getWatch(watchId) {
+    return (await listWatches()).find(watch => watch.id === watchId) || null;
+}
+
+// Add a URL to the watchlist; its first check is due right away and records the baseline
+async function addWatch(fields) {
+    const normalized = normalizeWatchFields(fields, { requireUrl: true });
+    const now = new Date().toISOString();
+
+    return updateWatches(watches => {
+        if (watches.some(watch => watch.url === normalized.url)) {
+            throw validationError(`${normalized.url} is already on the watchlist`);
+        }
+        const watch = {
+            id: generateId(),
+            url: normalized.url,
+            label: normalized.label || '',
+            intervalHours: normalized.intervalHours || DEFAULT_INTERVAL_HOURS,
+            webhookUrl: normalized.webhookUrl || null,
+            createdAt: now,
+            lastCheckedAt: null,
+            nextCheckAt: now,
+            lastStatus: null,
+            lastError: null,
+            lastChangeAt: null,
+            snapshots: 0
+        };
+        watches.push(watch);
+        return watch;
+    });
+}
+
+// Change a watch's label, interval or webhook; returns the watch, or null if there is none
+async function updateWatch(watchId, fields) {
+    const normalized = normalizeWatchFields(fields);
+    delete normalized.url;
+
+    return updateWatches(watches => {
+        const watch = watches.find(item => item.id === watchId);
+        if (!watch) return null;
+        Object.assign(watch, normalized);
+        // A new interval counts from the last check
+        if (normalized.intervalHours && watch.lastCheckedAt) {
+            watch.nextCheckAt = new Date(Date.parse(watch.lastCheckedAt) + watch.intervalHours * 3600000).toISOString();
+        }
+        return watch;
+    });
+}
+
+// Remove a watch with its snapshots and feed entries; returns false if there was none
+async function removeWatch(watchId) {
+    const removed = await updateWatches(watches => {
+        const index = watches.findIndex(watch => watch.id === watchId);
+        if (index === -1) return false;
+        watches.splice(index, 1);
+        return true;
+    });
+    if (!removed) return false;
+
+    // A check in progress would write its snapshot after this; it cleans up when it ends
+    if (!running.has(watchId)) await deleteWatchData(watchId);
+    return true;
+}
+
+async function deleteWatchData(watchId) {
+    await fs.rm(snapshotDir(watchId), { recursive: true, force: true });
+    await withFileLock(async () => {
+        const changes = await readJson(changesFile(), []);
+        await writeJson(changesFile(), changes.filter(change => change.watchId !== watchId));
+    });
+}
+
+// Newest first; options.watchId narrows the feed to one site
+async function listChanges(options = {}) {
+    const changes = await readJson(changesFile(), []);
+    return changes
+        .filter(change => !options.watchId || change.watchId === options.watchId)
+        .slice(0, options.limit || 100);
+}
+
+async function readLatestSnapshot(watchId) {
+    let files;
+    try {
+        files = (await fs.readdir(snapshotDir(watchId))).filter(file => file.endsWith('.json')).sort();
+    } catch {
+        return null;
+    }
+    return files.length > 0 ? readJson(path.join(snapshotDir(watchId), files[files.length - 1]), null) : null;
+}
+
+// Store a snapshot and drop the oldest beyond MAX_SNAPSHOTS; returns how many are kept
+async function saveSnapshot(watchId, snapshot) {
+    const dir = snapshotDir(watchId);
+    await writeJson(path.join(dir, `${snapshot.takenAt.replace(/[:.]/g, '-')}.json`), snapshot);
+
+    const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json')).sort();
+    for (const file of files.slice(0, Math.max(0, files.length - MAX_SNAPSHOTS))) {
+        await fs.rm(path.join(dir, file), { force: true });
+    }
+    return Math.min(files.length, MAX_SNAPSHOTS);
+}
+
+function recordChange(change) {
+    return withFileLock(async () => {
+        const changes = await readJson(changesFile(), []);
+        changes.unshift(change);
+        await writeJson(changesFile(), changes.slice(0, MAX_CHANGES));
+    });
+}
+
+// POST a change to the watch's webhook; returns { status } or { error }, never throws
+async function sendWebhook(watch, change) {
+    try {
+        const response = await safeFetch(watch.webhookUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                event: 'site.changed',
+                watch: { id: watch.id, url: watch.url, label: watch.label },
+                change
+            }),
+            timeout: WEBHOOK_TIMEOUT
+        });
+        await response.body?.cancel().catch(() => null);
+        console.log(`   📨 Webhook for ${watch.url} answered HTTP ${response.status}`);
+        return { status: response.status };
+    } catch (error) {
+        console.log(`   ⚠️ Webhook for ${watch.url} failed:`, error.message);
+        return { error: error.message };
+    }
+}
+
+// Re-scrape one watched site, store the snapshot and diff it against the previous one.
+// scrape(url, { onProgress, signal }) returns a scrape result (see runScrape in server.js).
+// Resolves to { watch, change, baseline }: change is null when nothing changed, and
+// baseline is true for the first snapshot, which has nothing to compare against.
+async function checkWatch(watchId, scrape, options = {}) {
+    const watch = await getWatch(watchId);
+    if (!watch) return null;
+    if (running.has(watchId)) throw watchBusyError(`${watch.url} is already being checked`);
+
+    running.add(watchId);
+    const startedAt = new Date();
+    console.log('👀 Checking watched site:', watch.url);
+
+    try {
+        let outcome;
+        try {
+            const scrapedData = await scrape(watch.url, { onProgress: options.onProgress, signal: options.signal });
+            throwIfCancelled(options.signal);
+
+            const snapshot = buildSnapshot(scrapedData);
+            const previous = await readLatestSnapshot(watchId);
+            const snapshots = await saveSnapshot(watchId, snapshot);
+            const diff = previous ? diffSnapshots(previous, snapshot) : null;
+
+            let change = null;
+            if (diff && diff.hasChanges) {
+                change = {
+                    id: generateId(),
+                    watchId,
+                    url: watch.url,
+                    label: watch.label,
+                    detectedAt: snapshot.takenAt,
+                    previousSnapshotAt: previous.takenAt,
+                    ...diff
+                };
+                if (watch.webhookUrl) change.webhook = await sendWebhook(watch, change);
+                await recordChange(change);
+                console.log(`   🔔 ${watch.url} changed: ${diff.summary.join('; ')}`);
+            } else {
+                console.log(`   ✅ ${previous ? 'No changes' : 'Baseline snapshot stored'} for ${watch.url}`);
+            }
+            outcome = { status: 'ok', error: null, change, baseline: !previous, snapshots };
+        } catch (error) {
+            if (error.name === 'CancelledError') throw error;
+            console.log(`   ❌ Watch check failed for ${watch.url}:`, error.message);
+            outcome = { status: 'error', error: error.message, change: null, baseline: false };
+        }
+
+        const updated = await updateWatches(watches => {
+            const stored = watches.find(item => item.id === watchId);
+            if (!stored) return null;
+            Object.assign(stored, {
+                lastCheckedAt: startedAt.toISOString(),
+                nextCheckAt: new Date(startedAt.getTime() + stored.intervalHours * 3600000).toISOString(),
+                lastStatus: outcome.status,
+                lastError: outcome.error
+            });
+            if (outcome.change) stored.lastChangeAt = outcome.change.detectedAt;
+            if (outcome.snapshots) stored.snapshots = outcome.snapshots;
+            return stored;
+        });
+
+        return { watch: updated, change: outcome.change, baseline: outcome.baseline };
+    } finally {
+        running.delete(watchId);
+        // Removed while this check ran: removeWatch left its files to us
+        if (!(await getWatch(watchId))) await deleteWatchData(watchId);
+    }
+}
+
+// Run every watch that is due, one after another
+async function runDueWatches(scrape) {
+    if (ticking) return;
+    ticking = true;
+    try {
+        const now = Date.now();
+        const due = (await listWatches())
+            .filter(watch => !watch.running && Date.parse(watch.nextCheckAt) <= now)
+            .sort((a, b) => Date.parse(a.nextCheckAt) - Date.parse(b.nextCheckAt));
+
+        for (const watch of due) {
+            try {
+                await checkWatch(watch.id, scrape);
+            } catch (error) {
+                console.log(`   ⚠️ Skipped scheduled check of ${watch.url}:`, error.message);
+            }
+        }
+    } finally {
+        ticking = false;
+    }
+}
+
+// Start the in-process scheduler (once); it never keeps the process alive on its own
+function startWatchScheduler(scrape, options = {}) {
+    if (schedulerTimer) return;
+    schedulerTimer = setInterval(() => {
+        runDueWatches(scrape).catch(error => console.log('⚠️ Watchlist scheduler error:', error.message));
+    }, options.tickMs || TICK_MS);
+    schedulerTimer.unref();
+}
+
+function stopWatchScheduler() {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+}
+
+module.exports = {
+    listWatches,
+    getWatch,
+    addWatch,
+    updateWatch,
+    removeWatch,
+    listChanges,
+    checkWatch,
+    startWatchScheduler,
+    stopWatchScheduler
+};
@@ -218,6 +218,8 @@ document.addEventListener('DOMContentLoaded', function() {
     document.getElementById('scrape-btn').addEventListener('click', scrapeWebsite);
     document.getElementById('analyze-btn').addEventListener('click', analyzeBusinessInfo);
     document.getElementById('recreate-btn').addEventListener('click', recreateWebsite);
+    document.getElementById('cancel-scrape-btn').addEventListener('click', () => cancelActiveJob('scrape'));
+    document.getElementById('cancel-recreate-btn').addEventListener('click', () => cancelActiveJob('recreate'));
     document.getElementById('generate-outreach-btn').addEventListener('click', generateOutreach);
     document.getElementById('modify-website-btn').addEventListener('click', modifyWebsite);
     document.getElementById('undo-modification-btn').addEventListener('click', undoModification);
@@ -297,6 +299,8 @@ document.addEventListener('DOMContentLoaded', function() {
     document.getElementById('view-live-btn').addEventListener('click', viewLiveSite);
     document.getElementById('save-project-btn').addEventListener('click', saveProject);
     document.getElementById('refresh-projects-btn').addEventListener('click', loadProjects);
+    document.getElementById('add-watch-btn').addEventListener('click', addWatch);
+    document.getElementById('refresh-watchlist-btn').addEventListener('click', loadWatchlist);
     document.getElementById('refresh-preview-btn').addEventListener('click', refreshWebsitePreview);
     document.getElementById('raw-data-toggle').addEventListener('click', toggleRawData);
     document.getElementById('copy-raw-data-btn').addEventListener('click', copyRawData);
@@ -305,8 +309,9 @@ document.addEventListener('DOMContentLoaded', function() {
     document.getElementById('website-url').addEventListener('input', handleUrlInput);
     document.getElementById('website-url').addEventListener('blur', showWebsitePreview);
 
-    // Load projects on page load
+    // Load projects and the watchlist on page load
     loadProjects();
+    loadWatchlist();
 
     // Homepage navigation buttons
     const launchBtn1 = document.getElementById('launch-tool-btn');
@@ -342,9 +347,175 @@ function setButtonLoading(buttonId, isLoading, loadingText = 'Processing...') {
     }
 }
 
+// Update the text of a button that is already in its loading state
+function updateButtonLoadingText(buttonId, loadingText) {
+    const button = document.getElementById(buttonId);
+    if (button && button.disabled) {
+        button.innerHTML = `<div class="loading inline-block mr-2"></div>${loadingText}`;
+    }
+}
+
+// ============================================
+// Background Job Functions
+// ============================================
+
+// Currently running job ID per kind ('scrape', 'recreate')
+const activeJobs = {};
+
+// Human-readable progress line for a job snapshot
+function describeJobProgress(progress = {}) {
+    if (progress.stage === 'discovering' || progress.stage === 'discovered') {
+        return `${progress.message || 'Discovering pages'}...`;
+    }
+    if (progress.total) {
+        const discovered = progress.pagesDiscovered ? ` (${progress.pagesDiscovered} pages found)` : '';
+        return `${progress.message}${discovered}...`;
+    }
+    return `${progress.message || 'Working'}...`;
+}
+
+// Poll a job until it finishes, reporting progress along the way
+async function pollJob(jobId, onProgress) {
+    while (true) {
+        const response = await fetch(`${API_BASE}/api/jobs/${jobId}`);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Server error: ${response.status}`);
+        }
+
+        if (['completed', 'failed', 'cancelled'].includes(data.job.status)) {
+            return data.job;
+        }
+
+        onProgress(data.job.progress);
+        await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+}
+
+// Follow a job over Server-Sent Events (polling as fallback) and resolve with its result
+function followJob(jobId, onProgress) {
+    return new Promise((resolve, reject) => {
+        let settled = false;
+
+        const settle = async (snapshot) => {
+            if (settled) return;
+            settled = true;
+
+            if (snapshot.status === 'completed') {
+                try {
+                    const response = await fetch(`${API_BASE}/api/jobs/${jobId}/result`);
+                    const result = await response.json();
+                    if (!response.ok) throw new Error(result.error || `Server error: ${response.status}`);
+                    resolve(result);
+                } catch (error) {
+                    reject(error);
+                }
+            } else if (snapshot.status === 'cancelled') {
+                const error = new Error('Job cancelled');
+                error.name = 'CancelledError';
+                reject(error);
+            } else {
+                reject(new Error(snapshot.error || 'Job failed'));
+            }
+        };
+
+        const fallBackToPolling = () => {
+            pollJob(jobId, onProgress).then(settle, (error) => {
+                if (!settled) {
+                    settled = true;
+                    reject(error);
+                }
+            });
+        };
+
+        if (!window.EventSource) {
+            fallBackToPolling();
+            return;
+        }
+
+        const source = new EventSource(`${API_BASE}/api/jobs/${jobId}/events`);
+        source.addEventListener('progress', (event) => onProgress(JSON.parse(event.data).progress));
+        ['completed', 'failed', 'cancelled'].forEach(eventName => {
+            source.addEventListener(eventName, (event) => {
+                source.close();
+                settle(JSON.parse(event.data));
+            });
+        });
+        source.onerror = () => {
+            source.close();
+            if (!settled) fallBackToPolling();
+        };
+    });
+}
+
+// Start a background job on an endpoint and wait for its result, with a cancel button while it runs
+async function runBackgroundJob(kind, endpoint, payload, onProgress) {
+    const cancelBtn = document.getElementById(`cancel-${kind}-btn`);
+
+    const response = await fetch(`${API_BASE}${endpoint}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ ...payload, async: true })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.error) {
+        throw new Error(data.error || `Server error: ${response.status}`);
+    }
+
+    // Serverless deployments run the work within the request and answer with the result
+    if (response.status !== 202) return data;
+
+    activeJobs[kind] = data.jobId;
+    if (cancelBtn) cancelBtn.classList.remove('hidden');
+
+    try {
+        return await followJob(data.jobId, onProgress);
+    } finally {
+        delete activeJobs[kind];
+        if (cancelBtn) cancelBtn.classList.add('hidden');
+    }
+}
+
+// Ask the server to cancel the running job of a kind
+async function cancelActiveJob(kind) {
+    const jobId = activeJobs[kind];
+    if (!jobId) return;
+
+    try {
+        await fetch(`${API_BASE}/api/jobs/${jobId}/cancel`, { method: 'POST' });
+        showNotification('Cancelling...', 'info', 2000);
+    } catch (error) {
+        handleApiError(error, 'cancel job');
+    }
+}
+
+// Advanced scrape options from the Scrape tab; blank fields fall back to the server defaults
+function getScrapeOptions() {
+    const value = (id) => document.getElementById(id).value.trim();
+    const options = {
+        includeSubdomains: document.getElementById('scrape-include-subdomains').checked,
+        onlyMainContent: document.getElementById('scrape-main-content-only').checked
+    };
+
+    if (value('scrape-max-pages')) options.maxPages = Number(value('scrape-max-pages'));
+    if (value('scrape-page-timeout')) options.pageTimeoutSeconds = Number(value('scrape-page-timeout'));
+    if (value('scrape-include-paths')) options.includePaths = value('scrape-include-paths');
+    if (value('scrape-exclude-paths')) options.excludePaths = value('scrape-exclude-paths');
+    if (value('scrape-render-js')) options.renderJavaScript = value('scrape-render-js') === 'true';
+    if (value('scrape-priority-keywords')) options.priorityKeywords = value('scrape-priority-keywords');
+
+    return options;
+}
+
 // Step 1: Scrape Website
 async function scrapeWebsite() {
     const url = document.getElementById('website-url').value.trim();
+    const force = document.getElementById('force-rescrape').checked;
+    const checkLinks = document.getElementById('check-links').checked;
+    const options = getScrapeOptions();
 
     // Clear any existing errors
     clearFieldError('website-url');
@@ -365,27 +536,11 @@ async function scrapeWebsite() {
     resultsEl.classList.add('hidden');
 
     try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 180000); // 3 minute timeout for comprehensive scraping
-
-        const response = await fetch(`${API_BASE}/api/scrape`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ url }),
-            signal: controller.signal
+        // Scraping runs as a background job so long crawls never hit request timeouts
+        const data = await runBackgroundJob('scrape', '/api/scrape', { url, force, checkLinks, options }, (progress) => {
+            updateButtonLoadingText('scrape-btn', describeJobProgress(progress));
         });
 
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.error || `Server error: ${response.status}`);
-        }
-
-        const data = await response.json();
-
         if (data.error) {
             throw new Error(data.error);
         }
@@ -396,6 +551,12 @@ async function scrapeWebsite() {
         }
 
         scrapedData = data;
+        renderContactList(data.contacts);
+
+        // Start the issues list from the audit's real findings rather than a blank box
+        if (data.audit && data.audit.issues.length > 0) {
+            document.getElementById('website-issues').value = data.audit.issues.join('\n');
+        }
 
         // Populate the Business Intelligence scraped data section
         const businessContentDisplay = document.getElementById('business-scraped-content-display');
@@ -450,6 +611,56 @@ async function scrapeWebsite() {
                </div>`
             : '';
 
+        // Logo, color swatches and fonts the generator can keep
+        const brand = data.brand;
+        const brandInfo = brand && (brand.logo || brand.colors.length > 0 || brand.fonts.length > 0)
+            ? `<div class="text-sm bg-gray-50 border border-gray-200 p-3 rounded mb-4">
+                   <div class="font-bold mb-2"><i class="fas fa-palette text-indigo-500 mr-2"></i>Brand identity</div>
+                   ${brand.logo ? `<div class="mb-2 flex items-center gap-2"><img src="${escapeHtml(brand.logo.url)}" alt="Logo" class="h-8 max-w-[160px] object-contain bg-white border border-gray-200 rounded p-1"><span class="text-gray-500">${escapeHtml(brand.logo.source)}</span></div>` : ''}
+                   ${brand.colors.length > 0 ? `<div class="flex flex-wrap gap-2 mb-2">${brand.colors.map(color => `<span class="flex items-center gap-1"><span class="inline-block w-5 h-5 rounded border border-gray-300" style="background: ${escapeHtml(color.hex)}"></span>${escapeHtml(color.hex)}</span>`).join('')}</div>` : ''}
+                   ${brand.fonts.length > 0 ? `<div><strong>Fonts:</strong> ${brand.fonts.map(font => escapeHtml(font.family)).join(', ')}</div>` : ''}
+               </div>`
+            : '';
+
+        // Usable images by role, with thumbnails, and what was set aside
+        const imageInventory = data.imageInventory;
+        const imageInventoryInfo = imageInventory && imageInventory.summary
+            ? `<div class="text-sm bg-gray-50 border border-gray-200 p-3 rounded mb-4">
+                   <div class="font-bold mb-2"><i class="fas fa-images text-indigo-500 mr-2"></i>Images: ${imageInventory.summary.usable} usable of ${imageInventory.summary.found} found</div>
+                   <div class="flex flex-wrap gap-2 mb-2">${Object.entries(imageInventory.summary.byRole).filter(([, count]) => count > 0).map(([role, count]) => `<span class="bg-white border border-gray-300 rounded px-2 py-0.5">${escapeHtml(role)}: ${count}</span>`).join('')}</div>
+                   <div class="flex flex-wrap gap-2 mb-2">${imageInventory.images.slice(0, 12).map(image => `<img src="${escapeHtml(image.url)}" alt="${escapeHtml(image.alt)}" title="${escapeHtml(`${image.role} - ${image.width || '?'}x${image.height || '?'} ${image.format}`)}" class="h-12 w-12 object-cover bg-white border border-gray-200 rounded">`).join('')}</div>
+                   <div class="text-gray-500">Set aside: ${imageInventory.summary.tracking} tracking, ${imageInventory.summary.tiny} tiny, ${imageInventory.summary.sprites} sprites, ${imageInventory.summary.duplicates} duplicates, ${imageInventory.summary.notImages} not images, ${imageInventory.summary.unavailable} unavailable</div>
+               </div>`
+            : '';
+
+        // Original primary menu, as it will be handed to the website generator
+        const navigation = data.navigation;
+        const renderNavItems = (items) => items.map(item => `
+            <li>${escapeHtml(item.label || '(no label)')}${item.url ? ` <span class="text-gray-500">${escapeHtml(item.url)}</span>` : ''}
+                ${item.children.length > 0 ? `<ul class="ml-4 list-disc">${renderNavItems(item.children)}</ul>` : ''}
+            </li>`).join('');
+        const navigationInfo = navigation && navigation.primary.length > 0
+            ? `<div class="text-sm bg-gray-50 border border-gray-200 p-3 rounded mb-4">
+                   <details>
+                       <summary class="font-bold"><i class="fas fa-bars text-indigo-500 mr-2"></i>Site navigation (${navigation.itemCount} menu items)</summary>
+                       <ul class="ml-4 mt-1 list-disc">${renderNavItems(navigation.primary)}</ul>
+                       ${navigation.footer.length > 0 ? `<div class="font-semibold mt-2">Footer</div><ul class="ml-4 list-disc">${renderNavItems(navigation.footer)}</ul>` : ''}
+                   </details>
+               </div>`
+            : '';
+
+        // Each scraped page with its detected type, word count and heading outline
+        const pagesInfo = data.pages && data.pages.length > 0
+            ? `<h4 class="font-bold mb-2 mt-4"><i class="fas fa-copy text-indigo-500 mr-2"></i>Pages Scraped (${data.pages.length}):</h4>
+               <div class="text-sm bg-gray-50 border border-gray-200 p-3 rounded">
+                   ${data.pages.map(page => `
+                       <details>
+                           <summary class="truncate"><span class="inline-block bg-white border border-gray-300 rounded px-2 mr-1 text-xs">${escapeHtml(page.type)}</span>${escapeHtml(page.url)} <span class="text-gray-500">(${page.wordCount.toLocaleString()} words${page.provider ? `, via ${escapeHtml(page.provider)}` : ''})</span></summary>
+                           ${page.headings.slice(0, 20).map(heading => `<div class="truncate text-gray-600" style="margin-left: ${heading.level * 0.75}rem">${escapeHtml(heading.text)}</div>`).join('')}
+                       </details>`).join('')}
+               </div>`
+            : '';
+
         // Create collapsible full content section
         const fullContentPreview = data.content ? `
             <div class="mt-4">
@@ -471,10 +682,114 @@ async function scrapeWebsite() {
             </div>
         ` : '';
 
+        // Let the user know when this result came from the scrape cache
+        const cacheInfo = data.metadata?.cached
+            ? `<div class="text-sm bg-blue-50 border border-blue-200 p-3 rounded mb-4">
+                   <i class="fas fa-database text-blue-500 mr-2"></i>
+                   Cached result from ${escapeHtml(new Date(data.metadata.cachedAt).toLocaleString())}${data.metadata.revalidated ? ' (confirmed unchanged)' : ''}.
+                   Tick "Force a fresh scrape" to scrape again.
+               </div>`
+            : '';
+
+        // Business facts the site publishes as schema.org / Open Graph data
+        const structured = data.structuredData;
+        const structuredFacts = structured ? [
+            ['Name', structured.name],
+            ['Type', structured.type],
+            ['Email', structured.email],
+            ['Phone', structured.telephone],
+            ['Address', structured.address ? Object.values(structured.address).filter(Boolean).join(', ') : ''],
+            ['Hours', (structured.openingHours || []).map(hours => `${hours.days.join(', ')} ${hours.opens}-${hours.closes}`).join('; ')],
+            ['Price range', structured.priceRange],
+            ['Profiles', (structured.sameAs || []).join(', ')]
+        ].filter(([, value]) => value) : [];
+        const structuredInfo = structuredFacts.length > 0
+            ? `<div class="text-sm bg-green-50 border border-green-200 p-3 rounded mb-4">
+                   <div class="font-bold mb-1"><i class="fas fa-check-circle text-green-500 mr-2"></i>Structured data found (${escapeHtml(structured.sources.join(', '))})</div>
+                   ${structuredFacts.map(([label, value]) => `<div><span class="font-semibold">${label}:</span> ${escapeHtml(value)}</div>`).join('')}
+               </div>`
+            : '';
+
+        // Technologies fingerprinted from the HTML and response headers
+        const techStack = data.techStack;
+        const severityColors = { high: 'text-red-600', medium: 'text-yellow-600', low: 'text-gray-500', info: 'text-gray-500' };
+        const techStackInfo = techStack && techStack.technologies.length > 0
+            ? `<div class="text-sm bg-gray-50 border border-gray-200 p-3 rounded mb-4">
+                   <div class="font-bold mb-1"><i class="fas fa-layer-group text-indigo-500 mr-2"></i>Technology stack${techStack.https ? '' : ' (no HTTPS)'}</div>
+                   <div class="flex flex-wrap gap-1 mb-2">
+                       ${techStack.technologies.map(tech => `<span class="bg-white border border-gray-300 rounded px-2 py-0.5" title="${escapeHtml(tech.category)}: ${escapeHtml(tech.evidence.join(', '))}">${escapeHtml(tech.name)}${tech.version ? ` ${escapeHtml(tech.version)}` : ''}</span>`).join('')}
+                   </div>
+                   ${techStack.findings.map(finding => `<div class="${severityColors[finding.severity] || ''}"><i class="fas fa-exclamation-triangle mr-1"></i>${escapeHtml(finding.message)}</div>`).join('')}
+               </div>`
+            : '';
+
+        // Homepage load time and weight measured during the scrape
+        const pageWeight = data.metadata?.performance;
+        const kilobytes = (bytes) => bytes >= 1048576 ? `${(bytes / 1048576).toFixed(1)} MB` : `${Math.round((bytes || 0) / 1024)} KB`;
+        const pageWeightInfo = pageWeight && !pageWeight.error
+            ? `<div class="text-sm bg-gray-50 border border-gray-200 p-3 rounded mb-4">
+                   <div class="font-bold mb-1"><i class="fas fa-tachometer-alt text-indigo-500 mr-2"></i>Homepage speed</div>
+                   <div class="grid grid-cols-2 gap-1">
+                       <div><strong>Response time (TTFB):</strong> ${pageWeight.ttfbMs} ms</div>
+                       <div><strong>Total weight:</strong> ${kilobytes(pageWeight.totalBytes)}</div>
+                       <div><strong>Images:</strong> ${pageWeight.resources.images.count} (${kilobytes(pageWeight.resources.images.bytes)})</div>
+                       <div><strong>Scripts:</strong> ${pageWeight.resources.scripts.count} (${kilobytes(pageWeight.resources.scripts.bytes)})</div>
+                       <div><strong>Stylesheets:</strong> ${pageWeight.resources.stylesheets.count} (${kilobytes(pageWeight.resources.stylesheets.bytes)})</div>
+                       <div><strong>Compression:</strong> ${escapeHtml(pageWeight.html.compression || 'none')}</div>
+                   </div>
+                   ${pageWeight.redirects.length > 0 ? `<div class="mt-1"><strong>Redirects:</strong> ${pageWeight.redirects.map(hop => `${escapeHtml(hop.url)} (${hop.status})`).join(' → ')} → ${escapeHtml(pageWeight.finalUrl)}</div>` : ''}
+               </div>`
+            : '';
+
+        // Broken links and missing images, each with the page it was found on
+        const linkCheck = data.linkCheck;
+        const linkCheckInfo = linkCheck
+            ? `<div class="text-sm ${linkCheck.broken.length > 0 ? 'bg-red-50 border-red-200' : 'bg-green-50 border-green-200'} border p-3 rounded mb-4">
+                   <div class="font-bold mb-1"><i class="fas fa-unlink ${linkCheck.broken.length > 0 ? 'text-red-500' : 'text-green-500'} mr-2"></i>Link check: ${linkCheck.brokenLinks} broken links, ${linkCheck.brokenImages} missing images (${linkCheck.checked} checked)</div>
+                   ${linkCheck.broken.slice(0, 20).map(item => `<div class="truncate"><span class="font-semibold">${escapeHtml(String(item.status || item.reason))}</span> ${escapeHtml(item.url)} <span class="text-gray-500">on ${escapeHtml(item.foundOn[0])}</span></div>`).join('')}
+               </div>`
+            : '';
+
+        // Security headers, HTTPS redirect and certificate in plain language
+        const security = data.security;
+        const securityInfo = security && security.findings
+            ? `<div class="text-sm bg-gray-50 border border-gray-200 p-3 rounded mb-4">
+                   <div class="font-bold mb-1"><i class="fas fa-shield-alt text-indigo-500 mr-2"></i>Security check${security.certificate && !security.certificate.error ? ` - certificate by ${escapeHtml(security.certificate.issuer || 'unknown')}, expires ${escapeHtml(security.certificate.validTo.substring(0, 10))}` : ''}</div>
+                   ${security.findings.length > 0
+                       ? security.findings.map(finding => `<div class="${severityColors[finding.severity] || ''}"><i class="fas fa-exclamation-triangle mr-1"></i>${escapeHtml(finding.message)}</div>`).join('')
+                       : '<div class="text-green-600"><i class="fas fa-check mr-1"></i>No security issues found</div>'}
+               </div>`
+            : '';
+
+        // Deterministic audit score with the checks that did not pass
+        const audit = data.audit;
+        const auditStatusIcons = { fail: 'fa-times-circle text-red-500', warn: 'fa-exclamation-circle text-yellow-500' };
+        const auditInfo = audit
+            ? `<div class="text-sm bg-gray-50 border border-gray-200 p-3 rounded mb-4">
+                   <div class="font-bold mb-1"><i class="fas fa-clipboard-check text-indigo-500 mr-2"></i>Website audit: ${audit.score}/100 (grade ${escapeHtml(audit.grade)}) - ${audit.summary.passed} passed, ${audit.summary.warnings} warnings, ${audit.summary.failed} failed</div>
+                   ${audit.checks.filter(check => auditStatusIcons[check.status]).map(check => `
+                       <details class="ml-1">
+                           <summary><i class="fas ${auditStatusIcons[check.status]} mr-1"></i>${escapeHtml(check.title)}: ${escapeHtml(check.message)}</summary>
+                           ${check.evidence.map(item => `<div class="ml-6 truncate text-gray-600">${escapeHtml(item.url)} - ${escapeHtml(item.detail)}</div>`).join('')}
+                       </details>`).join('')}
+               </div>`
+            : '';
+
         contentEl.innerHTML = `
+            ${cacheInfo}
             <h4 class="font-bold mb-2">Title: ${escapeHtml(data.title || 'N/A')}</h4>
             <h4 class="font-bold mb-2">Description: ${escapeHtml(data.description || 'N/A')}</h4>
+            ${structuredInfo}
+            ${auditInfo}
+            ${pageWeightInfo}
+            ${linkCheckInfo}
+            ${securityInfo}
+            ${techStackInfo}
+            ${brandInfo}
+            ${imageInventoryInfo}
+            ${navigationInfo}
             ${sitemapInfo}
+            ${pagesInfo}
             <h4 class="font-bold mb-2 mt-4">Content Preview (first 1000 chars):</h4>
             <div class="bg-black/20 p-4 rounded text-sm overflow-auto max-h-40">
                 ${data.content ? escapeHtml(data.content.substring(0, 1000)) + '...' : 'No content extracted'}
@@ -482,7 +797,7 @@ async function scrapeWebsite() {
             ${fullContentPreview}
             <h4 class="font-bold mb-2 mt-4">Extracted Links:</h4>
             <div class="text-sm">
-                ${data.links ? data.links.slice(0, 10).map(link => `<div class="truncate">${escapeHtml(link)}</div>`).join('') : 'No links found'}
+                ${data.links ? data.links.slice(0, 10).map(link => `<div class="truncate">${escapeHtml(link.url || link)}</div>`).join('') : 'No links found'}
             </div>
         `;
 
@@ -527,8 +842,8 @@ async function scrapeWebsite() {
         }, 2000);
 
     } catch (error) {
-        if (error.name === 'AbortError') {
-            handleApiError(new Error('Scraping timed out after 3 minutes. The website may have too many pages or be very slow. Try again or use a simpler website.'), 'scrape');
+        if (error.name === 'CancelledError') {
+            showNotification('Scraping cancelled', 'info');
         } else {
             handleApiError(error, 'scrape');
         }
@@ -540,6 +855,100 @@ async function scrapeWebsite() {
     }
 }
 
+// Show every contact channel from the scrape as a selectable list on the Analyze tab
+function renderContactList(contacts) {
+    const section = document.getElementById('contact-list-section');
+    const list = document.getElementById('contact-list');
+    if (!section || !list) return;
+
+    const hasContacts = contacts && ['emails', 'phones', 'addresses', 'people', 'socialProfiles', 'openingHours']
+        .some(field => contacts[field] && contacts[field].length > 0);
+    if (!hasContacts) {
+        section.classList.add('hidden');
+        list.innerHTML = '';
+        return;
+    }
+
+    const foundOn = (pages) => pages && pages.length > 0
+        ? `<span class="text-xs text-gray-400 block truncate" title="${escapeHtml(pages.join('\n'))}">found on ${escapeHtml(pages[0])}${pages.length > 1 ? ` +${pages.length - 1} more` : ''}</span>`
+        : '';
+
+    // A group of radio buttons; selecting one fills the matching business field
+    const radioGroup = (title, icon, name, records, describe) => records.length === 0 ? '' : `
+        <div>
+            <h4 class="font-bold text-gray-700 mb-2"><i class="fas ${icon} mr-2 text-gray-500"></i>${title} (${records.length})</h4>
+            ${records.map((record, index) => `
+                <label class="flex items-start gap-2 p-2 rounded hover:bg-gray-50 cursor-pointer">
+                    <input type="radio" name="${name}" value="${index}" class="mt-1 contact-choice">
+                    <span class="min-w-0">${describe(record)}${foundOn(record.pages)}</span>
+                </label>
+            `).join('')}
+        </div>
+    `;
+
+    const hoursText = (hours) => `${hours.days.join(', ')}: ${hours.closed ? 'Closed' : `${hours.opens} - ${hours.closes}`}`;
+
+    list.innerHTML = [
+        radioGroup('Emails', 'fa-envelope', 'contact-email', contacts.emails || [], email =>
+            `<span class="font-mono">${escapeHtml(email.value)}</span> <span class="text-xs bg-blue-100 text-blue-700 px-2 rounded">${escapeHtml(email.title || email.role)}</span>${email.name ? ` <span class="text-gray-500">${escapeHtml(email.name)}</span>` : ''}`),
+        radioGroup('Phones', 'fa-phone', 'contact-phone', contacts.phones || [], phone =>
+            `<span class="font-mono">${escapeHtml(phone.international || phone.value)}</span>${phone.type && phone.type !== 'UNKNOWN' ? ` <span class="text-xs text-gray-500">${escapeHtml(phone.type.toLowerCase().replace(/_/g, ' '))}</span>` : ''}`),
+        radioGroup('Addresses', 'fa-map-marker-alt', 'contact-address', contacts.addresses || [], address => escapeHtml(address.value)),
+        radioGroup('People', 'fa-user', 'contact-person', contacts.people || [], person =>
+            `${escapeHtml(person.name)} <span class="text-xs bg-green-100 text-green-700 px-2 rounded">${escapeHtml(person.role)}</span>`),
+        (contacts.socialProfiles || []).length === 0 ? '' : `
+            <div>
+                <h4 class="font-bold text-gray-700 mb-2"><i class="fas fa-share-alt mr-2 text-gray-500"></i>Social Profiles (${contacts.socialProfiles.length})</h4>
+                ${contacts.socialProfiles.map(profile => `
+                    <div class="p-2"><span class="capitalize font-semibold">${escapeHtml(profile.network)}:</span>
+                    <a href="${escapeHtml(profile.url)}" target="_blank" rel="noopener" class="text-info hover:underline break-all">${escapeHtml(profile.url)}</a></div>
+                `).join('')}
+            </div>
+        `,
+        (contacts.openingHours || []).length === 0 ? '' : `
+            <div>
+                <h4 class="font-bold text-gray-700 mb-2"><i class="fas fa-clock mr-2 text-gray-500"></i>Opening Hours</h4>
+                ${contacts.openingHours.map(hours => `<div class="p-2">${escapeHtml(hoursText(hours))}</div>`).join('')}
+            </div>
+        `
+    ].join('');
+
+    list.querySelectorAll('.contact-choice').forEach(input => {
+        input.addEventListener('change', () => {
+            const index = parseInt(input.value, 10);
+            if (input.name === 'contact-email') {
+                const email = contacts.emails[index];
+                document.getElementById('business-email').value = email.value;
+                businessInfo.email = email.value;
+                if (email.name && email.role === 'person') {
+                    document.getElementById('business-owner').value = email.name;
+                    businessInfo.owner = email.name;
+                }
+            } else if (input.name === 'contact-phone') {
+                businessInfo.phone = contacts.phones[index].value;
+            } else if (input.name === 'contact-address') {
+                businessInfo.location = contacts.addresses[index].value;
+            } else if (input.name === 'contact-person') {
+                const person = contacts.people[index];
+                document.getElementById('business-owner').value = person.name;
+                businessInfo.owner = person.name;
+                if (person.email) {
+                    document.getElementById('business-email').value = person.email;
+                    businessInfo.email = person.email;
+                }
+            }
+        });
+    });
+
+    section.classList.remove('hidden');
+}
+
+// Re-apply the user's contact selections (they win over AI-extracted values)
+function applySelectedContacts() {
+    document.querySelectorAll('#contact-list .contact-choice:checked')
+        .forEach(input => input.dispatchEvent(new Event('change')));
+}
+
 // Step 2: Analyze Business Info
 async function analyzeBusinessInfo() {
     // Clear all field errors
@@ -568,6 +977,7 @@ async function analyzeBusinessInfo() {
         services: document.getElementById('business-services').value.trim(),
         scrapedData: scrapedData
     };
+    applySelectedContacts();
 
     try {
         const controller = new AbortController();
@@ -709,6 +1119,8 @@ async function analyzeBusinessInfo() {
             showNotification('⚠️ AI analysis completed but no structured data returned', 'warning');
         }
 
+        applySelectedContacts();
+
         // Show and populate raw data section if we have scraped data
         if (scrapedData && scrapedData.content) {
             document.getElementById('raw-data-section').classList.remove('hidden');
@@ -739,6 +1151,7 @@ async function analyzeBusinessInfo() {
 async function recreateWebsite() {
     const instructions = document.getElementById('design-instructions').value;
     const versionCount = parseInt(document.getElementById('version-count').value) || 1;
+    const keepBrand = document.getElementById('keep-brand').checked;
 
     if (!scrapedData) {
         showNotification('Please scrape a website first', 'warning');
@@ -748,21 +1161,16 @@ async function recreateWebsite() {
     setButtonLoading('recreate-btn', true, `Creating ${versionCount} version${versionCount > 1 ? 's' : ''}...`);
 
     try {
-        const response = await fetch(`${API_BASE}/api/recreate`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                scrapedData,
-                businessInfo,
-                instructions: instructions || 'Create a modern, professional website',
-                versionCount
-            })
+        const data = await runBackgroundJob('recreate', '/api/recreate', {
+            scrapedData,
+            businessInfo,
+            instructions: instructions || 'Create a modern, professional website',
+            versionCount,
+            keepBrand
+        }, (progress) => {
+            updateButtonLoadingText('recreate-btn', describeJobProgress(progress));
         });
 
-        const data = await response.json();
-
         if (data.error) {
             throw new Error(data.error);
         }
@@ -791,7 +1199,11 @@ async function recreateWebsite() {
         showNotification(`${data.totalVersions} website version${data.totalVersions > 1 ? 's' : ''} generated! Pick your favorite and export it.`, 'success');
 
     } catch (error) {
-        showNotification('Error recreating website: ' + error.message, 'error');
+        if (error.name === 'CancelledError') {
+            showNotification('Website generation cancelled', 'info');
+        } else {
+            showNotification('Error recreating website: ' + error.message, 'error');
+        }
     } finally {
         setButtonLoading('recreate-btn', false);
     }
@@ -1136,7 +1548,11 @@ async function generateOutreach() {
                 generatedWebsite,
                 yourName,
                 yourEmail,
-                packagePrice
+                packagePrice,
+                techStack: scrapedData?.techStack,
+                performance: scrapedData?.metadata?.performance,
+                linkCheck: scrapedData?.linkCheck,
+                security: scrapedData?.security
             })
         });
 
@@ -1406,6 +1822,8 @@ async function loadProject(projectId) {
         generatedWebsite = project.generatedWebsite;
         hostedSite = project.hostedSite || null;
 
+        renderContactList(scrapedData && scrapedData.contacts);
+
         // Fill form fields
         if (scrapedData) {
             document.getElementById('website-url').value = scrapedData.url || '';
@@ -1478,6 +1896,208 @@ async function deleteProject(projectId) {
     }
 }
 
+// Watchlist Functions
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+async function loadWatchlist() {
+    const listEl = document.getElementById('watchlist-list');
+
+    try {
+        const [watchResponse, changesResponse] = await Promise.all([
+            fetch(`${API_BASE}/api/watchlist`),
+            fetch(`${API_BASE}/api/watchlist/changes?limit=50`)
+        ]);
+        const watchData = await watchResponse.json();
+        const changesData = await changesResponse.json();
+
+        if (watchData.error || changesData.error) {
+            throw new Error(watchData.error || changesData.error);
+        }
+
+        displayWatchlist(watchData.watches);
+        displayWatchChanges(changesData.changes);
+
+    } catch (error) {
+        listEl.innerHTML = `
+            <div class="text-center text-red-500 py-6">
+                <i class="fas fa-exclamation-triangle text-3xl mb-3"></i>
+                <p class="text-sm">Error loading watchlist: ${escapeHtml(error.message)}</p>
+            </div>
+        `;
+    }
+}
+
+function displayWatchlist(watches) {
+    const listEl = document.getElementById('watchlist-list');
+
+    if (watches.length === 0) {
+        listEl.innerHTML = `
+            <div class="text-center text-gray-500 py-6">
+                <i class="fas fa-eye-slash text-3xl mb-3"></i>
+                <p class="text-sm">No watched sites yet</p>
+            </div>
+        `;
+        return;
+    }
+
+    listEl.innerHTML = watches.map(watch => `
+        <div class="bg-white rounded-lg p-4 border border-gray-200 shadow-sm">
+            <div class="flex justify-between items-start">
+                <div class="flex-1">
+                    <h4 class="text-base font-bold text-gray-800 mb-1">${escapeHtml(watch.label || watch.url)}</h4>
+                    ${watch.label ? `<p class="text-sm text-gray-600 mb-2"><i class="fas fa-globe mr-1"></i>${escapeHtml(watch.url)}</p>` : ''}
+                    <div class="flex flex-wrap gap-4 text-xs text-gray-500">
+                        <span><i class="fas fa-clock mr-1"></i>Every ${watch.intervalHours}h</span>
+                        <span><i class="fas fa-history mr-1"></i>${watch.lastCheckedAt ? `Checked ${new Date(watch.lastCheckedAt).toLocaleString()}` : 'Not checked yet'}</span>
+                        ${watch.lastStatus === 'error' ? `<span class="text-red-500"><i class="fas fa-exclamation-triangle mr-1"></i>${escapeHtml(watch.lastError)}</span>` : ''}
+                        ${watch.lastChangeAt ? `<span><i class="fas fa-bell mr-1 text-yellow-500"></i>Changed ${new Date(watch.lastChangeAt).toLocaleDateString()}</span>` : ''}
+                        ${watch.webhookUrl ? '<span><i class="fas fa-paper-plane mr-1"></i>Webhook</span>' : ''}
+                        ${watch.running ? '<span class="text-blue-600"><i class="fas fa-spinner fa-spin mr-1"></i>Checking...</span>' : ''}
+                    </div>
+                </div>
+                <div class="flex gap-2 ml-4">
+                    <button onclick="checkWatchNow('${watch.id}')" class="bg-blue-600 hover:bg-blue-700 text-white text-xs font-bold py-2 px-3 rounded transition-colors" ${watch.running ? 'disabled' : ''}>
+                        <i class="fas fa-sync-alt mr-1"></i>Check Now
+                    </button>
+                    <button onclick="removeWatch('${watch.id}')" class="bg-red-600 hover:bg-red-700 text-white text-xs font-bold py-2 px-3 rounded transition-colors">
+                        <i class="fas fa-trash mr-1"></i>Remove
+                    </button>
+                </div>
+            </div>
+        </div>
+    `).join('');
+}
+
+function displayWatchChanges(changes) {
+    const changesEl = document.getElementById('watch-changes');
+
+    if (changes.length === 0) {
+        changesEl.innerHTML = `
+            <div class="text-center text-gray-500 py-6">
+                <p class="text-sm">No changes detected yet</p>
+            </div>
+        `;
+        return;
+    }
+
+    changesEl.innerHTML = changes.map(change => `
+        <div class="bg-white rounded-lg p-4 border ${change.relaunch ? 'border-yellow-400' : 'border-gray-200'} shadow-sm text-sm">
+            <div class="flex justify-between items-start mb-2">
+                <span class="font-bold text-gray-800">${escapeHtml(change.label || change.url)}</span>
+                <span class="text-xs text-gray-500">${new Date(change.detectedAt).toLocaleString()}</span>
+            </div>
+            ${change.relaunch ? '<span class="inline-block bg-yellow-100 text-yellow-800 text-xs font-bold rounded px-2 py-0.5 mb-2"><i class="fas fa-rocket mr-1"></i>Relaunch</span>' : ''}
+            <ul class="list-disc list-inside text-gray-700 space-y-1">
+                ${change.summary.map(line => `<li>${escapeHtml(line)}</li>`).join('')}
+            </ul>
+            ${change.content.pagesChanged.length > 0 ? `
+                <details class="mt-2 text-xs text-gray-600">
+                    <summary class="cursor-pointer">Changed pages</summary>
+                    ${change.content.pagesChanged.map(page => `
+                        <div class="mt-2">
+                            <div class="font-semibold">${escapeHtml(page.url)} (+${page.linesAdded} / -${page.linesRemoved} lines)</div>
+                            ${page.added.map(line => `<div class="text-green-700">+ ${escapeHtml(line)}</div>`).join('')}
+                            ${page.removed.map(line => `<div class="text-red-700">- ${escapeHtml(line)}</div>`).join('')}
+                        </div>
+                    `).join('')}
+                </details>
+            ` : ''}
+            ${change.webhook ? `<div class="mt-2 text-xs text-gray-500"><i class="fas fa-paper-plane mr-1"></i>Webhook: ${change.webhook.error ? escapeHtml(change.webhook.error) : `HTTP ${change.webhook.status}`}</div>` : ''}
+        </div>
+    `).join('');
+}
+
+async function addWatch() {
+    const url = document.getElementById('watch-url').value.trim();
+
+    if (!url) {
+        showNotification('Please enter a website URL to watch', 'warning');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/watchlist`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                url,
+                label: document.getElementById('watch-label').value.trim(),
+                intervalHours: Number(document.getElementById('watch-interval').value),
+                webhookUrl: document.getElementById('watch-webhook').value.trim()
+            })
+        });
+
+        const result = await response.json();
+
+        if (result.error) {
+            throw new Error(result.error);
+        }
+
+        document.getElementById('watch-url').value = '';
+        document.getElementById('watch-label').value = '';
+        document.getElementById('watch-webhook').value = '';
+        showNotification('Site added to the watchlist. Its first check is the baseline.', 'success');
+        loadWatchlist();
+
+    } catch (error) {
+        showNotification('Error adding watch: ' + error.message, 'error');
+    }
+}
+
+async function checkWatchNow(watchId) {
+    showNotification('Checking site for changes...', 'info');
+    setTimeout(loadWatchlist, 500);
+
+    try {
+        const result = await runBackgroundJob(`watch-${watchId}`, `/api/watchlist/${watchId}/check`, {}, () => {});
+
+        if (result.watch && result.watch.lastStatus === 'error') {
+            showNotification('Check failed: ' + escapeHtml(result.watch.lastError), 'error');
+        } else if (result.baseline) {
+            showNotification('Baseline snapshot saved. Later checks will report changes.', 'success');
+        } else if (result.change) {
+            showNotification(`Changes found: ${result.change.summary.map(escapeHtml).join('; ')}`, 'warning', 8000);
+        } else {
+            showNotification('No changes since the last check', 'success');
+        }
+
+    } catch (error) {
+        showNotification('Error checking site: ' + error.message, 'error');
+    } finally {
+        loadWatchlist();
+    }
+}
+
+async function removeWatch(watchId) {
+    if (!confirm('Stop watching this site? Its snapshots and change history will be deleted.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/watchlist/${watchId}`, {
+            method: 'DELETE'
+        });
+
+        const result = await response.json();
+
+        if (result.error) {
+            throw new Error(result.error);
+        }
+
+        showNotification('Site removed from the watchlist', 'success');
+        loadWatchlist();
+
+    } catch (error) {
+        showNotification('Error removing watch: ' + error.message, 'error');
+    }
+}
+
 // Live Site Hosting Functions
 function updateLiveSiteButton() {
     const liveSiteBtn = document.getElementById('view-live-btn');
@@ -1615,6 +2235,42 @@ async function loadAPISettings() {
                 providerRadio.checked = true;
                 handleProviderChange({ target: providerRadio });
             }
+
+            const userAgentInput = document.getElementById('scraper-user-agent');
+            if (userAgentInput && data.config.scraperUserAgent) {
+                userAgentInput.value = data.config.scraperUserAgent;
+            }
+
+            const cacheTtlInput = document.getElementById('scrape-cache-ttl');
+            if (cacheTtlInput && data.config.scrapeCacheTtlHours !== undefined) {
+                cacheTtlInput.value = data.config.scrapeCacheTtlHours;
+            }
+
+            const providerSelect = document.getElementById('scrape-provider');
+            if (providerSelect && data.config.scrapeProvider) {
+                providerSelect.value = data.config.scrapeProvider;
+                const fallbacks = data.config.scrapeProviderFallbacks || [];
+                document.getElementById('scrape-fallback-1').value = fallbacks[0] || '';
+                document.getElementById('scrape-fallback-2').value = fallbacks[1] || '';
+            }
+
+            const providerStatus = document.getElementById('scrape-provider-status');
+            if (providerStatus && data.config.scrapeProviders) {
+                const available = data.config.scrapeProviders.filter(provider => provider.available).map(provider => provider.label);
+                providerStatus.textContent = `Available now: ${available.join(', ') || 'none'}.`;
+            }
+
+            const renderInput = document.getElementById('render-javascript');
+            if (renderInput) renderInput.checked = !!data.config.renderJavaScript;
+
+            const executableInput = document.getElementById('browser-executable-path');
+            if (executableInput) executableInput.value = data.config.browserExecutablePath || '';
+
+            const installStatus = document.getElementById('browser-install-status');
+            if (installStatus) {
+                installStatus.textContent = data.config.browserInstalled ? 'puppeteer is installed.' : 'puppeteer is not installed.';
+                installStatus.className = data.config.browserInstalled ? 'text-green-600' : 'text-orange-600';
+            }
         }
     } catch (error) {
         console.error('Failed to load API settings:', error);
@@ -1657,6 +2313,13 @@ async function saveAPISettings() {
         const openaiKey = document.getElementById('openai-api-key').value.trim();
         const claudeKey = document.getElementById('claude-api-key').value.trim();
         const firecrawlKey = document.getElementById('firecrawl-api-key').value.trim();
+        const scraperUserAgent = document.getElementById('scraper-user-agent').value.trim();
+        const scrapeCacheTtlHours = document.getElementById('scrape-cache-ttl').value.trim();
+        const scrapeProvider = document.getElementById('scrape-provider').value;
+        const scrapeProviderFallbacks = ['scrape-fallback-1', 'scrape-fallback-2']
+            .map(id => document.getElementById(id).value)
+            .filter(Boolean);
+        const renderJavaScript = document.getElementById('render-javascript').checked;
 
         // Get selected models
         const geminiModel = document.getElementById('gemini-model').value;
@@ -1689,7 +2352,12 @@ async function saveAPISettings() {
                 openaiModel: openaiModel,
                 claudeModel: claudeModel,
                 maxWebsiteTokens: maxWebsiteTokens,
-                maxOutreachTokens: maxOutreachTokens
+                maxOutreachTokens: maxOutreachTokens,
+                scraperUserAgent: scraperUserAgent,
+                scrapeCacheTtlHours: scrapeCacheTtlHours || undefined,
+                renderJavaScript: renderJavaScript,
+                scrapeProvider: scrapeProvider,
+                scrapeProviderFallbacks: scrapeProviderFallbacks
             })
         });
 
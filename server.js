@@ -46,6 +46,22 @@ const handleError = (res, error, context = '') => {
         return res.status(400).json({ error: error.message });
     }
 
+    if (error.name === 'BlockedUrlError') {
+        return res.status(400).json({ error: error.message });
+    }
+
+    if (error.name === 'RobotsDisallowedError') {
+        return res.status(403).json({ error: error.message, metadata: error.metadata });
+    }
+
+    if (error.name === 'SiteUnreachableError') {
+        return res.status(error.timedOut ? 504 : 502).json({ error: error.message, metadata: error.metadata });
+    }
+
+    if (error.name === 'WatchBusyError') {
+        return res.status(409).json({ error: error.message });
+    }
+
     if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
         return res.status(503).json({
             error: 'Unable to connect to external service. Please try again later.'
@@ -69,9 +85,37 @@ const FirecrawlApp = require('@mendable/firecrawl-js').default;
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const OpenAI = require('openai');
 const Anthropic = require('@anthropic-ai/sdk');
+const { selectPriorityUrls, normalizeUrl } = require('./lib/crawler');
+const { DEFAULT_USER_AGENT, getRobotsPolicy, getLocalPolicy } = require('./lib/robots');
+const { parseHtml, dedupeByUrl } = require('./lib/extract');
+const { mergeStructuredData, hasStructuredData } = require('./lib/structured-data');
+const { extractPageContacts, mergeContacts, getPrimaryContacts } = require('./lib/contacts');
+const { inferCountry } = require('./lib/locale');
+const { deobfuscateEmailText } = require('./lib/email-decode');
+const { detectTechStack, describeTechStack, fetchResponseHeaders } = require('./lib/tech-stack');
+const { auditSite, describeAudit } = require('./lib/audit');
+const { measurePageWeight, describePerformance } = require('./lib/performance');
+const { collectLinkTargets, checkLinks, getBrokenImageUrls, describeBrokenLinks } = require('./lib/link-check');
+const { checkSecurity, describeSecurity } = require('./lib/security');
+const { createJob, getJob, cancelJob, subscribeToJob, serializeJob, isTerminal, throwIfCancelled } = require('./lib/jobs');
+const { getCachedScrape, saveCachedScrape, touchCachedScrape, revalidateCachedScrape, isFresh } = require('./lib/scrape-cache');
+const { extractSiteNavigation, describeNavigation } = require('./lib/navigation');
+const { extractBrand, describeBrand } = require('./lib/brand');
+const { analyzeImages, describeImages } = require('./lib/images');
+const { buildPageRecord, formatPageSection, selectPageContent, describePages, ANALYSIS_PAGE_TYPES, RECREATION_PAGE_TYPES } = require('./lib/pages');
+const { DEFAULT_SCRAPE_OPTIONS, normalizeScrapeOptions, getScrapeOptionsKey, createUrlFilter } = require('./lib/scrape-options');
+const { isBrowserInstalled } = require('./lib/browser');
+const { assertPublicUrl } = require('./lib/safe-fetch');
+const { createProviders, describeProviders, normalizeProviderSettings } = require('./lib/providers');
+const { listWatches, getWatch, addWatch, updateWatch, removeWatch, listChanges, checkWatch, startWatchScheduler } = require('./lib/watchlist');
 
 const app = express();
 
+// Background jobs live in this process's memory and keep running after the 202 response.
+// Serverless functions (Vercel) are frozen once they respond and polls may reach another
+// instance, so there async: true is ignored and the work runs within the request.
+const backgroundJobsEnabled = process.env.VERCEL !== '1';
+
 // API Configuration Storage (in-memory for now, can be persisted to DB/file later)
 let apiConfig = {
     llmProvider: 'default', // default uses built-in Gemini API
@@ -83,7 +127,16 @@ let apiConfig = {
     openaiModel: 'gpt-5',
     claudeModel: 'claude-sonnet-4-5-20250929',
     maxWebsiteTokens: 8000,
-    maxOutreachTokens: 3000
+    maxOutreachTokens: 3000,
+    scraperUserAgent: process.env.SCRAPER_USER_AGENT || DEFAULT_USER_AGENT,
+    scrapeCacheTtlHours: process.env.SCRAPE_CACHE_TTL_HOURS !== undefined ? parseFloat(process.env.SCRAPE_CACHE_TTL_HOURS) : 24, // 0 disables the cache
+    renderJavaScript: process.env.RENDER_JAVASCRIPT === 'true', // default for scrapes that do not choose
+    browserExecutablePath: process.env.BROWSER_EXECUTABLE_PATH || null, // Chromium to use instead of puppeteer's own (env only)
+    // Scrape providers: the primary is tried first for every page, then the fallbacks in order.
+    // Providers that are not configured (Firecrawl without a key) are skipped.
+    scrapeProvider: process.env.SCRAPE_PROVIDER || 'firecrawl',
+    scrapeProviderFallbacks: (process.env.SCRAPE_PROVIDER_FALLBACKS ?? 'native').split(',').map(name => name.trim()).filter(Boolean),
+    scrapeFixturesDir: process.env.SCRAPE_FIXTURES_DIR || null // enables the offline "fixture" provider
 };
 
 // Middleware
@@ -177,10 +230,12 @@ async function callLLM(prompt, options = {}) {
     }
 }
 
-// Scrape website endpoint
+// Scrape website endpoint (pass async: true to run it as a background job).
+// options tunes the crawl: maxPages, includePaths/excludePaths globs, priorityKeywords,
+// includeSubdomains, pageTimeoutSeconds and onlyMainContent.
 app.post('/api/scrape', async (req, res) => {
     try {
-        const { url } = req.body;
+        const { url, async: runAsync, force, checkLinks: checkLinksRequested, options } = req.body;
 
         // Input validation
         if (!validateInput.required(url)) {
@@ -193,38 +248,227 @@ app.post('/api/scrape', async (req, res) => {
 
         // Sanitize URL
         const sanitizedUrl = validateInput.sanitizeString(url);
+        const scrapeOptions = {
+            requestUserAgent: req.headers['user-agent'] || 'Unknown',
+            force: !!force,
+            checkLinks: !!checkLinksRequested,
+            scrapeOptions: normalizeScrapeOptions(options, getScrapeDefaults())
+        };
 
-        console.log('🕷️ Scraping website:', sanitizedUrl);
+        if (runAsync && backgroundJobsEnabled) {
+            const job = createJob('scrape', (progress) => runScrape(sanitizedUrl, { ...progress, ...scrapeOptions }));
+            console.log(`🧵 Scrape job ${job.id} queued for:`, sanitizedUrl);
+            return res.status(202).json(jobAcceptedResponse(job));
+        }
+
+        res.json(await runScrape(sanitizedUrl, scrapeOptions));
 
-        // Use Firecrawl if available, otherwise fall back to enhanced scraping
-        const scrapedData = firecrawl
-            ? await professionalScrapeWebsite(sanitizedUrl)
-            : await enhancedScrapeWebsite(sanitizedUrl);
+    } catch (error) {
+        handleError(res, error, 'scrape');
+    }
+});
 
-        // Validate scraped data
-        if (!scrapedData.title && !scrapedData.content && !scrapedData.description) {
-            throw new Error('Unable to extract meaningful data from this website. The site may be blocking scraping or may not contain readable content.');
+// Audit endpoint: scores the scraped HTML with deterministic checks (reuses the scrape cache)
+app.post('/api/audit', async (req, res) => {
+    try {
+        const { url, async: runAsync, force, checkLinks: checkLinksRequested, options } = req.body;
+
+        if (!validateInput.required(url)) {
+            throw new Error('URL is required');
         }
 
-        // Store scraped data
-        const scrapeId = Math.random().toString(36).substring(2, 15);
-        scrapedWebsites.set(scrapeId, {
-            ...scrapedData,
-            url: sanitizedUrl,
-            timestamp: new Date(),
-            userAgent: req.headers['user-agent'] || 'Unknown'
-        });
+        if (!validateInput.url(url)) {
+            throw new Error('Please provide a valid URL (e.g., https://example.com)');
+        }
 
-        res.json({
-            ...scrapedData,
-            scrapeId
-        });
+        const sanitizedUrl = validateInput.sanitizeString(url);
+        const auditOptions = {
+            requestUserAgent: req.headers['user-agent'] || 'Unknown',
+            force: !!force,
+            checkLinks: !!checkLinksRequested,
+            scrapeOptions: normalizeScrapeOptions(options, getScrapeDefaults())
+        };
+
+        if (runAsync && backgroundJobsEnabled) {
+            const job = createJob('audit', (progress) => runAudit(sanitizedUrl, { ...progress, ...auditOptions }));
+            console.log(`🧵 Audit job ${job.id} queued for:`, sanitizedUrl);
+            return res.status(202).json(jobAcceptedResponse(job));
+        }
+
+        res.json(await runAudit(sanitizedUrl, auditOptions));
 
     } catch (error) {
-        handleError(res, error, 'scrape');
+        handleError(res, error, 'audit');
     }
 });
 
+// Scrape (or load from cache) and return the site's audit report
+async function runAudit(sanitizedUrl, options = {}) {
+    let scrapedData = await runScrape(sanitizedUrl, options);
+
+    // Cache entries written before audits existed have no report and no HTML to build one from
+    if (!scrapedData.audit && scrapedData.metadata?.cached) {
+        scrapedData = await runScrape(sanitizedUrl, { ...options, force: true });
+    }
+
+    if (!scrapedData.audit) {
+        throw new Error('Could not audit this website - no pages could be fetched.');
+    }
+
+    console.log(`🩺 Audit for ${sanitizedUrl}: ${scrapedData.audit.score}/100`);
+
+    return {
+        ...scrapedData.audit,
+        scrapeId: scrapedData.scrapeId,
+        techStack: scrapedData.techStack || null
+    };
+}
+
+// What the scrape providers need to know to tell whether they are configured
+function getProviderContext() {
+    return { firecrawl: getFirecrawl(), fixturesDir: apiConfig.scrapeFixturesDir };
+}
+
+// robots.txt governs providers that fetch from the site itself, not local fixtures
+function usesRemoteScrapeProvider() {
+    const order = [apiConfig.scrapeProvider, ...apiConfig.scrapeProviderFallbacks];
+    return describeProviders(getProviderContext())
+        .some(provider => order.includes(provider.name) && provider.available && provider.capabilities.remote);
+}
+
+// Scrape option defaults that come from API Settings rather than the request
+function getScrapeDefaults() {
+    return { renderJavaScript: !!apiConfig.renderJavaScript };
+}
+
+// Scrape a validated URL with the best available scraper and store the result.
+// Cached results are reused unless options.force is set; scrapes with
+// non-default options.scrapeOptions are cached separately from the default scrape.
+async function runScrape(sanitizedUrl, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const cacheTtlMs = (apiConfig.scrapeCacheTtlHours || 0) * 60 * 60 * 1000;
+    const scrapeOptions = options.scrapeOptions || normalizeScrapeOptions(null, getScrapeDefaults());
+    const cacheVariant = getScrapeOptionsKey(scrapeOptions);
+    options = { ...options, scrapeOptions };
+
+    if (!options.force && cacheTtlMs > 0) {
+        onProgress({ stage: 'starting', message: 'Checking scrape cache' });
+        const cachedData = await loadCachedScrape(sanitizedUrl, cacheTtlMs, cacheVariant);
+        // A cached scrape without a link check cannot answer a request for one
+        if (cachedData && (!options.checkLinks || cachedData.linkCheck)) {
+            return storeScrapeResult(sanitizedUrl, cachedData, options);
+        }
+    }
+
+    console.log('🕷️ Scraping website:', sanitizedUrl);
+    onProgress({ stage: 'starting', message: 'Checking robots.txt' });
+
+    // Never fetch internal addresses on a client's behalf, and respect the site's
+    // robots.txt before any scrape provider touches it
+    const remote = usesRemoteScrapeProvider();
+    if (remote) await assertPublicUrl(sanitizedUrl);
+    const robots = remote
+        ? await getRobotsPolicy(sanitizedUrl, apiConfig.scraperUserAgent)
+        : getLocalPolicy(sanitizedUrl);
+    // An unreachable robots.txt disallows everything, but the real problem is the site
+    if (robots.source === 'unreachable') {
+        console.log('🔌 Website unreachable:', sanitizedUrl, robots.error.message);
+        const error = new Error(robots.error.timedOut
+            ? 'This website took too long to respond. Please try again later.'
+            : `This website could not be reached (${robots.error.message}).`);
+        error.name = 'SiteUnreachableError';
+        error.timedOut = robots.error.timedOut;
+        error.metadata = { url: sanitizedUrl, robots: { userAgent: apiConfig.scraperUserAgent, source: robots.source } };
+        throw error;
+    }
+    if (!robots.isAllowed(sanitizedUrl)) {
+        console.log('🤖 robots.txt disallows scraping:', sanitizedUrl);
+        const error = new Error('This website\'s robots.txt does not allow scraping this page.');
+        error.name = 'RobotsDisallowedError';
+        error.metadata = {
+            url: sanitizedUrl,
+            robots: {
+                userAgent: apiConfig.scraperUserAgent,
+                source: robots.source,
+                crawlDelay: robots.crawlDelay,
+                skippedUrls: [{ url: sanitizedUrl, reason: 'robots.txt' }]
+            }
+        };
+        throw error;
+    }
+
+    const scrapedData = await scrapeWithProviders(sanitizedUrl, options);
+
+    // Validate scraped data
+    if (!scrapedData.title && !scrapedData.content && !scrapedData.description) {
+        throw new Error('Unable to extract meaningful data from this website. The site may be blocking scraping or may not contain readable content.');
+    }
+
+    scrapedData.metadata = { ...scrapedData.metadata, cached: false, scrapeOptions };
+
+    // Only cache real scrapes, not the error fallback
+    if (cacheTtlMs > 0 && scrapedData.metadata.method !== 'fallback') {
+        await saveCachedScrape(sanitizedUrl, scrapedData, scrapedData.metadata.pageValidators || [], cacheVariant);
+    }
+
+    return storeScrapeResult(sanitizedUrl, scrapedData, options);
+}
+
+// Return a cached scrape if it is still fresh, or if a stale native scrape
+// revalidates as unchanged (every page answers 304 Not Modified)
+async function loadCachedScrape(sanitizedUrl, cacheTtlMs, variant = '') {
+    let entry = await getCachedScrape(sanitizedUrl, variant);
+    if (!entry) return null;
+
+    let revalidated = false;
+    if (!isFresh(entry, cacheTtlMs)) {
+        console.log('🔁 Revalidating cached scrape:', sanitizedUrl);
+        if (!await revalidateCachedScrape(entry, apiConfig.scraperUserAgent)) return null;
+
+        entry = await touchCachedScrape(sanitizedUrl, entry);
+        revalidated = true;
+    }
+
+    console.log(`💾 Using cached scrape from ${entry.cachedAt}${revalidated ? ' (revalidated)' : ''}:`, sanitizedUrl);
+
+    return {
+        ...entry.result,
+        metadata: {
+            ...entry.result.metadata,
+            cached: true,
+            cachedAt: entry.cachedAt,
+            revalidated
+        }
+    };
+}
+
+// Keep a scrape result in memory under a new scrape ID
+function storeScrapeResult(sanitizedUrl, scrapedData, options = {}) {
+    const scrapeId = Math.random().toString(36).substring(2, 15);
+    scrapedWebsites.set(scrapeId, {
+        ...scrapedData,
+        url: sanitizedUrl,
+        timestamp: new Date(),
+        userAgent: options.requestUserAgent || 'Unknown'
+    });
+
+    return {
+        ...scrapedData,
+        scrapeId
+    };
+}
+
+// 202 response body for a newly queued job
+function jobAcceptedResponse(job) {
+    return {
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+        eventsUrl: `/api/jobs/${job.id}/events`,
+        resultUrl: `/api/jobs/${job.id}/result`
+    };
+}
+
 // Analyze business info endpoint
 app.post('/api/analyze', async (req, res) => {
     try {
@@ -301,10 +545,11 @@ app.post('/api/analyze', async (req, res) => {
     }
 });
 
-// Recreate website endpoint
+// Recreate website endpoint (pass async: true to run it as a background job).
+// keepBrand: true keeps the original site's logo, brand colors and fonts.
 app.post('/api/recreate', async (req, res) => {
     try {
-        const { scrapedData, businessInfo, instructions, versionCount = 1 } = req.body;
+        const { scrapedData, businessInfo, instructions, versionCount = 1, async: runAsync, keepBrand } = req.body;
 
         // Input validation
         if (!scrapedData) {
@@ -340,64 +585,27 @@ app.post('/api/recreate', async (req, res) => {
         };
 
         const sanitizedInstructions = instructions ? validateInput.sanitizeString(instructions) : '';
+        const recreateRequest = { scrapedData, businessInfo: sanitizedBusinessInfo, instructions: sanitizedInstructions, numVersions, keepBrand: !!keepBrand };
 
-        console.log(`🤖 Generating ${numVersions} website version(s) for:`, sanitizedBusinessInfo.name);
-
-        // Generate multiple versions
-        const versions = [];
-        for (let i = 0; i < numVersions; i++) {
-            console.log(`   🎨 Creating version ${i + 1}/${numVersions}...`);
-
-            // Add variation instruction for multiple versions
-            const versionInstruction = numVersions > 1
-                ? `${sanitizedInstructions}\n\n[Version ${i + 1}: Create a unique design variation with different layout, color scheme, or style approach]`
-                : sanitizedInstructions;
-
-            const newWebsite = await generateWebsiteWithAI(scrapedData, sanitizedBusinessInfo, versionInstruction);
-
-            if (newWebsite) {
-                versions.push({
-                    ...newWebsite,
-                    versionNumber: i + 1,
-                    versionId: Math.random().toString(36).substring(2, 15)
-                });
-                console.log(`   ✅ Version ${i + 1} generated successfully`);
-            } else {
-                console.log(`   ⚠️ Version ${i + 1} generation failed`);
-            }
+        if (runAsync && backgroundJobsEnabled) {
+            const job = createJob('recreate', async (progress) => {
+                const result = await runRecreate(recreateRequest, progress);
+                if (!result) throw new Error('Failed to generate any website versions');
+                return result;
+            });
+            console.log(`🧵 Recreate job ${job.id} queued for:`, sanitizedBusinessInfo.name);
+            return res.status(202).json(jobAcceptedResponse(job));
         }
 
-        if (versions.length === 0) {
+        const result = await runRecreate(recreateRequest);
+
+        if (!result) {
             return res.status(500).json({
                 error: 'Failed to generate any website versions'
             });
         }
 
-        // Store all generated versions
-        const projectId = Math.random().toString(36).substring(2, 15);
-        generatedProjects.set(projectId, {
-            versions,
-            businessInfo: sanitizedBusinessInfo,
-            timestamp: new Date()
-        });
-
-        // Automatically host the first version for live preview
-        let hostedSite = null;
-        try {
-            hostedSite = await saveHostedWebsite(versions[0], sanitizedBusinessInfo);
-            console.log('✅ Version 1 automatically hosted for live preview');
-        } catch (error) {
-            console.log('⚠️ Could not auto-host website, manual hosting still available');
-        }
-
-        console.log(`🎉 Generated ${versions.length} version(s) successfully`);
-
-        res.json({
-            versions,
-            projectId,
-            hostedSite,
-            totalVersions: versions.length
-        });
+        res.json(result);
 
     } catch (error) {
         console.error('Recreation error:', error);
@@ -422,6 +630,70 @@ app.post('/api/recreate', async (req, res) => {
     }
 });
 
+// Generate, store and auto-host the requested number of website versions.
+// Returns null when no version could be generated.
+async function runRecreate({ scrapedData, businessInfo: sanitizedBusinessInfo, instructions: sanitizedInstructions, numVersions, keepBrand }, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+
+    console.log(`🤖 Generating ${numVersions} website version(s) for:`, sanitizedBusinessInfo.name);
+
+    // Generate multiple versions
+    const versions = [];
+    for (let i = 0; i < numVersions; i++) {
+        throwIfCancelled(options.signal);
+        console.log(`   🎨 Creating version ${i + 1}/${numVersions}...`);
+        onProgress({ stage: 'generating', message: `Generating version ${i + 1}/${numVersions}`, current: i + 1, total: numVersions });
+
+        // Add variation instruction for multiple versions
+        const versionInstruction = numVersions > 1
+            ? `${sanitizedInstructions}\n\n[Version ${i + 1}: Create a unique design variation with different layout${keepBrand ? ' or style approach, keeping the brand colors and fonts' : ', color scheme, or style approach'}]`
+            : sanitizedInstructions;
+
+        const newWebsite = await generateWebsiteWithAI(scrapedData, sanitizedBusinessInfo, versionInstruction, { keepBrand });
+
+        if (newWebsite) {
+            versions.push({
+                ...newWebsite,
+                versionNumber: i + 1,
+                versionId: Math.random().toString(36).substring(2, 15)
+            });
+            console.log(`   ✅ Version ${i + 1} generated successfully`);
+        } else {
+            console.log(`   ⚠️ Version ${i + 1} generation failed`);
+        }
+    }
+
+    if (versions.length === 0) {
+        return null;
+    }
+
+    // Store all generated versions
+    const projectId = Math.random().toString(36).substring(2, 15);
+    generatedProjects.set(projectId, {
+        versions,
+        businessInfo: sanitizedBusinessInfo,
+        timestamp: new Date()
+    });
+
+    // Automatically host the first version for live preview
+    let hostedSite = null;
+    try {
+        hostedSite = await saveHostedWebsite(versions[0], sanitizedBusinessInfo);
+        console.log('✅ Version 1 automatically hosted for live preview');
+    } catch (error) {
+        console.log('⚠️ Could not auto-host website, manual hosting still available');
+    }
+
+    console.log(`🎉 Generated ${versions.length} version(s) successfully`);
+
+    return {
+        versions,
+        projectId,
+        hostedSite,
+        totalVersions: versions.length
+    };
+}
+
 // Modify website endpoint - iterative AI changes
 app.post('/api/modify-website', async (req, res) => {
     try {
@@ -490,7 +762,7 @@ app.post('/api/modify-website', async (req, res) => {
 // Generate outreach endpoint
 app.post('/api/outreach', async (req, res) => {
     try {
-        const { businessInfo, generatedWebsite, yourName, yourEmail, packagePrice } = req.body;
+        const { businessInfo, generatedWebsite, yourName, yourEmail, packagePrice, techStack, performance: pageWeight, linkCheck, security } = req.body;
 
         // Input validation
         if (!businessInfo) {
@@ -545,7 +817,11 @@ app.post('/api/outreach', async (req, res) => {
         const outreach = await generateOutreachWithAI(sanitizedBusinessInfo, generatedWebsite, {
             yourName: sanitizedYourName,
             yourEmail: sanitizedYourEmail,
-            packagePrice: sanitizedPackagePrice
+            packagePrice: sanitizedPackagePrice,
+            techStack: techStack || businessInfo.scrapedData?.techStack || null,
+            performance: pageWeight || businessInfo.scrapedData?.metadata?.performance || null,
+            linkCheck: linkCheck || businessInfo.scrapedData?.linkCheck || null,
+            security: security || businessInfo.scrapedData?.security || null
         });
 
         if (!outreach) {
@@ -785,337 +1061,408 @@ app.delete('/api/projects/:id', async (req, res) => {
     }
 });
 
-// Professional website scraping with full sitemap discovery and intelligent scraping
-async function professionalScrapeWebsite(url) {
+// Scrape a site through the configured providers (API Settings: primary, then fallbacks).
+// The first provider that can map the site discovers its pages, and every page comes
+// from the first provider that returns it, so one failing backend never ends the scrape.
+// options.onProgress receives job progress updates; options.signal cancels the scrape.
+async function scrapeWithProviders(url, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const scrapeOptions = options.scrapeOptions || DEFAULT_SCRAPE_OPTIONS;
+
     try {
-        console.log('🔥 Using Firecrawl for comprehensive sitemap scraping:', url);
-
-        // First, map the website to discover all pages using Firecrawl /map endpoint
-        console.log('📍 Mapping website to discover complete sitemap...');
-        const mapResult = await firecrawl.map(url, {
-            limit: 100, // Increased limit to discover more pages
-            includeSubdomains: false, // Use camelCase as per Firecrawl docs
-            ignoreSitemap: false // Use sitemap if available for faster discovery
+        const providers = createProviders(apiConfig.scrapeProvider, apiConfig.scrapeProviderFallbacks, {
+            ...getProviderContext(),
+            scrapeOptions,
+            userAgent: apiConfig.scraperUserAgent,
+            browserExecutablePath: apiConfig.browserExecutablePath,
+            signal: options.signal,
+            onProgress
         });
-
-        if (!mapResult || !mapResult.links || mapResult.links.length === 0) {
-            console.log(`⚠️ Mapping failed or no links found`);
-            console.log('🔄 Falling back to single page scrape');
-            return await scrapeSinglePage(url);
+        if (providers.length === 0) {
+            throw new Error('No scrape provider is available. Check the scrape providers in API Settings.');
         }
+        console.log(`🧩 Scrape providers: ${providers.map(provider => provider.name).join(' -> ')}`);
+
+        const homeUrl = normalizeUrl(url) || url;
+        const remote = providers.some(provider => provider.capabilities.remote);
+        const robotsFor = (pageUrl) => (remote ? getRobotsPolicy(pageUrl, apiConfig.scraperUserAgent) : getLocalPolicy(pageUrl));
+        const robots = await robotsFor(url);
+        const requestState = {
+            crawlDelayMs: (robots.crawlDelay || 0) * 1000,
+            nextRequestAt: new Map(),
+            signal: options.signal
+        };
 
-        // Get discovered URLs - use all discovered pages for comprehensive analysis
-        const allDiscoveredUrls = mapResult.links || [];
-        console.log(`🗺️ Discovered ${allDiscoveredUrls.length} total pages from sitemap`);
-
-        // Log first 10 for visibility
-        allDiscoveredUrls.slice(0, 10).forEach((link, index) => {
-            console.log(`   ${index + 1}. ${link.url || link} - ${link.title || 'No title'}`);
-        });
-
-        if (allDiscoveredUrls.length > 10) {
-            console.log(`   ... and ${allDiscoveredUrls.length - 10} more pages`);
+        // 1. Discover the site's pages
+        onProgress({ stage: 'discovering', message: 'Mapping website', pagesDiscovered: 0 });
+        const discovery = await discoverWithProviders(homeUrl, providers, requestState);
+        const sitemap = [...new Set([homeUrl, ...discovery.urls.map(link => normalizeUrl(link)).filter(Boolean)])];
+        console.log(`🗺️ Discovered ${sitemap.length} pages${discovery.provider ? ` with ${discovery.provider}` : ''}`);
+        onProgress({ stage: 'discovered', message: `Discovered ${sitemap.length} pages`, pagesDiscovered: sitemap.length });
+
+        // 2. Pick the priority pages among those the globs and robots.txt allow
+        const isUrlIncluded = createUrlFilter(scrapeOptions, url);
+        const skippedUrls = [...discovery.skippedUrls];
+        const policies = new Map([[new URL(homeUrl).origin, robots]]);
+        const candidateUrls = [];
+        for (const pageUrl of sitemap) {
+            if (pageUrl !== homeUrl && !isUrlIncluded(pageUrl)) continue;
+            const origin = new URL(pageUrl).origin;
+            if (!policies.has(origin)) policies.set(origin, await robotsFor(pageUrl));
+            if (policies.get(origin).isAllowed(pageUrl)) candidateUrls.push(pageUrl);
+            else if (!skippedUrls.some(skipped => skipped.url === pageUrl)) skippedUrls.push({ url: pageUrl, reason: 'robots.txt' });
         }
 
-        // Scrape multiple key pages instead of crawling
-        console.log('🕷️ Starting comprehensive scraping of discovered pages...');
-        const scrapedPages = [];
-
-        // Prioritize homepage + key pages (about, services, contact, products, etc.)
-        const priorityKeywords = ['about', 'service', 'contact', 'product', 'team', 'portfolio', 'pricing', 'features'];
-
-        const priorityPages = allDiscoveredUrls.filter(link => {
-            const linkUrl = (typeof link === 'string' ? link : link.url || '').toLowerCase();
-            return priorityKeywords.some(keyword => linkUrl.includes(keyword));
-        });
-
-        const priorityUrls = [
-            url, // Always include homepage first
-            ...priorityPages.slice(0, 12).map(link => typeof link === 'string' ? link : link.url),
-            ...allDiscoveredUrls.slice(0, 8).map(link => typeof link === 'string' ? link : link.url)
-        ];
+        if (skippedUrls.length > 0) {
+            console.log(`🤖 Skipping ${skippedUrls.length} pages disallowed by robots.txt`);
+        }
 
-        // Remove duplicates and limit to 8 pages to respect rate limits (10 req/min with map call)
-        const urlsToScrape = [...new Set(priorityUrls)].slice(0, 8);
+        const { urlsToScrape, priorityPages } = selectPriorityUrls(homeUrl, candidateUrls, scrapeOptions.priorityKeywords, scrapeOptions.maxPages);
         console.log(`📄 Scraping ${urlsToScrape.length} priority pages (${priorityPages.length} priority keywords matched)...`);
 
-        // Scrape each priority page with rate limiting (6 second delay = max 10 requests/min)
+        // 3. Scrape each page, trying the providers in order
+        const scrapedPages = [];
+        const failedUrls = [];
         for (let i = 0; i < urlsToScrape.length; i++) {
             const pageUrl = urlsToScrape[i];
-            try {
-                console.log(`   📃 Scraping ${i + 1}/${urlsToScrape.length}: ${pageUrl}`);
-                const pageResult = await firecrawl.scrape(pageUrl, {
-                    formats: ['markdown', 'html'],
-                    onlyMainContent: true,
-                    includeTags: ['title', 'meta', 'h1', 'h2', 'h3', 'p', 'article', 'section'],
-                    excludeTags: ['script', 'style', 'nav', 'footer', 'aside']
-                });
-
-                if (pageResult && pageResult.markdown) {
-                    scrapedPages.push({
-                        url: pageUrl,
-                        markdown: pageResult.markdown,
-                        html: pageResult.html,
-                        metadata: pageResult.metadata,
-                        content: pageResult.markdown
-                    });
-                    console.log(`   ✅ Successfully scraped: ${pageUrl}`);
-                } else {
-                    console.log(`   ⚠️ Failed to scrape: ${pageUrl}`);
-                }
+            throwIfCancelled(options.signal);
+            onProgress({ stage: 'scraping', message: `Scraping page ${i + 1}/${urlsToScrape.length}`, current: i + 1, total: urlsToScrape.length, url: pageUrl });
 
-                // Add 6 second delay between requests to respect rate limits (10 req/min)
-                if (i < urlsToScrape.length - 1) {
-                    console.log(`   ⏳ Waiting 6s to respect rate limits...`);
-                    await new Promise(resolve => setTimeout(resolve, 6000));
-                }
-            } catch (pageError) {
-                console.log(`   ❌ Error scraping ${pageUrl}:`, pageError.message);
-
-                // If rate limited, wait longer
-                if (pageError.message && pageError.message.includes('Rate limit')) {
-                    console.log(`   ⏳ Rate limited - waiting 60s before continuing...`);
-                    await new Promise(resolve => setTimeout(resolve, 60000));
-                }
-            }
+            console.log(`   📃 Scraping ${i + 1}/${urlsToScrape.length}: ${pageUrl}`);
+            const page = await scrapePageWithProviders(pageUrl, providers, requestState);
+            if (page) scrapedPages.push(page);
+            else failedUrls.push(pageUrl);
         }
 
         if (scrapedPages.length === 0) {
-            console.log('❌ No pages could be scraped, falling back to enhanced scraping');
-            return await enhancedScrapeWebsite(url);
+            throw new Error('No pages could be scraped from this website');
         }
 
         console.log(`📖 Successfully scraped ${scrapedPages.length} pages`);
 
-        // Aggregate content from all scraped pages
+        // Keep each scraped page as its own record, plus the combined text for display
         let combinedContent = '';
         let mainTitle = '';
         let mainDescription = '';
-        let allBusinessInfo = {};
+        let siteLanguage = '';
         let allLinks = [];
         let allImages = [];
+        const pages = [];
+        const pageStructuredData = [];
+        const contactSources = [];
+        const linkSources = [];
 
         for (const page of scrapedPages) {
-            const pageContent = page.markdown || page.content || '';
-            const pageTitle = page.metadata?.title || '';
-            const pageDescription = page.metadata?.description || '';
+            const pageUrl = page.finalUrl || page.url;
+            const isHome = page.url === homeUrl;
+            const parsedPage = page.html ? parseHtml(page.html, pageUrl) : null;
+            // Providers without markdown (or pages it came back empty for) get the extracted text
+            const textContent = page.markdown || (parsedPage ? (scrapeOptions.onlyMainContent ? parsedPage.text : parsedPage.fullText) : '');
+            const pageTitle = page.title || (parsedPage ? parsedPage.title : '');
+            const pageDescription = page.description || (parsedPage ? parsedPage.description : '');
 
             // Use homepage data as primary
-            if (page.url === url || !mainTitle) {
-                mainTitle = pageTitle || extractTitleFromContent(pageContent);
-                mainDescription = pageDescription || extractDescriptionFromContent(pageContent);
+            if (isHome || !mainTitle) {
+                mainTitle = pageTitle || extractTitleFromContent(textContent);
+                mainDescription = pageDescription || extractDescriptionFromContent(textContent);
             }
 
-            // Combine all content with page context
-            combinedContent += `\n\n=== PAGE: ${page.url} ===\n`;
-            combinedContent += `TITLE: ${pageTitle}\n`;
-            combinedContent += `DESCRIPTION: ${pageDescription}\n`;
-            combinedContent += `CONTENT: ${pageContent}\n`;
-
-            // Extract business info from each page
-            const pageBusinessInfo = extractBusinessInfo(pageContent);
-            Object.assign(allBusinessInfo, pageBusinessInfo);
+            const pageRecord = buildPageRecord({ url: page.url, finalUrl: page.finalUrl, status: page.status, homeUrl, title: pageTitle, description: pageDescription, markdown: textContent, parsedPage, provider: page.provider });
+            pages.push(pageRecord);
+            combinedContent += formatPageSection(pageRecord);
 
-            // Extract links and images if available
-            if (page.html) {
-                const pageLinks = extractLinks(page.html, page.url);
-                allLinks = allLinks.concat(pageLinks);
+            if (parsedPage) {
+                allLinks = allLinks.concat(parsedPage.links);
+                allImages = allImages.concat(parsedPage.images);
+                linkSources.push({ url: pageUrl, links: parsedPage.links, images: parsedPage.images });
 
-                const pageImages = extractImages(page.html, page.url);
-                allImages = allImages.concat(pageImages);
+                // The homepage's structured data takes precedence over other pages
+                if (isHome) pageStructuredData.unshift(parsedPage.structuredData);
+                else pageStructuredData.push(parsedPage.structuredData);
+                if (isHome || !siteLanguage) siteLanguage = parsedPage.language;
             }
+
+            contactSources.push({
+                url: pageUrl,
+                text: parsedPage ? parsedPage.fullText : textContent,
+                links: parsedPage ? parsedPage.links : [],
+                structuredData: parsedPage ? parsedPage.structuredData : null
+            });
         }
 
         // Remove duplicate links and images
-        allLinks = [...new Set(allLinks)];
-        allImages = allImages.filter((img, index, arr) =>
-            arr.findIndex(i => i.url === img.url) === index
-        );
+        allLinks = dedupeByUrl(allLinks);
+        allImages = dedupeByUrl(allImages);
+        const structuredData = mergeStructuredData(pageStructuredData);
+
+        // Phones and addresses are parsed for the country the site operates in
+        const locale = inferCountry({ url, language: siteLanguage, structuredData });
+        const contacts = mergeContacts(contactSources.map(source => extractPageContacts({ ...source, country: locale.country })));
+        const allBusinessInfo = extractBusinessInfo(contacts);
+
+        // Providers that do not expose response headers (Firecrawl) get the homepage's read directly
+        const htmlPages = [];
+        for (const page of scrapedPages.filter(scraped => scraped.html)) {
+            const capabilities = providers.find(provider => provider.name === page.provider).capabilities;
+            if (!page.headers && page.url === homeUrl && capabilities.remote) {
+                const homeResponse = await fetchResponseHeaders(url, apiConfig.scraperUserAgent);
+                htmlPages.push({ url: homeResponse.url, html: page.html, headers: homeResponse.headers });
+            } else {
+                htmlPages.push({ url: page.finalUrl || page.url, html: page.html, headers: page.headers || {} });
+            }
+        }
+
+        // Pages that all came from offline providers (fixtures) must not lead to live requests
+        const offline = !scrapedPages.some(page => providers.find(provider => provider.name === page.provider).capabilities.remote);
+        const liveOptions = { ...options, offline };
+
+        const techStack = detectTechStack(url, htmlPages);
+        const navigation = extractSiteNavigation(htmlPages);
+        const brand = await inspectBrand(url, htmlPages, liveOptions);
+        const imageInventory = await inspectImages(linkSources, htmlPages, brand, liveOptions);
+        const pageWeight = await measureHomepage(url, liveOptions);
+        const linkCheck = await runLinkCheck(url, linkSources, liveOptions);
+        const security = await inspectSecurity(url, liveOptions);
+        const audit = auditSite({ url, pages: htmlPages, structuredData, performance: pageWeight, linkCheck, security });
+
+        const pagesByProvider = {};
+        scrapedPages.forEach(page => { pagesByProvider[page.provider] = (pagesByProvider[page.provider] || 0) + 1; });
 
         const finalData = {
             title: mainTitle || 'Website Title',
             description: mainDescription || '',
             content: combinedContent.substring(0, 50000), // Display content
             fullContent: combinedContent, // Complete content for AI analysis
+            pages, // Per-page records the analysis and recreation prompts choose from
             links: allLinks,
             images: allImages,
             businessInfo: allBusinessInfo,
-            sitemap: allDiscoveredUrls.map(link => typeof link === 'string' ? link : link.url), // Full sitemap
+            structuredData,
+            contacts,
+            techStack,
+            navigation,
+            brand,
+            imageInventory,
+            audit,
+            linkCheck,
+            security,
+            sitemap,
             metadata: {
                 scrapedAt: new Date().toISOString(),
                 url: url,
-                method: 'firecrawl-sitemap-comprehensive',
-                totalPagesDiscovered: allDiscoveredUrls.length,
+                method: 'provider-scrape',
+                providers: {
+                    order: providers.map(provider => provider.name),
+                    discovery: discovery.provider,
+                    pages: pagesByProvider
+                },
+                totalPagesDiscovered: sitemap.length,
                 pagesScraped: scrapedPages.length,
                 priorityPagesFound: priorityPages.length,
                 wordCount: combinedContent.split(' ').length,
                 imageCount: allImages.length,
-                hasContactInfo: !!(allBusinessInfo.email || allBusinessInfo.phone),
+                hasContactInfo: contacts.emails.length > 0 || contacts.phones.length > 0,
+                locale,
+                performance: pageWeight,
                 scrapedUrls: scrapedPages.map(p => p.url),
-                sitemapComplete: true
+                pageStatuses: scrapedPages.map(p => ({ url: p.url, finalUrl: p.finalUrl || p.url, status: p.status || null, provider: p.provider })),
+                failedUrls,
+                sitemapComplete: discovery.sitemapComplete,
+                ...Object.assign({}, ...providers.map(provider => provider.describe())),
+                robots: {
+                    userAgent: apiConfig.scraperUserAgent,
+                    source: robots.source,
+                    crawlDelay: robots.crawlDelay,
+                    skippedUrls
+                },
+                // HTTP validators used to revalidate this scrape from the cache
+                // (pages without ETag/Last-Modified make the scrape non-revalidatable)
+                pageValidators: scrapedPages.map(p => ({
+                    url: p.finalUrl || p.url,
+                    etag: p.etag || null,
+                    lastModified: p.lastModified || null
+                }))
             }
         };
 
-        console.log(`🎉 Comprehensive scraping complete: ${scrapedPages.length} pages, ${finalData.metadata.wordCount} words`);
+        console.log(`🎉 Scraping complete: ${scrapedPages.length} pages, ${finalData.metadata.wordCount} words`);
         return finalData;
 
     } catch (error) {
-        console.error('Firecrawl comprehensive scraping error:', error);
-        console.log('🔄 Falling back to single page scrape');
-        return await scrapeSinglePage(url);
+        if (error.name === 'CancelledError') throw error;
+        console.error('Scraping error:', error);
+        // Final fallback
+        return {
+            title: 'Website Title',
+            description: 'Website description not available',
+            content: 'Could not extract content from this website. Please check the URL and try again.',
+            links: [],
+            images: [],
+            businessInfo: {},
+            metadata: {
+                scrapedAt: new Date().toISOString(),
+                url: url,
+                method: 'fallback',
+                error: error.message
+            }
+        };
     }
 }
 
-// Single page scraping fallback
-async function scrapeSinglePage(url) {
-    try {
-        console.log('📄 Using Firecrawl single page scrape for:', url);
-
-        const scrapeResult = await firecrawl.scrape(url, {
-            formats: ['markdown', 'html'],
-            includeTags: ['title', 'meta', 'h1', 'h2', 'h3', 'p', 'a', 'img'],
-            excludeTags: ['script', 'style', 'nav', 'footer'],
-            waitFor: 1000,
-            timeout: 30000
-        });
+// Map the site with the first provider that finds any pages; if none can, scrape just the start URL
+async function discoverWithProviders(homeUrl, providers, requestState) {
+    for (const provider of providers.filter(candidate => candidate.capabilities.map)) {
+        throwIfCancelled(requestState.signal);
 
-        if (!scrapeResult || !scrapeResult.markdown) {
-            throw new Error('Failed to scrape website - no content returned');
+        try {
+            console.log(`📍 Mapping website with ${provider.label}...`);
+            const result = await provider.map(homeUrl);
+            requestState.nextRequestAt.set(provider.name, Date.now() + provider.requestDelayMs);
+            if (result.urls.length > 0) {
+                return { provider: provider.name, skippedUrls: [], ...result };
+            }
+            console.log(`   ⚠️ ${provider.label} found no pages`);
+        } catch (error) {
+            if (error.name === 'CancelledError') throw error;
+            throwIfCancelled(requestState.signal);
+            console.log(`   ⚠️ ${provider.label} could not map the site:`, error.message);
         }
+    }
 
-        // Extract business-relevant information
-        const content = scrapeResult.markdown || '';
-        const title = scrapeResult.metadata?.title || extractTitleFromContent(content);
-        const description = scrapeResult.metadata?.description || extractDescriptionFromContent(content);
+    console.log('🔄 No provider could map the site, scraping the start page only');
+    return { provider: null, urls: [homeUrl], sitemapComplete: false, skippedUrls: [] };
+}
 
-        // Extract contact information and business details
-        const businessInfo = extractBusinessInfo(content);
-        const links = extractLinks(scrapeResult.html || '', url);
-        const images = extractImages(scrapeResult.html || '', url);
+// Scrape one page with the first provider that returns it, recording which one did.
+// Each remote provider waits out its own rate limit and the site's Crawl-delay.
+async function scrapePageWithProviders(pageUrl, providers, requestState) {
+    for (const provider of providers) {
+        const delayMs = provider.capabilities.remote ? Math.max(provider.requestDelayMs, requestState.crawlDelayMs) : 0;
+        const waitMs = (requestState.nextRequestAt.get(provider.name) || 0) - Date.now();
+        if (waitMs > 0) {
+            if (waitMs >= 1000) console.log(`   ⏳ Waiting ${Math.round(waitMs / 1000)}s to respect ${provider.label} rate limits...`);
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+        }
+        throwIfCancelled(requestState.signal);
 
-        return {
-            title: title || 'Website Title',
-            description: description || '',
-            content: content.substring(0, 10000),
-            fullContent: content, // Keep full content for AI analysis
-            links: links,
-            images: images,
-            businessInfo: businessInfo,
-            metadata: {
-                scrapedAt: new Date().toISOString(),
-                url: url,
-                method: 'firecrawl-single',
-                wordCount: content.split(' ').length,
-                imageCount: images.length,
-                hasContactInfo: !!(businessInfo.email || businessInfo.phone),
-                ...scrapeResult.metadata
+        try {
+            const page = await provider.scrapePage(pageUrl);
+            requestState.nextRequestAt.set(provider.name, Date.now() + delayMs);
+            if (page) {
+                console.log(`   ✅ Scraped with ${provider.label}: ${pageUrl}`);
+                return { ...page, provider: provider.name };
             }
-        };
+            console.log(`   ⚠️ ${provider.label} returned no content for ${pageUrl}`);
+        } catch (error) {
+            if (error.name === 'CancelledError') throw error;
+            throwIfCancelled(requestState.signal);
+            // A rate-limited provider is left alone for as long as it asks
+            requestState.nextRequestAt.set(provider.name, Date.now() + Math.max(delayMs, error.retryAfterMs || 0));
+            console.log(`   ❌ ${provider.label} failed on ${pageUrl}:`, error.message);
+        }
+    }
+
+    return null;
+}
 
+// Page weight and timing of the homepage, measured alongside every scrape path (not offline ones)
+async function measureHomepage(url, options = {}) {
+    if (options.offline) return null;
+    throwIfCancelled(options.signal);
+    if (options.onProgress) options.onProgress({ stage: 'measuring', message: 'Measuring page weight and load time' });
+    return measurePageWeight(url, { userAgent: apiConfig.scraperUserAgent, signal: options.signal });
+}
+
+// Logo, brand colors and web fonts from the homepage and its stylesheets
+async function inspectBrand(url, htmlPages, options = {}) {
+    throwIfCancelled(options.signal);
+    if (options.onProgress) options.onProgress({ stage: 'brand', message: 'Extracting logo, brand colors and fonts' });
+
+    try {
+        return await extractBrand(url, htmlPages, { userAgent: apiConfig.scraperUserAgent, signal: options.signal, offline: options.offline });
     } catch (error) {
-        console.error('Single page Firecrawl error:', error);
-        // Final fallback to enhanced scraping
-        return await enhancedScrapeWebsite(url);
+        if (error.name === 'CancelledError') throw error;
+        console.log('   ⚠️ Brand extraction failed:', error.message);
+        return null;
     }
 }
 
-// Enhanced website scraping (fallback)
-async function enhancedScrapeWebsite(url) {
-    try {
-        console.log('📄 Using enhanced scraping for:', url);
+// Format, size, role and duplicates of every scraped image, for the recreation prompts
+async function inspectImages(linkSources, htmlPages, brand, options = {}) {
+    if (options.offline) return null;
+    throwIfCancelled(options.signal);
+    if (options.onProgress) options.onProgress({ stage: 'images', message: 'Measuring and classifying images' });
 
-        const response = await fetch(url, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-            }
+    const htmlByUrl = new Map(htmlPages.map(page => [page.url, page.html]));
+    try {
+        return await analyzeImages(linkSources.map(source => ({ ...source, html: htmlByUrl.get(source.url) })), {
+            userAgent: apiConfig.scraperUserAgent,
+            signal: options.signal,
+            onProgress: options.onProgress,
+            logoUrls: brand && brand.logo ? [brand.logo.url] : []
         });
-        const html = await response.text();
-
-        // Enhanced HTML parsing
-        const titleMatch = html.match(/<title[^>]*>([^<]+)<\/title>/i);
-        const descMatch = html.match(/<meta[^>]*name=[\"']description[\"'][^>]*content=[\"']([^\"']+)[\"']/i) ||
-                         html.match(/<meta[^>]*property=[\"']og:description[\"'][^>]*content=[\"']([^\"']+)[\"']/i);
-
-        // Extract structured text content with better parsing
-        const textContent = html
-            .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
-            .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
-            .replace(/<nav[^>]*>[\s\S]*?<\/nav>/gi, '')
-            .replace(/<footer[^>]*>[\s\S]*?<\/footer>/gi, '')
-            .replace(/<header[^>]*>[\s\S]*?<\/header>/gi, '')
-            .replace(/<[^>]+>/g, ' ')
-            .replace(/\s+/g, ' ')
-            .trim();
-
-        // Extract business information
-        const businessInfo = extractBusinessInfo(textContent);
-        const links = extractLinks(html, url);
-        const images = extractImages(html, url);
-
-        const title = titleMatch ? titleMatch[1].trim() : 'Website Title';
-        const description = descMatch ? descMatch[1].trim() : extractDescriptionFromContent(textContent);
+    } catch (error) {
+        if (error.name === 'CancelledError') throw error;
+        console.log('   ⚠️ Image analysis failed:', error.message);
+        return null;
+    }
+}
 
-        return {
-            title: title,
-            description: description,
-            content: textContent.substring(0, 8000), // More content for better analysis
-            fullContent: textContent, // Keep full content for AI analysis
-            links: links,
-            images: images,
-            businessInfo: businessInfo,
-            metadata: {
-                scrapedAt: new Date().toISOString(),
-                url: url,
-                method: 'enhanced',
-                wordCount: textContent.split(' ').length,
-                imageCount: images.length,
-                hasContactInfo: !!(businessInfo.email || businessInfo.phone)
-            }
-        };
+// Security headers, cookie flags, HTTP->HTTPS redirect and TLS certificate of the site
+async function inspectSecurity(url, options = {}) {
+    if (options.offline) return null;
+    throwIfCancelled(options.signal);
+    if (options.onProgress) options.onProgress({ stage: 'security', message: 'Checking security headers and SSL certificate' });
 
+    try {
+        return await checkSecurity(url, { userAgent: apiConfig.scraperUserAgent, signal: options.signal });
     } catch (error) {
-        console.error('Enhanced scraping error:', error);
-        // Final fallback
-        return {
-            title: 'Website Title',
-            description: 'Website description not available',
-            content: 'Could not extract content from this website. Please check the URL and try again.',
-            links: [],
-            images: [],
-            businessInfo: {},
-            metadata: {
-                scrapedAt: new Date().toISOString(),
-                url: url,
-                method: 'fallback',
-                error: error.message
-            }
-        };
+        if (error.name === 'CancelledError') throw error;
+        console.log('   ⚠️ Security check failed:', error.message);
+        return null;
     }
 }
 
+// Optional broken link/image check over everything the scrape found (options.checkLinks)
+async function runLinkCheck(url, linkSources, options = {}) {
+    if (!options.checkLinks || options.offline) return null;
+
+    throwIfCancelled(options.signal);
+    const robots = await getRobotsPolicy(url, apiConfig.scraperUserAgent);
+    return checkLinks(collectLinkTargets(linkSources), {
+        userAgent: apiConfig.scraperUserAgent,
+        signal: options.signal,
+        onProgress: options.onProgress,
+        isAllowed: robots.isAllowed,
+        origin: robots.origin,
+        delayMs: (robots.crawlDelay || 0) * 1000
+    });
+}
+
 // Utility functions for content extraction
-function extractBusinessInfo(content) {
+// Primary email, E.164 phone and structured address chosen from all contacts found
+function extractBusinessInfo(contacts) {
     const businessInfo = {};
+    const primary = getPrimaryContacts(contacts);
 
-    // Extract email addresses
-    const emailRegex = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g;
-    const emails = content.match(emailRegex);
-    if (emails && emails.length > 0) {
-        businessInfo.email = emails[0];
+    if (primary.email) {
+        businessInfo.email = primary.email;
     }
 
-    // Extract phone numbers
-    const phoneRegex = /(\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4})|(\+?\d{1,3}[-.\s]?\(?\d{1,4}\)?[-.\s]?\d{1,4}[-.\s]?\d{1,9})/g;
-    const phones = content.match(phoneRegex);
-    if (phones && phones.length > 0) {
-        businessInfo.phone = phones[0];
+    if (primary.phone) {
+        businessInfo.phone = primary.phone;
     }
 
-    // Extract address patterns
-    const addressRegex = /\d+\s+[A-Za-z\s]+(?:Street|St|Avenue|Ave|Road|Rd|Drive|Dr|Lane|Ln|Boulevard|Blvd)[^,\n]*[,\s]*[A-Za-z\s]+[,\s]*[A-Z]{2}\s*\d{5}/g;
-    const addresses = content.match(addressRegex);
-    if (addresses && addresses.length > 0) {
-        businessInfo.address = addresses[0];
+    const address = contacts.addresses[0];
+    if (address) {
+        businessInfo.address = address.value;
+        businessInfo.addressComponents = {
+            street: address.street,
+            city: address.city,
+            region: address.region,
+            postcode: address.postcode,
+            country: address.country
+        };
     }
 
     return businessInfo;
@@ -1133,77 +1480,97 @@ function extractDescriptionFromContent(content) {
     return sentences.length > 0 ? sentences[0].trim().substring(0, 200) + '.' : '';
 }
 
-function extractLinks(html, baseUrl) {
-    try {
-        const linkMatches = html.match(/href=[\"']([^\"']+)[\"']/gi) || [];
-        const links = linkMatches
-            .map(link => {
-                const url = link.replace(/href=[\"']([^\"']+)[\"']/, '$1');
-                // Convert relative URLs to absolute
-                if (url.startsWith('/')) {
-                    const domain = new URL(baseUrl).origin;
-                    return domain + url;
-                }
-                return url;
-            })
-            .filter(link => link.startsWith('http'))
-            .filter((link, index, arr) => arr.indexOf(link) === index) // Remove duplicates
-            .slice(0, 15);
+// AI Business Analysis
+// Format a postal address from structured data as a single line
+function formatStructuredAddress(address) {
+    if (!address) return '';
+    return [address.streetAddress, address.addressLocality, address.addressRegion, address.postalCode, address.addressCountry]
+        .filter(Boolean)
+        .join(', ');
+}
 
-        return links;
-    } catch (error) {
-        return [];
-    }
+// Facts the site publishes about itself (schema.org / Open Graph), listed for the prompt
+function describeStructuredFacts(structuredData) {
+    if (!hasStructuredData(structuredData)) return '';
+
+    const facts = [
+        ['Business name', structuredData.name],
+        ['Legal name', structuredData.legalName],
+        ['Schema type', structuredData.type],
+        ['Email', structuredData.email],
+        ['Phone', structuredData.telephone],
+        ['Address', formatStructuredAddress(structuredData.address)],
+        ['Opening hours', structuredData.openingHours.map(hours => `${hours.days.join(', ')} ${hours.opens}-${hours.closes}`).join('; ')],
+        ['Price range', structuredData.priceRange],
+        ['Social profiles', structuredData.sameAs.join(', ')],
+        ['Description', structuredData.description]
+    ].filter(([, value]) => value);
+
+    return facts.map(([label, value]) => `${label}: ${value}`).join('\n');
 }
 
-function extractImages(html, baseUrl) {
-    try {
-        const imgMatches = html.match(/<img[^>]+>/gi) || [];
-        const images = imgMatches
-            .map(imgTag => {
-                // Extract src attribute
-                const srcMatch = imgTag.match(/src=[\"']([^\"']+)[\"']/i);
-                if (!srcMatch) return null;
-
-                let imgUrl = srcMatch[1];
-
-                // Convert relative URLs to absolute
-                if (imgUrl.startsWith('/')) {
-                    const domain = new URL(baseUrl).origin;
-                    imgUrl = domain + imgUrl;
-                } else if (!imgUrl.startsWith('http')) {
-                    // Handle relative paths like images/photo.jpg
-                    try {
-                        const urlObj = new URL(baseUrl);
-                        imgUrl = urlObj.origin + (urlObj.pathname.endsWith('/') ? urlObj.pathname : urlObj.pathname + '/') + imgUrl;
-                    } catch (e) {
-                        return null;
-                    }
-                }
+// Every contact channel found on the site, listed for the prompt
+function describeContacts(contacts) {
+    if (!contacts) return '';
 
-                // Extract alt text
-                const altMatch = imgTag.match(/alt=[\"']([^\"']+)[\"']/i);
-                const alt = altMatch ? altMatch[1] : '';
+    const lines = [
+        ...contacts.emails.map(email => `Email: ${email.value} (${email.role}${email.name ? `, ${email.name}` : ''})`),
+        ...contacts.phones.map(phone => `Phone: ${phone.value}`),
+        ...contacts.addresses.map(address => `Address: ${address.value}`),
+        ...contacts.people.map(person => `Person: ${person.name} - ${person.role}`),
+        ...contacts.socialProfiles.map(profile => `Social (${profile.network}): ${profile.url}`)
+    ];
 
-                return { url: imgUrl, alt: alt };
-            })
-            .filter(img => img && img.url.startsWith('http'))
-            .filter((img, index, arr) => arr.findIndex(i => i.url === img.url) === index) // Remove duplicates
-            .slice(0, 100); // Get up to 100 images
+    return lines.slice(0, 40).join('\n');
+}
 
-        return images;
-    } catch (error) {
-        return [];
-    }
+// Verified structured data always overrides what the LLM inferred
+function applyStructuredFacts(extractedInfo, structuredData) {
+    if (!hasStructuredData(structuredData)) return extractedInfo;
+
+    const address = formatStructuredAddress(structuredData.address);
+    return {
+        ...extractedInfo,
+        businessName: structuredData.name || extractedInfo.businessName,
+        email: structuredData.email || extractedInfo.email,
+        phone: structuredData.telephone || extractedInfo.phone,
+        location: address || extractedInfo.location,
+        description: extractedInfo.description || structuredData.description,
+        openingHours: structuredData.openingHours,
+        priceRange: structuredData.priceRange,
+        socialProfiles: structuredData.sameAs,
+        structuredDataSources: structuredData.sources
+    };
+}
+
+// Real audit findings replace the LLM's guesses about website issues
+function applyAuditFindings(extractedInfo, audit) {
+    if (!audit || !audit.issues || audit.issues.length === 0) return extractedInfo;
+
+    return {
+        ...extractedInfo,
+        issues: audit.issues.join('\n'),
+        auditScore: audit.score
+    };
 }
 
-// AI Business Analysis
 async function analyzeBusinessWithAI(businessInfo) {
     try {
         // Get the complete scraped website data (use fullContent if available)
         const fullContent = businessInfo.scrapedData?.fullContent || businessInfo.scrapedData?.content || 'No content available';
+        // Scrapes with per-page records give the about/services/contact pages priority over blog posts
+        const scrapedPages = businessInfo.scrapedData?.pages || [];
+        const websiteContent = scrapedPages.length > 0
+            ? selectPageContent(scrapedPages, { maxChars: 100000, types: ANALYSIS_PAGE_TYPES })
+            : fullContent.substring(0, 100000);
         const websiteUrl = businessInfo.scrapedData?.url || 'Unknown URL';
         const metadata = businessInfo.scrapedData?.metadata || {};
+        const structuredData = businessInfo.scrapedData?.structuredData;
+        const structuredFacts = describeStructuredFacts(structuredData);
+        const contactChannels = describeContacts(businessInfo.scrapedData?.contacts);
+        const techEvidence = describeTechStack(businessInfo.scrapedData?.techStack);
+        const audit = businessInfo.scrapedData?.audit;
+        const auditFindings = describeAudit(audit);
 
         console.log(`🔍 AI analyzing ${fullContent.length} characters from ${metadata.pagesCrawled || 1} pages`);
 
@@ -1213,9 +1580,24 @@ WEBSITE DATA:
 URL: ${websiteUrl}
 Pages Analyzed: ${metadata.pagesScraped || metadata.pagesCrawled || 1}
 Total Content Length: ${fullContent.length} characters
-
+${scrapedPages.length > 0 ? `
+PAGES SCRAPED (type: url):
+${describePages(scrapedPages)}
+` : ''}${structuredFacts ? `
+VERIFIED FACTS (published by the site as schema.org structured data - use these exactly, do not contradict them):
+${structuredFacts}
+` : ''}${contactChannels ? `
+CONTACT CHANNELS FOUND ON THE SITE (choose the primary email/phone from these):
+${contactChannels}
+` : ''}${techEvidence ? `
+TECHNOLOGY FINGERPRINT (detected from the site's HTML and response headers - base "issues" on these findings where relevant):
+${techEvidence}
+` : ''}${auditFindings ? `
+WEBSITE AUDIT (deterministic checks run on the scraped HTML):
+${auditFindings}
+` : ''}
 COMPLETE WEBSITE CONTENT:
-${fullContent.substring(0, 100000)}
+${websiteContent}
 
 YOUR TASK: Extract business information and return ONLY a valid JSON object (no markdown, no explanations). The JSON must have these exact fields:
 
@@ -1235,7 +1617,7 @@ EXTRACTION RULES:
 - businessName: Use the exact company name from the website
 - industry: Be specific and descriptive
 - services: List 3-5 main offerings, comma-separated
-- issues: Identify real website problems (navigation, mobile issues, missing features, outdated design)
+- issues: Identify real website problems (navigation, mobile issues, missing features, outdated design), citing detected technology findings such as outdated libraries or missing HTTPS
 - If information is not found, use empty string ""
 - Return ONLY the JSON object, no other text
 
@@ -1250,7 +1632,7 @@ RETURN ONLY VALID JSON:`;
 
         // Try to parse JSON response
         try {
-            const parsed = JSON.parse(text);
+            const parsed = applyAuditFindings(applyStructuredFacts(JSON.parse(text), structuredData), audit);
             console.log('✅ AI Analysis Result:', JSON.stringify(parsed, null, 2));
             return parsed;
         } catch (parseError) {
@@ -1258,7 +1640,7 @@ RETURN ONLY VALID JSON:`;
             console.log('📄 Attempting to extract info from text...');
 
             // Fallback: try to extract structured data from text
-            return {
+            return applyAuditFindings(applyStructuredFacts({
                 businessName: businessInfo.name || extractEmailFromText(text) || '',
                 industry: '',
                 owner: extractOwnerFromText(text) || '',
@@ -1268,7 +1650,7 @@ RETURN ONLY VALID JSON:`;
                 issues: '',
                 location: '',
                 description: text.substring(0, 200)
-            };
+            }, structuredData), audit);
         }
 
     } catch (error) {
@@ -1281,27 +1663,55 @@ RETURN ONLY VALID JSON:`;
 }
 
 // AI Website Generation
-async function generateWebsiteWithAI(scrapedData, businessInfo, instructions) {
+// options.keepBrand restricts the design to the original logo, brand colors and fonts
+async function generateWebsiteWithAI(scrapedData, businessInfo, instructions, options = {}) {
     try {
-        // Get full content (up to 500k characters) and images
-        const websiteContent = scrapedData?.fullContent?.substring(0, 500000) || scrapedData?.content?.substring(0, 500000) || 'No content';
-        const images = scrapedData?.images || [];
-
-        // Format image URLs for the prompt
+        // Get content (up to 500k characters, home/services/about pages first) and images
+        const websiteContent = scrapedData?.pages?.length > 0
+            ? selectPageContent(scrapedData.pages, { maxChars: 500000, types: RECREATION_PAGE_TYPES })
+            : scrapedData?.fullContent?.substring(0, 500000) || scrapedData?.content?.substring(0, 500000) || 'No content';
+        // Images the link check found dead must not end up in the generated HTML
+        const brokenImageUrls = getBrokenImageUrls(scrapedData?.linkCheck);
+        const images = (scrapedData?.images || []).filter(img => !brokenImageUrls.has(img.url));
+
+        // Format image URLs for the prompt: the measured inventory labeled by role when the
+        // scrape has one, otherwise the raw list (scrapes cached before image analysis)
         let imageSection = '';
-        if (images.length > 0) {
+        const inventory = scrapedData?.imageInventory;
+        if (inventory && inventory.images) {
+            const usableImages = inventory.images.filter(img => !brokenImageUrls.has(img.url));
+            const imageList = describeImages({ images: usableImages }, 50);
+            if (imageList) {
+                imageSection = `\n\nAVAILABLE IMAGES FROM ORIGINAL WEBSITE (${usableImages.length} usable, showing ${Math.min(usableImages.length, 50)}; role in brackets, size in pixels):\n${imageList}\n`;
+            }
+        } else if (images.length > 0) {
             imageSection = `\n\nAVAILABLE IMAGES FROM ORIGINAL WEBSITE (${images.length} total, showing ${Math.min(images.length, 50)}):\n`;
             images.slice(0, 50).forEach((img, index) => {
                 imageSection += `${index + 1}. ${img.url}${img.alt ? ` (alt: "${img.alt}")` : ''}\n`;
             });
         }
+        if (brokenImageUrls.size > 0) {
+            imageSection += `\nDEAD IMAGE URLS (return errors on the original site - NEVER use these):\n${[...brokenImageUrls].slice(0, 50).join('\n')}\n`;
+        }
+
+        // The original menus, so the redesign keeps the client's real information architecture
+        const navigationTree = describeNavigation(scrapedData?.navigation);
+        const navigationSection = navigationTree
+            ? `\n\nORIGINAL SITE NAVIGATION (rebuild these menus with the same labels, order and nesting - do not invent menu items):\n${navigationTree}\n`
+            : '';
+
+        // The client's own logo, colors and fonts when the recreation should stay on-brand
+        const brandDetails = options.keepBrand ? describeBrand(scrapedData?.brand) : '';
+        const brandSection = brandDetails
+            ? `\n\nBRAND IDENTITY (keep it - use these exact colors as the color scheme, load these fonts, and show this logo in the header):\n${brandDetails}\n`
+            : '';
 
         const prompt = `Create a complete, modern HTML website for this business:
 
 Business: ${businessInfo.name}
 Industry: ${businessInfo.industry}
 Services: ${businessInfo.services}
-Current Website Content (${websiteContent.length} characters): ${websiteContent}${imageSection}
+Current Website Content (${websiteContent.length} characters): ${websiteContent}${imageSection}${navigationSection}${brandSection}
 
 Instructions: ${instructions}
 
@@ -1312,11 +1722,11 @@ Create a complete HTML page with:
 - Services/products section
 - About section
 - Contact section with form
-- Professional color scheme
-- Mobile-friendly design
+- ${brandSection ? 'Color scheme and typography from the BRAND IDENTITY above' : 'Professional color scheme'}
+- Mobile-friendly design${navigationSection ? '\n- Header menu and footer links taken from the ORIGINAL SITE NAVIGATION above (keep their URLs as link targets)' : ''}
 
 IMPORTANT INSTRUCTIONS FOR IMAGES:
-- Use the actual image URLs from the "AVAILABLE IMAGES" list above whenever possible
+- Use the actual image URLs from the "AVAILABLE IMAGES" list above whenever possible${inventory && inventory.images ? '\n- Place each image where its role fits: [logo] in the header, [hero] as the hero background or banner, [team] in an about/team section, [gallery] in content and gallery sections, [icon] only at small sizes' : ''}
 - Extract and use image URLs that appear in the website content
 - If original images are not available or suitable, use placeholder images from https://images.unsplash.com/
 - Include proper alt text for all images for accessibility
@@ -1357,10 +1767,18 @@ Return ONLY the complete HTML code, no explanations.`;
 // AI Website Modification - Iterative changes
 async function modifyWebsiteWithAI(currentHTML, modificationRequest, businessInfo, scrapedData) {
     try {
-        // Get available images if scrapedData is provided
-        const images = scrapedData?.images || [];
+        // Get available images if scrapedData is provided, minus any the link check found dead
+        const brokenImageUrls = getBrokenImageUrls(scrapedData?.linkCheck);
+        const images = (scrapedData?.images || []).filter(img => !brokenImageUrls.has(img.url));
         let imageSection = '';
-        if (images.length > 0) {
+        const inventory = scrapedData?.imageInventory;
+        if (inventory && inventory.images) {
+            const usableImages = inventory.images.filter(img => !brokenImageUrls.has(img.url));
+            const imageList = describeImages({ images: usableImages }, 30);
+            if (imageList) {
+                imageSection = `\n\nAVAILABLE IMAGES (${usableImages.length} usable, showing ${Math.min(usableImages.length, 30)}; role in brackets):\n${imageList}\n`;
+            }
+        } else if (images.length > 0) {
             imageSection = `\n\nAVAILABLE IMAGES (${images.length} total, showing ${Math.min(images.length, 30)}):\n`;
             images.slice(0, 30).forEach((img, index) => {
                 imageSection += `${index + 1}. ${img.url}${img.alt ? ` (alt: "${img.alt}")` : ''}\n`;
@@ -1408,18 +1826,39 @@ Return ONLY the complete HTML code, no explanations.`;
 // AI Outreach Generation
 async function generateOutreachWithAI(businessInfo, generatedWebsite, outreachInfo) {
     try {
+        const techEvidence = describeTechStack(outreachInfo.techStack);
+        const techSection = techEvidence ? `
+Technology Detected On Their Current Site (concrete evidence - cite specific findings, do not invent others):
+${techEvidence}
+` : '';
+        const performanceEvidence = describePerformance(outreachInfo.performance);
+        const performanceSection = performanceEvidence ? `
+Measured Speed Of Their Current Homepage (real numbers - quote them exactly):
+${performanceEvidence}
+` : '';
+        const brokenLinkEvidence = describeBrokenLinks(outreachInfo.linkCheck);
+        const brokenLinkSection = brokenLinkEvidence ? `
+Broken Links And Missing Images On Their Current Site (verified - mention one or two concrete examples):
+${brokenLinkEvidence}
+` : '';
+        const securityEvidence = describeSecurity(outreachInfo.security);
+        const securitySection = securityEvidence ? `
+Security Check Of Their Current Site (headers and SSL certificate - quote the plain-language findings):
+${securityEvidence}
+` : '';
+
         const emailPrompt = `Create a professional cold email for web design services:
 
 Target Business: ${businessInfo.name}
 Industry: ${businessInfo.industry}
 Current Issues: ${businessInfo.issues}
-Your Name: ${outreachInfo.yourName}
+${techSection}${performanceSection}${brokenLinkSection}${securitySection}Your Name: ${outreachInfo.yourName}
 Your Email: ${outreachInfo.yourEmail}
 Package Price: ${outreachInfo.packagePrice}
 
 Create a compelling cold email that:
 - Has an attention-grabbing subject line
-- Addresses their specific pain points
+- Addresses their specific pain points, using one or two detected technology findings or measured speed numbers as proof
 - Offers a solution (new website)
 - Shows value and professionalism
 - Includes a clear call to action
@@ -1436,12 +1875,12 @@ Client: ${businessInfo.name}
 Industry: ${businessInfo.industry}
 Services: ${businessInfo.services}
 Current Issues: ${businessInfo.issues}
-Price: ${outreachInfo.packagePrice}
+${techSection}${performanceSection}${brokenLinkSection}${securitySection}Price: ${outreachInfo.packagePrice}
 Your Company: ${outreachInfo.yourName}
 
 Create a professional proposal including:
 - Executive summary
-- Current website analysis
+- Current website analysis (reference the detected technology stack, its findings and the measured load time and page weight)
 - Proposed solution
 - Key features and benefits
 - Timeline (suggest 2-3 weeks)
@@ -1576,7 +2015,7 @@ ${outreachInfo.yourEmail}`;
 // Utility functions
 function extractEmailFromText(text) {
     const emailRegex = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/;
-    const match = text.match(emailRegex);
+    const match = deobfuscateEmailText(text).match(emailRegex);
     return match ? match[0] : null;
 }
 
@@ -1643,7 +2082,7 @@ Word Count: ${scrapedData.metadata?.wordCount || 'N/A'}
 ${scrapedData.content ? scrapedData.content.substring(0, 2000) + '...' : 'No content'}
 
 ## Extracted Links:
-${scrapedData.links ? scrapedData.links.slice(0, 10).join('\n') : 'No links found'}
+${scrapedData.links ? scrapedData.links.slice(0, 10).map(link => link.url || link).join('\n') : 'No links found'}
 `;
             archive.append(scrapedAnalysis, { name: 'original-website-analysis.txt' });
         }
@@ -1880,6 +2319,231 @@ app.get('/api/hosted-sites', async (req, res) => {
     }
 });
 
+// Watchlist endpoints: saved sites re-scraped on a schedule, with a feed of detected changes
+function readWatchIdOr400(req, res) {
+    const watchId = req.params.id;
+
+    // Sanitize watch ID (basic alphanumeric check)
+    if (!watchId || watchId.replace(/[^a-zA-Z0-9]/g, '') !== watchId) {
+        res.status(400).json({ error: 'Invalid watch ID format', field: 'id' });
+        return null;
+    }
+
+    return watchId;
+}
+
+// Scrape for a watch check: always fresh, and a failed scrape is an error rather than a
+// placeholder result that would diff as a rewritten site
+async function scrapeWatchedSite(url, progress) {
+    const scrapedData = await runScrape(url, { ...progress, force: true, requestUserAgent: 'watchlist' });
+    if (scrapedData.metadata.method === 'fallback') {
+        throw new Error(`Scrape failed: ${scrapedData.metadata.error || 'no content'}`);
+    }
+    return scrapedData;
+}
+
+app.get('/api/watchlist', async (req, res) => {
+    try {
+        const watches = await listWatches();
+        res.json({ success: true, watches, total: watches.length });
+    } catch (error) {
+        handleError(res, error, 'watchlist');
+    }
+});
+
+// Add a site: { url, label?, intervalHours? (default 24), webhookUrl? }
+app.post('/api/watchlist', async (req, res) => {
+    try {
+        const { url, label, intervalHours, webhookUrl } = req.body;
+
+        if (!validateInput.required(url) || !validateInput.url(url)) {
+            return res.status(400).json({ error: 'Please provide a valid URL (e.g., https://example.com)', field: 'url' });
+        }
+        if (webhookUrl) await assertPublicUrl(webhookUrl);
+
+        const watch = await addWatch({ url: validateInput.sanitizeString(url), label, intervalHours, webhookUrl });
+        console.log('👀 Added to watchlist:', watch.url);
+
+        res.status(201).json({ success: true, watch });
+    } catch (error) {
+        handleError(res, error, 'watchlist');
+    }
+});
+
+// Change a watch's label, intervalHours or webhookUrl
+app.put('/api/watchlist/:id', async (req, res) => {
+    try {
+        const watchId = readWatchIdOr400(req, res);
+        if (!watchId) return;
+
+        const { label, intervalHours, webhookUrl } = req.body;
+        if (webhookUrl) await assertPublicUrl(webhookUrl);
+
+        const watch = await updateWatch(watchId, { label, intervalHours, webhookUrl });
+        if (!watch) {
+            return res.status(404).json({ error: 'Watch not found', watchId });
+        }
+
+        res.json({ success: true, watch });
+    } catch (error) {
+        handleError(res, error, 'watchlist');
+    }
+});
+
+app.delete('/api/watchlist/:id', async (req, res) => {
+    try {
+        const watchId = readWatchIdOr400(req, res);
+        if (!watchId) return;
+
+        if (!(await removeWatch(watchId))) {
+            return res.status(404).json({ error: 'Watch not found', watchId });
+        }
+        console.log('🗑️ Removed from watchlist:', watchId);
+
+        res.json({ success: true, message: 'Watch removed successfully' });
+    } catch (error) {
+        handleError(res, error, 'watchlist');
+    }
+});
+
+// Check a watched site now, as a background job where the host allows them;
+// the result is { watch, change, baseline }
+app.post('/api/watchlist/:id/check', async (req, res) => {
+    try {
+        const watchId = readWatchIdOr400(req, res);
+        if (!watchId) return;
+
+        const watch = await getWatch(watchId);
+        if (!watch) {
+            return res.status(404).json({ error: 'Watch not found', watchId });
+        }
+        if (watch.running) {
+            return res.status(409).json({ error: `${watch.url} is already being checked` });
+        }
+
+        if (!backgroundJobsEnabled) {
+            return res.json(await checkWatch(watchId, scrapeWatchedSite));
+        }
+
+        const job = createJob('watch', (progress) => checkWatch(watchId, scrapeWatchedSite, progress));
+        console.log(`🧵 Watch check job ${job.id} queued for:`, watch.url);
+        res.status(202).json(jobAcceptedResponse(job));
+    } catch (error) {
+        handleError(res, error, 'watchlist');
+    }
+});
+
+// Changes feed, newest first (?watchId= narrows it to one site, ?limit= up to 500)
+app.get('/api/watchlist/changes', async (req, res) => {
+    try {
+        const watchId = typeof req.query.watchId === 'string' ? req.query.watchId.replace(/[^a-zA-Z0-9]/g, '') : null;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+        const changes = await listChanges({ watchId, limit });
+
+        res.json({ success: true, changes, total: changes.length });
+    } catch (error) {
+        handleError(res, error, 'watchlist changes');
+    }
+});
+
+// Background job endpoints
+function findJobOr404(req, res) {
+    const jobId = req.params.id;
+
+    // Sanitize job ID (basic alphanumeric check)
+    if (!jobId || jobId.replace(/[^a-zA-Z0-9]/g, '') !== jobId) {
+        res.status(400).json({ error: 'Invalid job ID format', field: 'id' });
+        return null;
+    }
+
+    const job = getJob(jobId);
+    if (!job) {
+        res.status(404).json({ error: 'Job not found', jobId });
+        return null;
+    }
+
+    return job;
+}
+
+// Poll a job's status and progress (includes the result once completed)
+app.get('/api/jobs/:id', (req, res) => {
+    const job = findJobOr404(req, res);
+    if (!job) return;
+
+    res.json({ success: true, job: serializeJob(job, true) });
+});
+
+// Fetch a completed job's result again
+app.get('/api/jobs/:id/result', (req, res) => {
+    const job = findJobOr404(req, res);
+    if (!job) return;
+
+    if (job.status !== 'completed') {
+        return res.status(409).json({
+            error: `Job is ${job.status}, no result available`,
+            job: serializeJob(job)
+        });
+    }
+
+    res.json(job.result);
+});
+
+// Stream job progress as Server-Sent Events
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = findJobOr404(req, res);
+    if (!job) return;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const send = (eventName, snapshot) => {
+        res.write(`event: ${eventName}\ndata: ${JSON.stringify(snapshot)}\n\n`);
+    };
+
+    // Current state first, so late subscribers are not left waiting
+    send(isTerminal(job) ? job.status : 'progress', serializeJob(job));
+    if (isTerminal(job)) return res.end();
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    let unsubscribe = () => {};
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+
+    unsubscribe = subscribeToJob(job, (eventName, snapshot) => {
+        send(eventName, snapshot);
+        if (eventName !== 'progress') {
+            cleanup();
+            res.end();
+        }
+    });
+
+    req.on('close', cleanup);
+});
+
+// Cancel a queued or running job
+app.post('/api/jobs/:id/cancel', (req, res) => {
+    const job = findJobOr404(req, res);
+    if (!job) return;
+
+    if (isTerminal(job)) {
+        return res.status(409).json({
+            error: `Job is already ${job.status}`,
+            job: serializeJob(job)
+        });
+    }
+
+    cancelJob(job.id);
+    console.log(`🛑 Cancellation requested for job ${job.id}`);
+
+    res.json({ success: true, job: serializeJob(job) });
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
     res.json({
@@ -1887,9 +2551,13 @@ app.get('/api/health', (req, res) => {
         message: '🚀 App Sumo Website Scraper & Builder API',
         timestamp: new Date().toISOString(),
         endpoints: [
-            'POST /api/scrape - Scrape website data',
+            'POST /api/scrape - Scrape website data (async: true returns a job)',
             'POST /api/analyze - Analyze business info',
-            'POST /api/recreate - Generate new website',
+            'POST /api/recreate - Generate new website (async: true returns a job)',
+            'GET /api/jobs/:id - Poll a background job',
+            'GET /api/jobs/:id/events - Stream job progress (Server-Sent Events)',
+            'GET /api/jobs/:id/result - Fetch a completed job result',
+            'POST /api/jobs/:id/cancel - Cancel a background job',
             'POST /api/outreach - Generate outreach materials',
             'POST /api/export-package - Export complete website package',
             'GET /api/projects - List all saved projects',
@@ -1898,6 +2566,12 @@ app.get('/api/health', (req, res) => {
             'DELETE /api/projects/:id - Delete a project',
             'POST /api/host-website - Host a generated website',
             'GET /api/hosted-sites - List all hosted websites',
+            'GET /api/watchlist - List watched sites',
+            'POST /api/watchlist - Watch a site for changes',
+            'PUT /api/watchlist/:id - Change a watch',
+            'DELETE /api/watchlist/:id - Stop watching a site',
+            'POST /api/watchlist/:id/check - Check a watched site now (returns a job)',
+            'GET /api/watchlist/changes - Feed of detected site changes',
             'GET /hosted/:siteId - View a hosted website'
         ]
     });
@@ -1907,13 +2581,18 @@ app.get('/api/health', (req, res) => {
 // API Configuration endpoints
 app.post('/api/config/save', async (req, res) => {
     try {
-        const { llmProvider, geminiApiKey, openaiApiKey, claudeApiKey, firecrawlApiKey, geminiModel, openaiModel, claudeModel, maxWebsiteTokens, maxOutreachTokens } = req.body;
+        const { llmProvider, geminiApiKey, openaiApiKey, claudeApiKey, firecrawlApiKey, geminiModel, openaiModel, claudeModel, maxWebsiteTokens, maxOutreachTokens, scraperUserAgent, scrapeCacheTtlHours, renderJavaScript, scrapeProvider, scrapeProviderFallbacks } = req.body;
 
         // Validate provider
         if (llmProvider && !['default', 'gemini', 'openai', 'claude'].includes(llmProvider)) {
             return res.status(400).json({ error: 'Invalid LLM provider' });
         }
 
+        // Unknown scrape provider names are rejected before anything is changed
+        const scrapeProviders = scrapeProvider !== undefined || scrapeProviderFallbacks !== undefined
+            ? normalizeProviderSettings(scrapeProvider ?? apiConfig.scrapeProvider, scrapeProviderFallbacks ?? apiConfig.scrapeProviderFallbacks)
+            : null;
+
         // Update configuration
         if (llmProvider) apiConfig.llmProvider = llmProvider;
         if (geminiApiKey !== undefined) apiConfig.geminiApiKey = geminiApiKey || null;
@@ -1924,6 +2603,22 @@ app.post('/api/config/save', async (req, res) => {
         if (claudeModel) apiConfig.claudeModel = claudeModel;
         if (maxWebsiteTokens) apiConfig.maxWebsiteTokens = parseInt(maxWebsiteTokens);
         if (maxOutreachTokens) apiConfig.maxOutreachTokens = parseInt(maxOutreachTokens);
+        if (scraperUserAgent !== undefined) {
+            apiConfig.scraperUserAgent = validateInput.sanitizeString(scraperUserAgent) || DEFAULT_USER_AGENT;
+        }
+        if (scrapeCacheTtlHours !== undefined && scrapeCacheTtlHours !== '') {
+            const ttlHours = parseFloat(scrapeCacheTtlHours);
+            if (isNaN(ttlHours) || ttlHours < 0) {
+                return res.status(400).json({ error: 'Scrape cache TTL must be 0 or more hours' });
+            }
+            apiConfig.scrapeCacheTtlHours = ttlHours;
+        }
+        // browserExecutablePath names a program the server runs, so it comes from BROWSER_EXECUTABLE_PATH only
+        if (renderJavaScript !== undefined) apiConfig.renderJavaScript = renderJavaScript === true || renderJavaScript === 'true';
+        if (scrapeProviders) {
+            apiConfig.scrapeProvider = scrapeProviders.primary;
+            apiConfig.scrapeProviderFallbacks = scrapeProviders.fallbacks;
+        }
         if (firecrawlApiKey !== undefined) {
             apiConfig.firecrawlApiKey = firecrawlApiKey || null;
             // Reinitialize Firecrawl with new key
@@ -1941,7 +2636,12 @@ app.post('/api/config/save', async (req, res) => {
             claude: apiConfig.claudeApiKey ? '✅ Set' : '❌ Not set',
             firecrawl: apiConfig.firecrawlApiKey ? '✅ Set' : '❌ Not set',
             maxWebsiteTokens: apiConfig.maxWebsiteTokens,
-            maxOutreachTokens: apiConfig.maxOutreachTokens
+            maxOutreachTokens: apiConfig.maxOutreachTokens,
+            scraperUserAgent: apiConfig.scraperUserAgent,
+            scrapeCacheTtlHours: apiConfig.scrapeCacheTtlHours,
+            renderJavaScript: apiConfig.renderJavaScript,
+            browserExecutablePath: apiConfig.browserExecutablePath || '(puppeteer default)',
+            scrapeProviders: [apiConfig.scrapeProvider, ...apiConfig.scrapeProviderFallbacks].join(' -> ')
         });
 
         res.json({
@@ -1954,7 +2654,15 @@ app.post('/api/config/save', async (req, res) => {
                 hasClaudeKey: !!apiConfig.claudeApiKey,
                 hasFirecrawlKey: !!apiConfig.firecrawlApiKey,
                 maxWebsiteTokens: apiConfig.maxWebsiteTokens,
-                maxOutreachTokens: apiConfig.maxOutreachTokens
+                maxOutreachTokens: apiConfig.maxOutreachTokens,
+                scraperUserAgent: apiConfig.scraperUserAgent,
+                scrapeCacheTtlHours: apiConfig.scrapeCacheTtlHours,
+                renderJavaScript: apiConfig.renderJavaScript,
+                browserExecutablePath: apiConfig.browserExecutablePath,
+                browserInstalled: isBrowserInstalled(),
+                scrapeProvider: apiConfig.scrapeProvider,
+                scrapeProviderFallbacks: apiConfig.scrapeProviderFallbacks,
+                scrapeProviders: describeProviders(getProviderContext())
             }
         });
     } catch (error) {
@@ -1972,7 +2680,15 @@ app.get('/api/config/get', (req, res) => {
             hasClaudeKey: !!apiConfig.claudeApiKey,
             hasFirecrawlKey: !!apiConfig.firecrawlApiKey,
             maxWebsiteTokens: apiConfig.maxWebsiteTokens,
-            maxOutreachTokens: apiConfig.maxOutreachTokens
+            maxOutreachTokens: apiConfig.maxOutreachTokens,
+            scraperUserAgent: apiConfig.scraperUserAgent,
+            scrapeCacheTtlHours: apiConfig.scrapeCacheTtlHours,
+            renderJavaScript: apiConfig.renderJavaScript,
+            browserExecutablePath: apiConfig.browserExecutablePath,
+            browserInstalled: isBrowserInstalled(),
+            scrapeProvider: apiConfig.scrapeProvider,
+            scrapeProviderFallbacks: apiConfig.scrapeProviderFallbacks,
+            scrapeProviders: describeProviders(getProviderContext())
         }
     });
 });
@@ -2040,8 +2756,12 @@ if (process.env.VERCEL !== '1' && require.main === module) {
     app.listen(PORT, '0.0.0.0', () => {
         console.log(`🚀 App Sumo Website Scraper & Builder running on http://localhost:${PORT}`);
         console.log(`🤖 Gemini API: ${process.env.GOOGLE_API_KEY ? '✅ Configured' : '❌ Not configured'}`);
-        console.log(`🔥 Firecrawl API: ${firecrawl ? '✅ Professional scraping enabled' : '⚠️ Using enhanced fallback scraping'}`);
-        console.log(`🕷️ Ready to scrape and build websites with ${firecrawl ? 'professional' : 'enhanced'} capabilities!`);
+        console.log(`🔥 Firecrawl API: ${firecrawl ? '✅ Professional scraping enabled' : '⚠️ Not configured'}`);
+        const scrapeProviders = describeProviders(getProviderContext()).filter(provider => provider.available).map(provider => provider.name);
+        console.log(`🧩 Scrape providers: ${[apiConfig.scrapeProvider, ...apiConfig.scrapeProviderFallbacks].filter(name => scrapeProviders.includes(name)).join(' -> ') || 'none available'}`);
+        startWatchScheduler(scrapeWatchedSite);
+        console.log('👀 Watchlist scheduler started (checks due sites every minute)');
+        console.log(`🕷️ Ready to scrape and build websites!`);
     });
 }
 
@@ -0,0 +1,58 @@
+// Tests for lib/address.js: one group per address format, plus pathological input that
+// used to make the patterns backtrack for seconds.
+// Run with `npm test` (Node's built-in test runner).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAddresses } = require('../lib/address');
+
+function parseOne(text, defaultCountry) {
+    const [address] = parseAddresses(text, defaultCountry);
+    assert.ok(address, `no address found in "${text}"`);
+    return { street: address.street, postcode: address.postcode, city: address.city, country: address.country };
+}
+
+// Parse text and fail if it takes longer than a linear scan plausibly could
+function assertParsesQuickly(text) {
+    const started = Date.now();
+    parseAddresses(text);
+    const elapsed = Date.now() - started;
+    assert.ok(elapsed < 500, `parsing ${text.length} characters took ${elapsed} ms`);
+}
+
+test('continental European addresses', async (t) => {
+    await t.test('splits street words joined to, or apart from, the name', () => {
+        assert.deepEqual(parseOne('Hauptstraße 5, 10115 Berlin'), { street: 'Hauptstraße 5', postcode: '10115', city: 'Berlin', country: 'DE' });
+        assert.deepEqual(parseOne('Kärntner Straße 12, 1010 Wien'), { street: 'Kärntner Straße 12', postcode: '1010', city: 'Wien', country: 'AT' });
+        assert.equal(parseOne('Besuchen Sie uns: Karl-von-Müller-Str. 3, 80331 München').street, 'Karl-von-Müller-Str. 3');
+        assert.equal(parseOne('Prinsengracht 263, 1016 GV Amsterdam').postcode, '1016 GV');
+    });
+
+    await t.test('reads prefixed and French street names', () => {
+        assert.deepEqual(parseOne('Via Roma 10, 00184 Roma'), { street: 'Via Roma 10', postcode: '00184', city: 'Roma', country: 'IT' });
+        assert.deepEqual(parseOne('12 rue de la Paix, 75002 Paris'), { street: '12 rue de la Paix', postcode: '75002', city: 'Paris', country: 'FR' });
+    });
+});
+
+test('English-language addresses', () => {
+    assert.deepEqual(parseOne('123 Main Street, Springfield, IL 62701'), { street: '123 Main Street', postcode: '62701', city: 'Springfield', country: 'US' });
+    assert.deepEqual(parseOne('1 High Street, Stratford-upon-Avon, CV37 6AA'), { street: '1 High Street', postcode: 'CV37 6AA', city: 'Stratford-upon-Avon', country: 'GB' });
+    assert.equal(parseOne('1 Ocean Drive, Palm Beach Gardens, FL 33410').city, 'Palm Beach Gardens');
+});
+
+test('long runs of capitalised words', async (t) => {
+    await t.test('hyphenated words', () => {
+        assertParsesQuickly('Abcdefgh-'.repeat(1000));
+        assertParsesQuickly('Aa-'.repeat(2000));
+    });
+
+    await t.test('space-separated and dotted words', () => {
+        assertParsesQuickly('Aa Bb-Cc '.repeat(1000));
+        assertParsesQuickly('Aa.'.repeat(2000));
+    });
+
+    await t.test('after a street and before a region', () => {
+        assertParsesQuickly(`123 Main Street, ${'Aa-'.repeat(1000)}`);
+        assertParsesQuickly(`Hauptstraße 5, 10115 ${'Aa-'.repeat(1000)} x`);
+    });
+});
@@ -0,0 +1,77 @@
+// Tests for lib/crawler.js against small sites served on loopback.
+// Run with `npm test` (Node's built-in test runner).
+
+// safe-fetch reads the allowlist when it loads
+process.env.SSRF_ALLOWLIST = '127.0.0.1,localhost';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { discoverSite } = require('../lib/crawler');
+
+// The crawler's progress lines would only clutter the test report
+test.mock.method(console, 'log', () => {});
+
+const PAGES = {
+    '/': '<a href="/about">About</a> <a href="/services">Services</a> <a href="/contact">Contact</a>',
+    '/about': '<a href="/">Home</a>',
+    '/services': '<a href="/contact">Contact</a>',
+    '/contact': '<a href="/">Home</a>'
+};
+
+function listen(handler) {
+    return new Promise(resolve => {
+        const server = http.createServer(handler).listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+function serveSite(req, res) {
+    const body = PAGES[req.url];
+    if (!body) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        return res.end('Not found');
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(`<!DOCTYPE html><html><head><title>${req.url}</title></head><body>${body}</body></html>`);
+}
+
+test('discoverSite', async (t) => {
+    const site = await listen(serveSite);
+    const siteUrl = `http://127.0.0.1:${site.address().port}`;
+    // Another origin on the same host that redirects everything to the site, like http -> https
+    const redirector = await listen((req, res) => {
+        res.writeHead(301, { Location: `${siteUrl}${req.url}` });
+        res.end();
+    });
+    const redirectUrl = `http://127.0.0.1:${redirector.address().port}`;
+    t.after(() => {
+        site.close();
+        redirector.close();
+    });
+
+    await t.test('follows links on the start origin', async () => {
+        const discovery = await discoverSite(`${siteUrl}/`, { delayMs: 0 });
+        assert.deepEqual(discovery.sitemap.sort(), [`${siteUrl}/`, `${siteUrl}/about`, `${siteUrl}/contact`, `${siteUrl}/services`]);
+    });
+
+    await t.test('crawls the site a redirecting homepage lands on', async () => {
+        const discovery = await discoverSite(`${redirectUrl}/`, { delayMs: 0 });
+        assert.equal(discovery.homeUrl, `${redirectUrl}/`);
+        assert.deepEqual(discovery.sitemap.sort(), [`${redirectUrl}/`, `${siteUrl}/about`, `${siteUrl}/contact`, `${siteUrl}/services`].sort());
+        assert.equal(discovery.fetchedPages.get(`${redirectUrl}/`).url, `${siteUrl}/`);
+    });
+
+    await t.test('stays on the start origin when the homepage redirects to another site', async () => {
+        const offsite = await listen((req, res) => {
+            res.writeHead(302, { Location: `http://localhost:${site.address().port}${req.url}` });
+            res.end();
+        });
+        const offsiteUrl = `http://127.0.0.1:${offsite.address().port}`;
+        try {
+            const discovery = await discoverSite(`${offsiteUrl}/`, { delayMs: 0 });
+            assert.deepEqual(discovery.sitemap, [`${offsiteUrl}/`]);
+        } finally {
+            offsite.close();
+        }
+    });
+});
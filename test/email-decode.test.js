@@ -0,0 +1,115 @@
+// Tests for lib/email-decode.js: one group per obfuscation scheme, plus malformed input.
+// Run with `npm test` (Node's built-in test runner).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const {
+    decodeCloudflareEmail,
+    decodeHtmlEntities,
+    decodeMailtoHref,
+    decodeProtectedEmails,
+    deobfuscateEmailText
+} = require('../lib/email-decode');
+
+// Cloudflare's encoding: a key byte, then every character XOR-ed with it, all as hex
+function encodeCloudflare(email, key = 0x3c) {
+    const hex = (value) => value.toString(16).padStart(2, '0');
+    return hex(key) + [...Buffer.from(email, 'utf8')].map(byte => hex(byte ^ key)).join('');
+}
+
+test('Cloudflare email protection', async (t) => {
+    await t.test('decodes the data-cfemail hex', () => {
+        assert.equal(decodeCloudflareEmail('3c534b52594e7c54535159125f53'), 'owner@home.co');
+        assert.equal(decodeCloudflareEmail(encodeCloudflare('sales@example.com', 0x5a)), 'sales@example.com');
+    });
+
+    await t.test('rewrites protected spans and links in the DOM', () => {
+        const $ = cheerio.load(`
+            <span class="__cf_email__" data-cfemail="${encodeCloudflare('info@example.com')}">[email&#160;protected]</span>
+            <a href="/cdn-cgi/l/email-protection#${encodeCloudflare('team@example.com')}">Email us</a>
+        `);
+        decodeProtectedEmails($);
+        assert.equal($('span').text(), 'info@example.com');
+        assert.equal($('span').attr('data-cfemail'), undefined);
+        assert.equal($('a').attr('href'), 'mailto:team@example.com');
+    });
+
+    await t.test('decodes hex left in text and drops the placeholder', () => {
+        const text = `Write to /cdn-cgi/l/email-protection#${encodeCloudflare('hi@example.com')} [email protected]`;
+        const decoded = deobfuscateEmailText(text);
+        assert.match(decoded, /hi@example\.com/);
+        assert.doesNotMatch(decoded, /email protected/);
+    });
+});
+
+test('HTML entity encoding', async (t) => {
+    await t.test('decodes decimal, hex and named entities', () => {
+        assert.equal(decodeHtmlEntities('&#105;&#x6e;fo&commat;example&period;com'), 'info@example.com');
+        assert.equal(decodeHtmlEntities('a&amp;b &lt;c&gt;'), 'a&b <c>');
+    });
+
+    await t.test('leaves unknown entities alone', () => {
+        assert.equal(decodeHtmlEntities('&unknown; &copy;'), '&unknown; &copy;');
+    });
+
+    await t.test('is applied before extraction', () => {
+        assert.match(deobfuscateEmailText('Mail &#115;ales&#64;example.com today'), /sales@example\.com/);
+    });
+});
+
+test('[at] / [dot] spellings', async (t) => {
+    await t.test('decodes bracketed tokens', () => {
+        assert.match(deobfuscateEmailText('billing [at] home [dot] co'), /billing@home\.co/);
+        assert.match(deobfuscateEmailText('info(at)example(dot)com'), /info@example\.com/);
+        assert.match(deobfuscateEmailText('hello {at} mail {dot} example {dot} org'), /hello@mail\.example\.org/);
+        assert.match(deobfuscateEmailText('jane [at] example.com'), /jane@example\.com/);
+    });
+
+    await t.test('accepts a bare "at" only when the domain spells out "dot"', () => {
+        assert.match(deobfuscateEmailText('write to jane at example dot com'), /jane@example\.com/);
+        assert.equal(deobfuscateEmailText('visit our shop at shop.example.com'), 'visit our shop at shop.example.com');
+        assert.equal(deobfuscateEmailText('contact us at example dot com'), 'contact us at example dot com');
+    });
+});
+
+test('percent-encoded mailto: links', async (t) => {
+    await t.test('decodes the address and drops the query string', () => {
+        assert.equal(decodeMailtoHref('mailto:%62ookings%40home.co'), 'bookings@home.co');
+        assert.equal(decodeMailtoHref('MAILTO:info@example.com?subject=Hello%20there'), 'info@example.com');
+        assert.equal(decodeMailtoHref('mailto:&#105;nfo@example.com'), 'info@example.com');
+    });
+
+    await t.test('rewrites mailto: links in the DOM and in text', () => {
+        const $ = cheerio.load('<a href="mailto:%73ales%40example.com">Sales</a>');
+        decodeProtectedEmails($);
+        assert.equal($('a').attr('href'), 'mailto:sales@example.com');
+        assert.match(deobfuscateEmailText('[Sales](mailto:%73ales%40example.com)'), /mailto:sales@example\.com/);
+    });
+});
+
+test('malformed input', async (t) => {
+    await t.test('rejects bad Cloudflare hex', () => {
+        assert.equal(decodeCloudflareEmail(''), null);
+        assert.equal(decodeCloudflareEmail(undefined), null);
+        assert.equal(decodeCloudflareEmail('3c5'), null); // odd length
+        assert.equal(decodeCloudflareEmail('zz534b52'), null); // not hex
+        assert.equal(decodeCloudflareEmail(encodeCloudflare('no-at-sign')), null);
+        assert.equal(decodeCloudflareEmail('00ff'), null); // invalid UTF-8
+    });
+
+    await t.test('keeps malformed percent-encoding in mailto: links', () => {
+        assert.equal(decodeMailtoHref('mailto:100%@example.com'), '100%@example.com');
+        assert.equal(decodeMailtoHref(undefined), '');
+    });
+
+    await t.test('keeps out-of-range entities as written', () => {
+        assert.equal(decodeHtmlEntities('&#x110000;'), '&#x110000;');
+        assert.equal(decodeHtmlEntities(null), '');
+    });
+
+    await t.test('returns empty text for empty input', () => {
+        assert.equal(deobfuscateEmailText(''), '');
+        assert.equal(deobfuscateEmailText(null), '');
+    });
+});
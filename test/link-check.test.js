@@ -0,0 +1,70 @@
+// Tests for lib/link-check.js against a site served on loopback.
+// Run with `npm test` (Node's built-in test runner).
+
+// safe-fetch reads the allowlist when it loads
+process.env.SSRF_ALLOWLIST = '127.0.0.1';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { checkLinks } = require('../lib/link-check');
+
+// The checker's progress lines would only clutter the test report
+test.mock.method(console, 'log', () => {});
+
+// A site that answers /missing with 404 and everything else with 200 after a short wait,
+// recording how many requests were in flight at once
+function serveSite() {
+    const stats = { inFlight: 0, maxInFlight: 0, requests: 0 };
+    return new Promise(resolve => {
+        const server = http.createServer((req, res) => {
+            stats.requests++;
+            stats.maxInFlight = Math.max(stats.maxInFlight, ++stats.inFlight);
+            setTimeout(() => {
+                stats.inFlight--;
+                res.writeHead(req.url.startsWith('/missing') ? 404 : 200, { 'Content-Type': 'text/html' });
+                res.end();
+            }, 20);
+        }).listen(0, '127.0.0.1', () => resolve({ server, stats, baseUrl: `http://127.0.0.1:${server.address().port}` }));
+    });
+}
+
+const linksTo = (baseUrl, paths) => paths.map(path => ({ url: `${baseUrl}${path}`, type: 'link', foundOn: [`${baseUrl}/`] }));
+
+test('checkLinks', async (t) => {
+    await t.test('reports broken links with the pages they were found on', async () => {
+        const { server, baseUrl } = await serveSite();
+        try {
+            const report = await checkLinks(linksTo(baseUrl, ['/about', '/missing']));
+            assert.equal(report.checked, 2);
+            assert.equal(report.brokenLinks, 1);
+            assert.deepEqual(report.broken.map(item => [item.url, item.reason, item.foundOn]), [[`${baseUrl}/missing`, 'not-found', [`${baseUrl}/`]]]);
+        } finally {
+            server.close();
+        }
+    });
+
+    await t.test('checks the site one URL at a time at its crawl delay', async () => {
+        const { server, stats, baseUrl } = await serveSite();
+        try {
+            const started = Date.now();
+            const report = await checkLinks(linksTo(baseUrl, ['/a', '/b', '/c', '/d', '/missing']), { origin: baseUrl, delayMs: 50 });
+            assert.equal(report.checked, 5);
+            assert.equal(report.brokenLinks, 1);
+            assert.equal(stats.maxInFlight, 1);
+            assert.ok(Date.now() - started >= 4 * 50);
+        } finally {
+            server.close();
+        }
+    });
+
+    await t.test('checks other hosts in parallel', async () => {
+        const { server, stats, baseUrl } = await serveSite();
+        try {
+            await checkLinks(linksTo(baseUrl, ['/a', '/b', '/c', '/d']), { origin: 'https://example.com' });
+            assert.ok(stats.maxInFlight > 1);
+        } finally {
+            server.close();
+        }
+    });
+});
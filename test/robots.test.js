@@ -0,0 +1,91 @@
+// Tests for lib/robots.js: rule parsing, plus fetching robots.txt from a site on loopback.
+// Run with `npm test` (Node's built-in test runner).
+
+// safe-fetch reads the allowlist when it loads
+process.env.SSRF_ALLOWLIST = '127.0.0.1';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { MAX_CRAWL_DELAY, getRobotsPolicy, parseRobotsTxt, clearRobotsCache } = require('../lib/robots');
+
+// The policy's progress lines would only clutter the test report
+test.mock.method(console, 'log', () => {});
+
+// Serve robotsTxt at /robots.txt (with the given status); resolves to the site's base URL and its server
+function serveRobots(robotsTxt, status = 200) {
+    return new Promise(resolve => {
+        const server = http.createServer((req, res) => {
+            if (req.url !== '/robots.txt') {
+                res.writeHead(404);
+                return res.end();
+            }
+            res.writeHead(status, { 'Content-Type': 'text/plain' });
+            res.end(robotsTxt);
+        }).listen(0, '127.0.0.1', () => resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}` }));
+    });
+}
+
+test('parseRobotsTxt', async (t) => {
+    await t.test('prefers the group naming our bot over "*"', () => {
+        const parsed = parseRobotsTxt('User-agent: *\nDisallow: /\n\nUser-agent: SiteCloneBot\nDisallow: /private\nCrawl-delay: 2', 'SiteCloneBot/1.0');
+        assert.deepEqual(parsed.rules, [{ allow: false, path: '/private' }]);
+        assert.equal(parsed.crawlDelay, 2);
+    });
+});
+
+test('getRobotsPolicy', async (t) => {
+    t.beforeEach(() => clearRobotsCache());
+
+    await t.test('applies the rules of a reachable robots.txt', async () => {
+        const { server, baseUrl } = await serveRobots('User-agent: *\nDisallow: /private\n');
+        try {
+            const policy = await getRobotsPolicy(`${baseUrl}/`);
+            assert.equal(policy.source, 'robots.txt');
+            assert.equal(policy.isAllowed(`${baseUrl}/about`), true);
+            assert.equal(policy.isAllowed(`${baseUrl}/private/page`), false);
+        } finally {
+            server.close();
+        }
+    });
+
+    await t.test('reads the first 500 KiB of an oversize robots.txt', async () => {
+        const filler = '# padding padding padding padding padding padding padding padding\n'.repeat(10000);
+        const robotsTxt = `User-agent: *\nDisallow: /private\n${filler}Disallow: /past-the-limit\n`;
+        assert.ok(robotsTxt.length > 500 * 1024);
+
+        const { server, baseUrl } = await serveRobots(robotsTxt);
+        try {
+            const policy = await getRobotsPolicy(`${baseUrl}/`);
+            assert.equal(policy.source, 'robots.txt');
+            assert.equal(policy.isAllowed(`${baseUrl}/`), true);
+            assert.equal(policy.isAllowed(`${baseUrl}/private`), false);
+            assert.equal(policy.isAllowed(`${baseUrl}/past-the-limit`), true);
+        } finally {
+            server.close();
+        }
+    });
+
+    await t.test('caps a long Crawl-delay', async () => {
+        const { server, baseUrl } = await serveRobots('User-agent: *\nCrawl-delay: 86400\n');
+        try {
+            const policy = await getRobotsPolicy(`${baseUrl}/`);
+            assert.equal(policy.crawlDelay, MAX_CRAWL_DELAY);
+            assert.equal(policy.requestedCrawlDelay, 86400);
+        } finally {
+            server.close();
+        }
+    });
+
+    await t.test('reports why robots.txt was unreachable', async () => {
+        const { server, baseUrl } = await serveRobots('Service unavailable', 503);
+        try {
+            const policy = await getRobotsPolicy(`${baseUrl}/`);
+            assert.equal(policy.source, 'unreachable');
+            assert.equal(policy.isAllowed(`${baseUrl}/`), false);
+            assert.deepEqual(policy.error, { message: 'robots.txt returned HTTP 503', timedOut: false });
+        } finally {
+            server.close();
+        }
+    });
+});